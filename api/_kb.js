@@ -0,0 +1,77 @@
+import { list } from '@vercel/blob';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+/**
+ * Shared knowledge-base search, used by /api/kb-search and the
+ * search_knowledge_base tool (see _tools.js).
+ * (Underscore prefix: Vercel does not expose this file as a route.)
+ */
+
+/** Embedding model for documents and queries — scores only compare within one model. */
+export const EMBEDDING_MODEL = 'gemini-embedding-001';
+
+function cosineSimilarity(a, b) {
+    let dot = 0, magA = 0, magB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        magA += a[i] * a[i];
+        magB += b[i] * b[i];
+    }
+    return dot / (Math.sqrt(magA) * Math.sqrt(magB) + 1e-10);
+}
+
+/**
+ * Embed a query with the knowledge base's embedding model.
+ * @param {string} text
+ * @returns {Promise<number[]>}
+ * @throws {Error} if GEMINI_API_KEY is not configured
+ */
+export async function embedQuery(text) {
+    if (!process.env.GEMINI_API_KEY) throw new Error('GEMINI_API_KEY not configured on server');
+    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    const result = await genAI.getGenerativeModel({ model: EMBEDDING_MODEL }).embedContent(text);
+    return result.embedding.values;
+}
+
+/**
+ * Score every chunk in the shared knowledge base (Vercel Blob) against a query.
+ * Returns no results while Blob is not configured.
+ * @param {number[]} queryEmbedding
+ * @param {number} [topK]
+ * @returns {Promise<Array<{ text: string, score: number, docId: string, filename: string }>>} best first
+ */
+export async function searchSharedKnowledgeBase(queryEmbedding, topK = 5) {
+    // Graceful fallback when Blob is not yet configured
+    if (!process.env.BLOB_READ_WRITE_TOKEN) return [];
+
+    const { blobs } = await list({ prefix: 'kb/' });
+    if (blobs.length === 0) return [];
+
+    // Fetch all documents and score their chunks
+    const allChunks = [];
+
+    await Promise.all(
+        blobs.map(async (blob) => {
+            try {
+                const r = await fetch(blob.url);
+                const doc = await r.json();
+                if (!doc.chunks || !doc.embeddings) return;
+
+                for (let i = 0; i < doc.chunks.length; i++) {
+                    const score = cosineSimilarity(queryEmbedding, doc.embeddings[i]);
+                    allChunks.push({
+                        text: doc.chunks[i],
+                        score,
+                        docId: doc.id,
+                        filename: doc.filename,
+                    });
+                }
+            } catch {
+                // Skip malformed blobs
+            }
+        })
+    );
+
+    allChunks.sort((a, b) => b.score - a.score);
+    return allChunks.slice(0, topK);
+}
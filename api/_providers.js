@@ -0,0 +1,339 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { MAX_TOOL_ROUNDS, toolDeclarations, executeTool } from './_tools.js';
+
+/**
+ * Server-side LLM adapters used by /api/generate.
+ * (Underscore prefix: Vercel does not expose this file as a route.)
+ *
+ * Every adapter takes the same request —
+ *   { model, temperature, topP, maxOutputTokens, systemPrompt, userMessage, tools, serverTools, history, responseFormat, onChunk }
+ * where history uses Gemini's [{ role: 'user'|'model', parts: [{ text }] }] shape —
+ * and resolves to { text, model, usage: { promptTokens, outputTokens, totalTokens } }.
+ * When onChunk is given, the adapter streams and calls onChunk(text) as text arrives;
+ * the resolved `text` is still the complete, authoritative response.
+ * `model: 'fast'` selects the adapter's fast model (see FAST_MODEL); unset
+ * sampling settings are left to the upstream defaults. `tools` are native tools
+ * (Gemini's Search grounding); `serverTools` names tools from _tools.js, which the
+ * adapter declares to the model and runs when the model calls them. Gemini
+ * rejects grounding and function declarations in one request, so a request
+ * with both takes two calls (see TOOL_CHECK_PROMPT).
+ *
+ * Environment:
+ *   GEMINI_API_KEY, GEMINI_MODEL (default gemini-2.0-flash),
+ *     GEMINI_FAST_MODEL (default gemini-2.0-flash-lite)
+ *   OPENAI_BASE_URL (default http://localhost:11434/v1), OPENAI_API_KEY, OPENAI_MODEL,
+ *     OPENAI_FAST_MODEL (default OPENAI_MODEL)
+ *   LLM_PROVIDER — adapter used when the request doesn't name one (default gemini)
+ */
+
+export const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'gemini';
+
+// Model alias for the adapter's cheap, fast model (FAST_MODEL in src/agents/generation.js)
+const FAST_MODEL = 'fast';
+
+/** Thrown for problems the caller can fix (bad config, unknown provider). */
+export class ProviderConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProviderConfigError';
+    }
+}
+
+/**
+ * Thrown when the upstream API answers with an error status.
+ * `retryAfterMs` is the API's own hint (Retry-After header, Gemini RetryInfo), if any.
+ */
+export class UpstreamError extends Error {
+    constructor(message, { status, retryAfterMs = null }) {
+        super(message);
+        this.name = 'UpstreamError';
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * Parse a Retry-After value: delay seconds, or an HTTP date.
+ * @returns {number|null} milliseconds to wait
+ */
+export function parseRetryAfter(value) {
+    if (value == null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, Math.round(seconds * 1000));
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// ─── Gemini ──────────────────────────────────────────────
+
+// The SDK's fetch errors carry the HTTP status, and quota errors a
+// google.rpc.RetryInfo detail such as { retryDelay: '17s' }
+function toUpstreamError(err) {
+    if (!err?.status) return err;
+    const retryInfo = (err.errorDetails || []).find(d => d?.['@type']?.endsWith('RetryInfo'));
+    return new UpstreamError(err.message, {
+        status: err.status,
+        retryAfterMs: parseRetryAfter(retryInfo?.retryDelay?.replace(/s$/, '')),
+    });
+}
+
+// The second call of a request with both grounding and server tools: the
+// grounded answer is replayed as the model's turn, and the model checks it
+// with the server tools, ungrounded
+const TOOL_CHECK_PROMPT = 'Check your answer above with the tools available to you — verify species names, source URLs and any claim the knowledge base can back — then reply with the complete, corrected answer in the same format. Reply with the answer only.';
+
+async function generateGemini({ model, temperature, topP, maxOutputTokens, systemPrompt, userMessage, tools = [], serverTools = [], history = [], responseFormat, onChunk = null }) {
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (!apiKey) throw new ProviderConfigError('GEMINI_API_KEY not configured on server');
+
+    const genAI = new GoogleGenerativeAI(apiKey);
+
+    const modelName = model === FAST_MODEL
+        ? process.env.GEMINI_FAST_MODEL || 'gemini-2.0-flash-lite'
+        : model || process.env.GEMINI_MODEL || 'gemini-2.0-flash';
+    const modelConfig = {
+        model: modelName,
+        systemInstruction: { parts: [{ text: systemPrompt }] },
+    };
+
+    const generationConfig = {
+        ...(temperature != null ? { temperature } : {}),
+        ...(topP != null ? { topP } : {}),
+        ...(maxOutputTokens != null ? { maxOutputTokens } : {}),
+        ...(responseFormat === 'json' ? { responseMimeType: 'application/json' } : {}),
+    };
+    if (Object.keys(generationConfig).length > 0) {
+        modelConfig.generationConfig = generationConfig;
+    }
+
+    const declarations = serverTools.length > 0 ? [{ functionDeclarations: toolDeclarations(serverTools) }] : [];
+    const modelWith = (toolSet) => genAI.getGenerativeModel(toolSet.length > 0 ? { ...modelConfig, tools: toolSet } : modelConfig);
+    const checkWithTools = tools.length > 0 && declarations.length > 0;
+    let genModel = modelWith(checkWithTools ? tools : [...tools, ...declarations]);
+
+    // Send one turn (to a chat session, or single-turn when chat is null),
+    // streaming text to onChunk when requested. Resolves to the aggregated response.
+    const sendTurn = async (chat, payload, stream = Boolean(onChunk)) => {
+        try {
+            if (!stream) {
+                const result = chat ? await chat.sendMessage(payload) : await genModel.generateContent(payload);
+                return result.response;
+            }
+            const result = chat ? await chat.sendMessageStream(payload) : await genModel.generateContentStream(payload);
+            for await (const chunk of result.stream) {
+                let text = '';
+                try {
+                    text = chunk.text();
+                } catch {
+                    // Function-call or blocked chunks carry no text
+                }
+                if (text) onChunk(text);
+            }
+            return result.response;
+        } catch (err) {
+            throw toUpstreamError(err);
+        }
+    };
+
+    // Tool round-trips are billed too, so usage is summed across every turn
+    const usage = { promptTokens: 0, outputTokens: 0, totalTokens: 0 };
+    const addUsage = (meta) => {
+        usage.promptTokens += meta?.promptTokenCount || 0;
+        usage.outputTokens += meta?.candidatesTokenCount || 0;
+        usage.totalTokens += meta?.totalTokenCount || 0;
+    };
+
+    // Multi-turn: replay conversation history then send new message
+    let turnHistory = history;
+    let message = userMessage;
+    if (checkWithTools) {
+        // Grounded answer first (not streamed — the checked answer replaces it),
+        // then the server tools without grounding
+        const grounded = await sendTurn(history.length > 0 ? genModel.startChat({ history }) : null, userMessage, false);
+        addUsage(grounded.usageMetadata);
+        turnHistory = [...history, { role: 'user', parts: [{ text: userMessage }] }, { role: 'model', parts: [{ text: grounded.text() }] }];
+        message = TOOL_CHECK_PROMPT;
+        genModel = modelWith(declarations);
+    }
+    let response = await sendTurn(turnHistory.length > 0 ? genModel.startChat({ history: turnHistory }) : null, message);
+    addUsage(response.usageMetadata);
+
+    // Tool execution loop: run each function the model calls (see _tools.js) and
+    // send the results back. Search grounding is native and never lands here.
+    // Every round trip is replayed in full, so the model sees all earlier results.
+    const conversation = [...turnHistory, { role: 'user', parts: [{ text: message }] }];
+    let rounds = 0;
+    let calls = response.functionCalls ? response.functionCalls() : null;
+    while (calls && calls.length > 0 && rounds < MAX_TOOL_ROUNDS) {
+        rounds++;
+        const functionResponses = await Promise.all(calls.map(async (call) => ({
+            functionResponse: { name: call.name, response: await executeTool(call.name, call.args) },
+        })));
+
+        conversation.push(
+            { role: 'model', parts: response.candidates[0].content.parts },
+            { role: 'user', parts: functionResponses },
+        );
+        response = await sendTurn(null, { contents: conversation });
+        addUsage(response.usageMetadata);
+        calls = response.functionCalls ? response.functionCalls() : null;
+    }
+
+    return { text: response.text(), model: modelName, usage };
+}
+
+// ─── OpenAI-compatible (OpenAI, Ollama, LM Studio, vLLM, llama.cpp server…) ──
+
+async function generateOpenAI({ model, temperature, topP, maxOutputTokens, systemPrompt, userMessage, tools = [], serverTools = [], history = [], responseFormat, onChunk = null }) {
+    const baseUrl = (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    const resolvedModel = model === FAST_MODEL
+        ? process.env.OPENAI_FAST_MODEL || process.env.OPENAI_MODEL
+        : model || process.env.OPENAI_MODEL;
+    if (!resolvedModel) throw new ProviderConfigError('OPENAI_MODEL not configured on server');
+
+    // Google Search grounding is Gemini-only — agents still run, just ungrounded
+    // (server tools do work here; they are declared as functions below)
+    if (tools.length > 0) {
+        console.warn(`[OpenAI API] Ignoring ${tools.length} Gemini tool(s); grounding is not available on this provider.`);
+    }
+
+    const messages = [
+        { role: 'system', content: systemPrompt },
+        ...history.map(turn => ({
+            role: turn.role === 'model' ? 'assistant' : 'user',
+            content: (turn.parts || []).map(p => p.text || '').join(''),
+        })),
+        { role: 'user', content: userMessage },
+    ];
+
+    const body = { model: resolvedModel, messages };
+    if (temperature != null) body.temperature = temperature;
+    if (topP != null) body.top_p = topP;
+    if (maxOutputTokens != null) body.max_tokens = maxOutputTokens;
+    if (responseFormat === 'json') body.response_format = { type: 'json_object' };
+    if (serverTools.length > 0) {
+        body.tools = toolDeclarations(serverTools).map(fn => ({ type: 'function', function: fn }));
+    }
+    // With server tools the answer is only final once the model stops calling
+    // them, so those requests aren't streamed; the answer goes to onChunk whole
+    const streaming = Boolean(onChunk) && serverTools.length === 0;
+    if (streaming) {
+        body.stream = true;
+        body.stream_options = { include_usage: true };
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.OPENAI_API_KEY) headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+
+    const complete = async () => {
+        const res = await fetch(`${baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+        });
+
+        if (!res.ok) {
+            const detail = await res.text().catch(() => res.statusText);
+            throw new UpstreamError(`HTTP ${res.status} from ${baseUrl}: ${detail.slice(0, 300)}`, {
+                status: res.status,
+                retryAfterMs: parseRetryAfter(res.headers.get('retry-after')),
+            });
+        }
+
+        return streaming ? readOpenAIStream(res, onChunk) : res.json();
+    };
+
+    // Tool round trips are billed too, so usage is summed across every request
+    const usage = { promptTokens: 0, outputTokens: 0, totalTokens: 0 };
+    const addUsage = (reported) => {
+        usage.promptTokens += reported?.prompt_tokens || 0;
+        usage.outputTokens += reported?.completion_tokens || 0;
+        usage.totalTokens += reported?.total_tokens || 0;
+    };
+
+    let data = await complete();
+    addUsage(data.usage);
+    let message = data.choices?.[0]?.message;
+
+    // Tool execution loop: answer each tool call (see _tools.js) and ask again
+    let rounds = 0;
+    while (message?.tool_calls?.length > 0 && rounds < MAX_TOOL_ROUNDS) {
+        rounds++;
+        messages.push(message);
+        for (const call of message.tool_calls) {
+            let args = null;
+            try {
+                args = JSON.parse(call.function.arguments || '{}');
+            } catch {
+                // Answered with an error below
+            }
+            const result = args ? await executeTool(call.function.name, args) : { error: 'Tool arguments were not valid JSON' };
+            messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+        }
+        data = await complete();
+        addUsage(data.usage);
+        message = data.choices?.[0]?.message;
+    }
+
+    const text = message?.content;
+    if (typeof text !== 'string') throw new Error('Response had no message content');
+    if (onChunk && !streaming) onChunk(text);
+    return { text, model: data.model || resolvedModel, usage };
+}
+
+/**
+ * Consume an OpenAI-style SSE stream, forwarding deltas to onChunk, and rebuild
+ * the non-streamed response shape ({ model, choices: [{ message }], usage }).
+ */
+async function readOpenAIStream(res, onChunk) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    let model = null;
+    let usage = null;
+
+    const handleLine = (line) => {
+        if (!line.startsWith('data:')) return;
+        const payload = line.slice(5).trim();
+        if (!payload || payload === '[DONE]') return;
+        const event = JSON.parse(payload);
+        model = event.model || model;
+        if (event.usage) usage = event.usage;
+        const delta = event.choices?.[0]?.delta?.content;
+        if (delta) {
+            content += delta;
+            onChunk(delta);
+        }
+    };
+
+    for await (const bytes of res.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+    }
+    handleLine(buffer);
+
+    return { model, choices: [{ message: { content } }], usage };
+}
+
+// ─── Registry ────────────────────────────────────────────
+
+const ADAPTERS = {
+    gemini: { label: 'Gemini', generate: generateGemini },
+    openai: { label: 'OpenAI-compatible', generate: generateOpenAI },
+};
+
+/**
+ * Look up an adapter by name.
+ * @param {string} [name] — 'gemini' | 'openai'; defaults to LLM_PROVIDER
+ * @returns {{ label: string, generate: function }}
+ * @throws {ProviderConfigError} for unknown names
+ */
+export function getAdapter(name = DEFAULT_PROVIDER) {
+    // Own keys only: "constructor" or "toString" must not resolve to Object.prototype
+    if (!Object.hasOwn(ADAPTERS, name)) {
+        throw new ProviderConfigError(`Unknown provider "${name}". Expected one of: ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+    return ADAPTERS[name];
+}
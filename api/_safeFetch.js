@@ -0,0 +1,170 @@
+import http from 'node:http';
+import https from 'node:https';
+import dns from 'node:dns';
+import net from 'node:net';
+
+/**
+ * fetch() for URLs that come from model output, used by the validate_url tool
+ * (see _tools.js). Such a URL may have been planted by prompt-injected
+ * content, so the server only ever connects to public addresses: loopback,
+ * private, link-local (cloud metadata at 169.254.169.254 included) and other
+ * reserved ranges are refused. The address is checked when the connection is
+ * made — for every redirect hop, and after DNS resolution so a host cannot
+ * resolve to a public address for the check and a private one for the request.
+ * Bodies are capped at MAX_BODY_BYTES and whole requests at MAX_FETCH_MS.
+ * (Underscore prefix: Vercel does not expose this file as a route.)
+ */
+
+export const MAX_BODY_BYTES = 512 * 1024;
+export const MAX_FETCH_MS = 10000;
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+// Statuses a Response cannot carry a body with
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
+
+// Separate lists: a BlockList checks IPv4 addresses against IPv4-mapped IPv6
+// rules too, and the ::ffff:0:0/96 rule below would block every IPv4 address
+const BLOCKED_IPV4 = new net.BlockList();
+const BLOCKED_IPV6 = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8],         // "this" network
+    ['10.0.0.0', 8],        // private
+    ['100.64.0.0', 10],     // carrier-grade NAT
+    ['127.0.0.0', 8],       // loopback
+    ['169.254.0.0', 16],    // link-local, cloud metadata
+    ['172.16.0.0', 12],     // private
+    ['192.0.0.0', 24],      // IETF protocol assignments
+    ['192.168.0.0', 16],    // private
+    ['198.18.0.0', 15],     // benchmarking
+    ['224.0.0.0', 4],       // multicast
+    ['240.0.0.0', 4],       // reserved, broadcast
+]) BLOCKED_IPV4.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [
+    ['::', 128],            // unspecified
+    ['::1', 128],           // loopback
+    ['::ffff:0:0', 96],     // IPv4-mapped — could carry any of the above
+    ['64:ff9b::', 96],      // NAT64 — likewise
+    ['fc00::', 7],          // unique local
+    ['fe80::', 10],         // link-local
+    ['ff00::', 8],          // multicast
+]) BLOCKED_IPV6.addSubnet(address, prefix, 'ipv6');
+
+/**
+ * Whether an IP address is one the server must not connect to.
+ * @param {string} address
+ */
+export function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    return family === 4 ? BLOCKED_IPV4.check(address, 'ipv4') : BLOCKED_IPV6.check(address, 'ipv6');
+}
+
+// dns.lookup, failing for hosts with any non-public address. Used as the
+// request's lookup, so the check applies to the address actually connected to.
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (addresses.length === 0 || addresses.some(a => isBlockedAddress(a.address))) {
+            return callback(new Error(`${hostname} resolves to a non-public address`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Refuse a URL the server must not request: not http(s), or a literal IP
+ * (which skips DNS lookup) in a blocked range.
+ * @param {URL} target
+ * @throws {Error}
+ */
+function checkTarget(target) {
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') throw new Error(`${target.protocol} URLs are not allowed`);
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && isBlockedAddress(host)) throw new Error(`${host} is not a public address`);
+}
+
+/**
+ * Resolve a URL's host and check it is public, before any request is made.
+ * @param {string} url
+ * @returns {Promise<string|null>} why the URL is refused, or null
+ */
+export async function refusalReason(url) {
+    let target;
+    try {
+        target = new URL(url);
+        checkTarget(target);
+    } catch (err) {
+        return err.message;
+    }
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host)) return null;
+    try {
+        const addresses = await dns.promises.lookup(host, { all: true });
+        return addresses.some(a => isBlockedAddress(a.address)) ? `${host} resolves to a non-public address` : null;
+    } catch {
+        return null; // Unresolvable hosts fail as network errors, as in the browser
+    }
+}
+
+// One request, no redirect following: { status, headers, body } with the body
+// cut at MAX_BODY_BYTES (or null for a redirect)
+function request(target, { method, headers, signal }) {
+    return new Promise((resolve, reject) => {
+        const client = target.protocol === 'https:' ? https : http;
+        const req = client.request(target, { method, headers, signal, lookup: publicLookup }, (res) => {
+            const result = { status: res.statusCode, headers: res.headers, body: null };
+            if (REDIRECT_STATUSES.has(res.statusCode) && res.headers.location) {
+                res.destroy();
+                return resolve(result);
+            }
+            const chunks = [];
+            let size = 0;
+            let done = false;
+            const finish = () => {
+                if (done) return;
+                done = true;
+                result.body = Buffer.concat(chunks);
+                resolve(result);
+            };
+            res.on('data', (chunk) => {
+                const room = MAX_BODY_BYTES - size;
+                chunks.push(chunk.length > room ? chunk.subarray(0, room) : chunk);
+                size += chunk.length;
+                if (size >= MAX_BODY_BYTES) {
+                    finish();
+                    res.destroy();
+                }
+            });
+            res.on('end', finish);
+            res.on('close', finish);
+            res.on('error', (err) => { if (!done) reject(err); });
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+/**
+ * A fetch() that only reaches public addresses, following up to
+ * MAX_REDIRECTS redirects and checking each hop.
+ * @param {string} url
+ * @param {object} [init] — { method?, headers?, signal? }; other fetch options are ignored
+ * @returns {Promise<Response>} with the body cut at MAX_BODY_BYTES
+ * @throws {Error} for a refused address, too many redirects, a timeout or a network error
+ */
+export async function safeFetch(url, { method = 'GET', headers = {}, signal = null } = {}) {
+    const timeout = AbortSignal.timeout(MAX_FETCH_MS);
+    const deadline = signal ? AbortSignal.any([signal, timeout]) : timeout;
+    let target = new URL(url);
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        checkTarget(target);
+        const { status, headers: responseHeaders, body } = await request(target, { method, headers, signal: deadline });
+        if (body === null) {
+            target = new URL(responseHeaders.location, target);
+            continue;
+        }
+        return new Response(NULL_BODY_STATUSES.has(status) || method === 'HEAD' ? null : body, { status });
+    }
+    throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+}
@@ -0,0 +1,143 @@
+import { createRequire } from 'module';
+import { embedQuery, searchSharedKnowledgeBase } from './_kb.js';
+import { validateUrl } from '../src/agents/urlValidator.js';
+import { safeFetch, refusalReason } from './_safeFetch.js';
+
+const require = createRequire(import.meta.url);
+const taxonomy = require('./taxonomy.json');
+
+/**
+ * Server-side tools the agents can call through /api/generate.
+ * (Underscore prefix: Vercel does not expose this file as a route.)
+ *
+ * A client asks for a tool by adding { serverTool: '<name>' } to a request's
+ * tools (personas declare theirs as `serverTools`, see personas.js). The
+ * adapters declare the requested tools to the model as functions, run every
+ * call the model makes through executeTool, and send the results back, for up
+ * to MAX_TOOL_ROUNDS round trips.
+ *
+ * Each tool is { description, parameters (JSON Schema), run(args) → object }.
+ * A tool that fails answers { error } so the model can carry on without it.
+ */
+
+/** Model ↔ tool round trips per request before the answer is taken as it is. */
+export const MAX_TOOL_ROUNDS = 5;
+
+const MAX_KB_RESULTS = 8;
+const MAX_SPECIES_MATCHES = 5;
+const MIN_KB_SCORE = 0.3;
+
+const normalizeName = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+
+// Exact common or scientific name first; then the genus, or names containing the query
+function findSpecies(name) {
+    const query = normalizeName(name);
+    const names = (entry) => [entry.scientificName, ...entry.commonNames].map(normalizeName);
+    const exact = taxonomy.species.filter(entry => names(entry).includes(query));
+    if (exact.length > 0) return exact;
+    return taxonomy.species
+        .filter(entry => normalizeName(entry.scientificName).split(' ')[0] === query
+            || names(entry).some(n => n.includes(query)))
+        .slice(0, MAX_SPECIES_MATCHES);
+}
+
+const TOOLS = {
+    search_knowledge_base: {
+        description: 'Search the shared knowledge base (industry reports, commissioning briefs, research notes the team has uploaded) for passages relevant to a query. Use it to back claims with evidence before citing them.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'What to look for, in plain language' },
+                topK: { type: 'integer', description: `How many passages to return (1-${MAX_KB_RESULTS}, default 5)` },
+            },
+            required: ['query'],
+        },
+        async run({ query, topK = 5 }) {
+            const count = Math.min(Math.max(Math.round(Number(topK)) || 5, 1), MAX_KB_RESULTS);
+            const results = await searchSharedKnowledgeBase(await embedQuery(query), count);
+            const relevant = results.filter(r => r.score > MIN_KB_SCORE);
+            if (relevant.length === 0) return { results: [], note: 'No relevant passages in the knowledge base.' };
+            return {
+                results: relevant.map(r => ({ source: r.filename, relevance: Math.round(r.score * 100) / 100, text: r.text })),
+            };
+        },
+    },
+
+    lookup_species: {
+        description: 'Look up a species by common or scientific name in the bundled taxonomy: accepted scientific name, other common names, phylum, class, order and family. Use it to check names before putting them in a fact sheet.',
+        parameters: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'Common or scientific name, e.g. "sea otter" or "Enhydra lutris"' },
+            },
+            required: ['name'],
+        },
+        async run({ name }) {
+            const matches = findSpecies(name);
+            if (matches.length === 0) {
+                return { found: false, note: `"${name}" is not in the bundled taxonomy — verify it against a primary source (GBIF, IUCN Red List).` };
+            }
+            return { found: true, matches };
+        },
+    },
+
+    validate_url: {
+        description: 'Check whether a source URL resolves. Answers "valid", "broken" (404/410, a soft 404, or not a public web address), or "unverifiable" (paywall, bot protection, timeout). Use it before citing a link.',
+        parameters: {
+            type: 'object',
+            properties: {
+                url: { type: 'string', description: 'The full http(s) URL' },
+            },
+            required: ['url'],
+        },
+        async run({ url }) {
+            if (!/^https?:\/\/\S+$/i.test(url)) return { url, status: 'broken', reason: 'Not an http(s) URL' };
+            // The URL comes from the model: only public addresses are fetched (see _safeFetch.js)
+            const refused = await refusalReason(url);
+            if (refused) return { url, status: 'broken', reason: `Refused: ${refused}` };
+            return validateUrl(url, null, { fetch: safeFetch });
+        },
+    },
+};
+
+/**
+ * Whether a server tool of this name exists.
+ * @param {string} name
+ */
+export function isServerTool(name) {
+    return Object.hasOwn(TOOLS, name);
+}
+
+/** Names of every server tool. */
+export function serverToolNames() {
+    return Object.keys(TOOLS);
+}
+
+/**
+ * Function declarations for the named tools: { name, description, parameters }.
+ * Gemini takes them as-is; OpenAI-compatible APIs wrap each in { type: 'function', function }.
+ * @param {string[]} names
+ */
+export function toolDeclarations(names) {
+    return names.map(name => ({ name, description: TOOLS[name].description, parameters: TOOLS[name].parameters }));
+}
+
+/**
+ * Run one tool call from the model.
+ * @param {string} name
+ * @param {object} args — as the model sent them
+ * @returns {Promise<object>} the result, or { error } — never rejects
+ */
+export async function executeTool(name, args) {
+    const tool = TOOLS[name];
+    if (!tool) return { error: `Unknown tool '${name}'` };
+    for (const field of tool.parameters.required) {
+        if (typeof args?.[field] !== 'string' || !args[field].trim()) return { error: `'${field}' is required` };
+    }
+    try {
+        return await tool.run(args);
+    } catch (err) {
+        console.warn(`[Tools] ${name} failed:`, err.message);
+        return { error: `${name} failed: ${err.message}` };
+    }
+}
@@ -1,4 +1,5 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import { EMBEDDING_MODEL } from './_kb.js';
 
 const API_KEY = process.env.GEMINI_API_KEY;
 
@@ -26,7 +27,7 @@ export default async function handler(req, res) {
     }
 
     const genAI = new GoogleGenerativeAI(API_KEY);
-    const model = genAI.getGenerativeModel({ model: 'gemini-embedding-001' });
+    const model = genAI.getGenerativeModel({ model: EMBEDDING_MODEL });
 
     try {
         if (texts && Array.isArray(texts)) {
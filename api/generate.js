@@ -1,99 +1,145 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { getAdapter, ProviderConfigError, UpstreamError } from './_providers.js';
+import { isServerTool, serverToolNames } from './_tools.js';
 
-const API_KEY = process.env.GEMINI_API_KEY;
+// Accepted sampling settings: [min, max, integer only]
+const SAMPLING_LIMITS = {
+    temperature: [0, 2, false],
+    topP: [0, 1, false],
+    maxOutputTokens: [1, 65536, true],
+};
 
 /**
  * POST /api/generate
- * Body: { systemPrompt, userMessage, tools?, history? }
- * Returns: { text }
+ * Body: { systemPrompt, userMessage, tools?, history?, responseFormat?, provider?, model?,
+ *         temperature?, topP?, maxOutputTokens?, stream? }
+ * Returns: { text, model, usage: { promptTokens, outputTokens, totalTokens } }
+ * Errors:  { error, retryable, quota, retryAfterMs? } — 429 when the upstream quota is
+ *          exhausted (with a Retry-After header when the upstream gave a hint),
+ *          500 for server misconfiguration, 502 for other upstream failures
  *
- * Proxies Gemini generateContent calls so the API key stays server-side.
+ * With `stream: true` the response is Server-Sent Events instead:
+ *   data: { "text": "<chunk>" }                   — repeated as text arrives
+ *   event: done   data: { text, model, usage }    — the complete response, last
+ *   event: error  data: { error, retryable, quota, retryAfterMs? } — failure after streaming began
+ *
+ * Proxies LLM calls so API keys stay server-side.
  * Also handles multi-turn chat by accepting a history array.
+ * `provider` picks the adapter ('gemini' | 'openai', default LLM_PROVIDER);
+ * `model` overrides the adapter's configured model; 'fast' asks for the
+ * adapter's fast model. `temperature`, `topP` and `maxOutputTokens` set the
+ * sampling (see SAMPLING_LIMITS); left out, the upstream defaults apply.
+ * `tools` holds native tools such as { googleSearch: {} } and server tools as
+ * { serverTool: name }, which this server runs when the model calls them (see _tools.js).
  */
 export default async function handler(req, res) {
     if (req.method !== 'POST') {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
-    if (!API_KEY) {
-        return res.status(500).json({ error: 'GEMINI_API_KEY not configured on server' });
-    }
-
-    const { systemPrompt, userMessage, tools = [], history = [], responseFormat } = req.body;
+    const { systemPrompt, userMessage, tools = [], history = [], responseFormat, provider, model, temperature, topP, maxOutputTokens, stream = false } = req.body;
 
     if (!systemPrompt || !userMessage) {
         return res.status(400).json({ error: 'Missing systemPrompt or userMessage' });
     }
 
-    const genAI = new GoogleGenerativeAI(API_KEY);
-
-    const modelConfig = {
-        model: 'gemini-2.0-flash',
-        systemInstruction: { parts: [{ text: systemPrompt }] },
-    };
+    if (model != null && (typeof model !== 'string' || !/^[\w.:\/-]{1,100}$/.test(model))) {
+        return res.status(400).json({ error: 'Invalid model name' });
+    }
 
-    if (tools.length > 0) {
-        modelConfig.tools = tools;
+    const serverTools = [];
+    const nativeTools = [];
+    for (const tool of Array.isArray(tools) ? tools : []) {
+        if (tool?.serverTool === undefined) nativeTools.push(tool);
+        else if (isServerTool(tool.serverTool)) serverTools.push(tool.serverTool);
+        else return res.status(400).json({ error: `Unknown server tool "${tool.serverTool}". Expected one of: ${serverToolNames().join(', ')}` });
     }
 
-    if (responseFormat === 'json') {
-        modelConfig.generationConfig = { responseMimeType: 'application/json' };
+    const sampling = { temperature, topP, maxOutputTokens };
+    for (const [field, [min, max, integer]] of Object.entries(SAMPLING_LIMITS)) {
+        const value = sampling[field];
+        if (value == null) continue;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+            return res.status(400).json({ error: `Invalid ${field}: expected ${integer ? 'an integer' : 'a number'} from ${min} to ${max}` });
+        }
     }
 
+    let adapter;
     try {
-        const model = genAI.getGenerativeModel(modelConfig);
-
-        let result;
+        adapter = getAdapter(provider || undefined);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
 
-        if (history.length > 0) {
-            // Multi-turn: replay conversation history then send new message
-            const chat = model.startChat({ history });
-            result = await chat.sendMessage(userMessage);
-        } else {
-            // Single-turn
-            result = await model.generateContent(userMessage);
-        }
+    if (stream) {
+        return streamGenerate(res, adapter, { model, ...sampling, systemPrompt, userMessage, tools: nativeTools, serverTools, history, responseFormat });
+    }
 
-        let response = await result.response;
-        let callCount = 0;
+    try {
+        const result = await adapter.generate({ model, ...sampling, systemPrompt, userMessage, tools: nativeTools, serverTools, history, responseFormat });
+        return res.status(200).json(result);
+    } catch (err) {
+        return sendFailure(res, adapter, err);
+    }
+}
 
-        // Proper Tool Execution Loop (Fix 1)
-        // If the model asks to execute a function, we must either execute it or return a fallback.
-        // Google Search is native and typically doesn't trigger this, but custom tools will.
-        let calls = response.functionCalls ? response.functionCalls() : null;
-        while (calls && calls.length > 0 && callCount < 5) {
-            callCount++;
-            const functionResponses = [];
+/**
+ * Classify an adapter failure for the client.
+ * Quota (429), timeouts, upstream 5xx and network errors are retryable;
+ * configuration errors and other upstream 4xx are not.
+ * @returns {{ status: number, body: { error: string, retryable: boolean, quota: boolean, retryAfterMs?: number } }}
+ */
+function describeFailure(adapter, err) {
+    if (err instanceof ProviderConfigError) {
+        return { status: 500, body: { error: err.message, retryable: false, quota: false } };
+    }
+    const upstream = err instanceof UpstreamError ? err.status : null;
+    const retryable = upstream === null || upstream === 408 || upstream === 429 || upstream >= 500;
+    const body = { error: `${adapter.label} API error: ${err.message}`, retryable, quota: upstream === 429 };
+    if (err.retryAfterMs != null) body.retryAfterMs = err.retryAfterMs;
+    return { status: upstream === 429 ? 429 : 502, body };
+}
 
-            for (const call of calls) {
-                console.warn(`[Gemini API] Received unhandled function call: ${call.name}`);
-                functionResponses.push({
-                    functionResponse: {
-                        name: call.name,
-                        response: { error: `Server has no execution logic registered for '${call.name}'` }
-                    }
-                });
-            }
+function sendFailure(res, adapter, err) {
+    const { status, body } = describeFailure(adapter, err);
+    if (status !== 500) console.error('Generate API error:', err.message);
+    if (body.retryAfterMs != null) res.setHeader('Retry-After', String(Math.ceil(body.retryAfterMs / 1000)));
+    return res.status(status).json(body);
+}
 
-            // Return the function responses to the model to continue generation
-            if (history.length > 0) {
-                const chat = model.startChat({ history: [...history, { role: 'model', parts: response.candidates[0].content.parts }] });
-                result = await chat.sendMessage(functionResponses);
-            } else {
-                result = await model.generateContent([
-                    { role: "user", parts: [{ text: userMessage }] },
-                    { role: "model", parts: response.candidates[0].content.parts },
-                    { role: "user", parts: functionResponses }
-                ]);
-            }
-            response = await result.response;
-            calls = response.functionCalls ? response.functionCalls() : null;
-        }
+/**
+ * Run the adapter in streaming mode and relay its chunks as SSE.
+ * Headers are only sent once the first chunk (or the result) arrives, so
+ * config and upstream errors raised before that still get a normal JSON status.
+ */
+async function streamGenerate(res, adapter, request) {
+    const send = (event, data) => {
+        if (event) res.write(`event: ${event}\n`);
+        res.write(`data: ${JSON.stringify(data)}\n\n`);
+    };
+    const open = () => {
+        if (res.headersSent) return;
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+        });
+    };
 
-        const text = response.text();
-        return res.status(200).json({ text });
+    try {
+        const result = await adapter.generate({
+            ...request,
+            onChunk: (text) => {
+                open();
+                send(null, { text });
+            },
+        });
+        open();
+        send('done', result);
+        return res.end();
     } catch (err) {
-        console.error('Generate API error:', err.message);
-        return res.status(502).json({ error: `Gemini API error: ${err.message}` });
+        if (!res.headersSent) return sendFailure(res, adapter, err);
+        console.error('Generate API stream error:', err.message);
+        send('error', describeFailure(adapter, err).body);
+        return res.end();
     }
 }
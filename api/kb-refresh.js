@@ -1,6 +1,7 @@
 import { list, put, del } from '@vercel/blob';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { createRequire } from 'module';
+import { EMBEDDING_MODEL } from './_kb.js';
 
 const require = createRequire(import.meta.url);
 const sourcesConfig = require('./kb-sources.json');
@@ -95,7 +96,7 @@ Output format:
             }
 
             // ── Step 3: Embed all chunks ──────────────────────
-            const embeddingModel = genAI.getGenerativeModel({ model: 'gemini-embedding-001' });
+            const embeddingModel = genAI.getGenerativeModel({ model: EMBEDDING_MODEL });
             const embeddings = [];
 
             for (const chunk of chunks) {
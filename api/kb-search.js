@@ -1,4 +1,4 @@
-import { list } from '@vercel/blob';
+import { searchSharedKnowledgeBase } from './_kb.js';
 
 /**
  * POST /api/kb-search
@@ -6,17 +6,6 @@ import { list } from '@vercel/blob';
  * Returns: { results: Array<{ text, score, docId, filename }> }
  * No auth required — read-only.
  */
-
-function cosineSimilarity(a, b) {
-    let dot = 0, magA = 0, magB = 0;
-    for (let i = 0; i < a.length; i++) {
-        dot += a[i] * b[i];
-        magA += a[i] * a[i];
-        magB += b[i] * b[i];
-    }
-    return dot / (Math.sqrt(magA) * Math.sqrt(magB) + 1e-10);
-}
-
 export default async function handler(req, res) {
     if (req.method !== 'POST') {
         return res.status(405).json({ error: 'Method not allowed' });
@@ -29,45 +18,7 @@ export default async function handler(req, res) {
     }
 
     try {
-        // Graceful fallback when Blob is not yet configured
-        if (!process.env.BLOB_READ_WRITE_TOKEN) {
-            return res.status(200).json({ results: [] });
-        }
-
-        const { blobs } = await list({ prefix: 'kb/' });
-
-        if (blobs.length === 0) {
-            return res.status(200).json({ results: [] });
-        }
-
-        // Fetch all documents and score their chunks
-        const allChunks = [];
-
-        await Promise.all(
-            blobs.map(async (blob) => {
-                try {
-                    const r = await fetch(blob.url);
-                    const doc = await r.json();
-                    if (!doc.chunks || !doc.embeddings) return;
-
-                    for (let i = 0; i < doc.chunks.length; i++) {
-                        const score = cosineSimilarity(queryEmbedding, doc.embeddings[i]);
-                        allChunks.push({
-                            text: doc.chunks[i],
-                            score,
-                            docId: doc.id,
-                            filename: doc.filename,
-                        });
-                    }
-                } catch {
-                    // Skip malformed blobs
-                }
-            })
-        );
-
-        allChunks.sort((a, b) => b.score - a.score);
-        const results = allChunks.slice(0, topK);
-
+        const results = await searchSharedKnowledgeBase(queryEmbedding, topK);
         return res.status(200).json({ results });
     } catch (err) {
         console.error('[kb-search] Error:', err.message);
@@ -0,0 +1,74 @@
+/**
+ * Offline check of the seed pipeline against the mock provider (see
+ * createMockProvider in src/agents/providers.js and src/agents/mockScript.js).
+ *
+ *   npm run mock-run
+ *
+ * Runs one seed end to end under Node with the default mock script, minus its
+ * `default` answer, so any agent id the orchestrator calls that the script
+ * does not name fails the check. The script's arrays must drive all three
+ * loops: the Drift Gate fails once and re-scouts, the Editor asks for revisions
+ * until it greenlights, and the Gatekeeper rejects once before greenlighting.
+ *
+ * Checkpoints need IndexedDB, so under Node their save/clear warnings are expected.
+ * Exits with status 1 and lists the problems if any check fails.
+ */
+
+import { setProvider, createMockProvider } from '../src/agents/providers.js';
+import { DEFAULT_MOCK_SCRIPT } from '../src/agents/mockScript.js';
+import { runPipeline } from '../src/agents/orchestrator.js';
+
+const SEED = 'Sea otters holding back an urchin tide on the British Columbia coast';
+
+const { default: _fallback, ...script } = DEFAULT_MOCK_SCRIPT;
+const mock = createMockProvider(script);
+setProvider(mock);
+
+const noop = () => { };
+let trace = null;
+const problems = [];
+
+try {
+    const deck = await runPipeline(SEED, {
+        onPhaseStart: (n, name) => console.log(`Phase ${n}: ${name}`),
+        onPhaseComplete: noop,
+        onAgentThinking: noop,
+        onAgentOutput: noop,
+        onTrace: (t) => { trace = t; },
+    });
+    if (!deck?.trim()) problems.push('The run finished without a pitch deck');
+} catch (err) {
+    problems.push(`The run failed: ${err.message}`);
+}
+
+const entries = trace?.entries || [];
+const events = (kind, filter = () => true) => entries.filter(e => e.type === 'event' && e.kind === kind && filter(e));
+
+// Calls the script has no answer for (and any other failed call), including
+// those a fallback swallowed
+for (const call of entries.filter(e => e.type === 'call' && e.error)) {
+    problems.push(`${call.agentId} failed: ${call.error}`);
+}
+
+const drift = events('drift-gate').map(e => e.status);
+if (drift.join(' ') !== 'FAIL PASS') problems.push(`Drift Gate: expected FAIL then PASS, got ${drift.join(' ') || 'nothing'}`);
+
+const editor = events('verdict', e => e.reviewer === 'editor').map(e => e.decision);
+if (editor.length < 3 || editor.at(-1) !== 'GREENLIGHT') {
+    problems.push(`Quality loop: expected several Editor reviews ending in GREENLIGHT, got ${editor.join(' ') || 'nothing'}`);
+}
+
+const gatekeeper = events('verdict', e => e.reviewer === 'gatekeeper').map(e => e.decision);
+if (gatekeeper.join(' ') !== 'REJECTED GREENLIT') {
+    problems.push(`Gatekeeper loop: expected REJECTED then GREENLIT, got ${gatekeeper.join(' ') || 'nothing'}`);
+}
+
+const counts = {};
+for (const call of mock.calls) counts[call.agentId] = (counts[call.agentId] || 0) + 1;
+console.log('\nCalls per agent:', counts);
+
+if (problems.length > 0) {
+    console.error(`\n✗ Mock run check failed:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+    process.exit(1);
+}
+console.log(`\n✓ Drift Gate ${drift.join(' → ')} · Editor ${editor.join(' → ')} · Gatekeeper ${gatekeeper.join(' → ')}`);
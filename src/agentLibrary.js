@@ -0,0 +1,83 @@
+// ─── Custom Agent Library — IndexedDB persistence ───────────
+// The team's custom agents (see agents/customAgents.js), each with an
+// `enabled` flag: enabled agents join every standard-pipeline run at their
+// hook point.
+
+import { normalizeCustomAgent } from './agents/customAgents.js';
+
+const DB_NAME = 'scriptwriter_custom_agents';
+const DB_VERSION = 1;
+const STORE_NAME = 'agents';
+
+/**
+ * Open (or create) the custom agents IndexedDB database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDB() {
+    return new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = (e) => {
+            const db = e.target.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/**
+ * Get every custom agent, sorted by name.
+ * @returns {Promise<object[]>}
+ */
+export async function listCustomAgents() {
+    try {
+        const db = await openDB();
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, 'readonly');
+            const req = tx.objectStore(STORE_NAME).getAll();
+            req.onsuccess = () => resolve((req.result || []).sort((a, b) => a.name.localeCompare(b.name)));
+            req.onerror = () => reject(req.error);
+        });
+    } catch (err) {
+        console.warn('[AgentLibrary] listCustomAgents failed:', err.message);
+        return [];
+    }
+}
+
+/**
+ * Create or update a custom agent (keyed by its id).
+ * @param {object} data — a definition (see normalizeCustomAgent) plus enabled?
+ * @returns {Promise<object>} the saved agent
+ * @throws {Error} if the definition is invalid
+ */
+export async function saveCustomAgent(data) {
+    const agent = normalizeCustomAgent(data);
+    const existing = (await listCustomAgents()).find(a => a.id === agent.id);
+    const now = new Date().toISOString();
+    const record = { ...agent, enabled: data.enabled ?? existing?.enabled ?? true, createdAt: existing?.createdAt || now, updatedAt: now };
+
+    const db = await openDB();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    tx.objectStore(STORE_NAME).put(record);
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+    return record;
+}
+
+/**
+ * Delete a custom agent.
+ * @param {string} id
+ */
+export async function deleteCustomAgent(id) {
+    const db = await openDB();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    tx.objectStore(STORE_NAME).delete(id);
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+}
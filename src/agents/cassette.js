@@ -0,0 +1,194 @@
+/**
+ * Record / replay cassettes for pipeline runs.
+ *
+ * Recording wraps the active LLM provider and the Chaos Engine's random source,
+ * capturing every agent request and response plus every chaos roll. Replaying
+ * feeds those back with no network calls, so a run — including its mutations,
+ * accidents, Drift Gate retries, and revision loops — can be reproduced exactly.
+ *
+ * Responses are matched by agent id and per-agent call order, not by prompt
+ * text: prompts embed dates and shuffled menus, so the same run never produces
+ * byte-identical prompts twice. Prompt differences are reported as drift.
+ *
+ * Not covered: knowledge-base retrieval and URL validation still use the
+ * network when available; if it isn't, they degrade as they normally do.
+ */
+
+import { getProvider, setProvider } from './providers.js';
+import { setChaosRandom } from './chaos.js';
+
+export const CASSETTE_VERSION = 1;
+
+/**
+ * Raised when a replayed run asks for a call the cassette doesn't contain.
+ * Not retryable: the run has diverged from the recording.
+ */
+export class CassetteMismatch extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CassetteMismatch';
+        this.retryable = false;
+    }
+}
+
+// Only one cassette session can own the provider at a time
+let activeSession = null;
+
+function claimSession(label) {
+    if (activeSession) throw new Error(`Cannot start ${label}: a cassette ${activeSession} is already running`);
+    activeSession = label;
+}
+
+/**
+ * Start recording agent calls and chaos rolls.
+ *
+ * @param {object} [meta] — stored on the cassette as-is (seed idea, options, mode…)
+ * @returns {{ cassette: object, stop: function(): object }} — stop() restores the previous provider and returns the cassette
+ */
+export function startRecording(meta = {}) {
+    claimSession('recording');
+    const inner = getProvider();
+    const counts = new Map();
+    const cassette = {
+        version: CASSETTE_VERSION,
+        recordedAt: new Date().toISOString(),
+        provider: inner.name,
+        meta,
+        random: [],
+        interactions: [],
+    };
+
+    setProvider({
+        name: `record:${inner.name}`,
+        async generate(request) {
+            // Index is taken when the call starts so parallel calls keep a stable order
+            const agentId = request.agentId || 'unknown';
+            const index = counts.get(agentId) || 0;
+            counts.set(agentId, index + 1);
+
+            const entry = {
+                agentId,
+                index,
+                systemPrompt: request.systemPrompt,
+                userMessage: request.userMessage,
+                history: request.history || [],
+                tools: request.tools || [],
+                responseFormat: request.responseFormat || null,
+                generation: request.generation || null,
+            };
+            const started = Date.now();
+            try {
+                const result = await inner.generate(request);
+                const { text, model = null, usage = null } = typeof result === 'string' ? { text: result } : result;
+                Object.assign(entry, { response: text, model, usage });
+                return result;
+            } catch (err) {
+                // Aborted calls never reach a replay, so don't keep them
+                if (err.name === 'AbortError') throw err;
+                // Failed attempts are kept so replay reproduces retries as well
+                entry.error = err.message;
+                throw err;
+            } finally {
+                if (entry.response !== undefined || entry.error !== undefined) {
+                    entry.ms = Date.now() - started;
+                    cassette.interactions.push(entry);
+                }
+            }
+        },
+    });
+
+    setChaosRandom(() => {
+        const value = Math.random();
+        cassette.random.push(value);
+        return value;
+    });
+
+    return {
+        cassette,
+        stop() {
+            setProvider(inner);
+            setChaosRandom();
+            activeSession = null;
+            cassette.interactions.sort((a, b) => a.agentId.localeCompare(b.agentId) || a.index - b.index);
+            return cassette;
+        },
+    };
+}
+
+/**
+ * Check that an object looks like a cassette this version can replay.
+ * @returns {string|null} a problem description, or null if valid
+ */
+export function validateCassette(cassette) {
+    if (!cassette || typeof cassette !== 'object') return 'Not a cassette object.';
+    if (cassette.version !== CASSETTE_VERSION) return `Unsupported cassette version ${cassette.version} (expected ${CASSETTE_VERSION}).`;
+    if (!Array.isArray(cassette.interactions)) return 'Cassette has no interactions array.';
+    if (!Array.isArray(cassette.random)) return 'Cassette has no random array.';
+    const bad = cassette.interactions.find(i => typeof i.agentId !== 'string' || !Number.isInteger(i.index) || (typeof i.response !== 'string' && typeof i.error !== 'string'));
+    if (bad) return `Malformed interaction for agent "${bad.agentId}".`;
+    return null;
+}
+
+/**
+ * Start replaying a cassette. Every agent call is answered from the cassette;
+ * calls it doesn't contain throw CassetteMismatch.
+ *
+ * @param {object} cassette — from startRecording().stop() (or its JSON)
+ * @returns {{ stop: function(): { served: number, unused: number, drift: Array<{agentId: string, index: number}> } }}
+ */
+export function startReplay(cassette) {
+    const problem = validateCassette(cassette);
+    if (problem) throw new Error(`Invalid cassette: ${problem}`);
+    claimSession('replay');
+
+    const inner = getProvider();
+    const byKey = new Map(cassette.interactions.map(i => [`${i.agentId}#${i.index}`, i]));
+    const counts = new Map();
+    const drift = [];
+    let served = 0;
+    let randomIdx = 0;
+    let randomExhausted = false;
+
+    setProvider({
+        name: 'replay',
+        async generate(request) {
+            if (request.signal?.aborted) throw new DOMException('Agent call aborted', 'AbortError');
+
+            const agentId = request.agentId || 'unknown';
+            const index = counts.get(agentId) || 0;
+            counts.set(agentId, index + 1);
+
+            const hit = byKey.get(`${agentId}#${index}`);
+            if (!hit) {
+                throw new CassetteMismatch(`Cassette has no recording for ${agentId} call #${index + 1} — the run diverged from the recording.`);
+            }
+            served++;
+            if (hit.userMessage !== request.userMessage || hit.systemPrompt !== request.systemPrompt) {
+                drift.push({ agentId, index });
+                console.warn(`[Cassette] Prompt drift on ${agentId} call #${index + 1}; replaying the recorded response.`);
+            }
+            if (hit.error !== undefined) throw new Error(hit.error);
+            // Replays are instant, so the recorded response arrives as one chunk
+            if (request.onToken && hit.response) request.onToken(hit.response);
+            return { text: hit.response, model: hit.model ?? null, usage: hit.usage ?? null };
+        },
+    });
+
+    setChaosRandom(() => {
+        if (randomIdx < cassette.random.length) return cassette.random[randomIdx++];
+        if (!randomExhausted) {
+            randomExhausted = true;
+            console.warn('[Cassette] Recorded chaos rolls exhausted; falling back to Math.random.');
+        }
+        return Math.random();
+    });
+
+    return {
+        stop() {
+            setProvider(inner);
+            setChaosRandom();
+            activeSession = null;
+            return { served, unused: cassette.interactions.length - served, drift };
+        },
+    };
+}
@@ -12,18 +12,21 @@ export const CHAOS_MODES = {
         mutations: 0,
         provocateur: false,
         accidents: false,
+        temperatureShift: 0,
         label: "Direct & Structured"
     },
     exploration: {
         mutations: 1,    // Single personality shift to spark new ideas
         provocateur: true,
         accidents: true,
+        temperatureShift: 0.15,  // Creative agents sample a little hotter
         label: "Strategic Surprise"
     },
     chaos: {
         mutations: 2,    // Maximum "Productive Friction" (Cap at 2)
         provocateur: true,
         accidents: true,
+        temperatureShift: 0.3,
         label: "Human Chaos"
     }
 };
@@ -34,6 +37,7 @@ export const PROVOCATEUR = {
     name: 'The Provocateur',
     icon: '🔥',
     color: '#ff4444',
+    generation: { model: null, temperature: 1.2, topP: null, maxOutputTokens: null },
     systemPrompt: `You are The Provocateur — the uninvited guest at the commissioning table. You exist because safe pitches die in development.
 
 Your job is NOT to improve the pitch. Your job is to CHALLENGE it. Find the moment where "commissionable" became "forgettable." Find the element everyone agreed on because nobody challenged it. Find the polite lie this pitch tells about its subject.
@@ -71,12 +75,17 @@ The specific element you'd change and what you'd replace it with. Be concrete. N
 2-3 paragraphs. Why your pivot would make this pitch DANGEROUS instead of safe. Reference specific moments from the draft. Compare to real productions that took similar risks and succeeded.
 
 ## ❓ Fatal Question
-One question the team hasn't asked themselves. The question that, if answered honestly, would either kill this pitch or elevate it to something unforgettable.`
+One question the team hasn't asked themselves. The question that, if answered honestly, would either kill this pitch or elevate it to something unforgettable.`,
+    outputContract: {
+        label: 'provocation',
+        headings: ['Kill Shot', 'Pivot', 'Fatal Question'],
+    },
 };
 
 // ─── MUTATION POOL ───────────────────────────────────────
 // Each mutation shifts an agent's personality to create unexpected perspectives.
 // Mutations are applied as prompt prefixes, not replacements.
+// An optional temperatureShift moves the target agent's temperature too.
 const MUTATION_POOL = [
     {
         id: 'the-romantic',
@@ -92,6 +101,7 @@ const MUTATION_POOL = [
         icon: '🖤',
         promptPrefix: `PERSONALITY OVERRIDE: You are deeply cynical today. You've seen every pitch, every "groundbreaking" approach, every "never-before-filmed" claim. You believe 90% of wildlife content is derivative. Your bar is impossibly high. Only genuine novelty impresses you. Challenge every claim of uniqueness. Demand proof.`,
         excludeAgents: ['adversary'],
+        temperatureShift: -0.2,
     },
     {
         id: 'the-poet',
@@ -99,6 +109,7 @@ const MUTATION_POOL = [
         icon: '🌙',
         promptPrefix: `PERSONALITY OVERRIDE: You are in a deeply poetic mood today. You think in metaphors and symbols. You believe every animal behavior is a mirror of human experience. You want the narration to sound like literature, not a textbook. Favor lyrical descriptions, unexpected juxtapositions, and moments of philosophical wonder.`,
         excludeAgents: ['chief-scientist', 'adversary'],
+        temperatureShift: 0.2,
     },
     {
         id: 'the-punk',
@@ -106,6 +117,7 @@ const MUTATION_POOL = [
         icon: '🤘',
         promptPrefix: `PERSONALITY OVERRIDE: You are in full punk mode today. You hate conventions. You want to break every rule of wildlife filmmaking. Handheld cameras? Yes. Breaking the fourth wall? Absolutely. Acknowledging the crew? Why not? You want content that feels RAW, URGENT, and REBELLIOUS. The establishment is boring — make something that pisses off the old guard.`,
         excludeAgents: ['adversary'],
+        temperatureShift: 0.3,
     },
     {
         id: 'the-philosopher',
@@ -134,6 +146,7 @@ const MUTATION_POOL = [
         icon: '◻️',
         promptPrefix: `PERSONALITY OVERRIDE: Less is more today. You want to strip everything back to essentials. One location. One behavior. One camera angle held for as long as possible. You believe modern wildlife content is over-produced and over-narrated. Silence is powerful. Stillness is cinematic. Make every single element earn its place or cut it.`,
         excludeAgents: ['adversary'],
+        temperatureShift: -0.2,
     },
 ];
 
@@ -193,6 +206,18 @@ const ACCIDENT_POOL = [
     },
 ];
 
+// ─── RANDOM SOURCE ──────────────────────────────────────
+// Every chaos roll goes through this, so cassette replay can reproduce a run.
+let random = Math.random;
+
+/**
+ * Replace the random source used for mutations and accidents.
+ * @param {function} [fn] — () => number in [0, 1); omit to restore Math.random
+ */
+export function setChaosRandom(fn = Math.random) {
+    random = fn;
+}
+
 /**
  * Roll N random mutations from the pool.
  * Returns an array of mutation objects with targetAgentId assigned.
@@ -205,7 +230,7 @@ export function rollMutations(count) {
     // Shuffle the pool
     const pool = [...MUTATION_POOL];
     for (let i = pool.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [pool[i], pool[j]] = [pool[j], pool[i]];
     }
 
@@ -221,7 +246,7 @@ export function rollMutations(count) {
 
     return selected.map(mutation => {
         const eligible = mutableAgentIds.filter(id => !(mutation.excludeAgents || []).includes(id));
-        const targetAgentId = eligible[Math.floor(Math.random() * eligible.length)];
+        const targetAgentId = eligible[Math.floor(random() * eligible.length)];
         return { mutation, targetAgentId };
     });
 }
@@ -248,12 +273,33 @@ export function applyMutations(mutations, allAgents) {
     return overrides;
 }
 
+// Agents a chaos mode's temperatureShift applies to. Reviewers keep their
+// low temperatures so scores stay comparable across modes.
+const WARMED_AGENT_IDS = ['story-producer', 'showrunner'];
+
+/**
+ * Temperature offsets for one run: the mode's shift for the creative agents,
+ * plus each mutation's own shift for its target.
+ * @param {object} chaosConfig — a CHAOS_MODES entry
+ * @param {Array} mutations — from rollMutations
+ * @returns {Map<string, number>} — agentId → temperature delta
+ */
+export function temperatureShifts(chaosConfig, mutations) {
+    const shifts = new Map();
+    const add = (agentId, delta) => {
+        if (delta) shifts.set(agentId, (shifts.get(agentId) || 0) + delta);
+    };
+    for (const id of WARMED_AGENT_IDS) add(id, chaosConfig.temperatureShift);
+    for (const { mutation, targetAgentId } of mutations) add(targetAgentId, mutation.temperatureShift);
+    return shifts;
+}
+
 /**
  * Generate a random creative accident.
  * @param {object} _ctx — pipeline context (for future use)
  * @returns {{layer: string, prompt: string, reference?: string}}
  */
 export function generateAccident(_ctx) {
-    const idx = Math.floor(Math.random() * ACCIDENT_POOL.length);
+    const idx = Math.floor(random() * ACCIDENT_POOL.length);
     return ACCIDENT_POOL[idx];
 }
@@ -0,0 +1,185 @@
+/**
+ * Context budgeting — keeps a prompt under a token limit.
+ *
+ * Prompts that paste other agents' outputs are written with the `budgeted`
+ * template tag, each pasted output wrapped in a contextBlock:
+ *
+ *   budgeted`…### Market Mandate\n${contextBlock('Market Mandate', ctx.marketMandate, { priority: 1 })}…`
+ *
+ * agentStep fits such a prompt to the run's limit (budget.maxPromptTokens):
+ * while the estimate is over, blocks are condensed, lowest priority first,
+ * and if that is not enough they are dropped in the same order — except
+ * blocks marked `keep`, which are only condensed. The instructions around the
+ * blocks are never touched.
+ *
+ * Priorities used by the pipeline: 1 background (knowledge base, Market
+ * Mandate), 2 supporting inputs (fact sheet, logistics, earlier reviews),
+ * 3 the material the agent is working on (kept).
+ */
+
+export const DEFAULT_PROMPT_TOKENS = 12000;
+
+// Rough size of a token in English prose — the estimate the mock provider uses too
+const CHARS_PER_TOKEN = 4;
+
+// A condensed block keeps at least this many tokens
+const MIN_CONDENSED_TOKENS = 150;
+
+const CONDENSED_NOTE = '\n[… condensed to fit the context budget]';
+
+/**
+ * Estimate the tokens in a piece of text.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+// Cut text to maxChars, at a line or sentence end when one is close enough
+function clip(text, maxChars) {
+    if (text.length <= maxChars) return text;
+    const cut = text.slice(0, maxChars);
+    const end = Math.max(cut.lastIndexOf('\n'), ...['. ', '! ', '? '].map(stop => cut.lastIndexOf(stop) + 1));
+    return `${(end > maxChars / 2 ? cut.slice(0, end) : cut).trimEnd()} …`;
+}
+
+/**
+ * Condense text to about maxTokens, keeping every markdown section's heading
+ * and opening lines. Short sections are kept whole; the space they leave is
+ * shared by the longer ones.
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string}
+ */
+export function condenseText(text, maxTokens) {
+    const maxChars = maxTokens * CHARS_PER_TOKEN;
+    if (text.length <= maxChars) return text;
+
+    const sections = text.split(/\n(?=#{1,6}\s)/);
+    const room = Math.max(maxChars - CONDENSED_NOTE.length - sections.length, 0);
+    const allowance = new Map();
+    let left = room;
+    [...sections].sort((a, b) => a.length - b.length).forEach((section, i, sorted) => {
+        const share = Math.floor(left / (sorted.length - i));
+        allowance.set(section, Math.min(section.length, share));
+        left -= allowance.get(section);
+    });
+    return clip(sections.map(section => clip(section, allowance.get(section))).join('\n'), room) + CONDENSED_NOTE;
+}
+
+/**
+ * A pasted output the budgeter may condense or drop.
+ * @param {string} label — names the block in placeholders and the trace, e.g. 'Market Mandate'
+ * @param {string|null} text
+ * @param {object} [opts]
+ * @param {number} [opts.priority] — higher survives longer (see above)
+ * @param {boolean} [opts.keep] — condense only, never drop
+ * @param {function} [opts.condense] — (text, maxTokens) => shorter text; default condenseText
+ */
+export function contextBlock(label, text, { priority = 1, keep = false, condense = condenseText } = {}) {
+    return { label, text: text ?? '', priority, keep, condense };
+}
+
+/**
+ * A prompt made of fixed text and context blocks. Reads as the full,
+ * unbudgeted prompt when used as a string.
+ */
+class BudgetedPrompt {
+    constructor(parts) {
+        this.parts = parts;
+    }
+
+    /** A copy with text added at the end. */
+    append(text) {
+        return new BudgetedPrompt([...this.parts, text]);
+    }
+
+    toString() {
+        return this.parts.map(part => (typeof part === 'string' ? part : part.text)).join('');
+    }
+}
+
+// Merge values into prompt parts: blocks stay blocks, budgeted prompts are
+// spliced in, anything else joins the surrounding fixed text
+function assemble(values) {
+    const parts = [];
+    const push = (value) => {
+        if (value instanceof BudgetedPrompt) value.parts.forEach(push);
+        else if (typeof value === 'object' && value !== null && 'priority' in value) parts.push(value);
+        else if (typeof parts[parts.length - 1] === 'string') parts[parts.length - 1] += String(value);
+        else parts.push(String(value));
+    };
+    values.forEach(push);
+    return parts;
+}
+
+/**
+ * Template tag for a prompt with context blocks. Interpolated blocks (and
+ * budgeted prompts) stay budgetable; anything else is fixed text.
+ * @returns {BudgetedPrompt}
+ */
+export function budgeted(strings, ...values) {
+    return new BudgetedPrompt(assemble(strings.flatMap((text, i) => (i < values.length ? [text, values[i]] : [text]))));
+}
+
+/**
+ * Join fixed text, context blocks and budgeted prompts into one budgeted prompt.
+ * @param {Array<string|object>} values
+ * @returns {BudgetedPrompt}
+ */
+export function joinBudgeted(values) {
+    return new BudgetedPrompt(assemble(values));
+}
+
+/**
+ * Add text to the end of a prompt, budgeted or plain.
+ * @param {string|BudgetedPrompt} prompt
+ * @param {string} text
+ */
+export function appendToPrompt(prompt, text) {
+    return typeof prompt === 'string' ? prompt + text : prompt.append(text);
+}
+
+/**
+ * Fit a prompt to a token limit.
+ * @param {string|BudgetedPrompt} prompt — plain strings are returned as they are
+ * @param {number} [maxTokens]
+ * @returns {{ text: string, tokens: number, before: number, trimmed: Array<{ label: string, action: 'condensed'|'dropped', from: number, to: number }> }}
+ */
+export function fitPrompt(prompt, maxTokens = DEFAULT_PROMPT_TOKENS) {
+    if (typeof prompt === 'string') {
+        const tokens = estimateTokens(prompt);
+        return { text: prompt, tokens, before: tokens, trimmed: [] };
+    }
+
+    const parts = prompt.parts.map(part => (typeof part === 'string' ? part : { ...part }));
+    const total = () => parts.reduce((sum, part) => sum + estimateTokens(typeof part === 'string' ? part : part.text), 0);
+    const before = total();
+    // Stable sort: equal priorities are trimmed in prompt order
+    const blocks = parts.filter(part => typeof part !== 'string').sort((a, b) => a.priority - b.priority);
+    const trimmed = new Map();
+
+    for (const block of blocks) {
+        const over = total() - maxTokens;
+        if (over <= 0) break;
+        const from = estimateTokens(block.text);
+        const target = Math.max(from - over, MIN_CONDENSED_TOKENS);
+        if (target >= from) continue;
+        const text = block.condense(block.text, target);
+        if (estimateTokens(text) >= from) continue;
+        trimmed.set(block, { label: block.label, action: 'condensed', from, to: estimateTokens(text) });
+        block.text = text;
+    }
+
+    for (const block of blocks) {
+        if (total() <= maxTokens) break;
+        if (block.keep || !block.text) continue;
+        const from = trimmed.get(block)?.from ?? estimateTokens(block.text);
+        block.text = `[${block.label} omitted to fit the context budget]`;
+        trimmed.set(block, { label: block.label, action: 'dropped', from, to: estimateTokens(block.text) });
+    }
+
+    const text = parts.map(part => (typeof part === 'string' ? part : part.text)).join('');
+    return { text, tokens: estimateTokens(text), before, trimmed: [...trimmed.values()] };
+}
@@ -0,0 +1,100 @@
+/**
+ * Output contracts — what an agent's output must contain before it goes downstream.
+ *
+ * A persona declares its contract as `outputContract` (see personas.js):
+ *   {
+ *     label: 'Animal Fact Sheet',          // names the output in repair prompts
+ *     headings: ['Sources'],               // required sections: a markdown heading or a bold "**Label:**" line
+ *     fields: [{ name, pattern, hint, forbidden? }],  // patterns the output must (or, forbidden, must not) match
+ *     json: ['status'],                    // the output is a JSON object with these fields
+ *     minLength, maxLength,                // characters
+ *     exempt: /⛔/,                         // outputs matching this (e.g. a rejection) are not checked
+ *   }
+ * agentStep checks every output against the agent's contract and asks once for
+ * a targeted repair of whatever is missing. The Commissioning Editor and the
+ * Gatekeeper answer with JSON verdicts instead, validated by verdicts.js.
+ *
+ * A pitch card section heading is met by its label in any output language
+ * (see outputLanguage.js), so "**Zusammenfassung:**" is a Summary.
+ */
+
+import { sectionLabels } from './outputLanguage.js';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A section named `name`: "## Sources", "### 🔥 Kill Shot", "6. **Sources**", "**Logline:**", "**Quellen:**"
+function headingPattern(name) {
+    const labels = sectionLabels(name).map(escapeRegExp).join('|');
+    return new RegExp(`^[ \\t]*(?:#{1,6}[ \\t]*|[-*][ \\t]+)?(?:\\d+[.)][ \\t]*)?[^\\w\\n]*(?:${labels})(?!\\w)`, 'im');
+}
+
+// The JSON object in a response, tolerating code fences and stray prose around it
+function parseJsonObject(text) {
+    const body = text.trim().replace(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/i, '$1');
+    try {
+        return JSON.parse(body);
+    } catch {
+        const start = body.indexOf('{');
+        const end = body.lastIndexOf('}');
+        try {
+            return start !== -1 && end > start ? JSON.parse(body.slice(start, end + 1)) : null;
+        } catch {
+            return null;
+        }
+    }
+}
+
+/**
+ * Check an output against a contract.
+ * @param {string} text — the agent's output
+ * @param {object|null} contract — an outputContract (see above)
+ * @returns {string[]} what is wrong, one entry per problem; empty when the output conforms
+ */
+export function checkOutputContract(text, contract) {
+    if (!contract || typeof text !== 'string') return [];
+    if (contract.exempt?.test(text)) return [];
+
+    const problems = [];
+    if (contract.json) {
+        const data = parseJsonObject(text);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return ['the response is not a JSON object'];
+        for (const field of contract.json) {
+            if (data[field] === undefined || data[field] === null || data[field] === '') problems.push(`missing the "${field}" field`);
+        }
+    }
+
+    for (const name of contract.headings || []) {
+        if (!headingPattern(name).test(text)) problems.push(`missing the "${name}" section`);
+    }
+
+    for (const { name, pattern, hint, forbidden = false } of contract.fields || []) {
+        if (pattern.test(text) === forbidden) {
+            problems.push(`${forbidden ? 'remove' : 'missing'} ${name}${hint ? ` — ${hint}` : ''}`);
+        }
+    }
+
+    const length = text.trim().length;
+    if (contract.minLength && length < contract.minLength) {
+        problems.push(`too short: ${length} characters (at least ${contract.minLength})`);
+    }
+    if (contract.maxLength && length > contract.maxLength) {
+        problems.push(`too long: ${length} characters (at most ${contract.maxLength}) — tighten it`);
+    }
+    return problems;
+}
+
+/**
+ * Prompt asking an agent to repair an output that broke its contract.
+ * @param {object} contract
+ * @param {string} output — the output as written
+ * @param {string[]} problems — from checkOutputContract
+ */
+export function contractRepairPrompt(contract, output, problems) {
+    return `Your ${contract.label} is incomplete and cannot be passed on yet. Fix exactly these problems:
+${problems.map((p, i) => `${i + 1}. ${p}`).join('\n')}
+
+### Your ${contract.label}
+${output}
+
+Return the COMPLETE ${contract.label} again — everything that already works, unchanged, plus the fixes. No commentary about the changes.`;
+}
@@ -0,0 +1,109 @@
+/**
+ * Custom agents — user-defined specialists the standard pipeline runs at a
+ * hook point (runPipeline's opts.customAgents; main.js keeps the library).
+ *
+ * A definition is { id, name, icon, color, systemPrompt, hook, tools }. The
+ * hook decides what the agent reads and where its output goes:
+ *
+ *   researchInput  — reads the research, before Draft V1; its output is an
+ *                    input to every draft the Story Producer writes
+ *   draftV1Review  — reviews Draft V1 beside the Commissioning Editor; the
+ *                    Showrunner's revision directives address its review
+ *   draftV2Review  — reviews Draft V2 once the quality loop is done; the
+ *                    Showrunner's pitch card takes its notes into account
+ *
+ * Outputs are kept in ctx.customAgentOutputs (hook → agent id → text), so
+ * they are checkpointed, resumed and saved with the run like any other step.
+ */
+
+import { ALL_AGENTS, DRIFT_GATE, GENRE_STRATEGIST } from './personas.js';
+
+/** Hook points, in pipeline order. `after` is the PIPELINE_STEPS step the hook follows. */
+export const CUSTOM_AGENT_HOOKS = [
+    { id: 'researchInput', label: 'Input to the Story Producer', after: 'logisticsBreakdown', phase: 2 },
+    { id: 'draftV1Review', label: 'Reviewer of Draft V1', after: 'draftV1', phase: 3 },
+    { id: 'draftV2Review', label: 'Reviewer of Draft V2 (before the pitch card)', after: 'greenlightReview', phase: 5 },
+];
+
+/** Tools a custom agent may use: Google Search, or a server tool (see api/_tools.js). */
+export const CUSTOM_AGENT_TOOLS = {
+    googleSearch: 'Google Search',
+    search_knowledge_base: 'Knowledge base search',
+    lookup_species: 'Species lookup',
+    validate_url: 'URL check',
+};
+
+// Built-in agents plus the helper calls that have their own agent id
+const RESERVED_IDS = new Set([
+    ...[...ALL_AGENTS, DRIFT_GATE, GENRE_STRATEGIST].map(agent => agent.id),
+    'species-extractor', 'evaluator', 'red-flag-check', 'gold-standard-check', 'systemic-diagnosis', 'translator',
+]);
+
+const AGENT_ID = /^[a-z][a-z0-9-]{1,39}$/;
+const COLOR = /^#[0-9a-f]{6}$/i;
+
+const MAX_NAME_LENGTH = 60;
+const MAX_ICON_LENGTH = 8;
+const MAX_PROMPT_LENGTH = 20000;
+
+/**
+ * Validate a custom agent definition, e.g. from the editor or a saved run.
+ * @param {object} def
+ * @returns {{ id: string, name: string, icon: string, color: string, systemPrompt: string, hook: string, tools: string[] }}
+ * @throws {Error} describing the first problem
+ */
+export function normalizeCustomAgent(def) {
+    const { id = '', name = '', icon = '🧩', color = '#868e96', systemPrompt = '', hook = '', tools = [] } = def || {};
+    const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+    if (!AGENT_ID.test(text(id))) {
+        throw new Error('Agent id must be 2–40 lowercase letters, digits or hyphens, starting with a letter');
+    }
+    if (RESERVED_IDS.has(text(id))) throw new Error(`"${text(id)}" is a built-in agent's id`);
+    if (!text(name) || text(name).length > MAX_NAME_LENGTH) {
+        throw new Error(`Name must be 1–${MAX_NAME_LENGTH} characters`);
+    }
+    if (!text(icon) || text(icon).length > MAX_ICON_LENGTH) {
+        throw new Error('Icon must be an emoji or a few characters');
+    }
+    if (!COLOR.test(text(color))) throw new Error('Color must be a hex color such as #4dabf7');
+    if (!text(systemPrompt) || systemPrompt.length > MAX_PROMPT_LENGTH) {
+        throw new Error(`System prompt must be 1–${MAX_PROMPT_LENGTH} characters`);
+    }
+    if (!CUSTOM_AGENT_HOOKS.some(h => h.id === hook)) throw new Error(`Unknown hook point "${hook}"`);
+    if (!Array.isArray(tools)) throw new Error('Tools must be a list');
+    const unknown = tools.filter(tool => !Object.hasOwn(CUSTOM_AGENT_TOOLS, tool));
+    if (unknown.length > 0) throw new Error(`Unknown tool "${unknown[0]}"`);
+
+    return {
+        id: text(id),
+        name: text(name),
+        icon: text(icon),
+        color: text(color).toLowerCase(),
+        systemPrompt,
+        hook,
+        tools: [...new Set(tools)],
+    };
+}
+
+/**
+ * A custom agent as a persona agentStep can run. Google Search is passed per
+ * call as `searchTools`; server tools are declared like the built-ins' are.
+ * Its hook step opts into agentStep's toolCheck, so an agent given both takes
+ * two requests per call: grounded first, then checked with the server tools.
+ * @param {object} def — a normalized definition
+ */
+export function customAgentPersona(def) {
+    return {
+        id: def.id,
+        name: def.name,
+        icon: def.icon,
+        color: def.color,
+        systemPrompt: def.systemPrompt,
+        generation: null,
+        hook: def.hook,
+        serverTools: def.tools.filter(tool => tool !== 'googleSearch'),
+        searchTools: def.tools.includes('googleSearch') ? [{ googleSearch: {} }] : [],
+    };
+}
+
@@ -3,8 +3,188 @@
  *
  * All calls route through /api/* so the API key never reaches the browser.
  * In dev mode (Vite), requests are proxied to `vercel dev` via vite.config.js.
+ * Agent calls go to the active LLM provider (see providers.js), which is the
+ * Gemini proxy unless setProvider() picked another backend.
+ *
+ * Every agent call and chat turn goes through one request queue: at most
+ * `maxInFlight` calls reach the provider at once, however many pipeline steps,
+ * batch runs or dryruns are asking. A quota error (429) holds the whole queue
+ * until the backend's Retry-After hint has passed, instead of every waiting
+ * call hitting the exhausted quota on its own timer.
  */
 
+import { getProvider } from './providers.js';
+
+// Listeners for per-call token usage (see onAgentUsage)
+const usageListeners = new Set();
+
+/**
+ * Subscribe to token usage reports. Fired once per successful agent call with
+ * { agentId, runId, phase, model, usage: { promptTokens, outputTokens, totalTokens } };
+ * runId and phase are the callAgent() options, null for calls made outside a run.
+ * @returns {function} unsubscribe
+ */
+export function onAgentUsage(listener) {
+    usageListeners.add(listener);
+    return () => usageListeners.delete(listener);
+}
+
+// Listeners for finished agent calls (see onAgentCall)
+const callListeners = new Set();
+
+/**
+ * Subscribe to finished agent calls. Fired once per callAgent(), after its last
+ * attempt, with what was sent and what came back:
+ * { agentId, runId, phase, systemPrompt, userMessage, tools, responseFormat, generation, startedAt, ms,
+ *   attempts, failedAttempts: [{ error, ms }], output?, model?, usage?, error? }.
+ * @returns {function} unsubscribe
+ */
+export function onAgentCall(listener) {
+    callListeners.add(listener);
+    return () => callListeners.delete(listener);
+}
+
+function notify(listeners, report, label) {
+    for (const listener of listeners) {
+        try {
+            listener(report);
+        } catch (e) {
+            console.warn(`${label} listener failed:`, e.message);
+        }
+    }
+}
+
+// ─── Request queue ───────────────────────────────────────
+
+export const DEFAULT_MAX_IN_FLIGHT = 4;
+
+// Quota errors get their own retry budget, separate from `retries`
+const QUOTA_RETRIES = 5;
+// Backoff after a quota error that came without a Retry-After hint (doubles per retry)
+const QUOTA_BACKOFF_MS = 5000;
+// A longer hint means the quota is exhausted for now, not throttled — fail instead of waiting
+const MAX_QUOTA_WAIT_MS = 2 * 60 * 1000;
+
+let maxInFlight = DEFAULT_MAX_IN_FLIGHT;
+let inFlight = 0;
+const waiting = [];
+let quotaHoldUntil = 0;
+let quotaTimer = null;
+const queueListeners = new Set();
+
+const abortError = () => new DOMException('Agent call aborted', 'AbortError');
+
+/**
+ * Snapshot of the request queue.
+ * @returns {{ inFlight: number, queued: number, maxInFlight: number, quotaWaitUntil: number|null }}
+ *   quotaWaitUntil is the epoch ms the queue is held until after a quota error, or null
+ */
+export function getRequestQueueState() {
+    return {
+        inFlight,
+        queued: waiting.length,
+        maxInFlight,
+        quotaWaitUntil: quotaHoldUntil > Date.now() ? quotaHoldUntil : null,
+    };
+}
+
+/**
+ * Subscribe to request queue changes; the listener gets getRequestQueueState().
+ * @returns {function} unsubscribe
+ */
+export function onRequestQueue(listener) {
+    queueListeners.add(listener);
+    return () => queueListeners.delete(listener);
+}
+
+/** Limit how many agent calls may be in flight at once (default DEFAULT_MAX_IN_FLIGHT). */
+export function setMaxInFlight(limit) {
+    maxInFlight = Math.max(1, Math.floor(limit) || 1);
+    pumpQueue();
+}
+
+// Hand free slots to waiting calls, oldest first, unless a quota hold is on
+function pumpQueue() {
+    const holdMs = quotaHoldUntil - Date.now();
+    if (holdMs > 0) {
+        if (!quotaTimer) {
+            quotaTimer = setTimeout(() => {
+                quotaTimer = null;
+                pumpQueue();
+            }, holdMs);
+        }
+    } else {
+        while (inFlight < maxInFlight && waiting.length > 0) {
+            inFlight++;
+            waiting.shift().grant();
+        }
+    }
+    notify(queueListeners, getRequestQueueState(), 'Request queue');
+}
+
+function acquireSlot(signal) {
+    if (signal?.aborted) return Promise.reject(abortError());
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            const index = waiting.indexOf(entry);
+            if (index === -1) return;
+            waiting.splice(index, 1);
+            pumpQueue();
+            reject(abortError());
+        };
+        const entry = {
+            grant() {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            },
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        waiting.push(entry);
+        pumpQueue();
+    });
+}
+
+/** Run fn once a slot is free, and give the slot back when it settles. */
+async function withSlot(signal, fn) {
+    await acquireSlot(signal);
+    try {
+        return await fn();
+    } finally {
+        inFlight--;
+        pumpQueue();
+    }
+}
+
+/** Hold every queued call for ms (extends, never shortens, a hold already on). */
+function holdForQuota(ms) {
+    quotaHoldUntil = Math.max(quotaHoldUntil, Date.now() + ms);
+    pumpQueue();
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError());
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Normalize a provider result (a string, or { text, model, usage }) and report its usage.
+ * @returns {{ text: string, model: string|null, usage: object|null }}
+ */
+function settle(result, agentId, runId = null, phase = null) {
+    const { text, model = null, usage = null } = typeof result === 'string' ? { text: result } : result;
+    if (usage) notify(usageListeners, { agentId, runId, phase, model, usage }, 'Usage');
+    return { text, model, usage };
+}
+
 /**
  * Initialize the Gemini client. Now a no-op — kept for backward compatibility
  * so callers that used to call initGemini() don't break.
@@ -16,34 +196,89 @@ export function initGemini() {
 
 /**
  * Call an agent with the given system prompt and user message.
- * Routes through /api/generate.
+ * Routes through the active provider, via the request queue.
  * Optionally accepts tools (e.g. Google Search grounding).
+ * `agentId` identifies the caller to scripted providers; `runId` tags the call
+ * with the pipeline run that made it (see withUsageMeter in orchestrator.js),
+ * and `phase` ({ number, name }) with the run's phase it belongs to.
+ * `generation` is the agent's model and sampling settings (see generation.js).
+ * `onToken(chunk, textSoFar)` streams the response as it is written; a retry
+ * starts the text over, so textSoFar always reflects the current attempt.
+ *
+ * Failures are retried up to `retries` times with exponential backoff, except
+ * aborts and errors marked `retryable: false`, which fail at once. Quota errors
+ * (ProviderError with `quota`) hold the queue for the backend's Retry-After hint
+ * and are retried up to QUOTA_RETRIES times on top of that.
  * Returns the response text.
  */
-export async function callAgent(systemPrompt, userMessage, { retries = 2, tools = [], responseFormat, signal } = {}) {
-    for (let attempt = 0; attempt <= retries; attempt++) {
-        if (signal?.aborted) throw new DOMException('Agent call aborted', 'AbortError');
+export async function callAgent(systemPrompt, userMessage, { retries = 2, tools = [], responseFormat, generation, signal, agentId, runId = null, phase = null, onToken } = {}) {
+    const startedAt = Date.now();
+    const failedAttempts = [];
+    const report = (outcome) => notify(callListeners, {
+        agentId,
+        runId,
+        phase,
+        systemPrompt,
+        userMessage,
+        tools,
+        responseFormat: responseFormat ?? null,
+        generation: generation ?? null,
+        startedAt,
+        ms: Date.now() - startedAt,
+        attempts: failedAttempts.length + (outcome.error ? 0 : 1),
+        failedAttempts,
+        ...outcome,
+    }, 'Agent call');
+
+    let failures = 0;
+    let quotaWaits = 0;
+    for (;;) {
+        let soFar = '';
+        const streamTo = onToken ? (chunk) => onToken(chunk, soFar += chunk) : undefined;
+        let attemptStarted = null;
         try {
-            const res = await fetch('/api/generate', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ systemPrompt, userMessage, tools, responseFormat }),
-                signal,
+            const result = await withSlot(signal, () => {
+                attemptStarted = Date.now();
+                return getProvider().generate({ systemPrompt, userMessage, tools, responseFormat, generation, signal, agentId, onToken: streamTo });
             });
+            const { text, model, usage } = settle(result, agentId, runId, phase);
+            report({ output: text, model, usage });
+            return text;
+        } catch (err) {
+            // An abort while queued never reached the provider, so it isn't an attempt
+            if (attemptStarted !== null) failedAttempts.push({ error: err.message, ms: Date.now() - attemptStarted });
+            // Aborts and errors marked non-retryable (e.g. cassette mismatches, bad requests) fail immediately
+            if (err.name === 'AbortError' || err.retryable === false) {
+                report({ error: err.message });
+                throw err;
+            }
 
-            if (!res.ok) {
-                const err = await res.json().catch(() => ({ error: res.statusText }));
-                throw new Error(err.error || `HTTP ${res.status}`);
+            if (err.quota) {
+                const waitMs = err.retryAfterMs ?? QUOTA_BACKOFF_MS * Math.pow(2, quotaWaits);
+                if (quotaWaits >= QUOTA_RETRIES || waitMs > MAX_QUOTA_WAIT_MS) {
+                    report({ error: err.message });
+                    throw err;
+                }
+                quotaWaits++;
+                console.warn(`Agent call hit the provider quota; waiting ${Math.ceil(waitMs / 1000)}s:`, err.message);
+                // The retry queues behind the hold like every other call
+                holdForQuota(waitMs);
+                continue;
             }
 
-            const data = await res.json();
-            return data.text;
-        } catch (err) {
-            if (err.name === 'AbortError') throw err;
-            console.warn(`Agent call attempt ${attempt + 1} failed:`, err.message);
-            if (attempt === retries) throw err;
+            console.warn(`Agent call attempt ${failures + 1} failed:`, err.message);
+            if (failures === retries) {
+                report({ error: err.message });
+                throw err;
+            }
             // Exponential backoff
-            await new Promise((r) => setTimeout(r, 1000 * Math.pow(2, attempt)));
+            try {
+                await sleep(1000 * Math.pow(2, failures), signal);
+            } catch (abort) {
+                report({ error: abort.message });
+                throw abort;
+            }
+            failures++;
         }
     }
 }
@@ -51,40 +286,30 @@ export async function callAgent(systemPrompt, userMessage, { retries = 2, tools
 /**
  * Create a multi-turn chat session with a system prompt.
  * Stateless: accumulates history client-side and sends it with each turn
- * via /api/generate (Vercel serverless functions are stateless).
+ * (Vercel serverless functions are stateless).
  * Returns an object with send(message) → Promise<string>.
  */
-export function createChat(systemPrompt, { tools = [] } = {}) {
+export function createChat(systemPrompt, { tools = [], agentId = 'refinement-chat' } = {}) {
     // Accumulate conversation history for multi-turn
     const history = [];
 
     return {
         async send(message) {
-            const res = await fetch('/api/generate', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    systemPrompt,
-                    userMessage: message,
-                    tools,
-                    history,
-                }),
-            });
-
-            if (!res.ok) {
-                const err = await res.json().catch(() => ({ error: res.statusText }));
-                throw new Error(err.error || `HTTP ${res.status}`);
-            }
-
-            const data = await res.json();
+            const { text } = settle(await withSlot(null, () => getProvider().generate({
+                systemPrompt,
+                userMessage: message,
+                tools,
+                history: [...history],
+                agentId,
+            })), agentId);
 
             // Append to history for next turn
             history.push(
                 { role: 'user', parts: [{ text: message }] },
-                { role: 'model', parts: [{ text: data.text }] }
+                { role: 'model', parts: [{ text }] }
             );
 
-            return data.text;
+            return text;
         },
     };
 }
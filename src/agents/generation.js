@@ -0,0 +1,70 @@
+/**
+ * Generation settings — the model and sampling parameters an agent is called with.
+ *
+ * Each persona carries `generation: { model, temperature, topP, maxOutputTokens }`
+ * (see personas.js); null leaves a setting to the provider. `model` is a model
+ * name, or FAST_MODEL for the provider's cheap, fast model (GEMINI_FAST_MODEL /
+ * OPENAI_FAST_MODEL on the server). /api/generate validates the settings again.
+ */
+
+/** Model alias for the provider's fast model. */
+export const FAST_MODEL = 'fast';
+
+/** Temperature the providers use when none is set — the base for chaos-mode shifts. */
+export const DEFAULT_TEMPERATURE = 1;
+
+/** Accepted ranges, inclusive. */
+export const GENERATION_LIMITS = {
+    temperature: [0, 2],
+    topP: [0, 1],
+    maxOutputTokens: [1, 65536],
+};
+
+const MODEL_NAME = /^[\w.:/-]{1,100}$/;
+
+/**
+ * Validate generation settings, e.g. from the prompt editor or a preset.
+ * Blank settings become null.
+ *
+ * @param {object|null} settings — { model?, temperature?, topP?, maxOutputTokens? }
+ * @returns {{ model: string|null, temperature: number|null, topP: number|null, maxOutputTokens: number|null }}
+ * @throws {Error} describing the first invalid setting
+ */
+export function normalizeGeneration(settings) {
+    const { model = null, temperature = null, topP = null, maxOutputTokens = null } = settings || {};
+    const blank = (value) => value === null || value === undefined || value === '';
+
+    if (!blank(model) && (typeof model !== 'string' || !MODEL_NAME.test(model.trim()))) {
+        throw new Error(`Invalid model name "${model}"`);
+    }
+    const number = (value, field) => {
+        if (blank(value)) return null;
+        const [min, max] = GENERATION_LIMITS[field];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+            throw new Error(`"${field}" must be a number from ${min} to ${max}`);
+        }
+        if (field === 'maxOutputTokens' && !Number.isInteger(value)) throw new Error('"maxOutputTokens" must be a whole number');
+        return value;
+    };
+
+    return {
+        model: blank(model) ? null : model.trim(),
+        temperature: number(temperature, 'temperature'),
+        topP: number(topP, 'topP'),
+        maxOutputTokens: number(maxOutputTokens, 'maxOutputTokens'),
+    };
+}
+
+/**
+ * Generation settings with the temperature moved by delta (clamped to the
+ * accepted range). An unset temperature shifts from DEFAULT_TEMPERATURE.
+ * @param {object|null} generation
+ * @param {number} delta
+ */
+export function shiftTemperature(generation, delta) {
+    if (!delta) return generation;
+    const [min, max] = GENERATION_LIMITS.temperature;
+    const base = generation?.temperature ?? DEFAULT_TEMPERATURE;
+    const temperature = Math.round(Math.min(max, Math.max(min, base + delta)) * 100) / 100;
+    return { ...generation, temperature };
+}
@@ -0,0 +1,141 @@
+/**
+ * Canned agent outputs for the offline mock provider (see providers.js).
+ *
+ * Keyed by agentId. Arrays play in call order, so one run exercises every
+ * loop: the Drift Gate fails once and re-scouts, the Editor climbs through
+ * the quality loop until it greenlights, and the Gatekeeper rejects once
+ * before greenlighting.
+ */
+
+const DECK = `## The Last Light of the Kelp Wolves
+
+**Logline:** On a drowning coastline, a young sea otter must out-think a starving orca pod to keep her raft — and the kelp forest — alive.
+
+**Summary:** Along British Columbia's outer coast, sea otters are the keystone holding back an urchin tide. We follow one young female through a single brutal winter as storms shred the canopy and transient orcas learn to hunt the rafts. Her choices decide whether the forest survives. A survival drama with ecological stakes, told entirely from the otter's point of view.
+
+**Best For:**
+- Netflix — character-led, cliffhanger structure for a global audience
+- BBC Studios — keystone-species science with blue-chip visuals
+
+**Sources:**
+- Estes et al., "Trophic Downgrading of Planet Earth" (Science, 2011)`;
+
+const verdict = (score, decision, mustFix, strengths, review) => JSON.stringify({ score, decision, mustFix, strengths, review });
+
+// Series mode (see series.js): as many episodes as the contract asks for
+const seriesArchitecture = (request) => {
+    const count = Number(request.userMessage.match(/exactly (\d+) entries/)?.[1] || 3);
+    return JSON.stringify({
+        seriesArc: 'One raft, one winter: the otters lose the forest episode by episode, then win it back in the finale.',
+        episodes: Array.from({ length: count }, (_, i) => ({
+            number: i + 1,
+            title: `Kelp Wolves ${i + 1} (mock)`,
+            species: i % 2 ? 'Orca (Orcinus orca)' : 'Sea Otter (Enhydra lutris)',
+            location: 'Outer coast, British Columbia',
+            acts: ['Setup (mock)', 'Escalation (mock)', 'Turn (mock)'],
+            cliffhanger: 'The orcas return (mock).',
+        })),
+    });
+};
+
+export const DEFAULT_MOCK_SCRIPT = {
+    // ─── Phase 0 ───
+    'discovery-scout': `## Discovery Brief (mock)
+
+1. **Kelp forest recovery tied to otter density** — long-term surveys show urchin barrens reversing within a decade of otter return.
+2. **Orca predation on otter rafts** — transient pods have been documented targeting rafting otters in winter storms.`,
+
+    'drift-gate': [
+        '{"status":"FAIL","drift_type":"subject_mismatch","explanation":"Mock: the first Brief wandered off the seed.","recommendation":"Re-run Discovery Scout with tighter search constraints. Suggested search terms: [sea otter, kelp forest, orca]"}',
+        '{"status":"PASS","confidence":"high","alignment_summary":"Mock: the Brief supports the seed directly."}',
+    ],
+
+    'genre-strategist': JSON.stringify([
+        { genreKey: 'blue-chip-2', genreName: 'Blue Chip 2.0', rationale: 'Mock: rare, verified behaviour with prestige visuals.' },
+        { genreKey: 'ecological-biography', genreName: 'Ecological Biography', rationale: 'Mock: one animal, one winter, one forest.' },
+        { genreKey: 'nature-noir', genreName: 'Nature Noir', rationale: 'Mock: who is stripping the coast bare?' },
+    ]),
+
+    // ─── Phase 1 ───
+    'market-analyst': `## Market Mandate (mock)
+
+**Buyer slate gaps:** Netflix and BBC Studios both lack a character-led marine survival series for 2026.
+**Trend examples:** Our Planet II (2023), Secret Life of the Zoo (2016), Blue Planet II (2017).
+**Narrative Form:** Character-driven survival drama.
+**Budget tier:** Premium.`,
+
+    'chief-scientist': `## Animal Fact Sheet (mock)
+
+**Primary Species:** Sea Otter (*Enhydra lutris*)
+**B-Story Species:** Purple sea urchin (*Strongylocentrotus purpuratus*)
+**Location/Season:** Outer coast of British Columbia, November–February.
+**Mechanism:** Otters suppress urchin grazing, letting kelp canopy recover.
+**Visual payoff:** Tool use on rocks balanced on the chest, in storm swell.
+
+## Sources
+1. Otters release kelp from urchin grazing — Estes et al., Science (2011)`,
+
+    'species-extractor': '{"primarySpecies": "Sea Otter"}',
+
+    // The bilingual export's translation: the card comes back as sent
+    'translator': (request) => request.userMessage,
+
+    'field-producer': `## Logistics & Feasibility (mock)
+
+**Equipment:** RED V-Raptor, underwater housings, long-lens shore rigs.
+**Crew:** 6 — producer, 2 camera, dive safety, fixer, sound.
+**Shoot:** 3 winter blocks of 21 days.
+**Budget:** $1.2M–$1.6M per hour — travel $180k, equipment $240k, crew $520k, permits $40k, contingency $220k.
+**Unicorn Test:** 70%.`,
+
+    // ─── Phase 2–5 ───
+    'story-producer': `## Draft Script (mock)
+
+**Act One:** A young otter loses her mother in the first storm.
+**Act Two:** Orcas learn the raft's routine; the canopy thins.
+**Act Three:** She leads the raft into the last dense kelp and the urchins retreat.
+
+**A/V Script Excerpt:** WIDE — storm swell. NARRATOR: "Every winter, the forest decides who it keeps."
+
+**Sources:** Carried forward from the Animal Fact Sheet.`,
+
+    'provocateur': `**Kill Shot:** The story is safe — a survival arc we've seen a hundred times.
+**Pivot:** Tell it from the kelp forest's point of view.
+**Argument:** The forest is the real protagonist; the otter is its immune system.
+**Fatal Question:** Why would anyone remember this otter next week?`,
+
+    // Reviewers answer with JSON verdicts (see verdicts.js); the first one is
+    // malformed so the repair retry runs too
+    'commissioning-editor': [
+        '{"score":"sixty-eight","decision":"REVISE"}',
+        verdict(68, 'REVISE', ['Sharpen the Act Two stakes', 'Weave the B-Story into the main arc'], ['Strong keystone-species premise'], '## Editor Review (mock)\n\nThe Act Two stakes are soft and the B-Story is a footnote.'),
+        verdict(76, 'REVISE', ['Replace the generic narration lines'], ['Sharper stakes'], '## Editor Review (mock)\n\nStakes are sharper; narration still generic.'),
+        verdict(84, 'REVISE', ['Minor polish on the cold open'], ['Distinct narration', 'Integrated B-Story'], '## Editor Review (mock)\n\nBroadcast-ready with minor polish.'),
+        verdict(86, 'GREENLIGHT', [], ['Ready for commissioners'], '## Editor Review (mock)\n\nReady for commissioners.'),
+    ],
+
+    'showrunner': (request) => (request.userMessage.includes('JSON SERIES ARCHITECTURE') ? seriesArchitecture(request) : DECK),
+
+    // ─── Phase 6 ───
+    'adversary': [
+        verdict(72, 'REJECTED', ['Break the familiar survival formula in the logline'], ['Clear platform fit'], '### Canon Audit\nMock: the logline leans on a familiar survival formula.\n\n### Ideal For: ** Netflix **'),
+        verdict(88, 'GREENLIT', [], ['The revision earns its premise'], '### Canon Audit\nNo canon conflicts detected.\n\n### Ideal For: ** Netflix **'),
+    ],
+
+    // ─── Quality evaluator ───
+    'evaluator': JSON.stringify({
+        dimensions: [
+            'Narrative Structure', 'Scientific Rigor', 'Market Viability', 'Production Feasibility',
+            'Originality', 'Presentation Quality', 'Platform Compliance', 'Narrative Mandate Compliance',
+        ].map(name => ({ name, score: 75, rationale: 'Mock score.' })),
+        overall: 75,
+        summary: 'Mock evaluation from the offline provider.',
+        recommendations: ['Mock recommendation 1', 'Mock recommendation 2', 'Mock recommendation 3'],
+    }),
+    'red-flag-check': '{"redFlags": []}',
+    'gold-standard-check': '{"markers": []}',
+    'systemic-diagnosis': '{"clusteredRecommendations": [], "agentUpgrades": [], "overallAssessment": "Mock diagnosis from the offline provider."}',
+
+    // Refinement chat and anything else
+    'default': 'Mock response from the offline provider.',
+};
@@ -13,16 +13,29 @@ import {
     ALL_AGENTS,
 } from './personas.js';
 import { retrieveContext, retrieveNarrativeContext } from '../knowledge/rag.js';
-import { saveCheckpoint, clearCheckpoint } from '../pipelineState.js';
-import { PROVOCATEUR, rollMutations, applyMutations, generateAccident, CHAOS_MODES } from './chaos.js';
+import { saveCheckpoint, clearCheckpoint, createRunId } from '../pipelineState.js';
+import { PROVOCATEUR, rollMutations, applyMutations, temperatureShifts, generateAccident, CHAOS_MODES } from './chaos.js';
+import { shiftTemperature } from './generation.js';
 import { validateSources } from './urlValidator.js';
+import { onAgentUsage, onAgentCall } from './gemini.js';
+import { createUsageMeter } from './usage.js';
+import { createTraceRecorder } from './trace.js';
+import { runStepGraph, DEFAULT_STEP_CONCURRENCY } from './scheduler.js';
+import { resolveQualityPolicy, createRevisionLoop } from './qualityPolicy.js';
+import { verdictContract, verdictRepairPrompt, parseVerdict, renderVerdict, isGatekeeperRejection, isEditorGreenlight } from './verdicts.js';
+import { checkOutputContract, contractRepairPrompt } from './contracts.js';
+import { budgeted, joinBudgeted, contextBlock, condenseText, fitPrompt, appendToPrompt, DEFAULT_PROMPT_TOKENS } from './contextBudget.js';
+import { seriesContract, seriesRepairPrompt, parseSeriesArchitecture, renderSeriesArchitecture, seriesLabel } from './series.js';
+import { CUSTOM_AGENT_HOOKS, normalizeCustomAgent, customAgentPersona } from './customAgents.js';
+import { renderTemplate, renderGuard } from './promptTemplates.js';
+import { outputLanguage, DEFAULT_LANGUAGE, PITCH_CARD_SECTIONS, parsePitchCard, formatPitchCard, pitchCardLanguage } from './outputLanguage.js';
 export { CHAOS_MODES };
 
 /**
- * Step ordering for the seed pipeline — used for checkpoint resume.
+ * Step ordering for the seed pipeline — used for checkpoint resume and branching.
  * Each entry corresponds to a ctx key set by an agentStep.
  */
-const PIPELINE_STEPS = [
+export const PIPELINE_STEPS = [
     'discovery',
     'marketMandate',
     'animalFactSheet',
@@ -37,6 +50,87 @@ const PIPELINE_STEPS = [
     'greenlightReview',
     'finalPitchDeck',
     'gatekeeperVerdict',
+    'seriesArchitecture',
+    'seriesReview',
+];
+
+/** Display names for PIPELINE_STEPS. */
+export const PIPELINE_STEP_LABELS = {
+    discovery: 'Discovery Brief',
+    marketMandate: 'Market Mandate',
+    animalFactSheet: 'Animal Fact Sheet',
+    logisticsBreakdown: 'Logistics Breakdown',
+    draftV1: 'Draft V1',
+    provocation: 'Provocation',
+    rejectionMemo: 'Editor Rejection Memo',
+    revisionDirectives: 'Revision Directives',
+    revisedScience: 'Revised Science',
+    revisedLogistics: 'Revised Logistics',
+    draftV2: 'Draft V2 (after quality loop)',
+    greenlightReview: 'Editor Greenlight Review',
+    finalPitchDeck: 'Pitch Card',
+    gatekeeperVerdict: 'Gatekeeper Verdict',
+    seriesArchitecture: 'Series Architecture',
+    seriesReview: 'Series Consistency Review',
+};
+
+// The ctx key holding a PIPELINE_STEPS step's output
+function stepOutputKey(step) {
+    return step === 'discovery' ? '_discoveryBrief' : step;
+}
+
+/**
+ * The steps a finished run can be branched from: those with saved output,
+ * excluding the run's last step (nothing runs after it) — the series review
+ * in series mode, the Gatekeeper's verdict otherwise.
+ * @param {object|null} ctx — the run's final context
+ * @returns {string[]}
+ */
+export function branchableSteps(ctx) {
+    if (!ctx) return [];
+    const lastStep = ctx.seriesArchitecture !== undefined ? 'seriesReview' : 'gatekeeperVerdict';
+    return PIPELINE_STEPS.filter(step => step !== lastStep && ctx[stepOutputKey(step)] !== undefined);
+}
+
+/**
+ * Build a resume checkpoint that branches a finished run at `fromStep`.
+ * The branch keeps every output up to and including that step and drops the
+ * rest, so runPipeline (given it as opts.checkpoint) re-runs only what follows —
+ * under whatever directive or genre lock the branch passes in.
+ *
+ * @param {object} ctx — the run's final context (see cbs.onStepComplete)
+ * @param {string} fromStep — a PIPELINE_STEPS entry present in ctx
+ * @returns {{ step: string, ctx: object }}
+ */
+export function branchCheckpoint(ctx, fromStep) {
+    const idx = PIPELINE_STEPS.indexOf(fromStep);
+    if (idx < 0) throw new Error(`Unknown pipeline step "${fromStep}"`);
+    if (!branchableSteps(ctx).includes(fromStep)) throw new Error(`The run has no saved output for "${fromStep}"`);
+
+    const dropped = new Set(PIPELINE_STEPS.slice(idx + 1));
+    const kept = Object.fromEntries(Object.entries(ctx).filter(([k]) => !dropped.has(k)));
+    kept._approved = (ctx._approved || []).filter(step => !dropped.has(step));
+    // Custom agents at hooks after the branch point run again too
+    if (ctx.customAgentOutputs) {
+        kept.customAgentOutputs = Object.fromEntries(Object.entries(ctx.customAgentOutputs).filter(([hookId]) => {
+            const hook = CUSTOM_AGENT_HOOKS.find(h => h.id === hookId);
+            return hook && PIPELINE_STEPS.indexOf(hook.after) < idx;
+        }));
+    }
+    return { step: fromStep, ctx: kept };
+}
+
+/**
+ * Steps the seed pipeline can pause after for human approval (opts.approvalGates).
+ * Each pauses once the step's output is final — the fact sheet and logistics
+ * after the Science and Ethics Gates have run.
+ */
+export const APPROVAL_GATES = [
+    { step: 'marketMandate', label: 'Market Mandate', phase: 1 },
+    { step: 'animalFactSheet', label: 'Animal Fact Sheet', phase: 1 },
+    { step: 'logisticsBreakdown', label: 'Logistics Breakdown', phase: 1 },
+    { step: 'draftV1', label: 'Draft V1', phase: 2 },
+    { step: 'finalPitchDeck', label: 'Pitch Card (before the Gatekeeper)', phase: 5 },
 ];
 
 /**
@@ -46,9 +140,46 @@ export class PipelineCancelled extends Error {
     constructor() { super('Pipeline cancelled by user'); this.name = 'PipelineCancelled'; }
 }
 
+/**
+ * Raised when a run exceeds its token or cost budget. It is a PipelineCancelled,
+ * so callers stop cleanly (and keep the resume checkpoint) exactly as on cancel.
+ */
+export class BudgetExceeded extends PipelineCancelled {
+    constructor(reason, usage) {
+        super();
+        this.name = 'BudgetExceeded';
+        this.message = `Budget exceeded: ${reason}`;
+        this.usage = usage;
+    }
+}
+
 // Shared abort controller — set by the UI, checked by agentStep
 let _abortSignal = null;
 
+// Usage meter of the run in progress — set by withUsageMeter, checked by agentStep
+let _usageMeter = null;
+
+// Id the run in progress tags its calls with — set by withUsageMeter, so the
+// meter leaves out calls made beside the run (e.g. the refinement chat)
+let _runId = null;
+let _runCount = 0;
+
+// Token limit for one prompt (budget.maxPromptTokens) — set by withUsageMeter, applied by agentStep
+let _promptLimit = DEFAULT_PROMPT_TOKENS;
+
+// Trace recorder of the run in progress — set by withRunTrace, fed by traceEvent
+let _trace = null;
+
+/**
+ * Record a gate decision or other turning point on the run's trace
+ * (see trace.js). A no-op outside a traced run.
+ * @param {string} kind — 'drift-gate' | 'severity' | 'verdict' | 'approval' | 'defamation' | …
+ * @param {object} [data]
+ */
+export function traceEvent(kind, data) {
+    _trace?.recordEvent(kind, data);
+}
+
 /**
  * Set the AbortSignal that the pipeline should respect.
  * Call with null to clear.
@@ -57,27 +188,122 @@ export function setPipelineAbortSignal(signal) {
     _abortSignal = signal;
 }
 
+/** The run's AbortSignal, for network calls made outside agentStep (RAG, URL checks). */
+export function pipelineSignal() {
+    return _abortSignal ?? undefined;
+}
+
+/**
+ * Throw PipelineCancelled if the run has been cancelled. Call it first in any
+ * catch that falls back instead of rethrowing, so an aborted request ends the
+ * run rather than taking the fallback path.
+ */
+export function throwIfCancelled() {
+    if (_abortSignal?.aborted) throw new PipelineCancelled();
+}
+
+/**
+ * Wait for a promise the user controls (e.g. an approval gate), rejecting with
+ * PipelineCancelled if the run is cancelled first.
+ */
+function untilCancelled(promise) {
+    const signal = _abortSignal;
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(new PipelineCancelled());
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(new PipelineCancelled());
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
 /**
  * Helper: show a thinking card, call the agent, then fill the card.
- * Checks the abort signal before making the API call.
+ * The abort signal is checked before the call and passed into it, so
+ * cancelling aborts the request in flight.
+ * The call carries the phase of cbs (see phaseScope) for usage and the trace.
  * Optionally accepts agentOpts.tools for Gemini tool use (e.g. Google Search).
+ * The agent's own serverTools (see api/_tools.js) are added to calls without
+ * Search grounding, for the model to call on demand. Gemini cannot take both
+ * in one request, so a grounded call gets them only when the step opts in with
+ * agentOpts.toolCheck: the server then answers with grounding first and checks
+ * that answer with the tools in a second, ungrounded call (see api/_providers.js).
+ * The response is streamed: onAgentOutput fires with { partial: true } and the
+ * text so far as it is written, then once more without the flag when complete.
+ *
+ * The output is checked against the agent's outputContract (see contracts.js);
+ * if something is missing the agent gets one targeted repair prompt before the
+ * output is passed on. agentOpts.contract overrides the contract — null for
+ * calls that ask the agent for something else than its usual output.
+ *
+ * A prompt written with the `budgeted` tag is first fitted to the run's prompt
+ * limit (see contextBudget.js); whatever was condensed or dropped is recorded
+ * on the trace.
  */
-async function agentStep(agent, prompt, { onAgentThinking, onAgentOutput }, agentOpts = {}) {
+export async function agentStep(agent, prompt, cbs, agentOpts = {}) {
+    const { onAgentThinking, onAgentOutput } = cbs;
+    const { contract = agent.outputContract ?? null, tools = [], toolCheck = false, ...callOpts } = agentOpts;
+    const grounded = tools.some(tool => tool.googleSearch);
+    const serverTools = !grounded || toolCheck ? agent.serverTools || [] : [];
+    const agentTools = [...tools, ...serverTools.map(name => ({ serverTool: name }))];
+    const call = async (message) => {
+        if (_abortSignal?.aborted) throw new PipelineCancelled();
+        const overBudget = _usageMeter?.overBudget();
+        if (overBudget) throw new BudgetExceeded(overBudget, _usageMeter.snapshot());
+        try {
+            const text = await callAgent(agent.systemPrompt, message, {
+                agentId: agent.id,
+                generation: agent.generation,
+                tools: agentTools,
+                signal: pipelineSignal(),
+                runId: _runId,
+                phase: cbs.phase ?? null,
+                onToken: (chunk, soFar) => {
+                    if (!_abortSignal?.aborted) onAgentOutput(agent, soFar, { partial: true });
+                },
+                ...callOpts,
+            });
+            if (_abortSignal?.aborted) throw new PipelineCancelled();
+            return text;
+        } catch (err) {
+            throwIfCancelled();
+            throw err;
+        }
+    };
+
     if (_abortSignal?.aborted) throw new PipelineCancelled();
     onAgentThinking(agent);
-    const result = await callAgent(agent.systemPrompt, prompt, agentOpts);
-    if (_abortSignal?.aborted) throw new PipelineCancelled();
+
+    // ─── Context budget: condense or drop low-priority blocks of an oversized prompt ──
+    const fitted = fitPrompt(prompt, _promptLimit);
+    if (fitted.trimmed.length > 0) {
+        console.warn(`${agent.name} prompt trimmed from ~${fitted.before} to ~${fitted.tokens} tokens (limit ${_promptLimit}).`);
+        traceEvent('context', { agentId: agent.id, limit: _promptLimit, before: fitted.before, after: fitted.tokens, trimmed: fitted.trimmed });
+    }
+    let result = await call(fitted.text);
+
+    // ─── Output contract: one targeted repair before the output goes downstream ──
+    const problems = checkOutputContract(result, contract);
+    if (problems.length > 0) {
+        console.warn(`${agent.name} output breaks its contract (${problems.join('; ')}) — requesting a repair.`);
+        const repaired = await call(contractRepairPrompt(contract, result, problems));
+        const remaining = checkOutputContract(repaired, contract);
+        if (remaining.length < problems.length) result = repaired;
+        if (remaining.length > 0) console.warn(`${agent.name} output still breaks its contract after repair (${remaining.join('; ')}).`);
+        traceEvent('contract', { agentId: agent.id, problems, remaining });
+    }
+
     onAgentOutput(agent, result);
     return result;
 }
 
-// MAX_REVISIONS now comes from opts.maxRevisions (default 3)
+// Score thresholds and loop limits come from the quality policy (qualityPolicy.js)
 
 /**
  * Detect if an agent output contains a ⛔ REJECTION signal.
  * Returns { rejected: boolean, type: string|null }
  */
-function detectRejection(agentOutput) {
+export function detectRejection(agentOutput) {
     const text = agentOutput.toUpperCase();
     if (text.includes('⛔ SCIENTIFIC REJECTION') || text.includes('SCIENTIFIC REJECTION')) {
         return { rejected: true, type: 'SCIENTIFIC' };
@@ -97,7 +323,7 @@ function detectRejection(agentOutput) {
  * (biologically impossible / fundamentally unethical → kill immediately)
  * or RECOVERABLE (factual error / proportionality issue → ≤3 pivots).
  */
-function classifySeverity(agentOutput, rejectionType) {
+export function classifySeverity(agentOutput, rejectionType) {
     const upper = agentOutput.toUpperCase();
 
     // ── CATASTROPHIC patterns (immediate kill) ──
@@ -136,7 +362,7 @@ function classifySeverity(agentOutput, rejectionType) {
  *  - WARNING: Real person mentioned in a potentially negative fictional context (review recommended).
  *  - CRITICAL: Real person clearly attributed fictional scandal/harm/disgrace.
  */
-function classifyDefamation(text) {
+export function classifyDefamation(text) {
     // Real-person indicators (named individuals with titles/honorifics)
     const realPersonPatterns = [
         /(?:Sir |Dame |Dr\.? |Prof\.? |President |Director )[A-Z][a-z]+ [A-Z][a-z]+/g,
@@ -199,7 +425,7 @@ function classifyDefamation(text) {
  * Extract a numeric score from agent output (e.g., "Score: 72/100" or "Greenlight Score: 85/100").
  * Returns the score as a number, or null if not found.
  */
-function extractScore(agentOutput) {
+export function extractScore(agentOutput) {
     const patterns = [
         /Score:\s*(\d{1,3})\s*\/\s*100/i,
         /Greenlight\s*Score:\s*(\d{1,3})\s*\/\s*100/i,
@@ -213,19 +439,66 @@ function extractScore(agentOutput) {
 }
 
 /**
- * Run the full 6-phase multi-agent pipeline.
+ * Best-effort verdict from free text — for responses that never produced valid
+ * JSON and for reviews restored from a checkpoint (see renderVerdict).
+ * A missing score counts as 0 so an unreadable review never passes a gate.
+ * @param {string} text
+ * @param {'editor'|'gatekeeper'} kind
+ */
+export function scrapeVerdict(text, kind) {
+    const score = extractScore(text) ?? 0;
+    const upper = text.toUpperCase();
+    let decision;
+    if (kind === 'gatekeeper') {
+        if (upper.includes('BURN IT DOWN')) decision = 'BURN IT DOWN';
+        else if (upper.includes('REJECTED') && !upper.includes('GREENLIT')) decision = 'REJECTED';
+        else decision = score >= 80 ? 'GREENLIT' : score >= 60 ? 'GREENLIT WITH RESERVATIONS' : 'REJECTED';
+    } else {
+        const stated = text.match(/\*\*Decision:\*\*\s*(GREENLIGHT|REVISE|REJECT)\b/i);
+        decision = stated ? stated[1].toUpperCase() : score >= 85 ? 'GREENLIGHT' : score === 0 ? 'REJECT' : 'REVISE';
+    }
+    return { score, decision, mustFix: [], strengths: [], review: text };
+}
+
+/**
+ * Ask a reviewer (Commissioning Editor or Gatekeeper) for a JSON verdict.
+ * Invalid JSON gets one repair retry; if that fails too, the verdict is
+ * scraped from the text. The card is filled with the rendered verdict.
  *
- * @param {string} seedIdea — the user's seed idea
+ * @param {'editor'|'gatekeeper'} kind
+ * @param {object} agent
+ * @param {string|object} prompt — a string or a `budgeted` prompt
  * @param {object} cbs
- * @param {function} cbs.onPhaseStart — (phaseNumber, phaseName)
- * @param {function} cbs.onAgentThinking — (agent) — fired BEFORE the API call
- * @param {function} cbs.onAgentOutput — (agent, outputText) — fired AFTER the API call
- * @param {function} cbs.onPhaseComplete — (phaseNumber)
- * @param {object} [opts] — optional overrides
- * @param {string|null} [opts.platform] — target platform (e.g., 'Netflix')
- * @param {number|null} [opts.year] — target delivery year (when the show airs/streams)
- * @returns {Promise<string>} — the final Master Pitch Deck
+ * @param {object} [agentOpts] — as for agentStep
+ * @param {function} [step] — agentStep or a wrapper of it (e.g. the chaos mutator)
+ * @returns {Promise<{ verdict: object, text: string }>} text is the rendered markdown
  */
+export async function requestVerdict(kind, agent, prompt, cbs, agentOpts = {}, step = agentStep) {
+    // Half-written JSON is unreadable, so the card keeps "thinking" until the verdict is rendered
+    const quietCbs = { ...cbs, onAgentOutput() { } };
+    // Gemini rejects JSON mode combined with tools (Search grounding); the contract alone has to do there
+    const opts = agentOpts.tools?.length ? agentOpts : { ...agentOpts, responseFormat: 'json' };
+
+    let raw = await step(agent, appendToPrompt(prompt, `\n\n${verdictContract(kind)}`), quietCbs, opts);
+    let { verdict, error } = parseVerdict(raw, kind);
+    let source = 'json';
+    if (!verdict) {
+        console.warn(`${agent.name} verdict invalid (${error}) — requesting a repair.`);
+        raw = await step(agent, verdictRepairPrompt(kind, raw, error), { ...quietCbs, onAgentThinking() { } }, opts);
+        ({ verdict, error } = parseVerdict(raw, kind));
+        source = 'repaired';
+    }
+    if (!verdict) {
+        console.warn(`${agent.name} verdict still invalid after repair (${error}) — scraping the text instead.`);
+        verdict = scrapeVerdict(raw, kind);
+        source = 'scraped';
+    }
+    traceEvent('verdict', { agentId: agent.id, reviewer: kind, score: verdict.score, decision: verdict.decision, mustFix: verdict.mustFix, source });
+
+    const text = renderVerdict(verdict, kind);
+    cbs.onAgentOutput(agent, text);
+    return { verdict, text };
+}
 
 // ═══════════════════════════════════════════════════════
 // HANDS-FREE MODE: Genre Suggestion
@@ -245,10 +518,11 @@ export async function suggestGenres(seedIdea) {
     let narrativeContext = '';
     try {
         [knowledgeContext, narrativeContext] = await Promise.all([
-            retrieveContext(seedIdea),
-            retrieveNarrativeContext(),
+            retrieveContext(seedIdea, 5, { signal: pipelineSignal() }),
+            retrieveNarrativeContext(6, { signal: pipelineSignal() }),
         ]);
     } catch (e) {
+        throwIfCancelled();
         console.warn('Knowledge retrieval skipped for genre suggestion:', e.message);
     }
     const kbBlock = knowledgeContext
@@ -300,12 +574,13 @@ export async function suggestGenres(seedIdea) {
         const raw = await callAgent(
             GENRE_STRATEGIST.systemPrompt,
             prompt,
-            { tools: [{ googleSearch: {} }] }
+            { tools: [{ googleSearch: {} }], generation: GENRE_STRATEGIST.generation, agentId: GENRE_STRATEGIST.id, signal: pipelineSignal(), runId: _runId }
         );
         const genres = extractGenres(raw);
         if (genres) return genres;
         console.warn('Genre Strategist (grounded) returned unparseable response:', raw?.substring(0, 300));
     } catch (err) {
+        throwIfCancelled();
         if (err.name === 'AbortError') throw err;
         console.warn('Genre Strategist (grounded) call failed:', err.message);
     }
@@ -315,12 +590,13 @@ export async function suggestGenres(seedIdea) {
         const raw = await callAgent(
             GENRE_STRATEGIST.systemPrompt,
             prompt,
-            { tools: [] }
+            { tools: [], generation: GENRE_STRATEGIST.generation, agentId: GENRE_STRATEGIST.id, signal: pipelineSignal(), runId: _runId }
         );
         const genres = extractGenres(raw);
         if (genres) return genres;
         console.warn('Genre Strategist (plain) returned unparseable response:', raw?.substring(0, 300));
     } catch (err) {
+        throwIfCancelled();
         if (err.name === 'AbortError') throw err;
         console.warn('Genre Strategist (plain) call failed:', err.message);
     }
@@ -334,34 +610,21 @@ export async function suggestGenres(seedIdea) {
     ];
 }
 
-export async function runPipeline(seedIdea, cbs, opts = {}) {
-    const { platform = null, year = null, directive = null, checkpoint = null, maxRevisions = 3, genrePreference = null, chaosMode = 'precision', grandNarrativeMode = false } = opts;
-
-    // ─── Resume support: hydrate ctx from checkpoint and determine resume point ──
-    const ctx = checkpoint?.ctx ? { ...checkpoint.ctx, seedIdea } : { seedIdea };
-    const resumeAfter = checkpoint?.step || null;
-    const shouldSkip = (step) => {
-        if (!resumeAfter) return false;
-        const resumeIdx = PIPELINE_STEPS.indexOf(resumeAfter);
-        const stepIdx = PIPELINE_STEPS.indexOf(step);
-        return stepIdx >= 0 && stepIdx <= resumeIdx;
-    };
-
-    // Helper: save checkpoint after each major step (fire-and-forget)
-    const checkpoint_ = (step, phase) => {
-        saveCheckpoint({
-            seedIdea,
-            platform,
-            year,
-            directive,
-            genrePreference,
-            phase,
-            step,
-            ctx: { ...ctx },
-            startedAt: checkpoint?.startedAt,
-        });
-    };
+// ═══════════════════════════════════════════════════════
+// SHARED PIPELINE BUILDING BLOCKS
+// Used by runPipeline and by the graph executor (pipelineGraph.js)
+// ═══════════════════════════════════════════════════════
 
+/**
+ * Roll the chaos mode's mutations for one run and return an agent caller that
+ * applies them — prompt prefixes and temperature shifts. Mutation events are
+ * reported through cbs.onChaosEvent.
+ *
+ * @param {string} chaosMode — key of CHAOS_MODES ('precision' | 'exploration' | 'chaos')
+ * @param {object} cbs — pipeline callbacks
+ * @returns {{ chaosConfig: object, mutatedAgentStep: function }}
+ */
+export function createChaosSession(chaosMode, cbs) {
     // ─── CHAOS ENGINE: Mutation Setup ─────────────────────────
     const chaosConfig = CHAOS_MODES[chaosMode] || CHAOS_MODES.precision;
     let activeMutations = [];
@@ -388,396 +651,822 @@ export async function runPipeline(seedIdea, cbs, opts = {}) {
         }
     }
 
+    const temperatureOffsets = temperatureShifts(chaosConfig, activeMutations);
+
     // ─── CHAOS ENGINE: Mutated agent caller ───────────────────
-    // Wraps the standard agentStep to inject mutation prompts
+    // Wraps the standard agentStep to inject mutation prompts and sampling shifts
     async function mutatedAgentStep(agent, prompt, callbacks, agentOpts = {}) {
         const override = promptOverrides.get(agent.id);
-        if (override) {
-            const mutatedAgent = { ...agent, systemPrompt: override };
+        const shift = temperatureOffsets.get(agent.id);
+        if (override || shift) {
+            const mutatedAgent = {
+                ...agent,
+                systemPrompt: override || agent.systemPrompt,
+                generation: shiftTemperature(agent.generation, shift),
+            };
             return agentStep(mutatedAgent, prompt, callbacks, agentOpts);
         }
         return agentStep(agent, prompt, callbacks, agentOpts);
     }
 
-    // Build optional context strings
-    const platformNote = platform ? `\n\n🎯 TARGET PLATFORM: This pitch is being developed specifically for **${platform}**. Tailor all recommendations — tone, format, budget tier, episode structure — to ${platform}'s commissioning style and audience.\n` : '';
-    const yearNote = year ? `\n📅 TARGET DELIVERY YEAR: ${year}. This is the year the show will AIR/STREAM — not when it's filmed. Calibrate all market analysis, audience trends, competitive landscape, and narrative strategy to what will be relevant WHEN THIS LAUNCHES. Technology references should reflect what will be cutting-edge at delivery, not today.\n` : '';
-    const directiveNote = directive ? `\n\n🎯 CREATIVE DIRECTIVE (MANDATORY): ${directive}\nThis directive comes directly from the executive producer. ALL agents must incorporate this requirement into their analysis and output. It is non-negotiable.\n` : '';
-
-    // Genre preference mapping
-    const genreLabels = {
-        'scientific-procedural': 'Scientific Procedural — The "CSI" of ecology using eDNA, satellite tagging, and AI forensics',
-        'nature-noir': 'Nature Noir — Investigative "True Crime" for the planet, uncovering environmental crimes via forensic filmmaking',
-        'speculative-nh': 'Speculative Natural History — Science-grounded AI-generated "future-casts" of ecosystems under climate stress',
-        'urban-rewilding': 'Urban Rewilding — Wildlife adapting to industrial/urban ruins',
-        'biocultural-history': 'Biocultural History — Prestige essays exploring deep-time connection between landscapes and civilizations',
-        'blue-chip-2': 'Blue Chip 2.0 — Ultra-scarcity "Verified Real" captures of rare behaviors with zero human footprint',
-        'indigenous-wisdom': 'Indigenous Wisdom — Co-created narratives with traditional ecological knowledge (TEK)',
-        'ecological-biography': 'Ecological Biography — Decades-long "Deep Time" tracking of single organisms via autonomous units',
-        'extreme-micro': 'Extreme Micro — Visual "Alien" content using nano-tech and electron microscopy at the cellular level',
-        'astro-ecology': 'Astro-Ecology — "The Orbital View" using planetary data/satellites to show global system cycles',
-        'process-doc': 'The "Process" Doc — Meta-commentary on the difficulty and ethics of the shoot as proof-of-work',
-        'symbiotic-pov': 'Symbiotic POV — Extreme immersion via on-animal cameras and bio-logging data',
+    return { chaosConfig, mutatedAgentStep };
+}
+
+// Genre preference mapping
+export const GENRE_LABELS = {
+    'scientific-procedural': 'Scientific Procedural — The "CSI" of ecology using eDNA, satellite tagging, and AI forensics',
+    'nature-noir': 'Nature Noir — Investigative "True Crime" for the planet, uncovering environmental crimes via forensic filmmaking',
+    'speculative-nh': 'Speculative Natural History — Science-grounded AI-generated "future-casts" of ecosystems under climate stress',
+    'urban-rewilding': 'Urban Rewilding — Wildlife adapting to industrial/urban ruins',
+    'biocultural-history': 'Biocultural History — Prestige essays exploring deep-time connection between landscapes and civilizations',
+    'blue-chip-2': 'Blue Chip 2.0 — Ultra-scarcity "Verified Real" captures of rare behaviors with zero human footprint',
+    'indigenous-wisdom': 'Indigenous Wisdom — Co-created narratives with traditional ecological knowledge (TEK)',
+    'ecological-biography': 'Ecological Biography — Decades-long "Deep Time" tracking of single organisms via autonomous units',
+    'extreme-micro': 'Extreme Micro — Visual "Alien" content using nano-tech and electron microscopy at the cellular level',
+    'astro-ecology': 'Astro-Ecology — "The Orbital View" using planetary data/satellites to show global system cycles',
+    'process-doc': 'The "Process" Doc — Meta-commentary on the difficulty and ethics of the shoot as proof-of-work',
+    'symbiotic-pov': 'Symbiotic POV — Extreme immersion via on-animal cameras and bio-logging data',
+};
+
+const WILDLIFE_KEYWORDS = /\b(wildlife|animal|species|creature|fauna|beast|predator|prey|mammal|reptile|bird|insect|fish|amphibian|primate|carnivore|herbivore)\b/i;
+
+/**
+ * The guard slots of a run (see promptTemplates.js GUARD_SLOTS). The Narrative
+ * Mandate and the hero species are filled in as the run gets to them.
+ *
+ * @param {string} seedIdea — the user's seed idea
+ * @param {object} [opts] — { platform, year, directive, genrePreference, language }
+ */
+export function promptGuardValues(seedIdea, { platform = null, year = null, directive = null, genrePreference = null, language = null } = {}) {
+    const { code, name, sections } = outputLanguage(language);
+    const translated = code !== DEFAULT_LANGUAGE;
+    return {
+        seedIdea,
+        platform,
+        year,
+        directive,
+        genreLabel: genrePreference ? GENRE_LABELS[genrePreference] || genrePreference : null,
+        // A seed that asks for wildlife keeps an animal protagonist
+        wildlifeSeed: WILDLIFE_KEYWORDS.test(seedIdea),
+        mandateMenu: '',
+        mandateSelected: '',
+        heroSpecies: null,
+        outputLanguage: translated ? name : null,
+        sectionLabels: translated
+            ? PITCH_CARD_SECTIONS.map(section => `**${sections[section]}:** for ${section}`).join(', ')
+            : null,
     };
-    const genreLabel = genrePreference ? genreLabels[genrePreference] || genrePreference : null;
-    const genreNote = genreLabel
-        ? `\n🎭 GENRE LENS (USER-SELECTED): The user has requested the narrative be framed through a **${genreLabel}** genre lens. Prioritize this genre in your Layer 2 Cross-Genre Import analysis. Your Primary Narrative Form recommendation MUST use this genre lens. Still provide an Alternative Form using a DIFFERENT genre for contrast.\n`
-        : '';
+}
 
-    // ─── GENRE LOCK: Enforced across ALL agents when user selects a genre ──────
-    const genreLock = genreLabel
-        ? `\n\n🔒 GENRE LOCK (DEFAULT — USER-SELECTED FROM UI):\nThe user has locked this pitch to the **${genreLabel}** genre via the UI dropdown. This is the default genre unless the seed text explicitly specifies a different genre.\n- ALL narrative structure, tone, camera language, pacing, sound design, and scoring criteria MUST serve this genre.\n- Do NOT drift into survival thriller, underdog, or any other genre convention unless it IS the locked genre.\n- If you reference narrative techniques, they must come from the locked genre's playbook — not from generic wildlife documentary conventions.\n- The Market Analyst's Narrative Mandate is SUBORDINATE to this genre lock. If the Analyst recommended a different form, OVERRIDE it with the locked genre.\n- Violation of the genre lock will be flagged as GENRE DRIFT and rejected.\n- EXCEPTION: If the seed text explicitly names a different genre (e.g. "make this a comedy"), the seed text takes priority over this UI lock.\n`
-        : '';
-    // ─── SEED OVERRIDE RULE ──────────────────────────────────
-    // The seed text is the user's free-form creative input and is the HIGHEST
-    // priority source of truth.  If the seed explicitly specifies a genre,
-    // platform, delivery year, scientific premise, location, species, or any
-    // other production parameter, those seed-level directives MUST override the
-    // corresponding UI-derived settings (platform, year, genre dropdown, etc.).
-    const seedOverrideNote = `\n\n⚡ SEED OVERRIDE RULE: The user's seed text is the highest-priority creative brief. If the seed text explicitly specifies a genre, platform, delivery year, target audience, scientific premise, species, location, or any other production parameter, those directives OVERRIDE the corresponding UI settings below. The UI settings (platform, year, genre) are defaults — the seed text is the final word.\n`;
-
-    const optionsSuffix = seedOverrideNote + platformNote + yearNote + directiveNote + genreNote;
-
-    // Retrieve relevant knowledge from the vector store (no-op if empty)
-    // Two parallel queries: (1) topic-matched content, (2) narrative form signals
-    let knowledgeContext = '';
-    let narrativeContext = '';
-    try {
-        [knowledgeContext, narrativeContext] = await Promise.all([
-            retrieveContext(seedIdea),
-            retrieveNarrativeContext(),
-        ]);
-    } catch (e) {
-        console.warn('Knowledge retrieval skipped:', e.message);
+/**
+ * Build the guard and option blocks that are injected into agent prompts,
+ * rendered from the guard partials (see promptTemplates.js).
+ *
+ * @param {string} seedIdea — the user's seed idea
+ * @param {object} [opts] — { platform, year, directive, genrePreference, language }
+ * @returns {{ genreLabel: string|null, genreLock: string, optionsSuffix: string, seedAnchor: string, isWildlifeSeed: boolean, wildlifeFocusGuard: string, outputLanguageGuard: string, languageReviewGuard: string }}
+ */
+export function buildPromptGuards(seedIdea, opts = {}) {
+    const values = promptGuardValues(seedIdea, opts);
+    return {
+        genreLabel: values.genreLabel,
+        genreLock: renderGuard('genreLock', values),
+        optionsSuffix: renderGuard('options', values),
+        seedAnchor: renderGuard('seedAnchor', values),
+        isWildlifeSeed: values.wildlifeSeed,
+        wildlifeFocusGuard: renderGuard('wildlifeFocus', values),
+        outputLanguageGuard: renderGuard('outputLanguage', values),
+        languageReviewGuard: renderGuard('languageReview', values),
+    };
+}
+
+// ─── PATCH 5: Rule-Based Narrative Mandate ──────────────────────
+// Deterministic JS function (zero LLM calls). Merges Genre Strategist + Market Analyst
+// into a labeled 4-option menu. Auto-selects COLLISION unless Genre Lock overrides.
+export function buildNarrativeMandate(marketOutput, genreSuggestions, isGenreLocked, lockedGenreLabel) {
+    // Extract Market Analyst's narrative recommendation
+    const marketMatch = marketOutput.match(/(?:Narrative Strategy|Narrative Form|Recommended Form|Primary Recommendation)[^:]*:?\s*\**([^\n]+)/i);
+    const marketPick = marketMatch ? marketMatch[1].trim().replace(/\*+$/g, '').trim() : null;
+
+    // Extract Genre Strategist's top pick (first genre in the array)
+    const creativePick = (genreSuggestions && genreSuggestions.length > 0)
+        ? genreSuggestions[0].genreName
+        : null;
+
+    // Build the 4-option labeled menu
+    const options = [];
+    if (marketPick) options.push(`  • MARKET PICK: "${marketPick}" — recommended by the Market Analyst based on buyer slate gaps and trends.`);
+    if (creativePick) options.push(`  • CREATIVE PICK: "${creativePick}" — recommended by the Genre Strategist based on creative fit (market-blind).`);
+    if (marketPick && creativePick && marketPick !== creativePick) {
+        options.push(`  • COLLISION: Merge "${creativePick}" + "${marketPick}" — combine the creative novelty of the Genre Strategist with the market intelligence of the Analyst.`);
+    }
+    options.push(`  • SAFE DEFAULT: "Blue Chip 2.0" — classic prestige wildlife documentary format.`);
+
+    // Auto-select: Genre Lock wins, then COLLISION if available, else MARKET PICK
+    let selected;
+    if (isGenreLocked && lockedGenreLabel) {
+        selected = `GENRE LOCK OVERRIDE: "${lockedGenreLabel}" (user-selected from UI — supersedes all recommendations)`;
+    } else if (marketPick && creativePick && marketPick !== creativePick) {
+        selected = `COLLISION: "${creativePick}" × "${marketPick}"`;
+    } else if (marketPick) {
+        selected = `MARKET PICK: "${marketPick}"`;
+    } else if (creativePick) {
+        selected = `CREATIVE PICK: "${creativePick}"`;
+    } else {
+        selected = `SAFE DEFAULT: "Blue Chip 2.0"`;
     }
 
-    const kbBlock = knowledgeContext ? `\n\n${knowledgeContext}\n\n` : '';
+    return {
+        menuText: options.join('\n'),
+        selected,
+        narrativeForm: marketPick || creativePick || 'Blue Chip 2.0',
+    };
+}
 
-    // narrativeKbBlock is injected specifically into Market Analyst and Genre Strategist
-    // — the agents responsible for setting narrative form for all downstream agents
-    const narrativeKbBlock = narrativeContext
-        ? `\n\n${narrativeContext}\n\n⚡ NARRATIVE FORM MANDATE: The signals above are LIVE industry data on what narrative formats commissioners are actively buying, what formats are gaining momentum, and what is experiencing fatigue. Your Narrative Strategy Recommendation (Section 7) MUST be grounded in these signals — not generic assumptions. Reference specific format trends from the signals when justifying your recommended narrative form.\n\n`
-        : '';
+/**
+ * Render a buildNarrativeMandate() result as the binding prompt block.
+ */
+export function narrativeMandateBlock(mandateResult) {
+    return renderGuard('narrativeMandate', { mandateMenu: mandateResult.menuText, mandateSelected: mandateResult.selected });
+}
 
-    // ─── SEED FIDELITY GUARD ─────────────────────────────
-    // Prevents concept drift: every agent is anchored to the user's original idea
-    const seedAnchor = `\n⚠️ SEED FIDELITY — ABSOLUTE RULE: The user's original concept is the ANCHOR for this entire pipeline. Your job is to ENHANCE, RESEARCH, and DEEPEN this seed idea — NOT replace it with a different concept. If the user names a specific book, title, species, location, narrator, presenter, or visual approach, those are NON-NEGOTIABLE. You may add scientific depth, production detail, and creative texture, but the core concept must remain recognizably the user's idea. Do NOT pivot to a tangentially related but different topic just because your research surfaced it.\n\nOriginal seed: "${seedIdea}"\n`;
-
-    // ─── WILDLIFE FOCUS GUARD ────────────────────────────
-    // Detects when the user explicitly asks for wildlife/animal content and prevents
-    // the pipeline from drifting into a human-centric story.
-    const wildlifeKeywords = /\b(wildlife|animal|species|creature|fauna|beast|predator|prey|mammal|reptile|bird|insect|fish|amphibian|primate|carnivore|herbivore)\b/i;
-    const isWildlifeSeed = wildlifeKeywords.test(seedIdea);
-    const wildlifeFocusGuard = isWildlifeSeed
-        ? `\n\n🐾 WILDLIFE FOCUS GUARD — ACTIVE:
-The user explicitly requested a WILDLIFE story. This means:
-- The **protagonist** of this narrative MUST be an animal (species, individual, or population) — NOT a human.
-- Humans may appear as supporting context (researchers, conservationists, local communities) but they are NEVER the emotional center or dramatic protagonist.
-- The story's dramatic arc, tension, stakes, and resolution must belong to the ANIMAL — its survival, behavior, ecology, or journey.
-- Do NOT replace the wildlife narrative with a human-interest story that merely happens near animals (e.g., a deminer, a ranger, a scientist's personal journey). The human is the lens, the animal is the story.
-- If your research surfaces a compelling human angle that you believe is genuinely stronger than a wildlife-first approach, you MUST:
-  1. Still deliver the WILDLIFE-FIRST version as your primary output
-  2. Flag the human angle as: [HUMAN ANGLE SUGGESTED — AUTHOR APPROVAL REQUIRED] with a brief justification based on market trends
-- Violation of this guard will be flagged as WILDLIFE DRIFT and the output will be rejected.
-`
-        : '';
+// ─── PATCH 2: Context Compressor (rule-based, zero API calls) ──────
+// Builds a ~800 token XML <state_payload> for the Showrunner.
+// Full texts passed AFTER the payload as fallback.
+export function compressContext(editorReview, editorScoreNum, provocation, draft, mandate) {
+    const scoreStr = editorScoreNum !== null ? `${editorScoreNum}/100` : 'N/A';
+
+    // Extract MUST_FIX items (look for common rejection patterns)
+    const mustFixMatch = editorReview.match(/(?:must[- ]fix|fatal flaw|critical|major issue|fail)[^\n]*(?:\n[^#\n][^\n]*)*/gi);
+    const mustFix = mustFixMatch
+        ? mustFixMatch.map(m => m.trim()).slice(0, 5).join('\n  ')
+        : 'No explicit MUST_FIX items found.';
+
+    // Extract strengths
+    const strengthMatch = editorReview.match(/(?:strength|work(?:s|ing) well|standout|excellent|strong)[^\n]*(?:\n[^#\n][^\n]*)*/gi);
+    const strengths = strengthMatch
+        ? strengthMatch.map(m => m.trim()).slice(0, 3).join('\n  ')
+        : 'No explicit strengths extracted.';
+
+    // Extract draft outline (first 2-3 sentences per act)
+    const actMatches = draft.match(/(?:#{1,3}\s*)?(?:Act (?:I{1,3}|[1-3]|One|Two|Three))[^\n]*/gi);
+    let draftOutline = '';
+    if (actMatches) {
+        for (const actHeader of actMatches.slice(0, 3)) {
+            const actIdx = draft.indexOf(actHeader);
+            const actContent = draft.slice(actIdx, actIdx + 500);
+            const sentences = actContent.split(/(?<=[.!?])\s+/).slice(0, 3).join(' ');
+            draftOutline += `  ${sentences.substring(0, 200)}\n`;
+        }
+    }
+    if (!draftOutline) {
+        draftOutline = draft.substring(0, 300) + '...';
+    }
 
+    return `<state_payload>
+  <editor_verdict>
+<score>${scoreStr}</score>
+<must_fix>
+  ${mustFix}
+</must_fix>
+<strengths>
+  ${strengths}
+</strengths>
+  </editor_verdict>
+  <provocateur_challenge>
+${provocation || '  (No provocateur challenge this run.)'}
+  </provocateur_challenge>
+  <draft_outline>
+${draftOutline}
+  </draft_outline>
+  <narrative_mandate>${mandate.substring(0, 300)}</narrative_mandate>
+</state_payload>`;
+}
 
-    // ═══════════════════════════════════════════════════════
-    // PHASE 0 — DISCOVERY SCOUT
-    // Skipped in Grand Narrative Mode — story leads, science follows.
-    // ═══════════════════════════════════════════════════════
-    if (!grandNarrativeMode && !shouldSkip('discovery')) {
-        cbs.onPhaseStart(0, '🔬 Scouting Recent Discoveries');
+// Narrative strategy, platform fit and budget of a Market Mandate, ~1k characters
+function compactMarketMandate(mandate) {
+    const sections = [];
+    const narrativeSection = mandate.match(/(?:#{1,3}\s*(?:\d+[\.\\)]\s*)?(?:Narrative Strategy|Narrative Form|Narrative Architecture)[^\n]*\n)([\s\S]*?)(?=\n#{1,3}\s|\n\d+[\.\\)]\s[A-Z]|$)/i);
+    if (narrativeSection) sections.push('**Narrative Strategy:** ' + narrativeSection[1].trim().substring(0, 500));
+    const platformSection = mandate.match(/(?:#{1,3}\s*(?:\d+[\.\\)]\s*)?(?:Platform|Buyer|Target)[^\n]*\n)([\s\S]*?)(?=\n#{1,3}\s|\n\d+[\.\\)]\s[A-Z]|$)/i);
+    if (platformSection) sections.push('**Platform Fit:** ' + platformSection[1].trim().substring(0, 300));
+    const budgetSection = mandate.match(/(?:#{1,3}\s*(?:\d+[\.\\)]\s*)?(?:Budget)[^\n]*\n)([\s\S]*?)(?=\n#{1,3}\s|\n\d+[\.\\)]\s[A-Z]|$)/i);
+    if (budgetSection) sections.push('**Budget:** ' + budgetSection[1].trim().substring(0, 200));
+    return sections.length > 0 ? sections.join('\n\n') : mandate.substring(0, 1000) + '\n\n[… truncated for context efficiency]';
+}
 
-        let discoveryBrief = '';
+// ─── CONTEXT BLOCKS ──────────────────────────────────────────────────────
+// Pasted outputs in budgeted prompts, by priority (see contextBudget.js): the
+// background goes first, then supporting inputs; the material the agent is
+// working on is only ever condensed.
+const backgroundBlock = (label, text) => contextBlock(label, text, { priority: 1 });
+const inputBlock = (label, text) => contextBlock(label, text, { priority: 2 });
+const workBlock = (label, text) => contextBlock(label, text, { priority: 3, keep: true });
+
+// A Market Mandate condenses to its narrative strategy, platform fit and budget first
+const mandateBlock = (mandate) => contextBlock('Market Mandate', mandate, {
+    priority: 1,
+    condense: (text, maxTokens) => condenseText(compactMarketMandate(text), maxTokens),
+});
+
+// ─── DRIFT GATE ──────────────────────────────────────────────────────────
+// Binary checkpoint: validates the Discovery Brief is relevant to the seed.
+// Runs without Google Search (text comparison only — cheap and fast).
+// Every FAIL but the last re-scouts; the last one continues with a warning.
+/**
+ * @param {string} seedIdea — the user's seed idea
+ * @param {string} discoveryBrief — the Discovery Scout's output
+ * @param {object} deps
+ * @param {function} deps.step — (agent, prompt, cbs, agentOpts) caller, usually the chaos-mutated one
+ * @param {object} deps.cbs — pipeline callbacks
+ * @param {function} deps.rescout — (recommendation) => Promise<string>, re-runs the Scout after a FAIL
+ * @param {number} [deps.maxChecks] — Drift Gate checks allowed (the quality policy's drift.maxRounds)
+ * @returns {Promise<string>} the (possibly re-scouted or warning-prefixed) Discovery Brief
+ */
+export async function runDriftGate(seedIdea, discoveryBrief, { step, cbs, rescout, maxChecks = 2 }) {
+    let gateAttempts = 0;
+    let gatePassed = false;
+
+    while (gateAttempts < maxChecks && !gatePassed) {
+        gateAttempts++;
+        let gateRaw = '';
         try {
-            discoveryBrief = await mutatedAgentStep(
-                DISCOVERY_SCOUT,
-                `${seedAnchor}Search for recent scientific discoveries, novel behaviors, and new species related to: "${seedIdea}"${optionsSuffix}${genreLock}\n\nFocus on findings from the last 12 months that could make a wildlife documentary genuinely unprecedented.${genreLabel ? ` Prioritize discoveries relevant to the **${genreLabel}** genre lens.` : ''}\n\n⛔ ANTI-DRIFT RULE (CRITICAL): Your Discovery Brief must ONLY surface findings that DIRECTLY support the user's stated seed concept. If the seed names a specific presenter, host, or person (e.g., a YouTube creator, journalist, filmmaker), search for what THEY are known for and what subjects THEY cover — do NOT invent a random species or location they have never been associated with. If the seed names a specific species or location, your findings must be about THAT species or location — not a tangentially related one your search happened to surface. If you cannot find relevant discoveries for the exact seed concept, return a Null Result — do NOT substitute a different concept. A Discovery Brief that introduces a new species or location not present in the seed is a PIPELINE FAILURE.\n\nReturn a structured Discovery Brief.`,
-                cbs,
-                { tools: [{ googleSearch: {} }] }
+            gateRaw = await step(
+                DRIFT_GATE,
+                `Seed idea: "${seedIdea}"\n\nDiscovery Brief:\n${discoveryBrief}`,
+                cbs
+                // No Google Search — pure text comparison
             );
         } catch (e) {
-            console.warn('Discovery Scout skipped:', e.message);
-            discoveryBrief = '(Discovery Scout: No recent scientific discoveries found for this seed idea. Downstream agents should proceed using existing knowledge and the Market Analyst\'s own research. Do NOT treat this as a gap — it simply means no novel signals were found in the initial search.)';
+            if (e instanceof PipelineCancelled) throw e;
+            throwIfCancelled();
+            console.warn('Drift Gate error:', e.message);
+            traceEvent('drift-gate', { status: 'ERROR', attempt: gateAttempts, detail: e.message });
+            break; // If Gate itself fails, proceed without blocking
         }
-        ctx._discoveryBrief = discoveryBrief;
-        checkpoint_('discovery', 0);
-        cbs.onPhaseComplete(0);
-    }
-
-    let discoveryBrief = ctx._discoveryBrief || '';
-
-    // ─── DRIFT GATE ──────────────────────────────────────────────────────────
-    // Binary checkpoint: validates the Discovery Brief is relevant to the seed.
-    // Runs without Google Search (text comparison only — cheap and fast).
-    // Max 2 retries if FAIL, then continues with a warning.
-    if (discoveryBrief && !shouldSkip('discovery')) {
-        const MAX_GATE_RETRIES = 2;
-        let gateAttempts = 0;
-        let gatePassed = false;
 
-        while (gateAttempts < MAX_GATE_RETRIES && !gatePassed) {
-            gateAttempts++;
-            let gateRaw = '';
-            try {
-                gateRaw = await mutatedAgentStep(
-                    DRIFT_GATE,
-                    `Seed idea: "${seedIdea}"\n\nDiscovery Brief:\n${discoveryBrief}`,
-                    cbs
-                    // No Google Search — pure text comparison
-                );
-            } catch (e) {
-                console.warn('Drift Gate error:', e.message);
-                break; // If Gate itself fails, proceed without blocking
-            }
+        // Parse the JSON response
+        let gateResult = null;
+        try {
+            const jsonMatch = gateRaw.match(/\{[\s\S]*\}/);
+            if (jsonMatch) gateResult = JSON.parse(jsonMatch[0]);
+        } catch (e) {
+            console.warn('Drift Gate: could not parse JSON response, proceeding.');
+            traceEvent('drift-gate', { status: 'UNPARSEABLE', attempt: gateAttempts });
+            break;
+        }
 
-            // Parse the JSON response
-            let gateResult = null;
+        if (!gateResult) break;
+
+        if (gateResult.status === 'PASS') {
+            gatePassed = true;
+            console.log(`Drift Gate: PASS (${gateResult.confidence}) — ${gateResult.alignment_summary}`);
+            traceEvent('drift-gate', { status: 'PASS', attempt: gateAttempts, confidence: gateResult.confidence, detail: gateResult.alignment_summary });
+        } else if (gateResult.status === 'FAIL' && gateAttempts < maxChecks) {
+            // Re-run Scout with tighter constraints from Gate's recommendation
+            console.warn(`Drift Gate: FAIL (${gateResult.drift_type}) — ${gateResult.explanation}`);
+            traceEvent('drift-gate', { status: 'FAIL', attempt: gateAttempts, driftType: gateResult.drift_type, detail: gateResult.explanation, action: 're-scout' });
+            cbs.onPhaseStart(0, '🔬 Re-Scouting (Drift Gate triggered)');
             try {
-                const jsonMatch = gateRaw.match(/\{[\s\S]*\}/);
-                if (jsonMatch) gateResult = JSON.parse(jsonMatch[0]);
+                discoveryBrief = await rescout(gateResult.recommendation);
             } catch (e) {
-                console.warn('Drift Gate: could not parse JSON response, proceeding.');
+                console.warn('Scout re-run failed:', e.message);
                 break;
             }
-
-            if (!gateResult) break;
-
-            if (gateResult.status === 'PASS') {
-                gatePassed = true;
-                console.log(`Drift Gate: PASS (${gateResult.confidence}) — ${gateResult.alignment_summary}`);
-            } else if (gateResult.status === 'FAIL' && gateAttempts < MAX_GATE_RETRIES) {
-                // Re-run Scout with tighter constraints from Gate's recommendation
-                console.warn(`Drift Gate: FAIL (${gateResult.drift_type}) — ${gateResult.explanation}`);
-                cbs.onPhaseStart(0, '🔬 Re-Scouting (Drift Gate triggered)');
-                try {
-                    discoveryBrief = await mutatedAgentStep(
-                        DISCOVERY_SCOUT,
-                        `${seedAnchor}${gateResult.recommendation}\n\nSearch for recent scientific discoveries related to: "${seedIdea}"${optionsSuffix}${genreLock}\n\n⛔ ANTI-DRIFT RULE: Stay STRICTLY on the seed topic. The previous search drifted. Do NOT repeat that drift.\n\nReturn a structured Discovery Brief.`,
-                        cbs,
-                        { tools: [{ googleSearch: {} }] }
-                    );
-                    ctx._discoveryBrief = discoveryBrief;
-                } catch (e) {
-                    console.warn('Scout re-run failed:', e.message);
-                    break;
-                }
-                cbs.onPhaseComplete(0);
-            } else {
-                // Final FAIL after retries — log and continue with warning
-                console.warn(`Drift Gate: FAIL after ${gateAttempts} attempts. Proceeding with warning.`);
-                discoveryBrief = `⚠️ DRIFT GATE WARNING: The Discovery Brief may not be fully aligned with the seed idea. Downstream agents: treat the Brief as background context only — the seed is the anchor.\n\n${discoveryBrief}`;
-            }
+            cbs.onPhaseComplete(0);
+        } else {
+            // Final FAIL after retries — log and continue with warning
+            console.warn(`Drift Gate: FAIL after ${gateAttempts} attempts. Proceeding with warning.`);
+            traceEvent('drift-gate', { status: gateResult.status || 'FAIL', attempt: gateAttempts, driftType: gateResult.drift_type, detail: gateResult.explanation, action: 'proceed with warning' });
+            discoveryBrief = `⚠️ DRIFT GATE WARNING: The Discovery Brief may not be fully aligned with the seed idea. Downstream agents: treat the Brief as background context only — the seed is the anchor.\n\n${discoveryBrief}`;
         }
     }
-    // ⚠️ ANTI-DRIFT WARNING injected with every Discovery Brief:
-    // The Brief provides scientific depth — it must NOT be treated as a concept replacement.
-    // If the Brief introduces species or locations not present in the original seed, IGNORE those elements.
-    const discoveryBlock = grandNarrativeMode
+
+    return discoveryBrief;
+}
+
+/**
+ * Wrap the Discovery Brief (or the Grand Narrative Mode notice) for downstream prompts.
+ */
+export function buildDiscoveryBlock(discoveryBrief, grandNarrativeMode = false) {
+    return grandNarrativeMode
         ? `\n\n--- GRAND NARRATIVE MODE ---\n🌍 The Discovery Scout has been bypassed. This pipeline is operating in Grand Narrative Mode: the story leads, and science follows.\n\nDownstream agents: do NOT anchor the pitch to recent discoveries or "what was published in the last 12 months." Instead, build from the full depth of established science — deep time, evolutionary history, ecological systems, long-arc behavioral research. The narrative should feel timeless and monumental, not newsy.\n\nScience must still be hard-sourced. All specific claims (numbers, dates, species counts, named researchers, comparative superlatives) require verifiable sources. The difference is that those sources can be foundational texts, long-term studies, or established consensus — not just recent publications.\n\n--- END GRAND NARRATIVE MODE ---\n\n`
         : discoveryBrief
             ? `\n\n--- DISCOVERY BRIEF (Recent Scientific Findings) ---\n⚠️ DOWNSTREAM AGENTS: This Brief provides scientific depth to SUPPORT the seed idea. If it mentions species, locations, or concepts NOT present in the original seed, treat those as background context only — do NOT build your output around them. The seed is the anchor.\n\n${discoveryBrief}\n--- END DISCOVERY BRIEF ---\n\n`
             : '';
+}
 
-    // ═══════════════════════════════════════════════════════
-    // PHASE 1 — THE BRAINSTORM
-    // ═══════════════════════════════════════════════════════
-    if (!shouldSkip('marketMandate')) {
-        cbs.onPhaseStart(1, 'The Brainstorm');
+/**
+ * Render a Chaos Engine creative accident as a prompt block.
+ * @param {{layer: string, prompt: string, reference?: string}} accident — from generateAccident()
+ */
+export function buildAccidentBlock(accident) {
+    return `\n\n═══════════════════════════════════════════\n🎲 CREATIVE ACCIDENT (from the Chaos Engine)\n═══════════════════════════════════════════\n\nBefore you revise, consider this challenge. You don't HAVE to use it. But if it triggers something — if it opens a door you hadn't seen — follow it.\n\n**${accident.layer}${accident.reference ? ` — inspired by ${accident.reference}` : ''}**\n\n${accident.prompt}\n\n⚠️ SCIENCE FIREWALL: This accident may ONLY influence your narrative structure, tone, format, or storytelling approach. It must NEVER cause you to alter, exaggerate, or invent biological facts, animal behavior, or ecological science. The science is sacred — only the WAY you tell the story can change.\n\nRemember: you are free to ignore this. But the best revisions come from the collision of discipline and surprise.\n═══════════════════════════════════════════\n\n`;
+}
 
-        ctx.marketMandate = await mutatedAgentStep(
-            MARKET_ANALYST,
-            `${seedAnchor}The seed idea is: "${seedIdea}"${kbBlock}${narrativeKbBlock}${discoveryBlock}${optionsSuffix}Analyze this against current market trends. You MUST include: specific buyer slate gaps with platform names, 3 trend examples with series names and years, competitive differentiation against the top 3 closest existing titles, and a budget tier recommendation. Output your full Market Mandate.`,
-            cbs,
-            { tools: [{ googleSearch: {} }] }
+// ─── SPECIES DRIFT GUARD ─────────────────────────────
+/**
+ * Extract the hero species from the Scientist's output to enforce Zero Species Drift.
+ * Structured JSON extraction first, regex fallback.
+ * @returns {Promise<string|null>}
+ */
+export async function extractHeroSpecies(animalFactSheet, { phase = null } = {}) {
+    let heroSpecies = null;
+    try { // Fix 4: Structured Data (JSON) for Guards
+        const speciesExtraction = await callAgent(
+            'You are a strict data extractor. Read the provided text and identify the primary/hero animal species. Return ONLY valid JSON with a single key "primarySpecies" containing the name of the animal. Example: {"primarySpecies": "Snow Leopard"}',
+            animalFactSheet,
+            { responseFormat: 'json', agentId: 'species-extractor', signal: pipelineSignal(), runId: _runId, phase }
         );
-        checkpoint_('marketMandate', 1);
+        const parsed = JSON.parse(speciesExtraction);
+        if (parsed.primarySpecies && parsed.primarySpecies.toLowerCase() !== 'none') {
+            heroSpecies = parsed.primarySpecies;
+        }
+    } catch (e) {
+        throwIfCancelled();
+        console.warn('Structured species extraction failed, falling back to regex:', e.message);
+        const speciesMatch = animalFactSheet.match(/(?:Primary Species|Hero Species|Hero Animal)[^:]*:\s*\**([^(*\n]+)/i);
+        heroSpecies = speciesMatch ? speciesMatch[1].trim().replace(/\*+$/, '').trim() : null;
     }
+    return heroSpecies;
+}
 
-    // ─── PATCH 5: Rule-Based Narrative Mandate ──────────────────────
-    // Deterministic JS function (zero LLM calls). Merges Genre Strategist + Market Analyst
-    // into a labeled 4-option menu. Auto-selects COLLISION unless Genre Lock overrides.
-    function buildNarrativeMandate(marketOutput, genreSuggestions, isGenreLocked, lockedGenreLabel) {
-        // Extract Market Analyst's narrative recommendation
-        const marketMatch = marketOutput.match(/(?:Narrative Strategy|Narrative Form|Recommended Form|Primary Recommendation)[^:]*:?\s*\**([^\n]+)/i);
-        const marketPick = marketMatch ? marketMatch[1].trim().replace(/\*+$/g, '').trim() : null;
-
-        // Extract Genre Strategist's top pick (first genre in the array)
-        const creativePick = (genreSuggestions && genreSuggestions.length > 0)
-            ? genreSuggestions[0].genreName
-            : null;
-
-        // Build the 4-option labeled menu
-        const options = [];
-        if (marketPick) options.push(`  • MARKET PICK: "${marketPick}" — recommended by the Market Analyst based on buyer slate gaps and trends.`);
-        if (creativePick) options.push(`  • CREATIVE PICK: "${creativePick}" — recommended by the Genre Strategist based on creative fit (market-blind).`);
-        if (marketPick && creativePick && marketPick !== creativePick) {
-            options.push(`  • COLLISION: Merge "${creativePick}" + "${marketPick}" — combine the creative novelty of the Genre Strategist with the market intelligence of the Analyst.`);
-        }
-        options.push(`  • SAFE DEFAULT: "Blue Chip 2.0" — classic prestige wildlife documentary format.`);
-
-        // Auto-select: Genre Lock wins, then COLLISION if available, else MARKET PICK
-        let selected;
-        if (isGenreLocked && lockedGenreLabel) {
-            selected = `GENRE LOCK OVERRIDE: "${lockedGenreLabel}" (user-selected from UI — supersedes all recommendations)`;
-        } else if (marketPick && creativePick && marketPick !== creativePick) {
-            selected = `COLLISION: "${creativePick}" × "${marketPick}"`;
-        } else if (marketPick) {
-            selected = `MARKET PICK: "${marketPick}"`;
-        } else if (creativePick) {
-            selected = `CREATIVE PICK: "${creativePick}"`;
-        } else {
-            selected = `SAFE DEFAULT: "Blue Chip 2.0"`;
-        }
+/**
+ * Render the species lock injected into Story Producer prompts.
+ */
+export function buildSpeciesGuard(heroSpecies) {
+    return renderGuard('speciesGuard', { heroSpecies });
+}
 
-        return {
-            menuText: options.join('\n'),
-            selected,
-            narrativeForm: marketPick || creativePick || 'Blue Chip 2.0',
-        };
+// ─── USAGE METERING ──────────────────────────────────
+/**
+ * Callbacks that remember the phase they last started, for agentStep to send
+ * with each call. Steps that run side by side each get their own copy, so a
+ * call is credited to its step's phase, not to whichever phase started last;
+ * a copy starts in its parent's current phase.
+ * @param {object} cbs — pipeline callbacks
+ * @returns {object} cbs with `phase: { number, name } | null`
+ */
+export function phaseScope(cbs) {
+    const scoped = {
+        ...cbs,
+        phase: cbs.phase ?? null,
+        onPhaseStart(phaseNumber, phaseName) {
+            scoped.phase = { number: phaseNumber, name: phaseName };
+            cbs.onPhaseStart(phaseNumber, phaseName);
+        },
+    };
+    return scoped;
+}
+
+/**
+ * Run a pipeline with a fresh usage meter: totals per agent and per phase (the
+ * phase each call carries), reports them through cbs.onUsage, and arms the budget check in agentStep. Only calls
+ * tagged with this run's id are counted. The budget's maxPromptTokens sets the
+ * run's prompt limit (default DEFAULT_PROMPT_TOKENS).
+ *
+ * @param {object} cbs — pipeline callbacks
+ * @param {object|null} budget — { maxTokens, maxCostUsd, maxPromptTokens }
+ * @param {function} run — (cbs) => Promise
+ */
+export async function withUsageMeter(cbs, budget, run) {
+    const meter = createUsageMeter(budget);
+    const runId = `run-${++_runCount}`;
+    const previous = _usageMeter;
+    const previousLimit = _promptLimit;
+    const previousRunId = _runId;
+    _usageMeter = meter;
+    _promptLimit = budget?.maxPromptTokens || DEFAULT_PROMPT_TOKENS;
+    _runId = runId;
+    const unsubscribe = onAgentUsage((report) => {
+        if (report.runId !== runId) return;
+        meter.record(report);
+        cbs.onUsage?.(meter.snapshot());
+    });
+    try {
+        return await run(cbs);
+    } finally {
+        unsubscribe();
+        _usageMeter = previous;
+        _promptLimit = previousLimit;
+        _runId = previousRunId;
     }
+}
 
-    // Retrieve genre suggestions from context (already run in Phase 0 or via opts)
-    const genreSuggestions = ctx._genreSuggestions || opts._genreSuggestions || null;
-    const isGenreLocked = !!genreLabel;
-    const mandateResult = buildNarrativeMandate(ctx.marketMandate, genreSuggestions, isGenreLocked, genreLabel);
-    const narrativeForm = mandateResult.narrativeForm;
-    const narrativeMandate = `\n\n🎭 NARRATIVE MANDATE (BINDING — rule-based, zero API calls):\n\nAvailable narrative forms:\n${mandateResult.menuText}\n\n✅ SELECTED: ${mandateResult.selected}\n\nALL agents MUST respect this form. Do NOT default to survival thriller unless this IS the selected form. Your output — structure, tone, camera language, pacing, and scoring criteria — must serve this narrative form, not a generic thriller template.\n`;
+// One-line summaries of chaos events for the trace
+const CHAOS_EVENT_SUMMARIES = {
+    mutation: (data) => `${data.targetAgent} is now ${data.mutation?.name}`,
+    fatalQuestion: (data) => data.fatalQuestion,
+    accident: (data) => data.layer,
+};
 
-    // ─── PARALLEL RESEARCH: Chief Scientist + Field Producer ──────
-    // Both agents receive the Market Mandate but work independently.
-    // The Producer works from the seed text (no fact sheet yet) for speed.
-    const needScientist = !shouldSkip('animalFactSheet');
-    const needProducer = !shouldSkip('logisticsBreakdown');
+/**
+ * Run a pipeline with a trace recorder attached (see trace.js). Every agent
+ * call, phase change, chaos event and traceEvent() lands on the trace, which
+ * is handed to cbs.onTrace when the run ends — completed, cancelled or failed.
+ * Runs inside withUsageMeter: only calls tagged with its run id are recorded.
+ * Calls are labelled with the phase they carry; events with the phase last started.
+ *
+ * @param {object} cbs — pipeline callbacks
+ * @param {object} meta — stored on the trace (seed idea, mode, options)
+ * @param {function} run — (tracedCbs) => Promise
+ */
+export async function withRunTrace(cbs, meta, run) {
+    const recorder = createTraceRecorder(meta);
+    const previous = _trace;
+    _trace = recorder;
+    const runId = _runId;
+    const unsubscribe = onAgentCall((report) => {
+        if (report.runId === runId) recorder.recordCall(report);
+    });
+    const tracedCbs = phaseScope({
+        ...cbs,
+        onPhaseStart(phaseNumber, phaseName) {
+            recorder.setPhase(phaseNumber, phaseName);
+            cbs.onPhaseStart(phaseNumber, phaseName);
+        },
+        ...(cbs.onChaosEvent && {
+            onChaosEvent(type, data) {
+                recorder.recordEvent('chaos', { eventType: type, summary: CHAOS_EVENT_SUMMARIES[type]?.(data) ?? null });
+                cbs.onChaosEvent(type, data);
+            },
+        }),
+    });
+    try {
+        const result = await run(tracedCbs);
+        recorder.finish('complete');
+        return result;
+    } catch (err) {
+        recorder.finish(err instanceof PipelineCancelled ? 'cancelled' : 'failed', err);
+        throw err;
+    } finally {
+        unsubscribe();
+        _trace = previous;
+        cbs.onTrace?.(recorder.trace);
+    }
+}
 
-    if (needScientist && needProducer) {
-        const [scientistResult, producerResult] = await Promise.all([
-            mutatedAgentStep(
-                CHIEF_SCIENTIST,
-                `${seedAnchor}The seed idea is: "${seedIdea}"${kbBlock}${discoveryBlock}${optionsSuffix}${genreLock}${narrativeMandate}Here is the Market Mandate from the Market Analyst:\n\n${ctx.marketMandate}\n\nBased on this, propose novel animal behaviors with peer-reviewed citations. You MUST include: the primary species with scientific name and biological mechanism, a mandatory B-Story backup species, exact location/seasonality, ethical considerations, and the visual payoff. Output your full Animal Fact Sheet.`,
-                cbs,
-                { tools: [{ googleSearch: {} }] }
-            ),
-            mutatedAgentStep(
-                FIELD_PRODUCER,
-                `${seedAnchor}The seed idea is: "${seedIdea}"${kbBlock}${genreLock}${narrativeMandate}\n\nHere is the Market Mandate from the Market Analyst:\n\n${ctx.marketMandate}\n\nYou are running IN PARALLEL with the Chief Scientist — you do not yet have their Animal Fact Sheet. Assess production feasibility based on the seed idea and the Market Mandate. Focus on the species, location, and behavior described in the seed text. If specific scientific details are ambiguous, make reasonable production assumptions and flag them.\n\nAssess the feasibility with PRODUCER-GRADE specificity. You MUST include: exact camera equipment with model names, crew composition, shoot duration with seasonal windows, itemized budget estimate with actual dollar ranges, permit requirements, risk/contingency plans, and a Unicorn Test probability score. Your equipment, crew, and shooting approach recommendations MUST serve the declared genre — different genres demand different production setups. Output your full Logistics & Feasibility Breakdown.`,
-                cbs
-            )
-        ]);
-        ctx.animalFactSheet = scientistResult;
-        ctx.logisticsBreakdown = producerResult;
-        checkpoint_('animalFactSheet', 1);
-        checkpoint_('logisticsBreakdown', 1);
-    } else if (needScientist) {
-        ctx.animalFactSheet = await mutatedAgentStep(
-            CHIEF_SCIENTIST,
-            `${seedAnchor}The seed idea is: "${seedIdea}"${kbBlock}${discoveryBlock}${optionsSuffix}${genreLock}${narrativeMandate}Here is the Market Mandate from the Market Analyst:\n\n${ctx.marketMandate}\n\nBased on this, propose novel animal behaviors with peer-reviewed citations. You MUST include: the primary species with scientific name and biological mechanism, a mandatory B-Story backup species, exact location/seasonality, ethical considerations, and the visual payoff. Output your full Animal Fact Sheet.`,
-            cbs,
-            { tools: [{ googleSearch: {} }] }
-        );
-        checkpoint_('animalFactSheet', 1);
-    } else if (needProducer) {
-        ctx.logisticsBreakdown = await mutatedAgentStep(
-            FIELD_PRODUCER,
-            `${seedAnchor}The seed idea is: "${seedIdea}"${kbBlock}${genreLock}${narrativeMandate}\n\nHere is the Animal Fact Sheet from the Chief Scientist:\n\n${ctx.animalFactSheet}\n\nAssess the feasibility with PRODUCER-GRADE specificity. You MUST include: exact camera equipment with model names, crew composition, shoot duration with seasonal windows, itemized budget estimate with actual dollar ranges, permit requirements, risk/contingency plans, and a Unicorn Test probability score. Your equipment, crew, and shooting approach recommendations MUST serve the declared genre — different genres demand different production setups. Output your full Logistics & Feasibility Breakdown.`,
-            cbs
-        );
-        checkpoint_('logisticsBreakdown', 1);
+/**
+ * Run the full 6-phase multi-agent pipeline (7 phases in series mode).
+ *
+ * @param {string} seedIdea — the user's seed idea
+ * @param {object} cbs
+ * @param {function} cbs.onPhaseStart — (phaseNumber, phaseName)
+ * @param {function} cbs.onAgentThinking — (agent) — fired BEFORE the API call
+ * @param {function} cbs.onAgentOutput — (agent, outputText, { partial }?) — streamed drafts carry partial: true; the final call has no flag
+ * @param {function} cbs.onPhaseComplete — (phaseNumber)
+ * @param {function} [cbs.onUsage] — (usage) — running token/cost totals after each call (see usage.js)
+ * @param {function} [cbs.onStepComplete] — (step, ctx) — a PIPELINE_STEPS step finished; ctx is a copy of the context so far
+ * @param {function} [cbs.onTrace] — (trace) — the run's trace (see trace.js), once it completes, fails or is cancelled
+ * @param {object} [opts] — optional overrides
+ * @param {string|null} [opts.platform] — target platform (e.g., 'Netflix')
+ * @param {number|null} [opts.year] — target delivery year (when the show airs/streams)
+ * @param {{maxTokens?: number, maxCostUsd?: number, maxPromptTokens?: number}|null} [opts.budget] — stop with BudgetExceeded once
+ *   reached; maxPromptTokens caps each prompt, condensing pasted context to fit (see contextBudget.js)
+ * @param {object} [opts.checkpoint] — resume point: a saved checkpoint, or a branch from branchCheckpoint()
+ * @param {string} [opts.runId] — checkpoint id to save under (default: the resumed checkpoint's, else a new one)
+ * @param {string|null} [opts.batchId] — hands-free batch the run belongs to, stored on its checkpoint
+ * @param {string[]} [opts.approvalGates] — APPROVAL_GATES steps to pause after; needs cbs.onApprovalGate
+ * @param {number} [opts.concurrency] — most steps to run at once (default DEFAULT_STEP_CONCURRENCY); 1 runs them one by one
+ * @param {string|object|null} [opts.qualityPolicy] — quality profile name or policy (see resolveQualityPolicy; default 'standard')
+ * @param {number|null} [opts.maxRevisions] — overrides the policy's revision rounds for the science, ethics, quality and Gatekeeper loops
+ * @param {{episodes: number, runtime: number|null}|null} [opts.series] — series mode (see parseSeriesFormat): adds Phase 7,
+ *   an episode-by-episode architecture checked by the Commissioning Editor and delivered after the pitch card
+ * @param {object[]} [opts.customAgents] — custom agent definitions to run at their hook points (see customAgents.js)
+ * @param {string|null} [opts.language] — output language code (see outputLanguage.js): the Story Producer, Showrunner
+ *   and Gatekeeper work in it, the research agents in English; null for English
+ * @param {function} [cbs.onApprovalGate] — ({ step, label, phase, text }) → Promise<{ text?, directive? }|undefined>;
+ *   resolve with edited text and/or a directive to change what downstream agents see, or nothing to approve as-is
+ * @returns {Promise<string>} — the final Master Pitch Deck (followed by the series architecture in series mode)
+ */
+export async function runPipeline(seedIdea, cbs, opts = {}) {
+    const { budget, checkpoint, ...options } = opts;
+    return withUsageMeter(cbs, budget, (meteredCbs) => withRunTrace(meteredCbs, { seedIdea, mode: 'seed', resumedFrom: checkpoint?.step ?? null, options },
+        (tracedCbs) => runSeedPipeline(seedIdea, tracedCbs, opts)));
+}
+
+async function runSeedPipeline(seedIdea, cbs, opts) {
+    const { platform = null, year = null, directive = null, checkpoint = null, maxRevisions = null, qualityPolicy = null, genrePreference = null, chaosMode = 'precision', grandNarrativeMode = false, approvalGates = [], concurrency = DEFAULT_STEP_CONCURRENCY, series = null, customAgents = [], language = null } = opts;
+    const policy = resolveQualityPolicy(qualityPolicy, { maxRevisions });
+    const { gates } = policy;
+    const specialists = customAgents.map(def => customAgentPersona(normalizeCustomAgent(def)));
+    const duplicate = specialists.find((agent, i) => specialists.findIndex(a => a.id === agent.id) !== i);
+    if (duplicate) throw new Error(`Custom agent "${duplicate.id}" is listed twice`);
+    // Resumed runs keep writing to their own checkpoint; branches and new runs get a fresh one
+    const runId = opts.runId || checkpoint?.id || createRunId();
+    const batchId = opts.batchId ?? checkpoint?.batchId ?? null;
+
+    // ─── Resume support: hydrate ctx from checkpoint and determine resume point ──
+    // Steps can finish out of order, so a resumed run skips exactly the steps
+    // whose output the checkpoint holds rather than everything up to its step.
+    const ctx = checkpoint?.ctx ? { ...checkpoint.ctx, seedIdea } : { seedIdea };
+    const resumeAfter = checkpoint?.step || null;
+    const resumed = new Set(PIPELINE_STEPS.filter(step => ctx[stepOutputKey(step)] !== undefined));
+    const shouldSkip = (step) => resumed.has(step);
+
+    // Helper: save checkpoint after each major step (fire-and-forget)
+    let lastSaved = { step: resumeAfter, phase: checkpoint?.phase ?? null };
+    const checkpoint_ = (step, phase, extra = {}) => {
+        lastSaved = { step, phase };
+        cbs.onStepComplete?.(step, { ...ctx });
+        return saveCheckpoint({
+            runId,
+            batchId,
+            seedIdea,
+            platform,
+            year,
+            directive,
+            genrePreference,
+            maxRevisions,
+            qualityPolicy: policy,
+            chaosMode,
+            grandNarrativeMode,
+            approvalGates,
+            series,
+            customAgents,
+            language,
+            phase,
+            step,
+            ctx: { ...ctx },
+            startedAt: checkpoint?.startedAt,
+            ...extra,
+        });
+    };
+
+    // ─── Approval gates: pause for the user to approve, edit, or redirect ──
+    // Approved steps are recorded in ctx, so a resumed run only re-opens the
+    // gate it was paused at.
+    ctx._approved = [...(ctx._approved || [])];
+    const awaitApproval = async (step) => {
+        const gate = APPROVAL_GATES.find(g => g.step === step);
+        if (!approvalGates.includes(step) || !cbs.onApprovalGate || ctx._approved.includes(step) || !ctx[step]) return;
+
+        // Persist the paused state before waiting, so it survives a reload
+        await checkpoint_(lastSaved.step, lastSaved.phase, { pendingApproval: step });
+        const decision = await untilCancelled(cbs.onApprovalGate({ ...gate, text: ctx[step] })) || {};
+
+        const edited = typeof decision.text === 'string' && decision.text.trim() !== '' && decision.text.trim() !== ctx[step];
+        traceEvent('approval', { step, edited, directive: decision.directive?.trim() || null });
+        if (typeof decision.text === 'string' && decision.text.trim()) ctx[step] = decision.text.trim();
+        if (decision.directive?.trim()) {
+            ctx[step] += `\n\n### 🧑 Reviewer Directive (from the user — takes priority)\n${decision.directive.trim()}`;
+        }
+        ctx._approved.push(step);
+        checkpoint_(lastSaved.step, lastSaved.phase);
+    };
+
+    const { chaosConfig, mutatedAgentStep } = createChaosSession(chaosMode, cbs);
+    // The guard slots; analyzeMarket and guardSpecies fill in the Narrative
+    // Mandate and the hero species
+    const guardValues = promptGuardValues(seedIdea, { platform, year, directive, genrePreference, language });
+    const { genreLabel } = guardValues;
+
+    // A step's prompt, rendered from its template (see stepTemplates.js); the
+    // trace records which guards it carried
+    function stepPrompt(template, slots = {}) {
+        const { prompt, guards } = renderTemplate(template, { ...guardValues, ...slots });
+        traceEvent('guards', { template, guards });
+        return prompt;
     }
 
-    // ─── SCIENCE GATE: Severity-classified pivot loop (Patch 4) ──────
-    const sciRejection = detectRejection(ctx.animalFactSheet);
-    let scienceAttempts = 0;
-    if (sciRejection.rejected) {
-        const sciSeverity = classifySeverity(ctx.animalFactSheet, 'SCIENTIFIC');
-
-        if (sciSeverity === 'CATASTROPHIC') {
-            // FAIL-FAST: Biologically impossible seed → kill immediately with user-facing memo
-            cbs.onPhaseStart(1, '💀 CATASTROPHIC — Seed is biologically impossible');
-            const killMemo = `## ⛔ PIPELINE KILLED — CATASTROPHIC SCIENTIFIC FAILURE\n\nThe Chief Scientist has determined that this seed idea is **biologically impossible**. No amount of iteration can fix a fundamentally broken premise.\n\n### Scientist's Assessment:\n${ctx.animalFactSheet}\n\n### Original Seed:\n"${seedIdea}"\n\n**Action:** Please revise your seed idea with a scientifically valid premise and try again.`;
-            cbs.onPhaseComplete(1);
-            clearCheckpoint();
-            return killMemo;
+    // Values the steps hand to each other besides ctx — see the step graph at the end
+    let kbBlock = '';
+    let narrativeKbBlock = '';
+    let discoveryBlock = '';
+    // Structured verdict of the latest editor review (scraped back from the text on resume)
+    let greenlightVerdict = null;
+    let editorScore = null;
+    let killMemo = null;
+
+    async function retrieveKnowledge(cbs) {
+        // Retrieve relevant knowledge from the vector store (no-op if empty)
+        // Two parallel queries: (1) topic-matched content, (2) narrative form signals
+        let knowledgeContext = '';
+        let narrativeContext = '';
+        try {
+            [knowledgeContext, narrativeContext] = await Promise.all([
+                retrieveContext(seedIdea, 5, { signal: pipelineSignal() }),
+                retrieveNarrativeContext(6, { signal: pipelineSignal() }),
+            ]);
+        } catch (e) {
+            throwIfCancelled();
+            console.warn('Knowledge retrieval skipped:', e.message);
         }
 
-        // RECOVERABLE: ≤3 pivots
-        while (detectRejection(ctx.animalFactSheet).rejected && scienceAttempts < maxRevisions) {
-            scienceAttempts++;
-            cbs.onPhaseStart(1, `🔄 Science Pivot — Attempt ${scienceAttempts}/${maxRevisions}`);
+        kbBlock = knowledgeContext ? `\n\n${knowledgeContext}\n\n` : '';
 
-            ctx.animalFactSheet = await mutatedAgentStep(
-                CHIEF_SCIENTIST,
-                `## SCIENCE PIVOT REQUIRED
-${genreLock}
-Your previous assessment flagged this idea as scientifically problematic:
+        // narrativeKbBlock is injected specifically into Market Analyst and Genre Strategist
+        // — the agents responsible for setting narrative form for all downstream agents
+        narrativeKbBlock = narrativeContext
+            ? `\n\n${narrativeContext}\n\n⚡ NARRATIVE FORM MANDATE: The signals above are LIVE industry data on what narrative formats commissioners are actively buying, what formats are gaining momentum, and what is experiencing fatigue. Your Narrative Strategy Recommendation (Section 7) MUST be grounded in these signals — not generic assumptions. Reference specific format trends from the signals when justifying your recommended narrative form.\n\n`
+            : '';
+    }
 
-### Your Rejection:
-${ctx.animalFactSheet}
+    // ═══════════════════════════════════════════════════════
+    // PHASE 0 — DISCOVERY SCOUT
+    // Skipped in Grand Narrative Mode — story leads, science follows.
+    // ═══════════════════════════════════════════════════════
+    async function scoutDiscoveries(cbs) {
+        if (!grandNarrativeMode && !shouldSkip('discovery')) {
+            cbs.onPhaseStart(0, '🔬 Scouting Recent Discoveries');
 
-### Original Seed Idea:
-"${seedIdea}"
+            let discoveryBrief = '';
+            try {
+                discoveryBrief = await mutatedAgentStep(
+                    DISCOVERY_SCOUT,
+                    stepPrompt('discovery'),
+                    cbs,
+                    { tools: [{ googleSearch: {} }] }
+                );
+            } catch (e) {
+                if (e instanceof PipelineCancelled) throw e;
+                throwIfCancelled();
+                console.warn('Discovery Scout skipped:', e.message);
+                discoveryBrief = '(Discovery Scout: No recent scientific discoveries found for this seed idea. Downstream agents should proceed using existing knowledge and the Market Analyst\'s own research. Do NOT treat this as a gap — it simply means no novel signals were found in the initial search.)';
+            }
+            ctx._discoveryBrief = discoveryBrief;
+            checkpoint_('discovery', 0);
+            cbs.onPhaseComplete(0);
+        }
 
-### Market Context:
-${ctx.marketMandate}
+        let discoveryBrief = ctx._discoveryBrief || '';
 
-The pipeline does NOT kill ideas — it ITERATES them. Your job now:
+        // ─── DRIFT GATE ──────────────────────────────────────────────────────────
+        if (discoveryBrief && !shouldSkip('discovery') && gates.drift.enabled) {
+            discoveryBrief = await runDriftGate(seedIdea, discoveryBrief, {
+                step: mutatedAgentStep,
+                cbs,
+                maxChecks: gates.drift.maxRounds,
+                rescout: async (recommendation) => {
+                    const brief = await mutatedAgentStep(
+                        DISCOVERY_SCOUT,
+                        stepPrompt('rescout', { recommendation }),
+                        cbs,
+                        { tools: [{ googleSearch: {} }] }
+                    );
+                    ctx._discoveryBrief = brief;
+                    return brief;
+                },
+            });
+        }
+        // ⚠️ ANTI-DRIFT WARNING injected with every Discovery Brief:
+        // The Brief provides scientific depth — it must NOT be treated as a concept replacement.
+        // If the Brief introduces species or locations not present in the original seed, IGNORE those elements.
+        discoveryBlock = buildDiscoveryBlock(discoveryBrief, grandNarrativeMode);
+    }
 
-1. **Identify what IS scientifically valid** in the seed idea — what elements can be preserved?
-2. **Propose the CLOSEST viable alternative** — keep the spirit/theme of the original idea but make it scientifically sound. If the user wanted "deep ocean survival," find a real deep ocean survival behavior. If they wanted "predator-prey in the Arctic," find one that exists.
-3. **Maintain the user's intent** — they chose this topic for a reason. Don't pivot to something completely unrelated.
-4. **Produce a complete Animal Fact Sheet** with all required sections (Primary Species, Antagonist, Vulnerability Window, Novelty, B-Story, Biome, Ethics, Visual Payoff)${genreLabel ? `
-5. **Respect the genre lock** — your proposed alternative MUST serve the **${genreLabel}** genre. Select behaviors and framing that fit this genre's conventions.` : ''}
+    // ═══════════════════════════════════════════════════════
+    // PHASE 1 — THE BRAINSTORM
+    // ═══════════════════════════════════════════════════════
+    async function analyzeMarket(cbs) {
+        if (!shouldSkip('marketMandate')) {
+            cbs.onPhaseStart(1, 'The Brainstorm');
 
-You are a CREATIVE SCIENTIST, not a gatekeeper. Find a way to make it work.`,
+            ctx.marketMandate = await mutatedAgentStep(
+                MARKET_ANALYST,
+                stepPrompt('marketMandate', {
+                    kb: backgroundBlock('Knowledge Base', kbBlock),
+                    narrativeKb: backgroundBlock('Narrative Form Signals', narrativeKbBlock),
+                    discovery: inputBlock('Discovery Brief', discoveryBlock),
+                }),
                 cbs,
                 { tools: [{ googleSearch: {} }] }
             );
+            checkpoint_('marketMandate', 1);
+        }
+        await awaitApproval('marketMandate');
+
+        // Retrieve genre suggestions from context (already run in Phase 0 or via opts)
+        const genreSuggestions = ctx._genreSuggestions || opts._genreSuggestions || null;
+        const isGenreLocked = !!genreLabel;
+        const mandateResult = buildNarrativeMandate(ctx.marketMandate, genreSuggestions, isGenreLocked, genreLabel);
+        guardValues.mandateMenu = mandateResult.menuText;
+        guardValues.mandateSelected = mandateResult.selected;
+    }
+
+    // ─── PARALLEL RESEARCH: Chief Scientist + Field Producer ──────
+    // Both agents receive the Market Mandate but work independently.
+    // The Producer works from the seed text (no fact sheet yet) for speed.
+    async function researchScience(cbs) {
+        if (shouldSkip('animalFactSheet')) return;
+        ctx.animalFactSheet = await mutatedAgentStep(
+            CHIEF_SCIENTIST,
+            stepPrompt('animalFactSheet', {
+                kb: backgroundBlock('Knowledge Base', kbBlock),
+                discovery: inputBlock('Discovery Brief', discoveryBlock),
+                mandate: mandateBlock(ctx.marketMandate),
+            }),
+            cbs,
+            { tools: [{ googleSearch: {} }] }
+        );
+        checkpoint_('animalFactSheet', 1);
+    }
+
+    async function researchLogistics(cbs) {
+        if (shouldSkip('logisticsBreakdown')) return;
+        if (shouldSkip('animalFactSheet')) {
+            // Resumed after the fact sheet: brief the Producer on it
+            ctx.logisticsBreakdown = await mutatedAgentStep(
+                FIELD_PRODUCER,
+                stepPrompt('logisticsFromFactSheet', {
+                    kb: backgroundBlock('Knowledge Base', kbBlock),
+                    factSheet: inputBlock('Animal Fact Sheet', ctx.animalFactSheet),
+                }),
+                cbs
+            );
+        } else {
+            ctx.logisticsBreakdown = await mutatedAgentStep(
+                FIELD_PRODUCER,
+                stepPrompt('logisticsBreakdown', {
+                    kb: backgroundBlock('Knowledge Base', kbBlock),
+                    mandate: mandateBlock(ctx.marketMandate),
+                }),
+                cbs
+            );
         }
-    }
-
-    // If Science Gate pivoted (species changed), re-run Producer with updated fact sheet
-    if (scienceAttempts > 0 && !detectRejection(ctx.animalFactSheet).rejected) {
-        cbs.onPhaseStart(1, '🔄 Updating Logistics for Science Pivot');
-        ctx.logisticsBreakdown = await mutatedAgentStep(
-            FIELD_PRODUCER,
-            `${seedAnchor}The seed idea is: "${seedIdea}"${kbBlock}${genreLock}${narrativeMandate}\n\nThe Chief Scientist revised the science after a pivot. Here is the UPDATED Animal Fact Sheet:\n\n${ctx.animalFactSheet}\n\nUpdate your logistics assessment to match the revised species, location, and behavior. Assess the feasibility with PRODUCER-GRADE specificity. You MUST include: exact camera equipment with model names, crew composition, shoot duration with seasonal windows, itemized budget estimate with actual dollar ranges, permit requirements, risk/contingency plans, and a Unicorn Test probability score. Output your REVISED Logistics & Feasibility Breakdown.`,
-            cbs
-        );
         checkpoint_('logisticsBreakdown', 1);
     }
 
-    // ─── ETHICAL GATE: Severity-classified revision loop (Patch 4) ─────────
-    const ethicsCheck = detectRejection(ctx.logisticsBreakdown);
-    if (ethicsCheck.rejected) {
-        const ethSeverity = classifySeverity(ctx.logisticsBreakdown, 'ETHICAL');
+    // ─── RESEARCH GATES ──────────────────────────────────
+    // The Science and Ethics Gates may rewrite the fact sheet, the logistics and
+    // the Market Mandate, or halt the run with a kill memo.
+    async function runResearchGates(cbs) {
+        // ─── SCIENCE GATE: Severity-classified pivot loop (Patch 4) ──────
+        const sciRejection = detectRejection(ctx.animalFactSheet);
+        let scienceAttempts = 0;
+        if (gates.science.enabled && sciRejection.rejected) {
+            const sciSeverity = classifySeverity(ctx.animalFactSheet, 'SCIENTIFIC');
+            traceEvent('severity', { agentId: CHIEF_SCIENTIST.id, rejectionType: 'SCIENTIFIC', severity: sciSeverity });
+
+            if (sciSeverity === 'CATASTROPHIC') {
+                // FAIL-FAST: Biologically impossible seed → kill immediately with user-facing memo
+                cbs.onPhaseStart(1, '💀 CATASTROPHIC — Seed is biologically impossible');
+                killMemo = `## ⛔ PIPELINE KILLED — CATASTROPHIC SCIENTIFIC FAILURE\n\nThe Chief Scientist has determined that this seed idea is **biologically impossible**. No amount of iteration can fix a fundamentally broken premise.\n\n### Scientist's Assessment:\n${ctx.animalFactSheet}\n\n### Original Seed:\n"${seedIdea}"\n\n**Action:** Please revise your seed idea with a scientifically valid premise and try again.`;
+                cbs.onPhaseComplete(1);
+                return;
+            }
 
-        if (ethSeverity === 'CATASTROPHIC') {
-            // FAIL-FAST: Concept fundamentally requires unethical methods → kill immediately
-            cbs.onPhaseStart(2, '💀 CATASTROPHIC — Concept requires unethical filming');
-            const killMemo = `## ⛔ PIPELINE KILLED — CATASTROPHIC ETHICAL FAILURE\n\nThe Field Producer has determined that this concept **fundamentally requires unethical filming methods**. There is no observational alternative.\n\n### Producer's Assessment:\n${ctx.logisticsBreakdown}\n\n### Original Seed:\n"${seedIdea}"\n\n**Action:** Please revise your seed idea to eliminate the need for harmful filming techniques and try again.`;
-            cbs.onPhaseComplete(2);
-            clearCheckpoint();
-            return killMemo;
+            // RECOVERABLE: up to science.maxRounds pivots
+            while (detectRejection(ctx.animalFactSheet).rejected && scienceAttempts < gates.science.maxRounds) {
+                scienceAttempts++;
+                cbs.onPhaseStart(1, `🔄 Science Pivot — Attempt ${scienceAttempts}/${gates.science.maxRounds}`);
+
+                ctx.animalFactSheet = await mutatedAgentStep(
+                    CHIEF_SCIENTIST,
+                    stepPrompt('sciencePivot', {
+                        rejection: workBlock('Rejection', ctx.animalFactSheet),
+                        mandate: mandateBlock(ctx.marketMandate),
+                    }),
+                    cbs,
+                    { tools: [{ googleSearch: {} }] }
+                );
+            }
+        }
+
+        // If Science Gate pivoted (species changed), re-run Producer with updated fact sheet
+        if (scienceAttempts > 0 && !detectRejection(ctx.animalFactSheet).rejected) {
+            cbs.onPhaseStart(1, '🔄 Updating Logistics for Science Pivot');
+            ctx.logisticsBreakdown = await mutatedAgentStep(
+                FIELD_PRODUCER,
+                stepPrompt('logisticsAfterSciencePivot', {
+                    kb: backgroundBlock('Knowledge Base', kbBlock),
+                    factSheet: workBlock('Animal Fact Sheet', ctx.animalFactSheet),
+                }),
+                cbs
+            );
+            checkpoint_('logisticsBreakdown', 1);
         }
-        // STAGE 1: Give Field Producer a second chance with explicit calibration
-        cbs.onPhaseStart(2, '🔄 Ethical Review — Proportionality Check');
 
-        ctx.logisticsBreakdown = await mutatedAgentStep(
-            FIELD_PRODUCER,
-            `## ETHICAL PROPORTIONALITY RE-CHECK
+        // ─── ETHICAL GATE: Severity-classified revision loop (Patch 4) ─────────
+        const ethicsCheck = detectRejection(ctx.logisticsBreakdown);
+        if (gates.ethics.enabled && ethicsCheck.rejected) {
+            const ethSeverity = classifySeverity(ctx.logisticsBreakdown, 'ETHICAL');
+            traceEvent('severity', { agentId: FIELD_PRODUCER.id, rejectionType: 'ETHICAL', severity: ethSeverity });
+
+            if (ethSeverity === 'CATASTROPHIC') {
+                // FAIL-FAST: Concept fundamentally requires unethical methods → kill immediately
+                cbs.onPhaseStart(2, '💀 CATASTROPHIC — Concept requires unethical filming');
+                killMemo = `## ⛔ PIPELINE KILLED — CATASTROPHIC ETHICAL FAILURE\n\nThe Field Producer has determined that this concept **fundamentally requires unethical filming methods**. There is no observational alternative.\n\n### Producer's Assessment:\n${ctx.logisticsBreakdown}\n\n### Original Seed:\n"${seedIdea}"\n\n**Action:** Please revise your seed idea to eliminate the need for harmful filming techniques and try again.`;
+                cbs.onPhaseComplete(2);
+                return;
+            }
+            // STAGE 1: Give Field Producer a second chance with explicit calibration
+            cbs.onPhaseStart(2, '🔄 Ethical Review — Proportionality Check');
+
+            ctx.logisticsBreakdown = await mutatedAgentStep(
+                FIELD_PRODUCER,
+                budgeted`## ETHICAL PROPORTIONALITY RE-CHECK
 
 Your initial assessment flagged ethical concerns and triggered a pipeline halt. Before we kill this idea, we need you to re-evaluate with a PROPORTIONALITY TEST.
 
 ### Your Original Rejection:
-${ctx.logisticsBreakdown}
+${workBlock('Rejection', ctx.logisticsBreakdown)}
 
 ### The Seed Idea:
 "${seedIdea}"
 
 ### The Scientist's Fact Sheet:
-${ctx.animalFactSheet}
+${inputBlock('Animal Fact Sheet', ctx.animalFactSheet)}
 
 RE-EVALUATE by answering these questions:
 1. **Are the "violations" about filming NATURALLY OCCURRING behavior?** If yes, this is NOT an ethical violation. Planet Earth, Dynasties, and Frozen Planet all film natural predation, death, and distress. Observing nature is not causing it.
@@ -787,135 +1476,125 @@ RE-EVALUATE by answering these questions:
 If the concept CAN be filmed ethically by removing specific problematic methods → PROCEED with a full logistics plan that EXCLUDES those methods. Note what you excluded and why.
 
 If the concept FUNDAMENTALLY REQUIRES unethical methods (there is NO observational alternative) → Re-issue your ⛔ ETHICAL REJECTION.`,
-            cbs
-        );
-
-        cbs.onPhaseComplete(2);
-
-        // STAGE 2: If still rejected, iterate with Scientist proposing ethical alternatives
-        let ethicsAttempts = 0;
-        while (detectRejection(ctx.logisticsBreakdown).rejected && ethicsAttempts < maxRevisions) {
-            ethicsAttempts++;
-            cbs.onPhaseStart(1, `🔄 Ethical Pivot — Attempt ${ethicsAttempts}/${maxRevisions}`);
-
-            // Ask the Scientist to propose an ethically filmable approach
-            ctx.animalFactSheet = await mutatedAgentStep(
-                CHIEF_SCIENTIST,
-                `## ETHICAL PIVOT REQUIRED
-${genreLock}
-The Field Producer has flagged ethical concerns with the proposed filming approach — even after a proportionality re-check. We need an alternative approach that preserves the core idea but is ethically filmable using standard observational techniques.
-
-### Field Producer's Ethical Concerns:
-${ctx.logisticsBreakdown}
+                cbs
+            );
 
-### Your Previous Fact Sheet:
-${ctx.animalFactSheet}
+            cbs.onPhaseComplete(2);
 
-### Original Seed Idea:
-"${seedIdea}"
+            // STAGE 2: If still rejected, iterate with Scientist proposing ethical alternatives
+            let ethicsAttempts = 0;
+            while (detectRejection(ctx.logisticsBreakdown).rejected && ethicsAttempts < gates.ethics.maxRounds) {
+                ethicsAttempts++;
+                cbs.onPhaseStart(1, `🔄 Ethical Pivot — Attempt ${ethicsAttempts}/${gates.ethics.maxRounds}`);
+
+                // Ask the Scientist to propose an ethically filmable approach
+                ctx.animalFactSheet = await mutatedAgentStep(
+                    CHIEF_SCIENTIST,
+                    stepPrompt('ethicsPivot', {
+                        concerns: workBlock('Ethical Concerns', ctx.logisticsBreakdown),
+                        factSheet: workBlock('Animal Fact Sheet', ctx.animalFactSheet),
+                    }),
+                    cbs,
+                    { tools: [{ googleSearch: {} }] }
+                );
 
-Your job:
-1. **Keep the core idea** — same general theme, location, or species if possible
-2. **Remove or replace any methods the Field Producer flagged** — propose filming approaches that use ONLY observational techniques (remote cameras, hides, long lenses, autonomous drones, probe lenses)
-3. **If the specific behavior is the problem**, propose a DIFFERENT behavior of the same or closely related species that achieves the same cinematic effect without ethical issues
-4. **Produce a revised complete Animal Fact Sheet** — ensure the ethical red flags section explicitly addresses the Field Producer's concerns with specific mitigation protocols${genreLabel ? `
-5. **Respect the genre lock** — your revised approach MUST still serve the **${genreLabel}** genre.` : ''}
+                // Re-run Field Producer on the revised approach
+                ctx.logisticsBreakdown = await mutatedAgentStep(
+                    FIELD_PRODUCER,
+                    stepPrompt('logisticsAfterEthicsPivot', {
+                        kb: backgroundBlock('Knowledge Base', kbBlock),
+                        factSheet: workBlock('Animal Fact Sheet', ctx.animalFactSheet),
+                    }),
+                    cbs
+                );
 
-The pipeline iterates, it does not kill. Find a way.`,
-                cbs,
-                { tools: [{ googleSearch: {} }] }
-            );
+                // ─── FIX 3: Synchronize Market Mandate on Pivot ──────────
+                ctx.marketMandate = await mutatedAgentStep(
+                    MARKET_ANALYST,
+                    stepPrompt('marketRepivot', {
+                        kb: backgroundBlock('Knowledge Base', kbBlock),
+                        discovery: inputBlock('Discovery Brief', discoveryBlock),
+                        factSheet: workBlock('Animal Fact Sheet', ctx.animalFactSheet),
+                    }),
+                    cbs
+                );
+            }
+        }
 
-            // Re-run Field Producer on the revised approach
-            ctx.logisticsBreakdown = await mutatedAgentStep(
-                FIELD_PRODUCER,
-                `The seed idea is: "${seedIdea}"${kbBlock}${genreLock}${narrativeMandate}\n\nHere is the REVISED Animal Fact Sheet from the Chief Scientist (revised to address your previous ethical concerns):\n\n${ctx.animalFactSheet}\n\nAssess the feasibility with PRODUCER-GRADE specificity. You MUST include: exact camera equipment with model names, crew composition, shoot duration with seasonal windows, itemized budget estimate with actual dollar ranges, permit requirements, risk/contingency plans, and a Unicorn Test probability score. Your equipment and crew recommendations MUST serve the ${genreLabel ? `locked genre ("${genreLabel}")` : 'declared narrative form'} — different genres demand different production setups. Output your full Logistics & Feasibility Breakdown.`,
-                cbs
-            );
+        cbs.onPhaseComplete(1);
 
-            // ─── FIX 3: Synchronize Market Mandate on Pivot ──────────
-            ctx.marketMandate = await mutatedAgentStep(
-                MARKET_ANALYST,
-                `${seedAnchor}The seed idea is: "${seedIdea}"${kbBlock}${discoveryBlock}${optionsSuffix}${wildlifeFocusGuard}${genreLock}\n\nThe Chief Scientist and Field Producer have PIVOTED the core concept to address ethical/scientific concerns.\n\nHere is their REVISED Animal Fact Sheet:\n${ctx.animalFactSheet}\n\nRe-evaluate the market viability of this NEW pivoted approach. Do your target platforms and narrative form recommendations change? Output your revised Market Mandate based on this new reality.`,
-                cbs
-            );
-        }
+        await awaitApproval('animalFactSheet');
+        await awaitApproval('logisticsBreakdown');
     }
 
-    cbs.onPhaseComplete(1);
-
     // ═══════════════════════════════════════════════════════
     // PHASE 2 — DRAFT V1
     // ═══════════════════════════════════════════════════════
-    cbs.onPhaseStart(2, 'Draft V1');
+    async function refreshKnowledge(cbs) {
+        cbs.onPhaseStart(2, 'Draft V1');
 
-    // ─── LATE-BINDING RAG: Re-query with finalized science (Fix 5) ─────
-    if (ctx.animalFactSheet) {
-        try {
-            const draftKbContext = await retrieveContext(ctx.animalFactSheet.slice(0, 500));
-            if (draftKbContext) {
-                kbBlock = `\n\n${draftKbContext}\n\n`; // Override global kbBlock with pivoted science
+        // ─── LATE-BINDING RAG: Re-query with finalized science (Fix 5) ─────
+        if (ctx.animalFactSheet) {
+            try {
+                const draftKbContext = await retrieveContext(ctx.animalFactSheet.slice(0, 500), 5, { signal: pipelineSignal() });
+                if (draftKbContext) {
+                    kbBlock = `\n\n${draftKbContext}\n\n`; // Override global kbBlock with pivoted science
+                }
+            } catch (e) {
+                throwIfCancelled();
+                console.warn('Draft RAG update failed:', e.message);
             }
-        } catch (e) {
-            console.warn('Draft RAG update failed:', e.message);
         }
     }
 
-    // ─── SPECIES DRIFT GUARD ─────────────────────────────
-    // Extract the hero species from the Scientist's output to enforce Zero Species Drift
-    let heroSpecies = null;
-    try { // Fix 4: Structured Data (JSON) for Guards
-        const speciesExtraction = await callAgent(
-            'You are a strict data extractor. Read the provided text and identify the primary/hero animal species. Return ONLY valid JSON with a single key "primarySpecies" containing the name of the animal. Example: {"primarySpecies": "Snow Leopard"}',
-            ctx.animalFactSheet,
-            { responseFormat: 'json' }
-        );
-        const parsed = JSON.parse(speciesExtraction);
-        if (parsed.primarySpecies && parsed.primarySpecies.toLowerCase() !== 'none') {
-            heroSpecies = parsed.primarySpecies;
-        }
-    } catch (e) {
-        console.warn('Structured species extraction failed, falling back to regex:', e.message);
-        const speciesMatch = ctx.animalFactSheet.match(/(?:Primary Species|Hero Species|Hero Animal)[^:]*:\s*\**([^(*\n]+)/i);
-        heroSpecies = speciesMatch ? speciesMatch[1].trim().replace(/\*+$/, '').trim() : null;
+    async function guardSpecies(cbs) {
+        // ─── SPECIES DRIFT GUARD ─────────────────────────────
+        guardValues.heroSpecies = await extractHeroSpecies(ctx.animalFactSheet, { phase: cbs.phase });
     }
 
-    const speciesGuard = heroSpecies
-        ? `\n\n⚠️ ZERO SPECIES DRIFT ENFORCEMENT: Your hero species MUST be "${heroSpecies}" as identified by the Chief Scientist. If you change, swap, or substitute this species for a different animal, your output will be flagged as SPECIES DRIFT and REJECTED. You may creatively reinterpret the angle, but the animal stays.\n`
-        : '';
+    async function writeDraftV1(cbs) {
+        if (!shouldSkip('draftV1')) {
+            ctx.draftV1 = await mutatedAgentStep(
+                STORY_PRODUCER,
+                stepPrompt('draftV1', {
+                    kb: backgroundBlock('Knowledge Base', kbBlock),
+                    discovery: inputBlock('Discovery Brief', discoveryBlock),
+                    mandate: mandateBlock(ctx.marketMandate),
+                    factSheet: inputBlock('Animal Fact Sheet', ctx.animalFactSheet),
+                    logistics: inputBlock('Logistics', ctx.logisticsBreakdown),
+                    specialists: specialistBlock('researchInput', 'Specialist Input'),
+                }),
+                cbs
+            );
+            checkpoint_('draftV1', 2);
+        }
+        await awaitApproval('draftV1');
 
-    if (!shouldSkip('draftV1')) {
-        ctx.draftV1 = await mutatedAgentStep(
-            STORY_PRODUCER,
-            `${seedAnchor}The seed idea is: "${seedIdea}"${kbBlock}${discoveryBlock}${optionsSuffix}${speciesGuard}${wildlifeFocusGuard}${genreLock}${narrativeMandate}\n\nHere are the team's inputs:\n\n### Market Mandate\n${ctx.marketMandate}\n\n### Animal Fact Sheet\n${ctx.animalFactSheet}\n\n### Logistics & Feasibility\n${ctx.logisticsBreakdown}\n\nSynthesize all of this into a complete pitch narrative.\n\nCRITICAL: ${genreLabel ? `The user has LOCKED the genre to "${genreLabel}". Your ENTIRE output — structure, tone, camera language, pacing, narration style, sound design — must serve this genre. Do NOT import conventions from other genres.` : `The Market Analyst has recommended a **Narrative Form** in their Market Mandate (Section 7: Narrative Strategy Recommendation). You MUST follow it. Read their Primary and Alternative recommendations, choose one, and build your entire output around it.`}\n\nDeliver ALL elements specified in your output format instructions for the chosen narrative form, plus ALL universal elements (Anthropocene Reality, Visual Signature Moments, Technology Justification, A/V Script Excerpt).\n\nDo NOT default to survival thriller unless ${genreLabel ? `the locked genre IS survival thriller` : `the Market Analyst specifically recommended it`}. Adopt the locked genre's conventions fully.\n\nEnsure the B-Story species is woven into the narrative, not just mentioned as a footnote.`,
-            cbs
-        );
-        checkpoint_('draftV1', 2);
+        cbs.onPhaseComplete(2);
     }
 
-    cbs.onPhaseComplete(2);
-
     // ═══════════════════════════════════════════════════════
     // PHASE 2.5 — THE PROVOCATEUR (Chaos Engine)
     // ═══════════════════════════════════════════════════════
-    if (chaosConfig.provocateur && !shouldSkip('provocation')) {
-        cbs.onPhaseStart(2.5, '🔥 The Provocateur');
+    async function provoke(cbs) {
+        if (chaosConfig.provocateur && !shouldSkip('provocation')) {
+            cbs.onPhaseStart(2.5, '🔥 The Provocateur');
 
-        ctx.provocation = await agentStep(
-            PROVOCATEUR,
-            `You are reviewing this Draft V1 pitch. Read it. Find the lie. Break it open.
+            ctx.provocation = await agentStep(
+                PROVOCATEUR,
+                budgeted`You are reviewing this Draft V1 pitch. Read it. Find the lie. Break it open.
 
 ### The Seed Idea
 "${seedIdea}"
 
 ### The Market Mandate (what the industry wants)
-${ctx.marketMandate}
+${mandateBlock(ctx.marketMandate)}
 
 ### The Science (what's real)
-${ctx.animalFactSheet}
+${inputBlock('Science', ctx.animalFactSheet)}
 
 ### Draft V1 (the "safe" version)
-${ctx.draftV1}
+${workBlock('Draft V1', ctx.draftV1)}
 
 This draft was built by a pipeline of experts: a Market Analyst, a Chief Scientist, a Field Producer, and a Story Producer. They are all very good at their jobs. They have produced a pitch that is commissionable, defensible, and risk-mitigated.
 
@@ -929,425 +1608,661 @@ You may NEVER propose changes to: species, animal behavior, filming methods, loc
 If you believe the science is wrong, say so in your Kill Shot — but your Pivot must stay within the narrative domain. The Science Firewall is absolute.
 
 Output your response in the EXACT format specified in your instructions: Kill Shot, Pivot, Argument, Fatal Question. No preamble.`,
-            cbs
-        );
-
-        checkpoint_('provocation', 2.5);
+                cbs
+            );
 
-        // ─── ROBUST FATAL QUESTION EXTRACTION ───────────────────
-        if (cbs.onChaosEvent) {
-            let fatalQuestion = null;
+            checkpoint_('provocation', 2.5);
 
-            // Stage 1: Standard Regex (Looking for the specific header)
-            const fqMatch = ctx.provocation.match(/(?:Fatal Question|❓)[:\s]*\n?([\s\S]*?)(?:\n##|\n---|$)/i);
+            // ─── ROBUST FATAL QUESTION EXTRACTION ───────────────────
+            if (cbs.onChaosEvent) {
+                let fatalQuestion = null;
 
-            if (fqMatch && fqMatch[1].trim()) {
-                fatalQuestion = fqMatch[1].trim();
-            } else {
-                // Stage 2: Fallback — Find the last sentence ending in a question mark
-                const sentences = ctx.provocation.split(/[.!\n]/);
-                const lastQuestion = sentences.reverse().find(s => s.trim().endsWith('?'));
+                // Stage 1: Standard Regex (Looking for the specific header)
+                const fqMatch = ctx.provocation.match(/(?:Fatal Question|❓)[:\s]*\n?([\s\S]*?)(?:\n##|\n---|$)/i);
 
-                if (lastQuestion) {
-                    fatalQuestion = lastQuestion.trim();
+                if (fqMatch && fqMatch[1].trim()) {
+                    fatalQuestion = fqMatch[1].trim();
                 } else {
-                    // Stage 3: Hard Fallback — Just take the last non-empty line
-                    const lines = ctx.provocation.trim().split('\n').filter(l => l.length > 0);
-                    fatalQuestion = lines[lines.length - 1];
+                    // Stage 2: Fallback — Find the last sentence ending in a question mark
+                    const sentences = ctx.provocation.split(/[.!\n]/);
+                    const lastQuestion = sentences.reverse().find(s => s.trim().endsWith('?'));
+
+                    if (lastQuestion) {
+                        fatalQuestion = lastQuestion.trim();
+                    } else {
+                        // Stage 3: Hard Fallback — Just take the last non-empty line
+                        const lines = ctx.provocation.trim().split('\n').filter(l => l.length > 0);
+                        fatalQuestion = lines[lines.length - 1];
+                    }
                 }
+
+                cbs.onChaosEvent('fatalQuestion', {
+                    fullProvocation: ctx.provocation,
+                    fatalQuestion: fatalQuestion
+                });
             }
 
-            cbs.onChaosEvent('fatalQuestion', {
-                fullProvocation: ctx.provocation,
-                fatalQuestion: fatalQuestion
-            });
+            cbs.onPhaseComplete(2.5);
         }
-
-        cbs.onPhaseComplete(2.5);
     }
 
     // ═══════════════════════════════════════════════════════
     // PHASE 3 — THE MURDER BOARD
     // ═══════════════════════════════════════════════════════
-    cbs.onPhaseStart(3, 'The Murder Board');
+    async function reviewDraftV1(cbs) {
+        cbs.onPhaseStart(3, 'The Murder Board');
+
+        if (!shouldSkip('rejectionMemo')) {
+            ({ text: ctx.rejectionMemo } = await requestVerdict(
+                'editor',
+                COMMISSIONING_EDITOR,
+                stepPrompt('editorReviewV1', {
+                    kb: backgroundBlock('Knowledge Base', kbBlock),
+                    mandate: mandateBlock(ctx.marketMandate),
+                    factSheet: inputBlock('Animal Fact Sheet', ctx.animalFactSheet),
+                    logistics: inputBlock('Logistics', ctx.logisticsBreakdown),
+                    draft: workBlock('Draft V1', ctx.draftV1),
+                    passScore: gates.quality.passScore,
+                }),
+                cbs,
+                {},
+                mutatedAgentStep
+            ));
+            checkpoint_('rejectionMemo', 3);
+        }
 
-    if (!shouldSkip('rejectionMemo')) {
-        ctx.rejectionMemo = await mutatedAgentStep(
-            COMMISSIONING_EDITOR,
-            `Review the following Draft V1 pitch package:${kbBlock}${genreLock}${narrativeMandate}\n\n### Seed Idea\n"${seedIdea}"\n\n### Market Mandate\n${ctx.marketMandate}\n\n### Animal Fact Sheet\n${ctx.animalFactSheet}\n\n### Logistics & Feasibility\n${ctx.logisticsBreakdown}\n\n### Draft Script (V1)\n${ctx.draftV1}\n\nThis is the FIRST review. Attack across all 14 vectors.\n\nCRITICAL FOR VECTORS 7 & 8: ${genreLabel ? `The user has LOCKED the genre to "${genreLabel}". Evaluate the draft EXCLUSIVELY against this genre's cinematic standards. If the draft drifts into another genre's conventions, flag it as GENRE DRIFT — this is a FATAL FLAW.` : `The Market Analyst declared a narrative form in the Market Mandate. Use THAT form's cinematic standard for your Narrative Integrity Test and Commission Test — do NOT default to survival thriller criteria unless that IS the declared form.`}\n\nQuote specific failing passages. Find at LEAST two substantive flaws. Score honestly — most first drafts land 60-80, but greenlight (85+) if genuinely broadcast-ready.`,
-            cbs
-        );
-        checkpoint_('rejectionMemo', 3);
+        cbs.onPhaseComplete(3);
     }
 
-    cbs.onPhaseComplete(3);
-
     // ═══════════════════════════════════════════════════════
     // PHASE 4 — THE REVISION
     // ═══════════════════════════════════════════════════════
-    cbs.onPhaseStart(4, 'The Revision');
-
-    if (!shouldSkip('revisionDirectives')) {
-        const provocateurBlock = ctx.provocation
-            ? `\n\n### 🔥 The Provocateur's Challenge\nThe Provocateur has also reviewed Draft V1 and offers a radically different perspective. You do NOT have to follow it — but you must CONSIDER it. If any element of the provocation would strengthen the pitch without breaking it, incorporate it. If the Fatal Question reveals a real weakness, address it.\n\n${ctx.provocation}\n\nYou now have TWO voices: the Commissioning Editor (telling you what's wrong) and the Provocateur (telling you what's missing). Your revision directives should synthesize both.\n\n`
-            : '';
-
-        ctx.revisionDirectives = await mutatedAgentStep(
-            SHOWRUNNER,
-            `The Commissioning Editor has REJECTED Draft V1 with this memo:\n\n${ctx.rejectionMemo}${provocateurBlock}\n\nOriginal team outputs:\n- Market Mandate: ${ctx.marketMandate}\n- Animal Fact Sheet: ${ctx.animalFactSheet}\n- Logistics: ${ctx.logisticsBreakdown}\n- Draft V1 Script: ${ctx.draftV1}${genreLock}${narrativeMandate}\n\nParse the rejection. Identify exactly what needs to change and which agents are responsible.\n\nCRITICAL: ${genreLabel ? `The genre is LOCKED to "${genreLabel}". ALL revision directives MUST enforce this genre. If the draft drifted into another genre, your primary directive is to pull it back. Issue camera, sound, and narration directives specific to this genre.` : `Review the Market Analyst's Narrative Mandate. Ensure ALL revision directives are consistent with the declared narrative form.`} Do NOT push the draft toward survival thriller unless that IS the ${genreLabel ? 'locked genre' : 'mandate'}. Issue camera, sound, and narration directives appropriate to the form.\n\nOutput clear revision directives for each agent.`,
-            cbs
-        );
-        checkpoint_('revisionDirectives', 4);
+    async function issueRevisionDirectives(cbs) {
+        cbs.onPhaseStart(4, 'The Revision');
+
+        if (!shouldSkip('revisionDirectives')) {
+            const provocateurBlock = ctx.provocation
+                ? `\n\n### 🔥 The Provocateur's Challenge\nThe Provocateur has also reviewed Draft V1 and offers a radically different perspective. You do NOT have to follow it — but you must CONSIDER it. If any element of the provocation would strengthen the pitch without breaking it, incorporate it. If the Fatal Question reveals a real weakness, address it.\n\n${ctx.provocation}\n\nYou now have TWO voices: the Commissioning Editor (telling you what's wrong) and the Provocateur (telling you what's missing). Your revision directives should synthesize both.\n\n`
+                : '';
+
+            ctx.revisionDirectives = await mutatedAgentStep(
+                SHOWRUNNER,
+                stepPrompt('revisionDirectives', {
+                    rejectionMemo: workBlock('Rejection Memo', ctx.rejectionMemo),
+                    provocation: inputBlock('Provocation', provocateurBlock),
+                    mandate: mandateBlock(ctx.marketMandate),
+                    factSheet: inputBlock('Animal Fact Sheet', ctx.animalFactSheet),
+                    logistics: inputBlock('Logistics', ctx.logisticsBreakdown),
+                    draft: workBlock('Draft V1', ctx.draftV1),
+                    specialists: specialistBlock('draftV1Review', 'Specialist Reviews of Draft V1 (address the points that strengthen the pitch)'),
+                }),
+                cbs,
+                { contract: null }
+            );
+            checkpoint_('revisionDirectives', 4);
+        }
     }
 
-    if (!shouldSkip('revisedScience')) {
-        ctx.revisedScience = await mutatedAgentStep(
-            CHIEF_SCIENTIST,
-            `The Showrunner has issued these revision directives based on a Commissioning Editor rejection:\n\n${ctx.revisionDirectives}${genreLock}\n\nYour original Animal Fact Sheet was:\n${ctx.animalFactSheet}\n\nRevise your output to address the critique. Include a reliable B-Story backup species if demanded. Ensure the visual payoff description supports CINEMATIC proximity shooting, not just scientific observation.${genreLabel ? ` Your revised fact sheet MUST serve the locked genre ("${genreLabel}") — select behaviors and framing that fit this genre's conventions.` : ''} Output a REVISED Animal Fact Sheet.`,
-            cbs
-        );
-        checkpoint_('revisedScience', 4);
+    async function reviseScience(cbs) {
+        if (!shouldSkip('revisedScience')) {
+            ctx.revisedScience = await mutatedAgentStep(
+                CHIEF_SCIENTIST,
+                stepPrompt('revisedScience', {
+                    directives: workBlock('Revision Directives', ctx.revisionDirectives),
+                    factSheet: workBlock('Animal Fact Sheet', ctx.animalFactSheet),
+                }),
+                cbs
+            );
+            checkpoint_('revisedScience', 4);
+        }
     }
 
-    if (!shouldSkip('revisedLogistics')) {
-        ctx.revisedLogistics = await mutatedAgentStep(
-            FIELD_PRODUCER,
-            `The Showrunner has issued these revision directives based on a Commissioning Editor rejection:\n\n${ctx.revisionDirectives}${genreLock}${narrativeMandate}\n\nYour original Logistics Breakdown was:\n${ctx.logisticsBreakdown}\n\nThe revised science is:\n${ctx.revisedScience}\n\nRevise your output. Ensure camera, sound, and crew upgrades are appropriate to the ${genreLabel ? `locked genre ("${genreLabel}")` : 'declared narrative form'} — a forensic investigation may need macro-probe rigs and laboratory setups, while a vérité film needs long-lens patience rigs and minimal crew footprint. Ensure contingency plans include B-roll backup sequences.\n\nOutput a REVISED Logistics & Feasibility Breakdown.`,
-            cbs
-        );
-        checkpoint_('revisedLogistics', 4);
+    // Runs alongside the Scientist's revision, from the original fact sheet
+    async function reviseLogistics(cbs) {
+        if (!shouldSkip('revisedLogistics')) {
+            ctx.revisedLogistics = await mutatedAgentStep(
+                FIELD_PRODUCER,
+                stepPrompt('revisedLogistics', {
+                    directives: workBlock('Revision Directives', ctx.revisionDirectives),
+                    logistics: workBlock('Logistics', ctx.logisticsBreakdown),
+                    factSheet: inputBlock('Animal Fact Sheet', ctx.animalFactSheet),
+                }),
+                cbs
+            );
+            checkpoint_('revisedLogistics', 4);
+        }
     }
 
-    if (!shouldSkip('draftV2')) {
-        // ─── CHAOS ENGINE: Creative Accident ───────────────────
-        let accidentBlock = '';
-        if (chaosConfig.accidents) {
-            const accident = generateAccident(ctx);
-            accidentBlock = `\n\n═══════════════════════════════════════════\n🎲 CREATIVE ACCIDENT (from the Chaos Engine)\n═══════════════════════════════════════════\n\nBefore you revise, consider this challenge. You don't HAVE to use it. But if it triggers something — if it opens a door you hadn't seen — follow it.\n\n**${accident.layer}${accident.reference ? ` — inspired by ${accident.reference}` : ''}**\n\n${accident.prompt}\n\n⚠️ SCIENCE FIREWALL: This accident may ONLY influence your narrative structure, tone, format, or storytelling approach. It must NEVER cause you to alter, exaggerate, or invent biological facts, animal behavior, or ecological science. The science is sacred — only the WAY you tell the story can change.\n\nRemember: you are free to ignore this. But the best revisions come from the collision of discipline and surprise.\n═══════════════════════════════════════════\n\n`;
+    async function writeDraftV2(cbs) {
+        if (!shouldSkip('draftV2')) {
+            // ─── CHAOS ENGINE: Creative Accident ───────────────────
+            let accidentBlock = '';
+            if (chaosConfig.accidents) {
+                const accident = generateAccident(ctx);
+                accidentBlock = buildAccidentBlock(accident);
 
-            if (cbs.onChaosEvent) {
-                cbs.onChaosEvent('accident', accident);
+                if (cbs.onChaosEvent) {
+                    cbs.onChaosEvent('accident', accident);
+                }
             }
-        }
 
-        ctx.draftV2 = await mutatedAgentStep(
-            STORY_PRODUCER,
-            `${accidentBlock}The Showrunner has issued revision directives based on a Commissioning Editor rejection:\n\n${ctx.revisionDirectives}${speciesGuard}${wildlifeFocusGuard}${genreLock}${narrativeMandate}\n\nRevised inputs:\n- Market Mandate: ${ctx.marketMandate}\n- Revised Animal Fact Sheet: ${ctx.revisedScience}\n- Revised Logistics: ${ctx.revisedLogistics}\n\nYour original Draft V1 was:\n${ctx.draftV1}\n\nRewrite the script addressing ALL critique points. FORM-SPECIFIC UPGRADE CHECKLIST — apply the standards for the ${genreLabel ? `LOCKED genre ("${genreLabel}")` : 'DECLARED narrative form'}:\n✓ Commit fully to the ${genreLabel ? 'locked genre\'s' : 'declared form\'s'} cinematic language\n✓ Every key moment must have defined visual AND audio signatures appropriate to the genre\n✓ Narration style must match the genre\n✓ B-Story woven in — the secondary species must serve the chosen genre, not just be backup\n✓ Do NOT drift into survival thriller or any other genre's conventions unless that IS the ${genreLabel ? 'locked genre' : 'declared form'}\n\nOutput a REVISED 3-Act narrative and dual-column A/V script with sound design notes (Draft V2).`,
-            cbs
-        );
-        checkpoint_('draftV2', 4);
+            ctx.draftV2 = await mutatedAgentStep(
+                STORY_PRODUCER,
+                stepPrompt('draftV2', {
+                    accident: accidentBlock,
+                    directives: workBlock('Revision Directives', ctx.revisionDirectives),
+                    mandate: mandateBlock(ctx.marketMandate),
+                    factSheet: inputBlock('Revised Animal Fact Sheet', ctx.revisedScience),
+                    logistics: inputBlock('Revised Logistics', ctx.revisedLogistics),
+                    specialists: specialistBlock('researchInput', 'Specialist Input'),
+                    draft: workBlock('Draft V1', ctx.draftV1),
+                }),
+                cbs
+            );
+            checkpoint_('draftV2', 4);
+        }
     }
 
-    if (!shouldSkip('greenlightReview')) {
-        ctx.greenlightReview = await mutatedAgentStep(
-            COMMISSIONING_EDITOR,
-            `You previously rejected the Draft V1 with this memo:\n\n${ctx.rejectionMemo}${genreLock}${narrativeMandate}\n\nThe team has revised their work. Here is Draft V2:\n\n### Revised Animal Fact Sheet\n${ctx.revisedScience}\n\n### Revised Logistics\n${ctx.revisedLogistics}\n\n### Draft Script (V2)\n${ctx.draftV2}\n\nReview the revisions. Check:\n1. Have the fatal flaws been addressed?\n2. Does the pitch NOW commit fully to the ${genreLabel ? `locked genre ("${genreLabel}")` : 'declared narrative form'} (not defaulting to thriller)?\n3. Camera, sound, and narration language — are they appropriate for the ${genreLabel ? 'LOCKED genre' : 'DECLARED form'}?\n4. B-Story: woven into the genre, not just listed as backup?\n${genreLabel ? `5. GENRE DRIFT CHECK: Flag ANY element that belongs to a different genre\'s conventions.\n` : ''}\nScore the revised pitch. If genuinely resolved, Greenlight (85+). If not, explain what still needs work.`,
-            cbs
-        );
-        checkpoint_('greenlightReview', 4);
+    async function reviewDraftV2(cbs) {
+        if (!shouldSkip('greenlightReview')) {
+            ({ verdict: greenlightVerdict, text: ctx.greenlightReview } = await requestVerdict(
+                'editor',
+                COMMISSIONING_EDITOR,
+                stepPrompt('editorReviewV2', {
+                    rejectionMemo: inputBlock('Rejection Memo', ctx.rejectionMemo),
+                    factSheet: inputBlock('Revised Animal Fact Sheet', ctx.revisedScience),
+                    logistics: inputBlock('Revised Logistics', ctx.revisedLogistics),
+                    draft: workBlock('Draft V2', ctx.draftV2),
+                    passScore: gates.quality.passScore,
+                }),
+                cbs,
+                {},
+                mutatedAgentStep
+            ));
+            checkpoint_('greenlightReview', 4);
+        }
     }
 
     // ─── QUALITY GATE: Multi-draft revision loop ──────────────
-    let currentDraft = ctx.draftV2;
-    let currentReview = ctx.greenlightReview;
-    let currentScore = extractScore(currentReview);
-    let draftNumber = 2;
-    let bestDraft = currentDraft;
-    let bestScore = currentScore ?? 0;
-    let bestReview = currentReview;
-
-    while (draftNumber < 2 + maxRevisions) {
-        draftNumber++;
-        cbs.onPhaseStart(4, `🔄 Quality Revision — Draft V${draftNumber}`);
-
-        // Showrunner issues tighter revision directives
-        const tighterDirectives = await mutatedAgentStep(
-            SHOWRUNNER,
-            `The Commissioning Editor scored Draft V${draftNumber - 1} at ${currentScore}/100. This is revision attempt ${draftNumber - 2} of ${maxRevisions}.${genreLock}
-
-### Editor's Review (${currentScore}/100):
-${currentReview}
-
-### The Draft That Failed:
-${currentDraft}
-
-### Original Seed Idea:
-"${seedIdea}"
-
-Issue SURGICAL revision directives. Focus ONLY on the specific failings the Editor identified. Do not request a complete rewrite — target the exact weaknesses.${genreLabel ? ` Ensure ALL directives enforce the locked genre ("${genreLabel}"). If genre drift was flagged, make genre compliance your PRIMARY directive.` : ''}`,
-            cbs
-        );
-
-        // Story Producer writes the next draft
-        currentDraft = await mutatedAgentStep(
-            STORY_PRODUCER,
-            `Draft V${draftNumber - 1} scored ${currentScore}/100 — below threshold. Here are the Showrunner's targeted revision directives:\n\n${tighterDirectives}${speciesGuard}${wildlifeFocusGuard}${genreLock}${narrativeMandate}\n\nYour previous draft:\n${currentDraft}\n\nRevised inputs:\n- Market Mandate: ${ctx.marketMandate}\n- Animal Fact Sheet: ${ctx.revisedScience || ctx.animalFactSheet}\n- Logistics: ${ctx.revisedLogistics || ctx.logisticsBreakdown}\n\nFix the SPECIFIC issues identified. Do not regress on elements that were already working. Output Draft V${draftNumber}.`,
-            cbs
-        );
-
-        // Editor reviews the new draft
-        currentReview = await mutatedAgentStep(
-            COMMISSIONING_EDITOR,
-            `This is Draft V${draftNumber} — revision attempt ${draftNumber - 2} of ${maxRevisions}.${genreLock}\n\nPrevious review (V${draftNumber - 1}, ${currentScore}/100):\n${currentReview}\n\n### Draft Script (V${draftNumber}):\n${currentDraft}\n\nReview the revisions. Have the specific failings been addressed?${genreLabel ? ` Check for GENRE DRIFT — the genre is locked to "${genreLabel}".` : ''} Score the revised pitch honestly.`,
-            cbs
-        );
+    // Revise until the Editor greenlights, the revision budget runs out, or the
+    // score stops improving (quality.maxStalledRounds)
+    async function runQualityGate(cbs) {
+        let currentDraft = ctx.draftV2;
+        let currentReview = ctx.greenlightReview;
+        let currentVerdict = greenlightVerdict ?? scrapeVerdict(currentReview, 'editor');
+        let currentScore = currentVerdict.score;
+        let draftNumber = 2;
+        let bestDraft = currentDraft;
+        let bestScore = currentScore;
+        let bestReview = currentReview;
+        const loop = createRevisionLoop(gates.quality, currentScore);
+        const maxRounds = gates.quality.maxRounds;
+
+        while (loop.canContinue() && !isEditorGreenlight(currentVerdict, gates.quality.passScore)) {
+            draftNumber++;
+            cbs.onPhaseStart(4, `🔄 Quality Revision — Draft V${draftNumber}`);
+
+            // Showrunner issues tighter revision directives
+            const tighterDirectives = await mutatedAgentStep(
+                SHOWRUNNER,
+                stepPrompt('qualityDirectives', {
+                    previousVersion: draftNumber - 1,
+                    score: currentScore,
+                    attempt: draftNumber - 2,
+                    maxRounds,
+                    review: workBlock('Editor Review', currentReview),
+                    draft: workBlock('Draft', currentDraft),
+                }),
+                cbs,
+                { contract: null }
+            );
 
-        currentScore = extractScore(currentReview);
+            // Story Producer writes the next draft
+            currentDraft = await mutatedAgentStep(
+                STORY_PRODUCER,
+                stepPrompt('qualityDraft', {
+                    previousVersion: draftNumber - 1,
+                    score: currentScore,
+                    directives: workBlock('Revision Directives', tighterDirectives),
+                    draft: workBlock('Previous Draft', currentDraft),
+                    mandate: mandateBlock(ctx.marketMandate),
+                    factSheet: inputBlock('Animal Fact Sheet', ctx.revisedScience || ctx.animalFactSheet),
+                    logistics: inputBlock('Logistics', ctx.revisedLogistics || ctx.logisticsBreakdown),
+                    specialists: specialistBlock('researchInput', 'Specialist Input'),
+                    version: draftNumber,
+                }),
+                cbs
+            );
 
-        // Track the best version
-        if (currentScore !== null && currentScore > bestScore) {
-            bestScore = currentScore;
-            bestDraft = currentDraft;
-            bestReview = currentReview;
+            // Editor reviews the new draft
+            ({ verdict: currentVerdict, text: currentReview } = await requestVerdict(
+                'editor',
+                COMMISSIONING_EDITOR,
+                stepPrompt('qualityReview', {
+                    version: draftNumber,
+                    attempt: draftNumber - 2,
+                    maxRounds,
+                    previousVersion: draftNumber - 1,
+                    score: currentScore,
+                    review: inputBlock('Previous Review', currentReview),
+                    draft: workBlock('Draft', currentDraft),
+                }),
+                cbs,
+                {},
+                mutatedAgentStep
+            ));
+
+            currentScore = currentVerdict.score;
+            loop.record(currentScore);
+
+            // Track the best version
+            if (currentScore > bestScore) {
+                bestScore = currentScore;
+                bestDraft = currentDraft;
+                bestReview = currentReview;
+            }
+        }
+        if (loop.plateaued && !isEditorGreenlight(currentVerdict, gates.quality.passScore)) {
+            traceEvent('plateau', { gate: 'quality', rounds: loop.rounds, bestScore });
         }
-    }
 
-    // Use the best draft achieved
-    ctx.draftV2 = bestDraft;
-    ctx.greenlightReview = bestReview;
+        // Use the best draft achieved
+        ctx.draftV2 = bestDraft;
+        ctx.greenlightReview = bestReview;
+        editorScore = bestScore;
 
-    cbs.onPhaseComplete(4);
+        cbs.onPhaseComplete(4);
+    }
 
     // ═══════════════════════════════════════════════════════
     // PHASE 5 — FINAL OUTPUT
     // ═══════════════════════════════════════════════════════
-    cbs.onPhaseStart(5, 'Final Output — Master Pitch Deck');
-
-    // ─── PATCH 2: Context Compressor (rule-based, zero API calls) ──────
-    // Builds a ~800 token XML <state_payload> for the Showrunner.
-    // Full texts passed AFTER the payload as fallback.
-    function compressContext(editorReview, editorScoreNum, provocation, draft, mandate) {
-        const scoreStr = editorScoreNum !== null ? `${editorScoreNum}/100` : 'N/A';
-
-        // Extract MUST_FIX items (look for common rejection patterns)
-        const mustFixMatch = editorReview.match(/(?:must[- ]fix|fatal flaw|critical|major issue|fail)[^\n]*(?:\n[^#\n][^\n]*)*/gi);
-        const mustFix = mustFixMatch
-            ? mustFixMatch.map(m => m.trim()).slice(0, 5).join('\n  ')
-            : 'No explicit MUST_FIX items found.';
-
-        // Extract strengths
-        const strengthMatch = editorReview.match(/(?:strength|work(?:s|ing) well|standout|excellent|strong)[^\n]*(?:\n[^#\n][^\n]*)*/gi);
-        const strengths = strengthMatch
-            ? strengthMatch.map(m => m.trim()).slice(0, 3).join('\n  ')
-            : 'No explicit strengths extracted.';
-
-        // Extract draft outline (first 2-3 sentences per act)
-        const actMatches = draft.match(/(?:#{1,3}\s*)?(?:Act (?:I{1,3}|[1-3]|One|Two|Three))[^\n]*/gi);
-        let draftOutline = '';
-        if (actMatches) {
-            for (const actHeader of actMatches.slice(0, 3)) {
-                const actIdx = draft.indexOf(actHeader);
-                const actContent = draft.slice(actIdx, actIdx + 500);
-                const sentences = actContent.split(/(?<=[.!?])\s+/).slice(0, 3).join(' ');
-                draftOutline += `  ${sentences.substring(0, 200)}\n`;
-            }
-        }
-        if (!draftOutline) {
-            draftOutline = draft.substring(0, 300) + '...';
-        }
-
-        return `<state_payload>
-  <editor_verdict>
-    <score>${scoreStr}</score>
-    <must_fix>
-  ${mustFix}
-    </must_fix>
-    <strengths>
-  ${strengths}
-    </strengths>
-  </editor_verdict>
-  <provocateur_challenge>
-${provocation || '  (No provocateur challenge this run.)'}
-  </provocateur_challenge>
-  <draft_outline>
-${draftOutline}
-  </draft_outline>
-  <narrative_mandate>${mandate.substring(0, 300)}</narrative_mandate>
-</state_payload>`;
-    }
-
-    const compressedScore = extractScore(ctx.greenlightReview);
-    const statePayload = compressContext(
-        ctx.greenlightReview,
-        compressedScore,
-        ctx.provocation || '',
-        ctx.draftV2,
-        narrativeMandate
-    );
-
-    // ─── CONTEXT COMPACTION (Market Mandate — kept) ─────────────────
-    const compactMandate = (() => {
-        const sections = [];
-        const narrativeSection = ctx.marketMandate.match(/(?:#{1,3}\s*(?:\d+[\.\\)]\s*)?(?:Narrative Strategy|Narrative Form|Narrative Architecture)[^\n]*\n)([\s\S]*?)(?=\n#{1,3}\s|\n\d+[\.\\)]\s[A-Z]|$)/i);
-        if (narrativeSection) sections.push('**Narrative Strategy:** ' + narrativeSection[1].trim().substring(0, 500));
-        const platformSection = ctx.marketMandate.match(/(?:#{1,3}\s*(?:\d+[\.\\)]\s*)?(?:Platform|Buyer|Target)[^\n]*\n)([\s\S]*?)(?=\n#{1,3}\s|\n\d+[\.\\)]\s[A-Z]|$)/i);
-        if (platformSection) sections.push('**Platform Fit:** ' + platformSection[1].trim().substring(0, 300));
-        const budgetSection = ctx.marketMandate.match(/(?:#{1,3}\s*(?:\d+[\.\\)]\s*)?(?:Budget)[^\n]*\n)([\s\S]*?)(?=\n#{1,3}\s|\n\d+[\.\\)]\s[A-Z]|$)/i);
-        if (budgetSection) sections.push('**Budget:** ' + budgetSection[1].trim().substring(0, 200));
-        return sections.length > 0 ? sections.join('\n\n') : ctx.marketMandate.substring(0, 1000) + '\n\n[… truncated for context efficiency]';
-    })();
-
-
-    if (!shouldSkip('finalPitchDeck')) {
-        ctx.finalPitchDeck = await mutatedAgentStep(
-            SHOWRUNNER,
-            `The Commissioning Editor has completed their review. Compile the final compact pitch card.${kbBlock}${wildlifeFocusGuard}${genreLock}
-
-### 📦 Compressed State Payload (PRIMARY — read this first)
-${statePayload}
-
-### Market Mandate (Key Directives)
-${compactMandate}
-
-### Story Producer's Draft Narrative
-${ctx.draftV2}
-
-### Full Editor Review (FALLBACK)
-${ctx.greenlightReview}
-
-Internally decide whether to incorporate the Provocateur's challenge — but do NOT include any meta-commentary about provocation in your output.
-
-Output ONLY these 5 sections — nothing else:
+    async function compileFinalPitchDeck(cbs) {
+        cbs.onPhaseStart(5, 'Final Output — Master Pitch Deck');
+
+        const compressedScore = editorScore;
+        const statePayload = compressContext(
+            ctx.greenlightReview,
+            compressedScore,
+            ctx.provocation || '',
+            ctx.draftV2,
+            renderGuard('narrativeMandate', guardValues)
+        );
 
-1. **Title** — As a prominent ## heading. Evocative, marketable, unique.
-2. **Logline** — One sentence, max 25 words, hook + stakes + what makes this story unique. Uniqueness must come from the STORY (subject, behavior, scientific revelation, narrative angle) — NEVER from camera technology or production techniques. Format: **Logline:** followed by the sentence.
-3. **Summary** — 3-5 sentences selling the project to a non-specialist. Cinematic, vivid, irresistible. Format: **Summary:** followed by the paragraph.
-4. **Best For** — Top 1-3 platforms (e.g., Netflix, Apple TV+, BBC Studios, Disney+, Amazon Prime, ZDF/ARTE) with a one-line justification per platform. Format: **Best For:** followed by the list.
-5. **Sources** — Apply the three-tier model from your system prompt:
-   - **Tier 1 hard claims** in the Summary (specific numbers, statistics, population counts, precise dates): search-verify each one. Cite with URL. If you can't find a source, rewrite or remove.
-   - **Tier 2 contextual texture** (general ecological context, widely-understood patterns): no source needed.
-   - **Tier 3 narrative framing** (emotional language, metaphors): no source needed.
-   - **Seed facts** (names, roles, affiliations from the user's original seed): verify via search. If verified, no citation. If wrong, flag: "⚠️ Seed fact unverified: [claim]".
+        // ─── CONTEXT COMPACTION (Market Mandate — kept) ─────────────────
+        const compactMandate = compactMarketMandate(ctx.marketMandate);
+
+
+        if (!shouldSkip('finalPitchDeck')) {
+            ctx.finalPitchDeck = await mutatedAgentStep(
+                SHOWRUNNER,
+                stepPrompt('finalPitchDeck', {
+                    kb: backgroundBlock('Knowledge Base', kbBlock),
+                    statePayload,
+                    mandate: backgroundBlock('Market Mandate', compactMandate),
+                    draft: inputBlock('Draft Narrative', ctx.draftV2),
+                    review: backgroundBlock('Full Editor Review', ctx.greenlightReview),
+                    specialists: specialistBlock('draftV2Review', 'Specialist Notes (respect what they say the card must not claim)'),
+                }),
+                cbs,
+                { tools: [{ googleSearch: {} }] } // Needs search for Tier 1 claim verification and seed fact verification
 
-CRITICAL FORMAT RULES:
-- Output ONLY these 5 sections — no A/V scripts, no logistics, no market analysis
-- No agent commentary, no preamble, no "Okay, Showrunner here", no "INCORPORATING PROVOCATION" lines
-- Start directly with the ## Title heading
-- This must be clean, compact, and presentation-ready.`,
-            cbs,
-            { tools: [{ googleSearch: {} }] } // Needs search for Tier 1 claim verification and seed fact verification
+            );
+            checkpoint_('finalPitchDeck', 5);
+        }
+        await awaitApproval('finalPitchDeck');
 
-        );
-        checkpoint_('finalPitchDeck', 5);
+        cbs.onPhaseComplete(5);
     }
 
-    cbs.onPhaseComplete(5);
-
     // ═══════════════════════════════════════════════════════
     // PHASE 6 — THE GATEKEEPER
     // ═══════════════════════════════════════════════════════
-    cbs.onPhaseStart(6, 'The Gatekeeper');
-
-    ctx.gatekeeperVerdict = await mutatedAgentStep(
-        ADVERSARY,
-        `You are reviewing a COMPLETED Master Pitch Deck. This is the final gate before it goes to commissioners.${kbBlock}${optionsSuffix}${wildlifeFocusGuard}${genreLock}
-
-Run your full audit: Canon Audit, YouTuber Check, Lawsuit Check, Boring Check.${genreLabel ? ` Additionally, run a GENRE COMPLIANCE CHECK — verify the pitch consistently serves the locked genre ("${genreLabel}") throughout all sections. Flag any elements that drift into another genre's conventions.` : ''}${isWildlifeSeed ? ` Additionally, run a WILDLIFE PROTAGONIST CHECK — the user explicitly requested a wildlife story. Verify that the pitch's protagonist is an ANIMAL (species, individual, or population), NOT a human. If the pitch centers a human protagonist (e.g., a researcher, ranger, deminer, or conservationist) with animals as background, flag this as WILDLIFE DRIFT and REJECT.` : ''}
-
-### The Pitch Deck to Review
-${ctx.finalPitchDeck}
-
-### Original Seed Idea
-"${seedIdea}"
-
-Deliver your verdict in the specified format. Be brutal. Be specific. Cite exact series/episodes if this is derivative.`,
-        cbs,
-        { tools: [{ googleSearch: {} }] }
-    );
-
-    cbs.onPhaseComplete(6);
+    async function runGatekeeper(cbs) {
+        cbs.onPhaseStart(6, 'The Gatekeeper');
+        // Only a series run checkpoints the verdict — it is the last step otherwise
+        if (shouldSkip('gatekeeperVerdict')) {
+            cbs.onPhaseComplete(6);
+            return;
+        }
 
-    // ─── ADVERSARY GATE: Revision loop instead of kill switch ──────
-    let gatekeeperScore = extractScore(ctx.gatekeeperVerdict);
-    let verdictUpper = ctx.gatekeeperVerdict.toUpperCase();
-    let isHardReject = verdictUpper.includes('BURN IT DOWN') ||
-        (verdictUpper.includes('REJECTED') && !verdictUpper.includes('GREENLIT'));
-    let isFatalScore = gatekeeperScore !== null && gatekeeperScore < 80; // Fix 2: < 80 instead of < 40 to close pardon loophole
-    let adversaryAttempts = 0;
+        let gatekeeper;
+        ({ verdict: gatekeeper, text: ctx.gatekeeperVerdict } = await requestVerdict(
+            'gatekeeper',
+            ADVERSARY,
+            stepPrompt('gatekeeperReview', {
+                kb: backgroundBlock('Knowledge Base', kbBlock),
+                deck: ctx.finalPitchDeck,
+            }),
+            cbs,
+            { tools: [{ googleSearch: {} }] },
+            mutatedAgentStep
+        ));
+
+        cbs.onPhaseComplete(6);
+
+        // ─── ADVERSARY GATE: Revision loop instead of kill switch ──────
+        // Fix 2: scores under gatekeeper.passScore (not < 40) also send the pitch back, closing the pardon loophole
+        const { passScore, maxRounds } = gates.gatekeeper;
+        const loop = createRevisionLoop(gates.gatekeeper, gatekeeper.score);
+        let adversaryAttempts = 0;
+
+        while (loop.canContinue() && isGatekeeperRejection(gatekeeper, passScore)) {
+            adversaryAttempts++;
+            cbs.onPhaseStart(6, `🔄 Gatekeeper Revision — Attempt ${adversaryAttempts}/${maxRounds}`);
+
+            // Feed Adversary critique back to Showrunner for revision
+            ctx.finalPitchDeck = await mutatedAgentStep(
+                SHOWRUNNER,
+                stepPrompt('gatekeeperRevision', {
+                    score: gatekeeper.score,
+                    attempt: adversaryAttempts,
+                    maxRounds,
+                    critique: ctx.gatekeeperVerdict,
+                    deck: ctx.finalPitchDeck,
+                }),
+                cbs,
+                { tools: [{ googleSearch: {} }] }
+            );
 
-    while ((isHardReject || isFatalScore) && adversaryAttempts < maxRevisions) {
-        adversaryAttempts++;
-        cbs.onPhaseStart(6, `🔄 Gatekeeper Revision — Attempt ${adversaryAttempts}/${maxRevisions}`);
 
-        // Feed Adversary critique back to Showrunner for revision
-        ctx.finalPitchDeck = await mutatedAgentStep(
-            SHOWRUNNER,
-            `The Gatekeeper has REJECTED this pitch (${gatekeeperScore ?? '?'}/100). This is revision attempt ${adversaryAttempts} of ${maxRevisions}.${genreLock}
+            // Adversary reviews the revision
+            ({ verdict: gatekeeper, text: ctx.gatekeeperVerdict } = await requestVerdict(
+                'gatekeeper',
+                ADVERSARY,
+                stepPrompt('gatekeeperRecheck', {
+                    score: gatekeeper.score,
+                    attempt: adversaryAttempts,
+                    maxRounds,
+                    kb: backgroundBlock('Knowledge Base', kbBlock),
+                    critique: ctx.gatekeeperVerdict,
+                    deck: ctx.finalPitchDeck,
+                }),
+                cbs,
+                { tools: [{ googleSearch: {} }] },
+                mutatedAgentStep
+            ));
+            loop.record(gatekeeper.score);
+        }
+        if (loop.plateaued && isGatekeeperRejection(gatekeeper, passScore)) {
+            traceEvent('plateau', { gate: 'gatekeeper', rounds: loop.rounds, bestScore: loop.bestScore });
+        }
+        if (series) checkpoint_('gatekeeperVerdict', 6);
+    }
 
-### Gatekeeper's Critique:
-${ctx.gatekeeperVerdict}
+    // ═══════════════════════════════════════════════════════
+    // PHASE 7 — SERIES ARCHITECTURE (series mode only)
+    // ═══════════════════════════════════════════════════════
 
-### Current Pitch Card:
-${ctx.finalPitchDeck}
+    // The Showrunner answers with the JSON architecture (see series.js), repaired
+    // once if invalid; one that still fails is delivered as written.
+    async function requestSeriesArchitecture(prompt, cbs) {
+        const quietCbs = { ...cbs, onAgentOutput() { } };
+        let raw = await mutatedAgentStep(SHOWRUNNER, appendToPrompt(prompt, `\n\n${seriesContract(series)}`), quietCbs, { responseFormat: 'json', contract: null });
+        let { architecture, error } = parseSeriesArchitecture(raw, series);
+        if (!architecture) {
+            console.warn(`Series architecture invalid (${error}) — requesting a repair.`);
+            raw = await mutatedAgentStep(SHOWRUNNER, seriesRepairPrompt(series, raw, error), { ...quietCbs, onAgentThinking() { } }, { responseFormat: 'json', contract: null });
+            ({ architecture, error } = parseSeriesArchitecture(raw, series));
+        }
+        if (!architecture) console.warn(`Series architecture still invalid after repair (${error}) — delivering it unstructured.`);
+        traceEvent('series', { episodes: series.episodes, error });
+
+        const text = architecture
+            ? renderSeriesArchitecture(architecture, series)
+            : `### 📺 Series Architecture — ${seriesLabel(series)}\n\n${raw.trim()}`;
+        cbs.onAgentOutput(SHOWRUNNER, text);
+        return text;
+    }
 
-### Original Seed Idea:
-"${seedIdea}"
+    async function architectSeries(cbs) {
+        cbs.onPhaseStart(7, `Series Architecture — ${seriesLabel(series)}`);
+
+        if (!shouldSkip('seriesArchitecture')) {
+            ctx.seriesArchitecture = await requestSeriesArchitecture(
+                stepPrompt('seriesArchitecture', {
+                    seriesLabel: seriesLabel(series),
+                    episodes: series.episodes,
+                    runtime: series.runtime,
+                    deck: workBlock('Pitch Card', ctx.finalPitchDeck),
+                    draft: inputBlock('Draft Narrative', ctx.draftV2),
+                    factSheet: inputBlock('Revised Animal Fact Sheet', ctx.revisedScience),
+                    logistics: inputBlock('Revised Logistics', ctx.revisedLogistics),
+                    mandate: mandateBlock(ctx.marketMandate),
+                }),
+                cbs
+            );
+            checkpoint_('seriesArchitecture', 7);
+        }
+    }
 
-Address the Gatekeeper's SPECIFIC concerns and produce a REVISED compact pitch card with ONLY these 5 sections:
-1. **Title** — ## heading
-2. **Logline** — One sentence, max 25 words. No camera tech or production techniques — sell the story, not the gear.
-3. **Summary** — 3-5 sentences, cinematic and compelling
-4. **Best For** — Top 1-3 platforms with one-line justification each
-5. **Sources** — Use your Google Search tool to verify each source. For every factual claim in the Summary: either find a real URL that directly supports it, or rewrite the claim to match what a real source actually says. Do NOT invent URLs. Do NOT carry forward unverified URLs from the previous pitch card.
+    async function reviewSeries(cbs) {
+        const label = seriesLabel(series);
+        const consistencyCheck = `Run a CROSS-EPISODE CONSISTENCY CHECK on this ${label}:
+- Species and locations: each matches the Animal Fact Sheet and the Logistics — no species outside its real range or season, no location the crew cannot reach
+- Repetition: no two episodes share a hero species AND location, or the same set piece
+- Continuity: every cliffhanger is picked up by the next episode; the series arc escalates and the finale pays off episode 1
+- Format: exactly ${series.episodes} episodes of three acts each${series.runtime ? `, each able to hold ${series.runtime} minutes` : ''}, delivering what the pitch card promises
+
+List every consistency break in "mustFix". GREENLIGHT only a series a commissioner could schedule as it stands.`;
+
+        let review;
+        if (!shouldSkip('seriesReview')) {
+            ({ verdict: review, text: ctx.seriesReview } = await requestVerdict(
+                'editor',
+                COMMISSIONING_EDITOR,
+                stepPrompt('seriesReview', {
+                    seriesLabel: label,
+                    consistencyCheck,
+                    architecture: workBlock('Series Architecture', ctx.seriesArchitecture),
+                    deck: inputBlock('Pitch Card', ctx.finalPitchDeck),
+                    factSheet: inputBlock('Revised Animal Fact Sheet', ctx.revisedScience),
+                    logistics: inputBlock('Revised Logistics', ctx.revisedLogistics),
+                }),
+                cbs,
+                {},
+                mutatedAgentStep
+            ));
+
+            // ─── Consistency loop: the Showrunner revises until the Editor signs off ──
+            const { passScore, maxRounds } = gates.quality;
+            const loop = createRevisionLoop(gates.quality, review.score);
+            let attempt = 0;
+            while (loop.canContinue() && !isEditorGreenlight(review, passScore)) {
+                attempt++;
+                cbs.onPhaseStart(7, `🔄 Series Revision — Attempt ${attempt}/${maxRounds}`);
+
+                ctx.seriesArchitecture = await requestSeriesArchitecture(
+                    stepPrompt('seriesRevision', {
+                        score: review.score,
+                        attempt,
+                        maxRounds,
+                        review: workBlock('Consistency Review', ctx.seriesReview),
+                        architecture: workBlock('Series Architecture', ctx.seriesArchitecture),
+                        deck: inputBlock('Pitch Card', ctx.finalPitchDeck),
+                        seriesLabel: label,
+                    }),
+                    cbs
+                );
 
-CRITICAL: Output ONLY these 5 sections. No preamble, no agent meta-commentary, no "INCORPORATING PROVOCATION" lines. Start with the ## Title heading.`,
-            cbs,
-            { tools: [{ googleSearch: {} }] }
-        );
+                ({ verdict: review, text: ctx.seriesReview } = await requestVerdict(
+                    'editor',
+                    COMMISSIONING_EDITOR,
+                    stepPrompt('seriesRecheck', {
+                        score: review.score,
+                        attempt,
+                        maxRounds,
+                        consistencyCheck,
+                        review: inputBlock('Previous Review', ctx.seriesReview),
+                        architecture: workBlock('Series Architecture', ctx.seriesArchitecture),
+                        deck: inputBlock('Pitch Card', ctx.finalPitchDeck),
+                        factSheet: inputBlock('Revised Animal Fact Sheet', ctx.revisedScience),
+                    }),
+                    cbs,
+                    {},
+                    mutatedAgentStep
+                ));
+                loop.record(review.score);
+            }
+            if (loop.plateaued && !isEditorGreenlight(review, passScore)) {
+                traceEvent('plateau', { gate: 'series', rounds: loop.rounds, bestScore: loop.bestScore });
+            }
+            checkpoint_('seriesReview', 7);
+        }
 
+        cbs.onPhaseComplete(7);
+    }
 
-        // Adversary reviews the revision
-        ctx.gatekeeperVerdict = await mutatedAgentStep(
-            ADVERSARY,
-            `You previously REJECTED this pitch (${gatekeeperScore ?? '?'}/100). The Showrunner has revised it based on your critique. This is revision ${adversaryAttempts} of ${maxRevisions}.${kbBlock}${optionsSuffix}${genreLock}
+    // ═══════════════════════════════════════════════════════
+    // CUSTOM AGENTS
+    // User-defined specialists (opts.customAgents) run at their hook point and
+    // are pasted into the prompts downstream of it — see customAgents.js.
+    // ═══════════════════════════════════════════════════════
+    const hookedSpecialists = (hookId) => specialists.filter(agent => agent.hook === hookId);
+    const specialistKey = (agent) => `custom:${agent.id}`;
+
+    // The hook's outputs under a heading, or nothing when no specialist ran there
+    function specialistBlock(hookId, heading) {
+        const outputs = ctx.customAgentOutputs?.[hookId] || {};
+        const agents = hookedSpecialists(hookId).filter(agent => outputs[agent.id]);
+        if (agents.length === 0) return '';
+        return joinBudgeted([
+            `\n\n### ${heading}\n`,
+            ...agents.flatMap(agent => [`\n#### ${agent.icon} ${agent.name}\n`, inputBlock(agent.name, outputs[agent.id])]),
+            '\n',
+        ]);
+    }
 
-### Your Previous Critique:
-${ctx.gatekeeperVerdict}
+    const specialistPrompts = {
+        researchInput: () => stepPrompt('specialistInput', {
+            kb: backgroundBlock('Knowledge Base', kbBlock),
+            mandate: mandateBlock(ctx.marketMandate),
+            factSheet: inputBlock('Animal Fact Sheet', ctx.animalFactSheet),
+            logistics: inputBlock('Logistics', ctx.logisticsBreakdown),
+        }),
+        draftV1Review: () => stepPrompt('specialistDraftV1Review', {
+            kb: backgroundBlock('Knowledge Base', kbBlock),
+            factSheet: inputBlock('Animal Fact Sheet', ctx.animalFactSheet),
+            draft: workBlock('Draft V1', ctx.draftV1),
+        }),
+        draftV2Review: () => stepPrompt('specialistDraftV2Review', {
+            factSheet: inputBlock('Revised Animal Fact Sheet', ctx.revisedScience),
+            review: inputBlock('Editor Review', ctx.greenlightReview),
+            draft: workBlock('Draft V2', ctx.draftV2),
+        }),
+    };
 
-### REVISED Pitch Deck:
-${ctx.finalPitchDeck}
+    async function consultSpecialist(agent, cbs) {
+        if (ctx.customAgentOutputs?.[agent.hook]?.[agent.id] !== undefined) return;
+        const hook = CUSTOM_AGENT_HOOKS.find(h => h.id === agent.hook);
+        let output;
+        try {
+            output = await mutatedAgentStep(agent, specialistPrompts[agent.hook](), cbs, { tools: agent.searchTools, toolCheck: true });
+        } catch (e) {
+            if (e instanceof PipelineCancelled) throw e;
+            throwIfCancelled();
+            console.warn(`Custom agent ${agent.name} skipped:`, e.message);
+            output = '';
+        }
+        const outputs = ctx.customAgentOutputs || {};
+        ctx.customAgentOutputs = { ...outputs, [agent.hook]: { ...outputs[agent.hook], [agent.id]: output } };
+        checkpoint_(hook.after, hook.phase);
+    }
 
-### Original Seed Idea:
-"${seedIdea}"
+    // Graph steps for the specialists at a hook, reading what its prompt pastes in
+    const specialistSteps = (hookId, reads) => hookedSpecialists(hookId)
+        .map(agent => ({ id: specialistKey(agent), reads, run: (stepCbs) => consultSpecialist(agent, stepCbs) }));
+    const specialistKeys = (hookId) => hookedSpecialists(hookId).map(specialistKey);
 
-Re-evaluate. Have your core concerns been addressed? Run your full audit again.${genreLabel ? ` Include a GENRE COMPLIANCE CHECK — verify the pitch serves the locked genre ("${genreLabel}") throughout.` : ''} If the revision genuinely fixes the problems, you MAY upgrade your verdict. If the core issues persist, explain what SPECIFICALLY still fails.`,
-            cbs,
-            { tools: [{ googleSearch: {} }] }
-        );
+    // ═══════════════════════════════════════════════════════
+    // THE STEP GRAPH
+    // Each step lists the keys it reads and writes (its id, unless `writes` says
+    // otherwise): ctx fields, plus 'kb' for the knowledge-base block,
+    // 'speciesGuard' and 'editorScore', and 'custom:<id>' per custom agent.
+    // runStepGraph starts a step once the
+    // earlier steps writing its inputs are done, so independent steps run side
+    // by side: the knowledge lookup and the Discovery Scout, the Scientist and
+    // the Producer, the Provocateur and the Editor's first review, and the two
+    // Phase 4 revisions. Each step runs with its own phaseScope of cbs, so its
+    // calls keep its phase while another step announces a different one.
+    // ═══════════════════════════════════════════════════════
+    const steps = [
+        { id: 'knowledge', writes: ['kb'], run: retrieveKnowledge },
+        { id: 'discovery', writes: ['_discoveryBrief'], run: scoutDiscoveries },
+        { id: 'marketMandate', reads: ['_discoveryBrief', 'kb'], run: analyzeMarket },
+        { id: 'animalFactSheet', reads: ['_discoveryBrief', 'kb', 'marketMandate'], run: researchScience },
+        { id: 'logisticsBreakdown', reads: ['kb', 'marketMandate'], run: researchLogistics },
+        {
+            id: 'researchGates',
+            reads: ['_discoveryBrief', 'kb', 'marketMandate', 'animalFactSheet', 'logisticsBreakdown'],
+            writes: ['marketMandate', 'animalFactSheet', 'logisticsBreakdown'],
+            run: runResearchGates,
+        },
+        { id: 'draftKnowledge', reads: ['animalFactSheet'], writes: ['kb'], run: refreshKnowledge },
+        { id: 'speciesGuard', reads: ['animalFactSheet'], run: guardSpecies },
+        ...specialistSteps('researchInput', ['kb', 'marketMandate', 'animalFactSheet', 'logisticsBreakdown']),
+        { id: 'draftV1', reads: ['_discoveryBrief', 'kb', 'speciesGuard', 'marketMandate', 'animalFactSheet', 'logisticsBreakdown', ...specialistKeys('researchInput')], run: writeDraftV1 },
+        ...specialistSteps('draftV1Review', ['kb', 'animalFactSheet', 'draftV1']),
+        { id: 'provocation', reads: ['marketMandate', 'animalFactSheet', 'draftV1'], run: provoke },
+        { id: 'rejectionMemo', reads: ['kb', 'marketMandate', 'animalFactSheet', 'logisticsBreakdown', 'draftV1'], run: reviewDraftV1 },
+        { id: 'revisionDirectives', reads: ['rejectionMemo', 'provocation', 'marketMandate', 'animalFactSheet', 'logisticsBreakdown', 'draftV1', ...specialistKeys('draftV1Review')], run: issueRevisionDirectives },
+        { id: 'revisedScience', reads: ['revisionDirectives', 'animalFactSheet'], run: reviseScience },
+        { id: 'revisedLogistics', reads: ['revisionDirectives', 'animalFactSheet', 'logisticsBreakdown'], run: reviseLogistics },
+        { id: 'draftV2', reads: ['revisionDirectives', 'speciesGuard', 'marketMandate', 'revisedScience', 'revisedLogistics', 'draftV1', ...specialistKeys('researchInput')], run: writeDraftV2 },
+        { id: 'greenlightReview', reads: ['rejectionMemo', 'revisedScience', 'revisedLogistics', 'draftV2'], run: reviewDraftV2 },
+        {
+            id: 'qualityGate',
+            reads: ['speciesGuard', 'marketMandate', 'animalFactSheet', 'logisticsBreakdown', 'revisedScience', 'revisedLogistics', 'draftV2', 'greenlightReview', ...specialistKeys('researchInput')],
+            writes: ['draftV2', 'greenlightReview', 'editorScore'],
+            run: runQualityGate,
+        },
+        ...specialistSteps('draftV2Review', ['revisedScience', 'draftV2', 'greenlightReview']),
+        { id: 'finalPitchDeck', reads: ['kb', 'marketMandate', 'provocation', 'draftV2', 'greenlightReview', 'editorScore', ...specialistKeys('draftV2Review')], run: compileFinalPitchDeck },
+        { id: 'gatekeeperVerdict', reads: ['kb', 'finalPitchDeck'], writes: ['gatekeeperVerdict', 'finalPitchDeck'], run: runGatekeeper },
+        ...(series ? [
+            { id: 'seriesArchitecture', reads: ['marketMandate', 'revisedScience', 'revisedLogistics', 'draftV2', 'finalPitchDeck'], run: architectSeries },
+            { id: 'seriesReview', reads: ['revisedScience', 'revisedLogistics', 'finalPitchDeck', 'seriesArchitecture'], writes: ['seriesReview', 'seriesArchitecture'], run: reviewSeries },
+        ] : []),
+    ];
+    await runStepGraph(steps.map(step => ({ ...step, run: () => step.run(phaseScope(cbs)) })), { concurrency, shouldStop: () => killMemo !== null });
 
-        // Re-evaluate
-        gatekeeperScore = extractScore(ctx.gatekeeperVerdict);
-        verdictUpper = ctx.gatekeeperVerdict.toUpperCase();
-        isHardReject = verdictUpper.includes('BURN IT DOWN') ||
-            (verdictUpper.includes('REJECTED') && !verdictUpper.includes('GREENLIT'));
-        isFatalScore = gatekeeperScore !== null && gatekeeperScore < 80;
+    if (killMemo) {
+        clearCheckpoint(runId);
+        return killMemo;
     }
 
     // Pipeline complete — clear checkpoint
-    clearCheckpoint();
+    cbs.onStepComplete?.(series ? 'seriesReview' : 'gatekeeperVerdict', { ...ctx });
+    clearCheckpoint(runId);
+
+    // The pitch card is sanitized on its own (the sanitizer keeps one card), then
+    // the series architecture follows it
+    const withSeries = (deck) => (series && ctx.seriesArchitecture ? `${deck}\n\n---\n\n${ctx.seriesArchitecture}` : deck);
 
     // ─── PATCH 3: Defamation Guard (post-pipeline scan) ─────────
     const defamationRisk = classifyDefamation(ctx.finalPitchDeck);
+    traceEvent('defamation', { risk: defamationRisk });
     if (defamationRisk === 'CRITICAL') {
         // Strip the problematic content and return a warning
         const defamWarning = `## ⚠️ DEFAMATION GUARD — Content Flagged\n\nThe final pitch card references real individuals in a potentially defamatory fictional context. The content has been held for review.\n\n**Risk Level:** CRITICAL\n\nPlease review the output and remove any fictional negative attributions to real people before publishing.\n\n---\n\n${ctx.finalPitchDeck}`;
-        clearCheckpoint();
-        return sanitizeFinalOutput(defamWarning);
+        clearCheckpoint(runId);
+        return withSeries(sanitizeFinalOutput(defamWarning));
     }
 
     // Return the compact pitch card only (Title, Logline, Summary, Best For)
     // ─── URL VALIDATOR: strip broken/hallucinated source links before delivery ───
     try {
-        const validated = await validateSources(ctx.finalPitchDeck);
+        const validated = await validateSources(ctx.finalPitchDeck, { signal: pipelineSignal() });
         if (validated.summary.broken > 0) {
             console.warn(`URL Validator: ${validated.note}`);
         }
-        clearCheckpoint();
-        return sanitizeFinalOutput(validated.output);
+        clearCheckpoint(runId);
+        return withSeries(sanitizeFinalOutput(validated.output));
     } catch (e) {
+        throwIfCancelled();
         console.warn('URL Validator failed, returning unvalidated output:', e.message);
-        clearCheckpoint();
-        return sanitizeFinalOutput(ctx.finalPitchDeck);
+        clearCheckpoint(runId);
+        return withSeries(sanitizeFinalOutput(ctx.finalPitchDeck));
     }
 }
 
@@ -1355,7 +2270,7 @@ Re-evaluate. Have your core concerns been addressed? Run your full audit again.$
  * Strip agent meta-commentary and roleplay preambles from the final deck output.
  * These patterns occur when LLMs break character and narrate their process.
  */
-function sanitizeFinalOutput(text) {
+export function sanitizeFinalOutput(text) {
     // Strip outer code fences (```markdown...``` or ```...```) that LLMs sometimes wrap around output
     let cleaned = text.replace(/^```(?:markdown|md)?\s*\n([\s\S]*?)\n```\s*$/i, '$1');
 
@@ -1402,6 +2317,25 @@ function sanitizeFinalOutput(text) {
     return cleaned;
 }
 
+/**
+ * Translate a finished pitch card into another output language, section
+ * labels included — for the bilingual export. Only the card is sent; a series
+ * architecture after it is left out.
+ * @param {string} deck — the final pitch deck
+ * @param {string} language — target language code (see outputLanguage.js)
+ * @returns {Promise<string>} the translated card
+ */
+export async function translatePitchCard(deck, language) {
+    const { name, sections } = outputLanguage(language);
+    const labels = PITCH_CARD_SECTIONS.map(section => `**${sections[section]}:**`).join(', ');
+    const translated = await callAgent(
+        `You translate wildlife documentary pitch cards into ${name}. Keep the markdown layout exactly: the ## title line, then the sections labelled ${labels}, in that order. Keep scientific names, people's and places' names, broadcaster and platform names, publication titles and URLs as they are. Return ONLY the translated card.`,
+        formatPitchCard(parsePitchCard(deck), pitchCardLanguage(deck)),
+        { agentId: 'translator' }
+    );
+    return sanitizeFinalOutput(translated);
+}
+
 /**
  * Run the Treatment Assessment pipeline.
  * Takes an existing treatment/draft, assesses it, then optimizes it.
@@ -1415,8 +2349,14 @@ function sanitizeFinalOutput(text) {
  * @param {string} existingScript — the submitted script
  * @param {object} cbs — UI callbacks
  * @param {number|null} productionYear — optional year for temporal calibration
+ * @param {object} [opts] — { budget: { maxTokens, maxCostUsd, maxPromptTokens } }
  */
-export async function runAssessment(existingScript, cbs, productionYear = null) {
+export async function runAssessment(existingScript, cbs, productionYear = null, { budget = null } = {}) {
+    return withUsageMeter(cbs, budget, (meteredCbs) => withRunTrace(meteredCbs, { seedIdea: existingScript.slice(0, 200), mode: 'assessment', options: { year: productionYear } },
+        (tracedCbs) => runScriptAssessment(existingScript, tracedCbs, productionYear)));
+}
+
+async function runScriptAssessment(existingScript, cbs, productionYear) {
     const ctx = { existingScript };
 
     // ─── Anti-hallucination directive (injected into every prompt) ─────
@@ -1440,8 +2380,9 @@ export async function runAssessment(existingScript, cbs, productionYear = null)
     // Retrieve relevant knowledge
     let knowledgeContext = '';
     try {
-        knowledgeContext = await retrieveContext(existingScript.slice(0, 500));
+        knowledgeContext = await retrieveContext(existingScript.slice(0, 500), 5, { signal: pipelineSignal() });
     } catch (e) {
+        throwIfCancelled();
         console.warn('Knowledge retrieval skipped:', e.message);
     }
     const kbBlock = knowledgeContext ? `\n\n${knowledgeContext}\n\n` : '';
@@ -1467,10 +2408,10 @@ Do NOT evaluate this as a new ${currentYear} pitch. Evaluate it as a ${productio
 
     ctx.marketAssessment = await agentStep(
         MARKET_ANALYST,
-        `You are reviewing an EXISTING wildlife script/draft. Do NOT generate a new concept — analyze what's already here.${FACTUAL_GROUNDING}${calibration}${kbBlock}
+        budgeted`You are reviewing an EXISTING wildlife script/draft. Do NOT generate a new concept — analyze what's already here.${FACTUAL_GROUNDING}${calibration}${backgroundBlock('Knowledge Base', kbBlock)}
 
 ### The Submitted Script
-${existingScript}
+${workBlock('Submitted Script', existingScript)}
 
 Assess this script's market positioning${productionYear ? ` in the context of the ${productionYear} commissioning landscape` : ' against current market trends and buyer mandates'}. Output:
 1. **Market Fit Score** (1-100) — ${productionYear ? `how well this fit the market IN ${productionYear}` : "how well this fits today's market"}
@@ -1480,18 +2421,19 @@ Assess this script's market positioning${productionYear ? ` in the context of th
 5. ${productionYear ? '**Legacy Impact** — did this production influence the genre? What did it spawn?' : '**Recommendations** — specific changes to improve market viability'}
 
 Use markdown formatting.`,
-        cbs
+        cbs,
+        { contract: null } // assessment mode asks for reviews, not the agents' usual outputs
     );
 
     ctx.scienceAssessment = await agentStep(
         CHIEF_SCIENTIST,
-        `You are reviewing an EXISTING wildlife script/draft for scientific accuracy and novelty.${FACTUAL_GROUNDING}${calibration}
+        budgeted`You are reviewing an EXISTING wildlife script/draft for scientific accuracy and novelty.${FACTUAL_GROUNDING}${calibration}
 
 ### The Submitted Script
-${existingScript}
+${workBlock('Submitted Script', existingScript)}
 
 ### Market Assessment
-${ctx.marketAssessment}
+${inputBlock('Market Assessment', ctx.marketAssessment)}
 
 Assess the scientific content${productionYear ? ` against the state of biological knowledge in ${productionYear}` : ''}. Output:
 1. **Scientific Accuracy Score** (1-100) — are the behavioral claims correct${productionYear ? ` based on what was known in ${productionYear}?` : '?'}
@@ -1501,18 +2443,19 @@ Assess the scientific content${productionYear ? ` against the state of biologica
 5. **B-Story Integration** — is the secondary species woven into the narrative or just a footnote?
 
 Use markdown formatting.`,
-        cbs
+        cbs,
+        { contract: null }
     );
 
     ctx.logisticsAssessment = await agentStep(
         FIELD_PRODUCER,
-        `You are reviewing an EXISTING wildlife script/draft for production feasibility.${FACTUAL_GROUNDING}${calibration}
+        budgeted`You are reviewing an EXISTING wildlife script/draft for production feasibility.${FACTUAL_GROUNDING}${calibration}
 
 ### The Submitted Script
-${existingScript}
+${workBlock('Submitted Script', existingScript)}
 
 ### Science Assessment
-${ctx.scienceAssessment}
+${inputBlock('Science Assessment', ctx.scienceAssessment)}
 
 Assess the logistics and feasibility${productionYear ? ` with ${productionYear}-era production capabilities` : ''}. Output:
 1. **Feasibility Score** (1-100)
@@ -1523,7 +2466,8 @@ Assess the logistics and feasibility${productionYear ? ` with ${productionYear}-
 6. **Timeline Estimate** — how long would this take to shoot?
 
 Use markdown formatting.`,
-        cbs
+        cbs,
+        { contract: null }
     );
 
     cbs.onPhaseComplete(1);
@@ -1535,19 +2479,19 @@ Use markdown formatting.`,
 
     ctx.critique = await agentStep(
         COMMISSIONING_EDITOR,
-        `You are reviewing an EXISTING wildlife script submitted for assessment. This is NOT a generated draft — it was written externally.${FACTUAL_GROUNDING}${calibration}
+        budgeted`You are reviewing an EXISTING wildlife script submitted for assessment. This is NOT a generated draft — it was written externally.${FACTUAL_GROUNDING}${calibration}
 
 ### The Submitted Script
-${existingScript}
+${workBlock('Submitted Script', existingScript)}
 
 ### Market Assessment
-${ctx.marketAssessment}
+${inputBlock('Market Assessment', ctx.marketAssessment)}
 
 ### Scientific Assessment
-${ctx.scienceAssessment}
+${inputBlock('Science Assessment', ctx.scienceAssessment)}
 
 ### Logistics Assessment
-${ctx.logisticsAssessment}
+${inputBlock('Logistics Assessment', ctx.logisticsAssessment)}
 
 Stress-test this script across ALL 7 vectors:
 1. **Cliché Detector** — any visual, narrative beat, or narration line ${productionYear ? `that was already overused by ${productionYear}` : 'the audience has seen before'}? Quote the line.
@@ -1582,18 +2526,18 @@ Be ruthless but constructive.`,
 
     ctx.revisionPlan = await agentStep(
         SHOWRUNNER,
-        `The Commissioning Editor has critiqued the submitted script. Your job is to create a clear optimization plan that elevates this to BLUE-CHIP CINEMATIC standard.${FACTUAL_GROUNDING}${calibration}
+        budgeted`The Commissioning Editor has critiqued the submitted script. Your job is to create a clear optimization plan that elevates this to BLUE-CHIP CINEMATIC standard.${FACTUAL_GROUNDING}${calibration}
 
 ### Original Script
-${existingScript}
+${workBlock('Submitted Script', existingScript)}
 
 ### Editor's Critique
-${ctx.critique}
+${workBlock('Critique', ctx.critique)}
 
 ### Team Assessments
-- Market: ${ctx.marketAssessment}
-- Science: ${ctx.scienceAssessment}
-- Logistics: ${ctx.logisticsAssessment}
+- Market: ${inputBlock('Market Assessment', ctx.marketAssessment)}
+- Science: ${inputBlock('Science Assessment', ctx.scienceAssessment)}
+- Logistics: ${inputBlock('Logistics Assessment', ctx.logisticsAssessment)}
 
 Parse all feedback and output:
 1. **Genre Assignment** — what cinematic genre should this embody? (thriller, survival epic, heist, horror chase, etc.) You MUST justify WHY this genre — cite market trends, streamer preferences, recent commissioning patterns, or audience appetite that make this genre the smart strategic choice.
@@ -1605,24 +2549,25 @@ Parse all feedback and output:
 7. **Rewrite Directives** — specific instructions for the Story Producer
 
 Be specific and actionable.`,
-        cbs
+        cbs,
+        { contract: null }
     );
 
     ctx.optimizedScript = await agentStep(
         STORY_PRODUCER,
-        `You are OPTIMIZING an existing wildlife script to BLUE-CHIP CINEMATIC standard. Preserve the core vision while transforming the storytelling.${FACTUAL_GROUNDING}${calibration}
+        budgeted`You are OPTIMIZING an existing wildlife script to BLUE-CHIP CINEMATIC standard. Preserve the core vision while transforming the storytelling.${FACTUAL_GROUNDING}${calibration}
 
 CRITICAL: You are rewriting, NOT inventing. Every person, place, and species in your output must come from the original treatment. If you suggest adding a new character, expert, or location that is NOT in the original, you MUST mark it as [SUGGESTED — VERIFY] and explain why it would strengthen the pitch. Never present invented additions as if they were part of the original.
 
 ### Original Script
-${existingScript}
+${workBlock('Submitted Script', existingScript)}
 
 ### Showrunner's Optimization Plan
-${ctx.revisionPlan}
+${workBlock('Revision Plan', ctx.revisionPlan)}
 
 ### Key Assessments
-- Market: ${ctx.marketAssessment}
-- Science: ${ctx.scienceAssessment}
+- Market: ${inputBlock('Market Assessment', ctx.marketAssessment)}
+- Science: ${inputBlock('Science Assessment', ctx.scienceAssessment)}
 
 Critical upgrades to apply:
 — **Genre-ify**: Treat the animal as a cinematic protagonist in a specific genre (the Showrunner's assignment). The iguana vs. snakes in Planet Earth II was a HORROR-THRILLER ESCAPE, not a "predator-prey study."
@@ -1636,19 +2581,20 @@ Output:
 2. **The Optimized Script** — full 3-Act narrative outline + dual-column A/V script (min 8 rows) with sound design notes and 3 visual signature moments
 
 Use markdown formatting.`,
-        cbs
+        cbs,
+        { contract: null }
     );
 
     ctx.finalReview = await agentStep(
         COMMISSIONING_EDITOR,
-        `You previously critiqued the original submitted script with this assessment:${FACTUAL_GROUNDING}
+        budgeted`You previously critiqued the original submitted script with this assessment:${FACTUAL_GROUNDING}
 
-${ctx.critique}
+${inputBlock('Critique', ctx.critique)}
 
 The team has optimized the script. Here is the revised version:
 
 ### Optimized Script
-${ctx.optimizedScript}
+${workBlock('Optimized Script', ctx.optimizedScript)}
 
 Review the optimization:
 1. Has the GENRE GAP been closed? Does it now feel cinematic, not clinical?
@@ -1671,13 +2617,13 @@ Review the optimization:
 
     ctx.finalPitchDeck = await agentStep(
         SHOWRUNNER,
-        `Compile the final compact pitch card from the assessment and revision process.${FACTUAL_GROUNDING}${calibration}
+        budgeted`Compile the final compact pitch card from the assessment and revision process.${FACTUAL_GROUNDING}${calibration}
 
 ### Optimized Script
-${ctx.optimizedScript}
+${inputBlock('Optimized Script', ctx.optimizedScript)}
 
 ### Editor's Final Review
-${ctx.finalReview}
+${backgroundBlock('Final Review', ctx.finalReview)}
 
 Output ONLY these 4 sections — nothing else:
 
@@ -1691,7 +2637,8 @@ CRITICAL FORMAT RULES:
 - No preamble, no agent commentary
 - Start directly with the ## Title heading
 - Clean, compact, and presentation-ready.`,
-        cbs
+        cbs,
+        { contract: { ...SHOWRUNNER.outputContract, headings: ['Logline', 'Summary', 'Best For'] } } // no Sources on the assessment card
     );
 
     cbs.onPhaseComplete(4);
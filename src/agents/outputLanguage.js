@@ -0,0 +1,165 @@
+/**
+ * Output languages — the language a pitch is written in (runPipeline's
+ * opts.language). The research agents always work in English; the Story
+ * Producer and the Showrunner write in the chosen language and the Gatekeeper
+ * judges in it (see the outputLanguage and languageReview guards in
+ * promptTemplates.js).
+ *
+ * The pitch card's section labels are translated too, so everything that
+ * reads a card — output contracts, the deck renderer, the exports — looks a
+ * section up by its English name and accepts the label in any language here.
+ */
+
+/** The pitch card's labelled sections, in order; the title is its ## heading. */
+export const PITCH_CARD_SECTIONS = ['Logline', 'Summary', 'Best For', 'Sources'];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+/** Output languages by code: name, the locale exports are tagged with, and the card's section labels. */
+export const OUTPUT_LANGUAGES = {
+    en: {
+        name: 'English',
+        nativeName: 'English',
+        locale: 'en-US',
+        sections: { Logline: 'Logline', Summary: 'Summary', 'Best For': 'Best For', Sources: 'Sources' },
+    },
+    de: {
+        name: 'German',
+        nativeName: 'Deutsch',
+        locale: 'de-DE',
+        sections: { Logline: 'Logline', Summary: 'Zusammenfassung', 'Best For': 'Geeignet für', Sources: 'Quellen' },
+    },
+    fr: {
+        name: 'French',
+        nativeName: 'Français',
+        locale: 'fr-FR',
+        sections: { Logline: 'Logline', Summary: 'Résumé', 'Best For': 'Idéal pour', Sources: 'Sources' },
+    },
+    es: {
+        name: 'Spanish',
+        nativeName: 'Español',
+        locale: 'es-ES',
+        sections: { Logline: 'Logline', Summary: 'Resumen', 'Best For': 'Ideal para', Sources: 'Fuentes' },
+    },
+};
+
+/**
+ * Look up an output language; null or '' is the default (English).
+ * @param {string|null} code
+ * @returns {{ code: string, name: string, nativeName: string, locale: string, sections: Object<string, string> }}
+ * @throws {Error} on an unknown code
+ */
+export function outputLanguage(code) {
+    const key = code || DEFAULT_LANGUAGE;
+    if (!Object.hasOwn(OUTPUT_LANGUAGES, key)) {
+        throw new Error(`Unknown output language "${code}" — use one of ${Object.keys(OUTPUT_LANGUAGES).join(', ')}`);
+    }
+    return { code: key, ...OUTPUT_LANGUAGES[key] };
+}
+
+/**
+ * Every label a section goes by across the output languages — just the name
+ * itself for anything that is not a pitch card section.
+ * @param {string} section — e.g. 'Summary'
+ * @returns {string[]}
+ */
+export function sectionLabels(section) {
+    if (!PITCH_CARD_SECTIONS.includes(section)) return [section];
+    return [...new Set(Object.values(OUTPUT_LANGUAGES).map(language => language.sections[section]))];
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const LABEL_INDEX = new Map(PITCH_CARD_SECTIONS.flatMap(section => sectionLabels(section).map(label => [label.toLowerCase(), section])));
+
+// "**Summary:** text", "**Summary**: text", "4. **Best For:**", "Sources: text", "### Quellen"
+const SECTION_LINE = new RegExp(
+    `^[ \\t]*(#{1,6}[ \\t]*)?(?:\\d+[.)][ \\t]*)?(\\*\\*)?(${[...LABEL_INDEX.keys()].map(escapeRegExp).join('|')})[ \\t]*(:)?[ \\t]*(\\*\\*)?[ \\t]*(:)?[ \\t]*(.*)$`,
+    'i',
+);
+
+/**
+ * The section a line opens, or null: a label that is bold, followed by a
+ * colon, or a heading on its own.
+ * @returns {{ section: string, label: string, text: string }|null}
+ */
+function sectionLine(line) {
+    const match = line.match(SECTION_LINE);
+    if (!match) return null;
+    const [, heading, boldOpen, label, colon, boldClose, colonAfter, text] = match;
+    const opens = (boldOpen && boldClose) || colon || colonAfter || (heading && !text);
+    return opens ? { section: LABEL_INDEX.get(label.toLowerCase()), label: label.toLowerCase(), text: text.trim() } : null;
+}
+
+/**
+ * Split a pitch card into its title and sections, whatever language its labels
+ * are in. A section runs to the next section label or markdown heading, so a
+ * series architecture after the card is left out.
+ * @param {string} text
+ * @returns {{ title: string, sections: Object<string, string> }} sections keyed by
+ *   their English name; a section the card lacks is missing
+ */
+export function parsePitchCard(text) {
+    const lines = text.split('\n');
+    const titleIndex = lines.findIndex(line => /^##\s+/.test(line));
+    const title = titleIndex >= 0 ? lines[titleIndex].replace(/^##\s+/, '').trim() : '';
+    const sections = {};
+    let current = null;
+    for (const line of lines.slice(titleIndex + 1)) {
+        const opened = sectionLine(line);
+        if (opened) {
+            current = opened.section;
+            sections[current] = opened.text ? [opened.text] : [];
+        } else if (/^#{1,6}\s/.test(line)) {
+            current = null;
+        } else if (current) {
+            sections[current].push(line);
+        }
+    }
+    return {
+        title,
+        sections: Object.fromEntries(Object.entries(sections).map(([section, body]) => [section, body.join('\n').trim()])),
+    };
+}
+
+/**
+ * The language whose section labels a pitch card uses. Only labels no other
+ * language shares count (French "Sources" says nothing), and a card without
+ * any is taken to be English.
+ * @param {string} text
+ * @returns {string} a language code
+ */
+export function pitchCardLanguage(text) {
+    const labels = new Set(text.split('\n').map(line => sectionLine(line)?.label).filter(Boolean));
+    const shared = (section, label) => Object.values(OUTPUT_LANGUAGES).filter(other => other.sections[section] === label).length > 1;
+    let best = DEFAULT_LANGUAGE;
+    let bestCount = 0;
+    for (const [code, { sections }] of Object.entries(OUTPUT_LANGUAGES)) {
+        const count = Object.entries(sections)
+            .filter(([section, label]) => !shared(section, label) && labels.has(label.toLowerCase())).length;
+        if (count > bestCount) {
+            best = code;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+/**
+ * Write a parsed pitch card (see parsePitchCard) back out as markdown, with
+ * its section labels in the given language. Lists start on their own line.
+ * @param {{ title: string, sections: Object<string, string> }} card
+ * @param {string|null} language — a language code
+ * @returns {string}
+ */
+export function formatPitchCard({ title, sections }, language) {
+    const labels = outputLanguage(language).sections;
+    const blocks = PITCH_CARD_SECTIONS
+        .filter(section => sections[section] !== undefined)
+        .map(section => {
+            const body = sections[section];
+            const ownLine = body.includes('\n') || /^(?:[-*•]|\d+[.)])\s/.test(body);
+            return `**${labels[section]}:**${ownLine ? '\n' : ' '}${body}`;
+        });
+    return [`## ${title}`, ...blocks].join('\n\n');
+}
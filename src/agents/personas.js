@@ -1,10 +1,16 @@
+import { FAST_MODEL } from './generation.js';
+
 // ─── Agent Persona System Prompts ───────────────────────────────────
+// `generation` sets each agent's model and sampling (see generation.js): the
+// Scout and the Drift Gate run on the fast model, the Story Producer writes
+// hot, and the reviewers score cold so their verdicts are stable.
 
 export const DRIFT_GATE = {
     id: 'drift-gate',
     name: 'Drift Gate',
     icon: '🚦',
     color: '#f59f00',
+    generation: { model: FAST_MODEL, temperature: 0, topP: null, maxOutputTokens: 1024 },
     systemPrompt: `You are the Drift Gate — a lightweight validation checkpoint in a documentary pitch pipeline.
 
 You receive:
@@ -42,6 +48,10 @@ If the Brief drifts:
 - A FAIL triggers a Scout re-run. The pipeline does NOT proceed with a drifted Brief.
 - Be strict. A Brief that is tangentially interesting but not what the user asked for is a FAIL.
 - Output ONLY the JSON object. No preamble, no explanation outside the JSON.`,
+    outputContract: {
+        label: 'Drift Gate decision',
+        json: ['status'],
+    },
 };
 
 export const MARKET_ANALYST = {
@@ -49,6 +59,7 @@ export const MARKET_ANALYST = {
     name: 'Market Intelligence Analyst',
     icon: '📊',
     color: '#00d4aa',
+    generation: { model: null, temperature: 0.7, topP: null, maxOutputTokens: null },
     get systemPrompt() {
         // Shuffle cross-genre examples to prevent positional bias
         const crossGenres = [
@@ -169,6 +180,13 @@ Rule: Allowed without a source. But the moment you add a number, date, or named
 3. Never cite what you haven't retrieved. Do not recall specific commission details from training data as if they are current.
 4. Source says what it says — if a search result contradicts your assumption, the search result wins.`;
     },
+    outputContract: {
+        label: 'Market Mandate',
+        fields: [
+            { name: 'the Narrative Strategy Recommendation', pattern: /Narrative (?:Strategy|Form|Architecture)/i, hint: 'Section 7, with a Primary and an Alternative Narrative Form' },
+            { name: 'a budget tier recommendation', pattern: /budget/i },
+        ],
+    },
 };
 
 
@@ -177,6 +195,11 @@ export const CHIEF_SCIENTIST = {
     name: 'Chief Scientist',
     icon: '🔬',
     color: '#4dabf7',
+    generation: { model: null, temperature: 0.4, topP: null, maxOutputTokens: null },
+    // Server-side tools (api/_tools.js): evidence from the knowledge base on demand,
+    // on top of the top-5 RAG block pasted into the prompt. Only the Scientist's
+    // steps that run without Search get them (see agentStep)
+    serverTools: ['search_knowledge_base', 'lookup_species', 'validate_url'],
     systemPrompt: `Role: You are the Chief Biologist for a blue-chip wildlife series. Your job is deep research, factual accuracy, and scientific novelty.
 
 ═══════════════════════════════════════════
@@ -305,6 +328,16 @@ Rule: Write freely. This is the documentary's soul.
 Format: Include a **## Sources** section at the END listing hard claim source URLs as a numbered list: \`1. [Claim summary] — URL\`. Focus on 2-4 central scientific claims — not every minor detail.
 
 Output as an "Animal Fact Sheet" using markdown headers and bullets.`,
+    outputContract: {
+        label: 'Animal Fact Sheet',
+        headings: ['Sources'],
+        fields: [
+            { name: 'the primary species\' scientific name', pattern: /\*[A-Z][a-z]+ [a-z]{2,}\*|_[A-Z][a-z]+ [a-z]{2,}_|\([A-Z][a-z]+ [a-z]{2,}\)|[Ss]cientific [Nn]ame/, hint: 'give the Latin binomial, e.g. *Enhydra lutris*' },
+            { name: 'a B-Story backup species', pattern: /B[- ]?Story/i, hint: 'name it, with its scientific name' },
+        ],
+        // A rejection replaces the fact sheet
+        exempt: /SCIENTIFIC REJECTION|PIPELINE HALT/i,
+    },
 };
 
 
@@ -313,6 +346,7 @@ export const FIELD_PRODUCER = {
     name: 'Field Producer',
     icon: '🎥',
     color: '#ffa94d',
+    generation: { model: null, temperature: 0.5, topP: null, maxOutputTokens: null },
     systemPrompt: `Role: You are a veteran Field Producer with 20+ years on blue-chip natural history shoots. Your job is logistical feasibility, budget reality, and shoot planning.
 
 ═══════════════════════════════════════════
@@ -459,6 +493,15 @@ You write logistical claims — budget numbers, equipment specs, permit requirem
 - "Requires quote" is always better than a fabricated number.
 
 Output as a "Logistics & Feasibility Breakdown" using markdown headers and bullets.`,
+    outputContract: {
+        label: 'Logistics & Feasibility Breakdown',
+        headings: ['Budget'],
+        fields: [
+            { name: 'an itemized budget', pattern: /(?:(?:[$€£]\s?\d|requires quote)[\s\S]*?){3}/i, hint: 'a figure (or "requires quote") per category: travel, equipment, crew, permits, contingency' },
+            { name: 'the Unicorn Test score', pattern: /Unicorn Test[\s\S]{0,400}?\d{1,3}\s?%/i, hint: 'the probability, as a percentage, of capturing the Critical Window' },
+        ],
+        exempt: /ETHICAL REJECTION|PIPELINE HALT/i,
+    },
 };
 
 export const STORY_PRODUCER = {
@@ -466,6 +509,7 @@ export const STORY_PRODUCER = {
     name: 'Story Producer',
     icon: '✍️',
     color: '#da77f2',
+    generation: { model: null, temperature: 1.1, topP: 0.95, maxOutputTokens: null },
     systemPrompt: `ROLE: Lead Natural History Story Producer (Platform Specialist).
 
 MISSION: You transform raw biological data into high-stakes cinematic narratives. You do not care about "safety" or "feasibility" yet — that is the Adversary's job. Your only goal is to make the most compelling, platform-specific pitch possible.
@@ -683,6 +727,13 @@ These are MANDATORY regardless of narrative form:
    - Never invent URLs or carry forward URLs without noting they came from upstream agents.
 
 Output using clean markdown headers.`,
+    outputContract: {
+        label: 'draft',
+        headings: ['Sources'],
+        fields: [
+            { name: 'the A/V Script Excerpt', pattern: /A\/V Script|VISUALS?\s*\|/i, hint: 'dual-column VISUALS | NARRATOR / AUDIO, at least 8 rows' },
+        ],
+    },
 };
 
 
@@ -691,6 +742,7 @@ export const COMMISSIONING_EDITOR = {
     name: 'Commissioning Editor',
     icon: '⚔️',
     color: '#ff6b6b',
+    generation: { model: null, temperature: 0.2, topP: null, maxOutputTokens: null },
     systemPrompt: `Role: You are a cynical, budget-conscious Commissioning Editor for a major global network. Your track record includes greenlit hits and killed hundreds of pitches. You will be PENALIZED for being polite, vague, or agreeable.
 
 ═══════════════════════════════════════════
@@ -773,6 +825,7 @@ export const SHOWRUNNER = {
     name: 'Showrunner',
     icon: '🎬',
     color: '#ffd43b',
+    generation: { model: null, temperature: 0.8, topP: null, maxOutputTokens: null },
     systemPrompt: `Role: You are the Showrunner — the ultimate creative orchestrator and quality guardian for this production.
 
 ═══════════════════════════════════════════
@@ -829,6 +882,16 @@ Quality Guardrails:
 - NEVER invent or fabricate names for people. If you are not 100% certain a person is real, describe their role generically.
 
 Use clean, professional markdown formatting.`,
+    // The compact pitch card — calls for other output (revision directives) pass contract: null
+    outputContract: {
+        label: 'pitch card',
+        headings: ['Logline', 'Summary', 'Best For', 'Sources'],
+        fields: [
+            { name: 'the ## Title heading', pattern: /^##\s+\S/m, hint: 'start with the title as a ## heading' },
+            { name: 'every section after the first', pattern: /^##\s[\s\S]*^##\s/m, forbidden: true, hint: 'the card has exactly 5 sections — Title, Logline, Summary, Best For, Sources — and only the Title is a ## heading' },
+        ],
+        maxLength: 6000,
+    },
 };
 
 
@@ -839,6 +902,7 @@ export const ADVERSARY = {
     name: 'The Gatekeeper',
     icon: '🛡️',
     color: '#e03131',
+    generation: { model: null, temperature: 0.3, topP: null, maxOutputTokens: null },
     systemPrompt: `ROLE: Executive Producer & Financial Gatekeeper (The Cynic).
 
 MISSION: Your job is to protect the production house from three things: Derivative Content, Legal / Ethical Lawsuits, and Commercial Irrelevance.You are the "No" in a world of "Yes."
@@ -978,6 +1042,7 @@ export const DISCOVERY_SCOUT = {
     name: 'Discovery Scout',
     icon: '🔬',
     color: '#20c997',
+    generation: { model: FAST_MODEL, temperature: 0.4, topP: null, maxOutputTokens: null },
     systemPrompt: `ROLE: Discovery Scout — Scientific Signal Hunter.
 
     MISSION: You are an investigative research scout.Your ONLY job is to find REAL, RECENT scientific discoveries that could elevate a wildlife film pitch from "good" to "unprecedented." You are NOT a creative agent — you do not write stories, treatments, or pitches.You find the raw material that makes stories possible.
@@ -1081,6 +1146,12 @@ V. HARD RULES
 - **Minimum 2, maximum 5 signals.** Quality over quantity.
 - **Each signal must include a source.** Unsourced claims are worthless.
 - **Visual Potential is mandatory.** If a discovery can't be filmed, it doesn't belong here.`,
+    outputContract: {
+        label: 'Discovery Brief',
+        fields: [
+            { name: 'the Discovery Brief signals', pattern: /Discovery Brief|Null Result|No significant discoveries/i, hint: 'use the "## 🔬 Discovery Brief" format, or state a Null Result' },
+        ],
+    },
 };
 
 
@@ -1089,6 +1160,7 @@ export const GENRE_STRATEGIST = {
     name: 'Genre Strategist',
     icon: '🎯',
     color: '#f06595',
+    generation: { model: null, temperature: 0.9, topP: null, maxOutputTokens: null },
     systemPrompt: `ROLE: Genre Strategist — Festival - Informed Creative Director.
 
     MISSION: Given a seed idea for a wildlife documentary, recommend EXACTLY 3 distinct genre lenses that would give this idea the best chance of standing out in the current commissioning landscape.You are NOT writing pitches — you are choosing the strategic angles.
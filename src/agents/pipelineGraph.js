@@ -0,0 +1,947 @@
+// ─── Pipeline Graph Executor — runs Pipeline Architect layouts ───────────
+// Loads a pipeline exported from pipeline-editor.html, checks the wiring, and
+// runs the agents and gates in dependency order. runPipeline() stays the
+// default fixed sequence; this is the path for custom pipeline shapes
+// (no Provocateur, a second Editor pass, …) without editing the orchestrator.
+//
+// Semantics:
+//   • An agent's prompt is built from whatever is wired into its input ports.
+//   • Gates (sci-gate, eth-gate, q-gate, gk-gate) run their revision loops and
+//     rewrite the outputs of the nodes they guard, so every other consumer of
+//     those nodes waits for the gate.
+//   • Seed Fidelity and Genre Lock nodes apply to every agent while present.
+//   • Independent nodes in the same wave run in parallel.
+//   • Nodes that cannot reach the Final Pitch Card are skipped.
+
+import {
+    MARKET_ANALYST,
+    CHIEF_SCIENTIST,
+    FIELD_PRODUCER,
+    STORY_PRODUCER,
+    COMMISSIONING_EDITOR,
+    SHOWRUNNER,
+    ADVERSARY,
+    DISCOVERY_SCOUT,
+} from './personas.js';
+import { PROVOCATEUR, generateAccident } from './chaos.js';
+import { retrieveContext, retrieveNarrativeContext } from '../knowledge/rag.js';
+import { validateSources } from './urlValidator.js';
+import {
+    suggestGenres,
+    PipelineCancelled,
+    pipelineSignal,
+    throwIfCancelled,
+    withUsageMeter,
+    withRunTrace,
+    traceEvent,
+    createChaosSession,
+    buildPromptGuards,
+    buildNarrativeMandate,
+    narrativeMandateBlock,
+    compressContext,
+    runDriftGate,
+    buildDiscoveryBlock,
+    buildAccidentBlock,
+    extractHeroSpecies,
+    buildSpeciesGuard,
+    detectRejection,
+    classifySeverity,
+    classifyDefamation,
+    extractScore,
+    scrapeVerdict,
+    requestVerdict,
+    sanitizeFinalOutput,
+} from './orchestrator.js';
+import { isGatekeeperRejection, isEditorGreenlight } from './verdicts.js';
+import { resolveQualityPolicy, createRevisionLoop } from './qualityPolicy.js';
+import { budgeted, joinBudgeted, contextBlock } from './contextBudget.js';
+
+// ─── Node type table ─────────────────────────────────────
+// Mirrors NT in pipeline-editor.html — keep port names in sync.
+// required: ports that must be connected; anyOf: at least one of these must be.
+const NODE_TYPES = {
+    'seed-input': { n: 'Seed Text', inp: [], out: ['seed'] },
+    'settings': { n: 'User Settings', inp: [], out: ['settings'] },
+    'kb': { n: 'Knowledge Base', inp: [], out: ['context'] },
+    'google': { n: 'Google Search', inp: [], out: ['web'] },
+
+    'discovery': { n: 'Discovery Scout', inp: ['seed', 'context', 'web'], out: ['brief'], required: ['seed'], phase: 0 },
+    'genre-strat': { n: 'Genre Strategist', inp: ['seed', 'context'], out: ['genres'], required: ['seed'], phase: 0 },
+    'market': { n: 'Market Analyst', inp: ['seed', 'brief', 'web', 'settings'], out: ['mandate', 'narr-form'], required: ['seed'], phase: 1 },
+    'scientist': { n: 'Chief Scientist', inp: ['seed', 'brief', 'mandate', 'market', 'web'], out: ['facts'], required: ['seed'], phase: 1 },
+    'producer': { n: 'Field Producer', inp: ['seed', 'mandate', 'market'], out: ['logistics'], required: ['seed'], phase: 1 },
+
+    'story': { n: 'Story Producer', inp: ['seed', 'mandate', 'facts', 'logistics', 'brief', 'market', 'guard', 'chaos'], out: ['draft'], required: ['seed'], phase: 2 },
+    'editor': { n: 'Commissioning Ed.', inp: ['draft', 'mandate', 'facts', 'logistics'], out: ['review', 'score'], required: ['draft'], phase: 3 },
+    'showrunner': { n: 'Showrunner', inp: ['state', 'draft-full', 'review-full'], out: ['final'], anyOf: ['state', 'draft-full'], phase: 5, search: true },
+    'provocateur': { n: 'Provocateur', inp: ['draft', 'mandate', 'facts', 'market', 'chaos'], out: ['challenge'], required: ['draft'], phase: 2.5 },
+
+    'compressor': { n: 'Context Compressor', inp: ['review', 'score', 'challenge', 'draft', 'mandate'], out: ['payload'], required: ['review', 'draft'], phase: 5 },
+    'adversary': { n: 'Adversary', inp: ['deck', 'seed', 'web', 'mandate'], out: ['verdict'], required: ['deck'], phase: 6 },
+    'sci-gate': { n: 'Science Gate', inp: ['check'], out: ['ok'], required: ['check'], phase: 1, gate: 'scientist' },
+    'eth-gate': { n: 'Ethics Gate', inp: ['check'], out: ['ok'], required: ['check'], phase: 1, gate: 'producer' },
+    'q-gate': { n: 'Quality Gate', inp: ['score'], out: ['pass'], required: ['score'], phase: 4, gate: 'editor' },
+    'gk-gate': { n: 'Gatekeeper Gate', inp: ['verdict'], out: ['approved'], required: ['verdict'], phase: 6, gate: 'adversary' },
+
+    'seed-guard': { n: 'Seed Fidelity', inp: ['seed'], out: ['anchor'] },
+    'species-guard': { n: 'Species Guard', inp: ['extract'], out: ['lock'], required: ['extract'] },
+    'genre-lock': { n: 'Genre Lock', inp: ['settings'], out: ['override'] },
+    'narr-mandate': { n: 'Narrative Mandate', inp: ['creative', 'market', 'lock'], out: ['selected'], anyOf: ['creative', 'market'] },
+    'chaos': { n: 'Chaos Engine', inp: [], out: ['mutation'] },
+    'defame-guard': { n: 'Defamation Guard', inp: ['check', 'final'], out: ['clean'], anyOf: ['check', 'final'] },
+
+    'output': { n: 'Final Pitch Card', inp: ['deck'], out: [], required: ['deck'] },
+};
+
+// What each output port carries. '*' passes through whatever it received.
+const OUTPUT_KINDS = {
+    'seed-input.seed': 'seed', 'settings.settings': 'settings', 'kb.context': 'context', 'google.web': 'web',
+    'discovery.brief': 'brief', 'genre-strat.genres': 'genres', 'market.mandate': 'market', 'market.narr-form': 'market',
+    'scientist.facts': 'facts', 'producer.logistics': 'logistics', 'story.draft': 'draft',
+    'editor.review': 'review', 'editor.score': 'score', 'showrunner.final': 'deck', 'provocateur.challenge': 'challenge',
+    'compressor.payload': 'state', 'adversary.verdict': 'verdict',
+    'sci-gate.ok': 'facts', 'eth-gate.ok': 'logistics', 'q-gate.pass': 'draft', 'gk-gate.approved': 'deck',
+    'seed-guard.anchor': 'anchor', 'species-guard.lock': 'guard', 'genre-lock.override': 'lock',
+    'narr-mandate.selected': 'mandate', 'chaos.mutation': 'chaos', 'defame-guard.clean': '*',
+};
+
+// What each input port accepts, when it differs from the port name.
+const INPUT_KINDS = {
+    'draft-full': 'draft', 'review-full': 'review', 'extract': 'facts', 'creative': 'genres', 'final': 'deck',
+    'sci-gate.check': 'facts', 'eth-gate.check': 'logistics', 'defame-guard.check': '*',
+};
+
+const inputKind = (type, port) => INPUT_KINDS[`${type}.${port}`] || INPUT_KINDS[port] || port;
+
+// Nodes whose presence applies to every agent rather than through a wire
+const GLOBAL_TYPES = new Set(['seed-guard', 'genre-lock']);
+
+const PHASE_NAMES = {
+    0: '🔬 Scouting Recent Discoveries',
+    1: 'The Brainstorm',
+    2: 'Draft V1',
+    2.5: '🔥 The Provocateur',
+    3: 'The Murder Board',
+    4: 'The Revision',
+    5: 'Final Output — Master Pitch Deck',
+    6: 'The Gatekeeper',
+};
+
+const SEARCH_TOOLS = [{ googleSearch: {} }];
+
+/**
+ * Raised when a pipeline layout fails validation. `errors` lists every problem found.
+ */
+export class PipelineGraphError extends Error {
+    constructor(errors) {
+        super(`Invalid pipeline: ${errors[0]}${errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}`);
+        this.name = 'PipelineGraphError';
+        this.errors = errors;
+    }
+}
+
+// ═══════════════════════════════════════════════════════
+// VALIDATION & SCHEDULING
+// ═══════════════════════════════════════════════════════
+
+/**
+ * Validate an exported Pipeline Architect layout and compute its execution order.
+ * Accepts the parsed JSON object or the raw JSON string.
+ *
+ * @param {object|string} layout — { nodes: [{id, type, name}], connections: [{from: {node, id?, port}, to: {node, id?, port}}] }
+ * @returns {{ nodes: Array, edges: Array, byId: Map, waves: Array<Array<string>>, skipped: Array<string>, errors: Array<string>, warnings: Array<string> }}
+ */
+export function compilePipelineGraph(layout) {
+    const errors = [];
+    const warnings = [];
+    const graph = { nodes: [], edges: [], byId: new Map(), waves: [], skipped: [], errors, warnings };
+
+    let data = layout;
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (e) {
+            errors.push(`Not valid JSON: ${e.message}`);
+            return graph;
+        }
+    }
+    if (!data || !Array.isArray(data.nodes) || !Array.isArray(data.connections)) {
+        errors.push('Expected a Pipeline Architect export with "nodes" and "connections" arrays.');
+        return graph;
+    }
+
+    const { nodes, edges, byId } = graph;
+    const label = (node) => `${node.name} (#${node.id})`;
+
+    // ── Nodes ──
+    data.nodes.forEach((n, i) => {
+        const id = String(n.id ?? `n${i + 1}`);
+        if (!NODE_TYPES[n.type]) {
+            errors.push(`Node #${id} has unknown type "${n.type}".`);
+            return;
+        }
+        if (byId.has(id)) {
+            errors.push(`Duplicate node id #${id}.`);
+            return;
+        }
+        const node = { id, type: n.type, name: n.name || NODE_TYPES[n.type].n };
+        nodes.push(node);
+        byId.set(id, node);
+    });
+
+    const ofType = (type) => nodes.filter(n => n.type === type);
+    if (ofType('seed-input').length === 0) errors.push('The pipeline has no Seed Text node.');
+    if (ofType('output').length !== 1) errors.push(`The pipeline needs exactly one Final Pitch Card node (found ${ofType('output').length}).`);
+
+    // ── Connections ──
+    // Older exports reference nodes by type only; that is fine unless the type is placed twice.
+    const resolve = (end, side, idx) => {
+        if (end?.id != null) {
+            const node = byId.get(String(end.id));
+            if (node && (!end.node || node.type === end.node)) return node;
+        }
+        const matches = ofType(end?.node);
+        if (matches.length === 1) return matches[0];
+        errors.push(matches.length === 0
+            ? `Connection ${idx + 1}: no "${end?.node}" node for its ${side} end.`
+            : `Connection ${idx + 1}: ${matches.length} "${end.node}" nodes — re-export from the Pipeline Architect so connections carry node ids.`);
+        return null;
+    };
+
+    const seen = new Set();
+    data.connections.forEach((c, i) => {
+        const from = resolve(c.from, 'from', i);
+        const to = resolve(c.to, 'to', i);
+        if (!from || !to) return;
+        const fromPort = c.from.port;
+        const toPort = c.to.port;
+        if (!NODE_TYPES[from.type].out.includes(fromPort)) {
+            errors.push(`${label(from)} has no output port "${fromPort}".`);
+            return;
+        }
+        if (!NODE_TYPES[to.type].inp.includes(toPort)) {
+            errors.push(`${label(to)} has no input port "${toPort}".`);
+            return;
+        }
+        if (from === to) {
+            errors.push(`${label(from)} is wired to itself.`);
+            return;
+        }
+        const produced = OUTPUT_KINDS[`${from.type}.${fromPort}`];
+        const accepted = inputKind(to.type, toPort);
+        if (produced !== '*' && accepted !== '*' && produced !== accepted) {
+            errors.push(`${label(from)}.${fromPort} (${produced}) cannot feed ${label(to)}.${toPort} (expects ${accepted}).`);
+            return;
+        }
+        const key = `${from.id}:${fromPort}>${to.id}:${toPort}`;
+        if (seen.has(key)) {
+            warnings.push(`Duplicate connection ${label(from)}.${fromPort} → ${label(to)}.${toPort} ignored.`);
+            return;
+        }
+        seen.add(key);
+        edges.push({ from: from.id, fromPort, to: to.id, toPort });
+    });
+
+    // ── Required inputs & gate sources ──
+    const feeders = (id, port) => edges.filter(e => e.to === id && (!port || e.toPort === port));
+    for (const node of nodes) {
+        const def = NODE_TYPES[node.type];
+        for (const port of def.required || []) {
+            if (feeders(node.id, port).length === 0) errors.push(`${label(node)} needs its "${port}" input connected.`);
+        }
+        if (def.anyOf && !def.anyOf.some(port => feeders(node.id, port).length > 0)) {
+            errors.push(`${label(node)} needs at least one of: ${def.anyOf.join(', ')}.`);
+        }
+        if (def.gate) {
+            const sources = feeders(node.id);
+            if (sources.length > 1) errors.push(`${label(node)} can only guard one node.`);
+            const source = sources[0] && byId.get(sources[0].from);
+            if (source && source.type !== def.gate) {
+                errors.push(`${label(node)} must be fed by a ${NODE_TYPES[def.gate].n}, not ${label(source)}.`);
+            }
+            if (source && node.type === 'q-gate' && !feeders(source.id, 'draft').some(e => byId.get(e.from).type === 'story')) {
+                errors.push(`${label(node)} needs its Editor to review a Story Producer draft.`);
+            }
+            if (source && node.type === 'gk-gate' && !feeders(source.id, 'deck').some(e => byId.get(e.from).type === 'showrunner')) {
+                errors.push(`${label(node)} needs its Adversary to review a Showrunner deck.`);
+            }
+        }
+    }
+
+    if (errors.length > 0) return graph;
+
+    // ── Relevance: everything upstream of the output, plus gates on those nodes ──
+    const ancestorsOf = (id) => {
+        const found = new Set();
+        const stack = [id];
+        while (stack.length) {
+            const cur = stack.pop();
+            for (const e of edges) {
+                if (e.to === cur && !found.has(e.from)) {
+                    found.add(e.from);
+                    stack.push(e.from);
+                }
+            }
+        }
+        return found;
+    };
+
+    const outputNode = ofType('output')[0];
+    const relevant = new Set([outputNode.id, ...ancestorsOf(outputNode.id)]);
+    let grew = true;
+    while (grew) {
+        grew = false;
+        for (const node of nodes) {
+            if (relevant.has(node.id)) continue;
+            const gateSource = NODE_TYPES[node.type].gate && feeders(node.id)[0]?.from;
+            if (GLOBAL_TYPES.has(node.type) || (gateSource && relevant.has(gateSource))) {
+                relevant.add(node.id);
+                for (const a of ancestorsOf(node.id)) relevant.add(a);
+                grew = true;
+            }
+        }
+    }
+    for (const node of nodes) {
+        if (!relevant.has(node.id)) {
+            graph.skipped.push(node.id);
+            warnings.push(`${label(node)} does not lead to the Final Pitch Card and will be skipped.`);
+        }
+    }
+
+    // ── Dependencies: wires, plus "wait for the gate that rewrites my input" ──
+    // Skipped: the gate's own upstream, nodes the gate rewrites itself, and other
+    // gates (gates sharing a wave run in layout order).
+    const deps = new Map(nodes.filter(n => relevant.has(n.id)).map(n => [n.id, new Set()]));
+    for (const e of edges) deps.get(e.to)?.add(e.from);
+    for (const gate of nodes) {
+        if (!NODE_TYPES[gate.type].gate || !relevant.has(gate.id)) continue;
+        const upstream = ancestorsOf(gate.id);
+        const targets = new Set(gateTargets(graph, gate));
+        for (const target of targets) {
+            for (const e of edges) {
+                if (e.from !== target || upstream.has(e.to) || targets.has(e.to) || NODE_TYPES[byId.get(e.to).type].gate) continue;
+                deps.get(e.to)?.add(gate.id);
+            }
+        }
+    }
+
+    // ── Topological waves (Kahn) ──
+    const done = new Set();
+    while (done.size < deps.size) {
+        const wave = [...deps.keys()].filter(id => !done.has(id) && [...deps.get(id)].every(d => done.has(d)));
+        if (wave.length === 0) {
+            const stuck = [...deps.keys()].filter(id => !done.has(id)).map(id => label(byId.get(id)));
+            errors.push(`The pipeline has a cycle between: ${stuck.join(', ')}.`);
+            graph.waves = [];
+            return graph;
+        }
+        wave.forEach(id => done.add(id));
+        graph.waves.push(wave);
+    }
+
+    return graph;
+}
+
+/**
+ * Node ids whose outputs a gate may rewrite while it loops.
+ */
+function gateTargets(graph, gate) {
+    const source = graph.edges.find(e => e.to === gate.id)?.from;
+    const feeder = (id, port, type) => graph.edges.find(e => e.to === id && e.toPort === port && graph.byId.get(e.from).type === type)?.from;
+    const idsOf = (type) => graph.nodes.filter(n => n.type === type).map(n => n.id);
+    switch (gate.type) {
+        case 'sci-gate': return [source, ...idsOf('producer')];
+        case 'eth-gate': return [source, ...idsOf('scientist'), ...idsOf('market')];
+        case 'q-gate': return [source, feeder(source, 'draft', 'story')];
+        case 'gk-gate': return [source, feeder(source, 'deck', 'showrunner')];
+        default: return [];
+    }
+}
+
+// ═══════════════════════════════════════════════════════
+// PROMPT ASSEMBLY
+// ═══════════════════════════════════════════════════════
+
+// Heading used when a node's output is pasted into a downstream prompt
+const SECTION_TITLES = {
+    'market.mandate': 'Market Mandate',
+    'market.narr-form': 'Market Mandate',
+    'scientist.facts': 'Animal Fact Sheet',
+    'sci-gate.ok': 'Animal Fact Sheet',
+    'producer.logistics': 'Logistics & Feasibility',
+    'eth-gate.ok': 'Logistics & Feasibility',
+    'story.draft': 'Draft Script',
+    'q-gate.pass': 'Draft Script',
+    'editor.review': 'Commissioning Editor Review',
+    'provocateur.challenge': '🔥 The Provocateur\'s Challenge',
+    'compressor.payload': '📦 Compressed State Payload (PRIMARY — read this first)',
+    'showrunner.final': 'The Pitch Deck',
+    'gk-gate.approved': 'The Pitch Deck',
+    'defame-guard.clean': 'The Pitch Deck',
+    'adversary.verdict': 'Gatekeeper Verdict',
+};
+
+// Context priority of a pasted section (see contextBudget.js); unlisted sections
+// are supporting inputs. The draft and deck under review are never dropped.
+const SECTION_PRIORITY = {
+    'Market Mandate': 1,
+    'Draft Script': 3,
+    'The Pitch Deck': 3,
+    '📦 Compressed State Payload (PRIMARY — read this first)': 3,
+};
+
+function formatInput({ from, port, value }) {
+    if (value == null || value === '') return '';
+    const key = `${from.type}.${port}`;
+    if (key === 'discovery.brief') return contextBlock('Discovery Brief', buildDiscoveryBlock(value), { priority: 2 });
+    if (key === 'genre-strat.genres') return `\n\n### Genre Strategist Lenses\n${value.map(g => `- ${g.genreName} — ${g.rationale}`).join('\n')}\n`;
+    if (key === 'editor.score') return `\n\nEditor score: ${value}/100\n`;
+    const title = SECTION_TITLES[key];
+    if (!title) return value;
+    const priority = SECTION_PRIORITY[title] ?? 2;
+    return contextBlock(title, `\n\n### ${title}\n${value}\n`, { priority, keep: priority === 3 });
+}
+
+/** Format every value wired into the given ports, in port order, as a budgeted prompt. */
+const blocks = (inputs, ports) => joinBudgeted(ports.flatMap(p => inputs[p] || []).map(formatInput));
+
+/** Raw text wired into a port (multiple wires are joined). */
+const textOf = (inputs, port) => (inputs[port] || [])
+    .map(i => i.value)
+    .filter(v => typeof v === 'string' && v)
+    .join('\n\n');
+
+/** Agents with a 'web' port search only when Google Search is wired in. */
+function toolsFor(node, inputs) {
+    const def = NODE_TYPES[node.type];
+    if (def.inp.includes('web')) return inputs.web?.length ? SEARCH_TOOLS : [];
+    return def.search ? SEARCH_TOOLS : [];
+}
+
+function collectInputs(run, node) {
+    const inputs = {};
+    for (const e of run.graph.edges) {
+        if (e.to !== node.id) continue;
+        (inputs[e.toPort] ||= []).push({
+            from: run.graph.byId.get(e.from),
+            port: e.fromPort,
+            value: run.outputs.get(e.from)?.[e.fromPort],
+        });
+    }
+    return inputs;
+}
+
+/** Overwrite a node's output port (gates use this after a revision loop). */
+function setOutput(run, nodeId, port, value) {
+    run.outputs.set(nodeId, { ...run.outputs.get(nodeId), [port]: value });
+}
+
+const outputOf = (run, nodeId, port) => run.outputs.get(nodeId)?.[port];
+
+// ═══════════════════════════════════════════════════════
+// NODE HANDLERS
+// Each returns { [outputPort]: value }
+// ═══════════════════════════════════════════════════════
+
+const NODE_HANDLERS = {
+    // ─── Inputs ───
+    'seed-input': (run) => ({ seed: run.seedIdea }),
+    'settings': (run) => ({ settings: run.guards.optionsSuffix }),
+    'google': () => ({ web: 'google-search' }),
+    async 'kb'(run) {
+        let context = '';
+        try {
+            context = await retrieveContext(run.seedIdea, 5, { signal: pipelineSignal() });
+        } catch (e) {
+            throwIfCancelled();
+            console.warn('Knowledge retrieval skipped:', e.message);
+        }
+        return { context: context ? `\n\n${context}\n\n` : '' };
+    },
+
+    // ─── Research agents ───
+    async 'discovery'(run, node, inputs) {
+        const { seedIdea, guards, cbs } = run;
+        const tools = toolsFor(node, inputs);
+        const scout = (lead) => run.step(
+            DISCOVERY_SCOUT,
+            budgeted`${run.anchor}${lead}Search for recent scientific discoveries, novel behaviors, and new species related to: "${seedIdea}"${blocks(inputs, ['context'])}${run.genreLock}\n\nFocus on findings from the last 12 months that could make a wildlife documentary genuinely unprecedented.${guards.genreLabel ? ` Prioritize discoveries relevant to the **${guards.genreLabel}** genre lens.` : ''}\n\n⛔ ANTI-DRIFT RULE (CRITICAL): Only surface findings that DIRECTLY support the seed concept. If you cannot find relevant discoveries for the exact seed, return a Null Result — do NOT substitute a different species, location, or concept.\n\nReturn a structured Discovery Brief.`,
+            cbs,
+            { tools }
+        );
+
+        let brief;
+        try {
+            brief = await scout('');
+        } catch (e) {
+            if (e instanceof PipelineCancelled) throw e;
+            console.warn('Discovery Scout skipped:', e.message);
+            return { brief: '(Discovery Scout: No recent scientific discoveries found for this seed idea. Downstream agents should proceed using existing knowledge.)' };
+        }
+        if (!run.gates.drift.enabled) return { brief };
+        brief = await runDriftGate(seedIdea, brief, {
+            step: run.step,
+            cbs,
+            maxChecks: run.gates.drift.maxRounds,
+            rescout: (recommendation) => scout(`${recommendation}\n\n⛔ The previous search drifted. Stay STRICTLY on the seed topic.\n\n`),
+        });
+        return { brief };
+    },
+
+    async 'genre-strat'(run) {
+        const genres = run.opts._genreSuggestions || await suggestGenres(run.seedIdea);
+        return { genres };
+    },
+
+    async 'market'(run, node, inputs) {
+        let narrativeContext = '';
+        try {
+            narrativeContext = await retrieveNarrativeContext(6, { signal: pipelineSignal() });
+        } catch (e) {
+            throwIfCancelled();
+            console.warn('Narrative signal retrieval skipped:', e.message);
+        }
+        const narrativeKbBlock = narrativeContext
+            ? `\n\n${narrativeContext}\n\nGround your Narrative Strategy Recommendation in these live industry signals.\n\n`
+            : '';
+        const mandate = await run.step(
+            MARKET_ANALYST,
+            budgeted`${run.anchor}The seed idea is: "${run.seedIdea}"${narrativeKbBlock}${blocks(inputs, ['brief', 'settings'])}${run.genreLock}\n\nAnalyze this against current market trends. You MUST include: specific buyer slate gaps with platform names, 3 trend examples with series names and years, competitive differentiation against the top 3 closest existing titles, and a budget tier recommendation. Output your full Market Mandate.`,
+            run.cbs,
+            { tools: toolsFor(node, inputs) }
+        );
+        return { mandate, 'narr-form': mandate };
+    },
+
+    async 'scientist'(run, node, inputs) {
+        const facts = await run.step(
+            CHIEF_SCIENTIST,
+            budgeted`${run.anchor}The seed idea is: "${run.seedIdea}"${blocks(inputs, ['brief', 'mandate', 'market'])}${run.genreLock}\n\nPropose novel animal behaviors with peer-reviewed citations. You MUST include: the primary species with scientific name and biological mechanism, a mandatory B-Story backup species, exact location/seasonality, ethical considerations, and the visual payoff. Output your full Animal Fact Sheet.`,
+            run.cbs,
+            { tools: toolsFor(node, inputs) }
+        );
+        return { facts };
+    },
+
+    async 'producer'(run, node, inputs) {
+        const logistics = await run.step(
+            FIELD_PRODUCER,
+            budgeted`${run.anchor}The seed idea is: "${run.seedIdea}"${blocks(inputs, ['mandate', 'market'])}${run.genreLock}\n\n${LOGISTICS_TASK}`,
+            run.cbs
+        );
+        return { logistics };
+    },
+
+    // ─── Creative agents ───
+    async 'story'(run, node, inputs) {
+        const { guards } = run;
+        const draft = await run.step(
+            STORY_PRODUCER,
+            budgeted`${textOf(inputs, 'chaos')}${run.anchor}The seed idea is: "${run.seedIdea}"${blocks(inputs, ['brief', 'guard', 'mandate'])}${guards.wildlifeFocusGuard}${run.genreLock}${guards.outputLanguageGuard}\n\nHere are the team's inputs:${blocks(inputs, ['market', 'facts', 'logistics'])}\n\nSynthesize all of this into a complete pitch narrative.\n\nCRITICAL: ${guards.genreLabel ? `The user has LOCKED the genre to "${guards.genreLabel}". Your ENTIRE output — structure, tone, camera language, pacing, narration style, sound design — must serve this genre.` : 'Follow the Narrative Form recommended in the Market Mandate and build your entire output around it.'}\n\nDeliver ALL elements specified in your output format instructions for the chosen narrative form, plus ALL universal elements (Anthropocene Reality, Visual Signature Moments, Technology Justification, A/V Script Excerpt). Ensure the B-Story species is woven into the narrative, not just mentioned as a footnote.`,
+            run.cbs
+        );
+        return { draft };
+    },
+
+    async 'editor'(run, node, inputs) {
+        const { verdict, text: review } = await requestVerdict(
+            'editor',
+            COMMISSIONING_EDITOR,
+            budgeted`Review the following pitch package:${blocks(inputs, ['mandate'])}${run.genreLock}\n\n### Seed Idea\n"${run.seedIdea}"${blocks(inputs, ['facts', 'logistics', 'draft'])}\n\nAttack across all 14 vectors.${run.guards.genreLabel ? ` The genre is LOCKED to "${run.guards.genreLabel}" — flag any GENRE DRIFT as a FATAL FLAW.` : ''}\n\nQuote specific failing passages. Find at LEAST two substantive flaws. Score honestly — most first drafts land 60-80, but greenlight (${run.gates.quality.passScore}+) if genuinely broadcast-ready.`,
+            run.cbs,
+            {},
+            run.step
+        );
+        run.verdicts.set(node.id, verdict);
+        return { review, score: String(verdict.score) };
+    },
+
+    async 'provocateur'(run, node, inputs) {
+        const challenge = await run.step(
+            PROVOCATEUR,
+            budgeted`${textOf(inputs, 'chaos')}You are reviewing this draft pitch. Read it. Find the lie. Break it open.\n\n### The Seed Idea\n"${run.seedIdea}"${blocks(inputs, ['mandate', 'market', 'facts', 'draft'])}\n\nFind the moment where "commissionable" became "forgettable." Then break it. Offer something dangerous.\n\n⚠️ DOMAIN CONSTRAINT (ABSOLUTE RULE): You may ONLY propose changes to narrative form, perspective, structure, tone, narrator identity, timeline, emotional framing, or thematic angle — NEVER to species, animal behavior, filming methods, locations, crew, equipment, budget, or scientific facts.\n\nOutput your response in the EXACT format specified in your instructions: Kill Shot, Pivot, Argument, Fatal Question. No preamble.`,
+            run.cbs
+        );
+        return { challenge };
+    },
+
+    async 'showrunner'(run, node, inputs) {
+        const final = await run.step(
+            SHOWRUNNER,
+            budgeted`Compile the final compact pitch card.${run.guards.wildlifeFocusGuard}${run.genreLock}${run.guards.outputLanguageGuard}${blocks(inputs, ['state', 'draft-full', 'review-full'])}\n\n${PITCH_CARD_TASK}`,
+            run.cbs,
+            { tools: toolsFor(node, inputs) }
+        );
+        return { final };
+    },
+
+    // ─── Quality ───
+    'compressor'(run, node, inputs) {
+        const review = textOf(inputs, 'review');
+        const scoreText = textOf(inputs, 'score');
+        const score = scoreText ? parseInt(scoreText, 10) : extractScore(review);
+        return {
+            payload: compressContext(review, Number.isNaN(score) ? null : score, textOf(inputs, 'challenge'), textOf(inputs, 'draft'), textOf(inputs, 'mandate')),
+        };
+    },
+
+    async 'adversary'(run, node, inputs) {
+        const { verdict, text } = await requestVerdict(
+            'gatekeeper',
+            ADVERSARY,
+            adversaryPrompt(run, blocks(inputs, ['mandate']), textOf(inputs, 'deck')),
+            run.cbs,
+            { tools: toolsFor(node, inputs) },
+            run.step
+        );
+        run.verdicts.set(node.id, verdict);
+        return { verdict: text };
+    },
+
+    'sci-gate': runScienceGate,
+    'eth-gate': runEthicsGate,
+    'q-gate': runQualityGate,
+    'gk-gate': runGatekeeperGate,
+
+    // ─── Guards & modifiers ───
+    'seed-guard': (run) => ({ anchor: run.guards.seedAnchor }),
+    'genre-lock': (run) => ({ override: run.guards.genreLock }),
+    async 'species-guard'(run, node, inputs) {
+        const heroSpecies = await extractHeroSpecies(textOf(inputs, 'extract'), { phase: run.cbs.phase });
+        return { lock: buildSpeciesGuard(heroSpecies) };
+    },
+    'narr-mandate'(run, node, inputs) {
+        const genres = (inputs.creative || []).map(i => i.value).find(Array.isArray) || null;
+        const isGenreLocked = !!inputs.lock?.length && !!run.guards.genreLabel;
+        const mandateResult = buildNarrativeMandate(textOf(inputs, 'market'), genres, isGenreLocked, run.guards.genreLabel);
+        return { selected: narrativeMandateBlock(mandateResult) };
+    },
+    'chaos'(run) {
+        const accident = generateAccident(run.outputs);
+        run.cbs.onChaosEvent?.('accident', accident);
+        return { mutation: buildAccidentBlock(accident) };
+    },
+    'defame-guard'(run, node, inputs) {
+        const text = [textOf(inputs, 'check'), textOf(inputs, 'final')].filter(Boolean).join('\n\n');
+        if (classifyDefamation(text) === 'CRITICAL') {
+            return { clean: `## ⚠️ DEFAMATION GUARD — Content Flagged\n\nThe text references real individuals in a potentially defamatory fictional context. The content has been held for review.\n\n**Risk Level:** CRITICAL\n\n---\n\n${text}` };
+        }
+        return { clean: text };
+    },
+
+    // ─── Output ───
+    async 'output'(run, node, inputs) {
+        const deck = textOf(inputs, 'deck');
+        try {
+            const validated = await validateSources(deck, { signal: pipelineSignal() });
+            if (validated.summary.broken > 0) console.warn(`URL Validator: ${validated.note}`);
+            run.result = sanitizeFinalOutput(validated.output);
+        } catch (e) {
+            throwIfCancelled();
+            console.warn('URL Validator failed, returning unvalidated output:', e.message);
+            run.result = sanitizeFinalOutput(deck);
+        }
+        return {};
+    },
+};
+
+const LOGISTICS_TASK = 'Assess the feasibility with PRODUCER-GRADE specificity. You MUST include: exact camera equipment with model names, crew composition, shoot duration with seasonal windows, itemized budget estimate with actual dollar ranges, permit requirements, risk/contingency plans, and a Unicorn Test probability score. Your equipment, crew, and shooting approach recommendations MUST serve the declared genre. Output your full Logistics & Feasibility Breakdown.';
+
+const PITCH_CARD_TASK = `Output ONLY these 5 sections — nothing else:
+
+1. **Title** — As a prominent ## heading. Evocative, marketable, unique.
+2. **Logline** — One sentence, max 25 words. Uniqueness must come from the STORY — NEVER from camera technology or production techniques. Format: **Logline:** followed by the sentence.
+3. **Summary** — 3-5 sentences selling the project to a non-specialist. Format: **Summary:** followed by the paragraph.
+4. **Best For** — Top 1-3 platforms with a one-line justification per platform. Format: **Best For:** followed by the list.
+5. **Sources** — Search-verify every hard claim in the Summary and cite it with a URL. Do NOT invent URLs.
+
+CRITICAL FORMAT RULES:
+- No A/V scripts, no logistics, no market analysis, no agent commentary, no preamble
+- Start directly with the ## Title heading`;
+
+function adversaryPrompt(run, mandateBlock, deck, previous = null) {
+    const { guards } = run;
+    const intro = previous
+        ? `You previously REJECTED this pitch. The Showrunner has revised it based on your critique.\n\n### Your Previous Critique:\n${previous}`
+        : 'You are reviewing a COMPLETED Master Pitch Deck. This is the final gate before it goes to commissioners.';
+    return budgeted`${intro}${mandateBlock}${guards.wildlifeFocusGuard}${run.genreLock}${guards.languageReviewGuard}
+
+Run your full audit: Canon Audit, YouTuber Check, Lawsuit Check, Boring Check.${guards.genreLabel ? ` Additionally, run a GENRE COMPLIANCE CHECK against the locked genre ("${guards.genreLabel}").` : ''}${guards.isWildlifeSeed ? ' Additionally, run a WILDLIFE PROTAGONIST CHECK — the protagonist must be an ANIMAL, not a human.' : ''}
+
+### The Pitch Deck to Review
+${deck}
+
+### Original Seed Idea
+"${run.seedIdea}"
+
+Deliver your verdict. Be brutal. Be specific.`;
+}
+
+// ─── Gates ───────────────────────────────────────────────
+
+/** Science Gate: catastrophic → kill, recoverable → ≤science.maxRounds Scientist pivots. */
+async function runScienceGate(run, node, inputs) {
+    const scientistId = inputs.check[0].from.id;
+    let facts = outputOf(run, scientistId, 'facts');
+    if (!run.gates.science.enabled || !detectRejection(facts).rejected) return { ok: facts };
+
+    const severity = classifySeverity(facts, 'SCIENTIFIC');
+    traceEvent('severity', { agentId: CHIEF_SCIENTIST.id, rejectionType: 'SCIENTIFIC', severity });
+    if (severity === 'CATASTROPHIC') {
+        run.halted = `## ⛔ PIPELINE KILLED — CATASTROPHIC SCIENTIFIC FAILURE\n\nThe Chief Scientist has determined that this seed idea is **biologically impossible**.\n\n### Scientist's Assessment:\n${facts}\n\n### Original Seed:\n"${run.seedIdea}"\n\n**Action:** Please revise your seed idea with a scientifically valid premise and try again.`;
+        return { ok: facts };
+    }
+
+    let attempts = 0;
+    while (detectRejection(facts).rejected && attempts < run.gates.science.maxRounds) {
+        attempts++;
+        run.cbs.onPhaseStart(1, `🔄 Science Pivot — Attempt ${attempts}/${run.gates.science.maxRounds}`);
+        facts = await run.step(
+            CHIEF_SCIENTIST,
+            `## SCIENCE PIVOT REQUIRED${run.genreLock}\n\nYour previous assessment flagged this idea as scientifically problematic:\n\n### Your Rejection:\n${facts}\n\n### Original Seed Idea:\n"${run.seedIdea}"\n\nThe pipeline does NOT kill ideas — it ITERATES them. Keep what is scientifically valid, propose the CLOSEST viable alternative that preserves the user's intent, and produce a complete Animal Fact Sheet.`,
+            run.cbs,
+            { tools: SEARCH_TOOLS }
+        );
+    }
+    setOutput(run, scientistId, 'facts', facts);
+
+    // Science changed — refresh any logistics already planned against the old species
+    if (attempts > 0) {
+        for (const producer of run.graph.nodes.filter(n => n.type === 'producer' && run.outputs.has(n.id))) {
+            const logistics = await run.step(
+                FIELD_PRODUCER,
+                `${run.anchor}The seed idea is: "${run.seedIdea}"${run.genreLock}\n\nThe Chief Scientist revised the science after a pivot. Here is the UPDATED Animal Fact Sheet:\n\n${facts}\n\nUpdate your logistics to match the revised species, location, and behavior. ${LOGISTICS_TASK}`,
+                run.cbs
+            );
+            setOutput(run, producer.id, 'logistics', logistics);
+        }
+    }
+    return { ok: facts };
+}
+
+/** Ethics Gate: catastrophic → kill, recoverable → proportionality re-check, then ≤ethics.maxRounds pivots. */
+async function runEthicsGate(run, node, inputs) {
+    const producerId = inputs.check[0].from.id;
+    let logistics = outputOf(run, producerId, 'logistics');
+    if (!run.gates.ethics.enabled || !detectRejection(logistics).rejected) return { ok: logistics };
+
+    const severity = classifySeverity(logistics, 'ETHICAL');
+    traceEvent('severity', { agentId: FIELD_PRODUCER.id, rejectionType: 'ETHICAL', severity });
+    if (severity === 'CATASTROPHIC') {
+        run.halted = `## ⛔ PIPELINE KILLED — CATASTROPHIC ETHICAL FAILURE\n\nThe Field Producer has determined that this concept **fundamentally requires unethical filming methods**.\n\n### Producer's Assessment:\n${logistics}\n\n### Original Seed:\n"${run.seedIdea}"\n\n**Action:** Please revise your seed idea to eliminate the need for harmful filming techniques and try again.`;
+        return { ok: logistics };
+    }
+
+    const scientist = run.graph.nodes.find(n => n.type === 'scientist' && run.outputs.has(n.id));
+    const market = run.graph.nodes.find(n => n.type === 'market' && run.outputs.has(n.id));
+    let facts = scientist ? outputOf(run, scientist.id, 'facts') : '';
+
+    run.cbs.onPhaseStart(1, '🔄 Ethical Review — Proportionality Check');
+    logistics = await run.step(
+        FIELD_PRODUCER,
+        `## ETHICAL PROPORTIONALITY RE-CHECK\n\n### Your Original Rejection:\n${logistics}\n\n### The Seed Idea:\n"${run.seedIdea}"${facts ? `\n\n### The Scientist's Fact Sheet:\n${facts}` : ''}\n\nFilming NATURALLY OCCURRING behavior is not an ethical violation, and another agent's questionable suggestion is not a reason to reject the concept. If the concept CAN be filmed ethically by removing specific methods, PROCEED with a full logistics plan that excludes them. Only if it FUNDAMENTALLY REQUIRES unethical methods, re-issue your ⛔ ETHICAL REJECTION.`,
+        run.cbs
+    );
+
+    let attempts = 0;
+    while (detectRejection(logistics).rejected && attempts < run.gates.ethics.maxRounds) {
+        attempts++;
+        run.cbs.onPhaseStart(1, `🔄 Ethical Pivot — Attempt ${attempts}/${run.gates.ethics.maxRounds}`);
+        facts = await run.step(
+            CHIEF_SCIENTIST,
+            `## ETHICAL PIVOT REQUIRED${run.genreLock}\n\n### Field Producer's Ethical Concerns:\n${logistics}\n\n### Your Previous Fact Sheet:\n${facts}\n\n### Original Seed Idea:\n"${run.seedIdea}"\n\nKeep the core idea, remove or replace every flagged method with observational techniques, and produce a revised complete Animal Fact Sheet.`,
+            run.cbs,
+            { tools: SEARCH_TOOLS }
+        );
+        logistics = await run.step(
+            FIELD_PRODUCER,
+            `The seed idea is: "${run.seedIdea}"${run.genreLock}\n\nHere is the REVISED Animal Fact Sheet (revised to address your ethical concerns):\n\n${facts}\n\n${LOGISTICS_TASK}`,
+            run.cbs
+        );
+        if (market) {
+            const mandate = await run.step(
+                MARKET_ANALYST,
+                `${run.anchor}The seed idea is: "${run.seedIdea}"${run.genreLock}\n\nThe Chief Scientist and Field Producer have PIVOTED the core concept to address ethical concerns.\n\nHere is their REVISED Animal Fact Sheet:\n${facts}\n\nRe-evaluate the market viability of this pivoted approach. Output your revised Market Mandate.`,
+                run.cbs
+            );
+            setOutput(run, market.id, 'mandate', mandate);
+            setOutput(run, market.id, 'narr-form', mandate);
+        }
+    }
+    if (scientist) setOutput(run, scientist.id, 'facts', facts);
+    setOutput(run, producerId, 'logistics', logistics);
+    return { ok: logistics };
+}
+
+/** Quality Gate: no greenlight → tight Story Producer ↔ Editor loop, keeping the best draft. */
+async function runQualityGate(run, node, inputs) {
+    const editorId = inputs.score[0].from.id;
+    const storyId = run.graph.edges.find(e => e.to === editorId && e.toPort === 'draft' && run.graph.byId.get(e.from).type === 'story').from;
+
+    let draft = outputOf(run, storyId, 'draft');
+    let review = outputOf(run, editorId, 'review');
+    let verdict = run.verdicts.get(editorId) ?? scrapeVerdict(review, 'editor');
+    let best = { draft, review, score: verdict.score };
+
+    const { passScore, maxRounds } = run.gates.quality;
+    const loop = createRevisionLoop(run.gates.quality, verdict.score);
+    let attempts = 0;
+    while (loop.canContinue() && !isEditorGreenlight(verdict, passScore)) {
+        attempts++;
+        run.cbs.onPhaseStart(4, `🔄 Quality Revision — Attempt ${attempts}/${maxRounds}`);
+        draft = await run.step(
+            STORY_PRODUCER,
+            budgeted`The draft scored ${verdict.score}/100 — below threshold.${run.guards.wildlifeFocusGuard}${run.genreLock}${run.guards.outputLanguageGuard}\n\n### Editor's Review:\n${contextBlock('Editor Review', review, { priority: 3, keep: true })}\n\n### Your previous draft:\n${contextBlock('Draft Script', draft, { priority: 3, keep: true })}\n\nFix the SPECIFIC issues identified. Do not regress on elements that were already working. Output the revised draft.`,
+            run.cbs
+        );
+        ({ verdict, text: review } = await requestVerdict(
+            'editor',
+            COMMISSIONING_EDITOR,
+            budgeted`This is revision attempt ${attempts} of ${maxRounds}.${run.genreLock}\n\nPrevious review (${verdict.score}/100):\n${contextBlock('Previous Review', review, { priority: 2 })}\n\n### Revised Draft Script:\n${contextBlock('Draft Script', draft, { priority: 3, keep: true })}\n\nHave the specific failings been addressed? Score the revised pitch honestly.`,
+            run.cbs,
+            {},
+            run.step
+        ));
+        loop.record(verdict.score);
+        if (verdict.score > best.score) best = { draft, review, score: verdict.score };
+    }
+    if (loop.plateaued && !isEditorGreenlight(verdict, passScore)) {
+        traceEvent('plateau', { gate: 'quality', rounds: loop.rounds, bestScore: best.score });
+    }
+
+    setOutput(run, storyId, 'draft', best.draft);
+    setOutput(run, editorId, 'review', best.review);
+    setOutput(run, editorId, 'score', String(best.score));
+    return { pass: best.draft };
+}
+
+/** Gatekeeper Gate: hard reject or score under gatekeeper.passScore → Showrunner revision + fresh audit, ≤gatekeeper.maxRounds. */
+async function runGatekeeperGate(run, node, inputs) {
+    const adversaryId = inputs.verdict[0].from.id;
+    const showrunnerId = run.graph.edges.find(e => e.to === adversaryId && e.toPort === 'deck' && run.graph.byId.get(e.from).type === 'showrunner').from;
+    const mandateBlock = blocks(collectInputs(run, run.graph.byId.get(adversaryId)), ['mandate']);
+
+    let deck = outputOf(run, showrunnerId, 'final');
+    let critique = outputOf(run, adversaryId, 'verdict');
+    let verdict = run.verdicts.get(adversaryId) ?? scrapeVerdict(critique, 'gatekeeper');
+
+    const { passScore, maxRounds } = run.gates.gatekeeper;
+    const loop = createRevisionLoop(run.gates.gatekeeper, verdict.score);
+    let attempts = 0;
+    while (loop.canContinue() && isGatekeeperRejection(verdict, passScore)) {
+        attempts++;
+        run.cbs.onPhaseStart(6, `🔄 Gatekeeper Revision — Attempt ${attempts}/${maxRounds}`);
+        deck = await run.step(
+            SHOWRUNNER,
+            `The Gatekeeper has REJECTED this pitch (${verdict.score}/100). This is revision attempt ${attempts} of ${maxRounds}.${run.genreLock}${run.guards.outputLanguageGuard}\n\n### Gatekeeper's Critique:\n${critique}\n\n### Current Pitch Card:\n${deck}\n\n### Original Seed Idea:\n"${run.seedIdea}"\n\nAddress the Gatekeeper's SPECIFIC concerns and produce a REVISED compact pitch card.\n\n${PITCH_CARD_TASK}`,
+            run.cbs,
+            { tools: SEARCH_TOOLS }
+        );
+        ({ verdict, text: critique } = await requestVerdict(
+            'gatekeeper',
+            ADVERSARY,
+            adversaryPrompt(run, mandateBlock, deck, critique),
+            run.cbs,
+            { tools: SEARCH_TOOLS },
+            run.step
+        ));
+        loop.record(verdict.score);
+    }
+    if (loop.plateaued && isGatekeeperRejection(verdict, passScore)) {
+        traceEvent('plateau', { gate: 'gatekeeper', rounds: loop.rounds, bestScore: loop.bestScore });
+    }
+
+    setOutput(run, showrunnerId, 'final', deck);
+    setOutput(run, adversaryId, 'verdict', critique);
+    return { approved: deck };
+}
+
+// ═══════════════════════════════════════════════════════
+// EXECUTION
+// ═══════════════════════════════════════════════════════
+
+/**
+ * Run a pipeline drawn in the Pipeline Architect.
+ *
+ * Takes the same callbacks and options as runPipeline, with three differences:
+ * the graph decides which agents run (Grand Narrative Mode = leave out the
+ * Discovery Scout node; Provocateur and Chaos Engine run whenever their nodes
+ * are present), runs are not checkpointed for resume, and series mode
+ * (opts.series) is not available — the graph ends at the pitch card.
+ *
+ * @param {object|string} layout — exported pipeline JSON (see compilePipelineGraph)
+ * @param {string} seedIdea — the user's seed idea
+ * @param {object} cbs — { onPhaseStart, onAgentThinking, onAgentOutput, onPhaseComplete, onChaosEvent?, onUsage?, onTrace? }
+ * @param {object} [opts] — { platform, year, directive, qualityPolicy, maxRevisions, genrePreference, chaosMode, language, budget };
+ *   the quality policy applies to the gate nodes in the layout
+ * @returns {Promise<string>} — the final pitch card, or a kill memo if a gate halted the run
+ * @throws {PipelineGraphError} when the layout does not validate
+ */
+export async function runPipelineGraph(layout, seedIdea, cbs, opts = {}) {
+    const graph = compilePipelineGraph(layout);
+    if (graph.errors.length > 0) throw new PipelineGraphError(graph.errors);
+    for (const warning of graph.warnings) console.warn(`[PipelineGraph] ${warning}`);
+    if (opts.series) console.warn('[PipelineGraph] Series mode is not available for custom pipelines — delivering the pitch card only.');
+    const { budget, ...options } = opts;
+    return withUsageMeter(cbs, budget, (meteredCbs) => withRunTrace(meteredCbs, { seedIdea, mode: 'graph', options },
+        (tracedCbs) => executeGraph(graph, seedIdea, tracedCbs, opts)));
+}
+
+async function executeGraph(graph, seedIdea, cbs, opts) {
+    const { platform = null, year = null, directive = null, maxRevisions = null, qualityPolicy = null, genrePreference = null, chaosMode = 'precision', language = null } = opts;
+    const { gates } = resolveQualityPolicy(qualityPolicy, { maxRevisions });
+    const guards = buildPromptGuards(seedIdea, { platform, year, directive, genrePreference, language });
+    const { mutatedAgentStep } = createChaosSession(chaosMode, cbs);
+    const present = (type) => graph.nodes.some(n => n.type === type && !graph.skipped.includes(n.id));
+
+    const run = {
+        seedIdea,
+        opts,
+        cbs,
+        graph,
+        guards,
+        gates,
+        step: mutatedAgentStep,
+        anchor: present('seed-guard') ? guards.seedAnchor : '',
+        genreLock: present('genre-lock') ? guards.genreLock : '',
+        outputs: new Map(),
+        // Structured reviewer verdicts by node id (editor, adversary)
+        verdicts: new Map(),
+        result: null,
+        halted: null,
+    };
+
+    const runNode = async (id) => {
+        const node = graph.byId.get(id);
+        const out = await NODE_HANDLERS[node.type](run, node, collectInputs(run, node));
+        // Gates may already have rewritten this node's siblings; keep their own port values
+        run.outputs.set(id, { ...run.outputs.get(id), ...out });
+    };
+
+    let phase = null;
+    for (const wave of graph.waves) {
+        const phases = wave.map(id => NODE_TYPES[graph.byId.get(id).type].phase).filter(p => p !== undefined);
+        if (phases.length > 0 && Math.min(...phases) !== phase) {
+            if (phase !== null) cbs.onPhaseComplete(phase);
+            phase = Math.min(...phases);
+            cbs.onPhaseStart(phase, PHASE_NAMES[phase]);
+        }
+
+        // Agents in a wave run in parallel; gates run afterwards, one at a time,
+        // because they rewrite the outputs other nodes read.
+        const isGate = (id) => !!NODE_TYPES[graph.byId.get(id).type].gate;
+        await Promise.all(wave.filter(id => !isGate(id)).map(runNode));
+        for (const id of wave.filter(isGate)) {
+            await runNode(id);
+            if (run.halted) break;
+        }
+
+        if (run.halted) {
+            if (phase !== null) cbs.onPhaseComplete(phase);
+            return run.halted;
+        }
+    }
+    if (phase !== null) cbs.onPhaseComplete(phase);
+
+    return run.result;
+}
@@ -0,0 +1,308 @@
+/**
+ * Prompt templates — the standard pipeline's step prompts and the guard
+ * blocks they share.
+ *
+ * A template is text with a few tags:
+ *
+ *   {{name}}                 a slot: the value passed for `name`
+ *   {{>genreLock}}           a guard partial (see GUARD_PARTIALS)
+ *   {{#name}}…{{/name}}      only when `name` has a value
+ *   {{^name}}…{{/name}}      only when it has none
+ *
+ * Values are substituted in a single pass, so a seed or an agent's output is
+ * never read as template syntax. A slot value may be a context block or a
+ * budgeted prompt (see contextBudget.js); the rendered prompt is then budgeted
+ * too, with the blocks intact.
+ *
+ * Every template can use the run's guard slots (GUARD_SLOTS); a step template
+ * declares the other slots it needs (see stepTemplates.js). Templates and
+ * guards can be edited at runtime (main.js keeps the edits as prompt versions):
+ * a guard edited once changes every prompt that includes it.
+ */
+
+import { joinBudgeted } from './contextBudget.js';
+import { STEP_TEMPLATES } from './stepTemplates.js';
+
+/** Slots every template can use — the run's seed, settings and guard inputs. */
+export const GUARD_SLOTS = [
+    'seedIdea', // the user's seed idea
+    'platform', // target platform, or null
+    'year', // target delivery year, or null
+    'directive', // the executive producer's creative directive, or null
+    'genreLabel', // the locked genre's label, or null
+    'wildlifeSeed', // whether the seed asks for a wildlife story
+    'mandateMenu', // the Narrative Mandate's options (empty until the Market Mandate is in)
+    'mandateSelected', // the selected narrative form (likewise)
+    'heroSpecies', // the Chief Scientist's hero species, or null
+    'outputLanguage', // the pitch's output language (see outputLanguage.js), or null for English
+    'sectionLabels', // the pitch card's section labels in that language, or null
+];
+
+/** The guard blocks, as partials. Each renders to nothing when its slot is empty. */
+export const GUARD_PARTIALS = {
+    seedAnchor: {
+        label: 'Seed Fidelity',
+        text: `\n⚠️ SEED FIDELITY — ABSOLUTE RULE: The user's original concept is the ANCHOR for this entire pipeline. Your job is to ENHANCE, RESEARCH, and DEEPEN this seed idea — NOT replace it with a different concept. If the user names a specific book, title, species, location, narrator, presenter, or visual approach, those are NON-NEGOTIABLE. You may add scientific depth, production detail, and creative texture, but the core concept must remain recognizably the user's idea. Do NOT pivot to a tangentially related but different topic just because your research surfaced it.\n\nOriginal seed: "{{seedIdea}}"\n`,
+    },
+    // The seed text is the user's free-form creative input and the highest
+    // priority source of truth: it overrides the UI settings that follow it
+    seedOverride: {
+        label: 'Seed Override',
+        text: `\n\n⚡ SEED OVERRIDE RULE: The user's seed text is the highest-priority creative brief. If the seed text explicitly specifies a genre, platform, delivery year, target audience, scientific premise, species, location, or any other production parameter, those directives OVERRIDE the corresponding UI settings below. The UI settings (platform, year, genre) are defaults — the seed text is the final word.\n`,
+    },
+    platform: {
+        label: 'Target Platform',
+        text: `{{#platform}}\n\n🎯 TARGET PLATFORM: This pitch is being developed specifically for **{{platform}}**. Tailor all recommendations — tone, format, budget tier, episode structure — to {{platform}}'s commissioning style and audience.\n{{/platform}}`,
+    },
+    deliveryYear: {
+        label: 'Delivery Year',
+        text: `{{#year}}\n📅 TARGET DELIVERY YEAR: {{year}}. This is the year the show will AIR/STREAM — not when it's filmed. Calibrate all market analysis, audience trends, competitive landscape, and narrative strategy to what will be relevant WHEN THIS LAUNCHES. Technology references should reflect what will be cutting-edge at delivery, not today.\n{{/year}}`,
+    },
+    directive: {
+        label: 'Creative Directive',
+        text: `{{#directive}}\n\n🎯 CREATIVE DIRECTIVE (MANDATORY): {{directive}}\nThis directive comes directly from the executive producer. ALL agents must incorporate this requirement into their analysis and output. It is non-negotiable.\n{{/directive}}`,
+    },
+    genreLens: {
+        label: 'Genre Lens',
+        text: `{{#genreLabel}}\n🎭 GENRE LENS (USER-SELECTED): The user has requested the narrative be framed through a **{{genreLabel}}** genre lens. Prioritize this genre in your Layer 2 Cross-Genre Import analysis. Your Primary Narrative Form recommendation MUST use this genre lens. Still provide an Alternative Form using a DIFFERENT genre for contrast.\n{{/genreLabel}}`,
+    },
+    // The seed override and the UI settings, in the order they take precedence
+    options: {
+        label: 'Seed & Settings',
+        text: '{{>seedOverride}}{{>platform}}{{>deliveryYear}}{{>directive}}{{>genreLens}}',
+    },
+    genreLock: {
+        label: 'Genre Lock',
+        text: `{{#genreLabel}}\n\n🔒 GENRE LOCK (DEFAULT — USER-SELECTED FROM UI):\nThe user has locked this pitch to the **{{genreLabel}}** genre via the UI dropdown. This is the default genre unless the seed text explicitly specifies a different genre.\n- ALL narrative structure, tone, camera language, pacing, sound design, and scoring criteria MUST serve this genre.\n- Do NOT drift into survival thriller, underdog, or any other genre convention unless it IS the locked genre.\n- If you reference narrative techniques, they must come from the locked genre's playbook — not from generic wildlife documentary conventions.\n- The Market Analyst's Narrative Mandate is SUBORDINATE to this genre lock. If the Analyst recommended a different form, OVERRIDE it with the locked genre.\n- Violation of the genre lock will be flagged as GENRE DRIFT and rejected.\n- EXCEPTION: If the seed text explicitly names a different genre (e.g. "make this a comedy"), the seed text takes priority over this UI lock.\n{{/genreLabel}}`,
+    },
+    // Keeps a wildlife seed from drifting into a human-centric story
+    wildlifeFocus: {
+        label: 'Wildlife Focus',
+        text: `{{#wildlifeSeed}}
+
+🐾 WILDLIFE FOCUS GUARD — ACTIVE:
+The user explicitly requested a WILDLIFE story. This means:
+- The **protagonist** of this narrative MUST be an animal (species, individual, or population) — NOT a human.
+- Humans may appear as supporting context (researchers, conservationists, local communities) but they are NEVER the emotional center or dramatic protagonist.
+- The story's dramatic arc, tension, stakes, and resolution must belong to the ANIMAL — its survival, behavior, ecology, or journey.
+- Do NOT replace the wildlife narrative with a human-interest story that merely happens near animals (e.g., a deminer, a ranger, a scientist's personal journey). The human is the lens, the animal is the story.
+- If your research surfaces a compelling human angle that you believe is genuinely stronger than a wildlife-first approach, you MUST:
+  1. Still deliver the WILDLIFE-FIRST version as your primary output
+  2. Flag the human angle as: [HUMAN ANGLE SUGGESTED — AUTHOR APPROVAL REQUIRED] with a brief justification based on market trends
+- Violation of this guard will be flagged as WILDLIFE DRIFT and the output will be rejected.
+{{/wildlifeSeed}}`,
+    },
+    narrativeMandate: {
+        label: 'Narrative Mandate',
+        text: `{{#mandateSelected}}\n\n🎭 NARRATIVE MANDATE (BINDING — rule-based, zero API calls):\n\nAvailable narrative forms:\n{{mandateMenu}}\n\n✅ SELECTED: {{mandateSelected}}\n\nALL agents MUST respect this form. Do NOT default to survival thriller unless this IS the selected form. Your output — structure, tone, camera language, pacing, and scoring criteria — must serve this narrative form, not a generic thriller template.\n{{/mandateSelected}}`,
+    },
+    speciesGuard: {
+        label: 'Species Lock',
+        text: `{{#heroSpecies}}\n\n⚠️ ZERO SPECIES DRIFT ENFORCEMENT: Your hero species MUST be "{{heroSpecies}}" as identified by the Chief Scientist. If you change, swap, or substitute this species for a different animal, your output will be flagged as SPECIES DRIFT and REJECTED. You may creatively reinterpret the angle, but the animal stays.\n{{/heroSpecies}}`,
+    },
+    // For the agents who write the pitch; the research stays in English
+    outputLanguage: {
+        label: 'Output Language',
+        text: `{{#outputLanguage}}\n\n🌐 OUTPUT LANGUAGE — {{outputLanguage}}: Write your entire output in {{outputLanguage}}. The research and notes you were given are in English; translate whatever you use from them. Keep scientific names, people's and places' names, broadcaster and platform names, publication titles and URLs as they are. Label the pitch card's sections in {{outputLanguage}}: {{sectionLabels}}.\n{{/outputLanguage}}`,
+    },
+    // For the Gatekeeper, who judges the pitch in its language
+    languageReview: {
+        label: 'Output Language (review)',
+        text: `{{#outputLanguage}}\n\n🌐 OUTPUT LANGUAGE — {{outputLanguage}}: This pitch card is written in {{outputLanguage}} on purpose, with its sections labelled {{sectionLabels}}. Judge it as a {{outputLanguage}}-language pitch: do not mark it down for not being in English, and write any replacement wording you propose in {{outputLanguage}}. Keep the response format you were given: its field names, headings and fixed values stay in English.\n{{/outputLanguage}}`,
+    },
+};
+
+// Edited template text, by name — see setTemplateSource
+const edits = new Map();
+
+// ─── Parsing ─────────────────────────────────────────────────
+
+const TAG = /\{\{\s*([>#^/]?)\s*([A-Za-z][\w-]*)\s*\}\}/g;
+
+/**
+ * Parse template text into nodes: { text } | { slot } | { partial } | { section, inverted, children }.
+ * @throws {Error} on an unclosed or mismatched section
+ */
+function parse(text) {
+    const root = [];
+    const open = [{ name: null, children: root }];
+    let last = 0;
+    for (const match of text.matchAll(TAG)) {
+        const [tag, sigil, name] = match;
+        const { children } = open[open.length - 1];
+        if (match.index > last) children.push({ text: text.slice(last, match.index) });
+        last = match.index + tag.length;
+
+        if (sigil === '') children.push({ slot: name });
+        else if (sigil === '>') children.push({ partial: name });
+        else if (sigil === '/') {
+            if (open.length === 1 || open[open.length - 1].name !== name) {
+                throw new Error(`{{/${name}}} closes a section that is not open`);
+            }
+            open.pop();
+        } else {
+            const section = { section: name, inverted: sigil === '^', children: [] };
+            children.push(section);
+            open.push({ name, children: section.children });
+        }
+    }
+    if (open.length > 1) throw new Error(`{{#${open[open.length - 1].name}}} is never closed`);
+    if (last < text.length) root.push({ text: text.slice(last) });
+    return root;
+}
+
+// The slot and partial names a template uses, partials not followed
+function tagsOf(nodes, found = { slots: new Set(), partials: new Set() }) {
+    for (const node of nodes) {
+        if (node.slot) found.slots.add(node.slot);
+        else if (node.partial) found.partials.add(node.partial);
+        else if (node.section) {
+            found.slots.add(node.section);
+            tagsOf(node.children, found);
+        }
+    }
+    return found;
+}
+
+// ─── Rendering ───────────────────────────────────────────────
+
+const isBlock = (value) => typeof value === 'object' && value !== null;
+const isEmpty = (value) => value === null || value === undefined || value === false || value === '';
+
+function valueOf(values, name, template) {
+    if (!Object.hasOwn(values, name) || values[name] === undefined) {
+        throw new Error(`Prompt template "${template}" needs a value for {{${name}}}`);
+    }
+    return values[name];
+}
+
+/**
+ * Render parsed nodes into prompt parts. A guard counts as included when its
+ * own text — not a partial it includes — renders to something.
+ */
+function renderNodes(nodes, values, out, owner) {
+    for (const node of nodes) {
+        if (node.text !== undefined) {
+            out.parts.push(node.text);
+            owner.rendered = true;
+        } else if (node.slot) {
+            const value = valueOf(values, node.slot, out.template);
+            if (isEmpty(value) || value === true) continue;
+            out.parts.push(isBlock(value) ? value : String(value));
+            owner.rendered = true;
+        } else if (node.partial) {
+            if (out.stack.includes(node.partial)) {
+                throw new Error(`Guard "${node.partial}" includes itself`);
+            }
+            const guard = { rendered: false };
+            out.stack.push(node.partial);
+            renderNodes(parseGuard(node.partial), values, out, guard);
+            out.stack.pop();
+            if (guard.rendered && !out.guards.includes(node.partial)) out.guards.push(node.partial);
+        } else if (isEmpty(valueOf(values, node.section, out.template)) === node.inverted) {
+            renderNodes(node.children, values, out, owner);
+        }
+    }
+}
+
+function parseGuard(name) {
+    if (!Object.hasOwn(GUARD_PARTIALS, name)) throw new Error(`Unknown guard "${name}"`);
+    return parse(templateSource(name));
+}
+
+function render(name, nodes, values) {
+    const out = { template: name, parts: [], guards: [], stack: [] };
+    renderNodes(nodes, values, out, { rendered: false });
+    const prompt = out.parts.some(isBlock) ? joinBudgeted(out.parts) : out.parts.join('');
+    return { prompt, guards: out.guards };
+}
+
+/**
+ * Render a step's prompt.
+ * @param {string} name — a STEP_TEMPLATES name
+ * @param {object} values — the guard slots and the step's own slots
+ * @returns {{ prompt: string|BudgetedPrompt, guards: string[] }} the prompt, budgeted when
+ *   a value was a context block, and the guards it includes, in order
+ * @throws {Error} if the template is unknown or a slot has no value
+ */
+export function renderTemplate(name, values) {
+    if (!Object.hasOwn(STEP_TEMPLATES, name)) throw new Error(`Unknown prompt template "${name}"`);
+    return render(name, parse(templateSource(name)), values);
+}
+
+/**
+ * Render one guard on its own — '' when it does not apply.
+ * @param {string} name — a GUARD_PARTIALS name
+ * @param {object} values — the guard slots it uses
+ * @returns {string}
+ */
+export function renderGuard(name, values) {
+    return String(render(name, parseGuard(name), values).prompt);
+}
+
+// ─── Editing ─────────────────────────────────────────────────
+
+/**
+ * Every editable template: the guards first, then the step templates.
+ * @returns {Array<{ name: string, kind: 'guard'|'step', label: string, agent: string|null, slots: string[] }>}
+ */
+export function listPromptTemplates() {
+    return [
+        ...Object.entries(GUARD_PARTIALS).map(([name, { label }]) => ({ name, kind: 'guard', label, agent: null, slots: GUARD_SLOTS })),
+        ...Object.entries(STEP_TEMPLATES).map(([name, { label, agent, slots }]) => ({ name, kind: 'step', label, agent, slots: [...GUARD_SLOTS, ...slots] })),
+    ];
+}
+
+function shipped(name) {
+    if (Object.hasOwn(GUARD_PARTIALS, name)) return GUARD_PARTIALS[name];
+    if (Object.hasOwn(STEP_TEMPLATES, name)) return STEP_TEMPLATES[name];
+    throw new Error(`Unknown prompt template "${name}"`);
+}
+
+/** The shipped text of a template or guard. */
+export function defaultTemplateSource(name) {
+    return shipped(name).text;
+}
+
+/** The text a template or guard renders from — its edit, if any, else the shipped text. */
+export function templateSource(name) {
+    return edits.get(name) ?? defaultTemplateSource(name);
+}
+
+// A guard's partials, followed through edits, must not lead back to it
+function checkCycles(name, text) {
+    const visit = (partial, path) => {
+        if (partial === name) throw new Error(`Guard "${name}" would include itself (via ${path.join(' → ')})`);
+        for (const next of tagsOf(parse(templateSource(partial))).partials) {
+            if (Object.hasOwn(GUARD_PARTIALS, next)) visit(next, [...path, next]);
+        }
+    };
+    for (const partial of tagsOf(parse(text)).partials) {
+        if (Object.hasOwn(GUARD_PARTIALS, partial)) visit(partial, [partial]);
+    }
+}
+
+/**
+ * Replace a template's or guard's text — or, with null, go back to the shipped text.
+ * @param {string} name
+ * @param {string|null} text
+ * @throws {Error} if the text does not parse, uses an unknown slot or guard,
+ *   or (for a step template) drops one of the step's slots
+ */
+export function setTemplateSource(name, text) {
+    const template = shipped(name);
+    if (text === null || text === template.text) {
+        edits.delete(name);
+        return;
+    }
+    const { slots, partials } = tagsOf(parse(text));
+    const allowed = new Set([...GUARD_SLOTS, ...(template.slots || [])]);
+    const unknownSlot = [...slots].find(slot => !allowed.has(slot));
+    if (unknownSlot) throw new Error(`{{${unknownSlot}}} is not a slot of "${name}"`);
+    const unknownGuard = [...partials].find(partial => !Object.hasOwn(GUARD_PARTIALS, partial));
+    if (unknownGuard) throw new Error(`Unknown guard {{>${unknownGuard}}}`);
+    const dropped = (template.slots || []).find(slot => !slots.has(slot));
+    if (dropped) throw new Error(`The template must keep its {{${dropped}}} slot`);
+    if (Object.hasOwn(GUARD_PARTIALS, name)) checkCycles(name, text);
+    edits.set(name, text);
+}
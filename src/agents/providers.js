@@ -0,0 +1,235 @@
+/**
+ * LLM providers — the backends behind callAgent() and createChat().
+ *
+ * A provider is `{ name, generate(request) }`, where request is
+ *   { systemPrompt, userMessage, history, tools, responseFormat, generation, agentId, signal, onToken }
+ * and generate resolves to the response text, or to { text, model, usage } when
+ * the backend reports token counts. `agentId` names the caller
+ * (a persona id such as 'commissioning-editor', or a utility id such as
+ * 'species-extractor') so scripted providers can answer per agent. When
+ * `onToken` is set, the provider calls onToken(chunk) as text arrives; the
+ * resolved text is still the full response. `generation` carries the calling
+ * agent's model and sampling settings (see generation.js), when it has any.
+ * `tools` holds Gemini tools such as { googleSearch: {} } and server-side tools
+ * as { serverTool: name } (see api/_tools.js).
+ *
+ * - Server providers ('gemini', 'openai') go through /api/generate, which keeps
+ *   API keys server-side and picks the matching adapter (see api/_providers.js).
+ * - The mock provider answers from a script and never touches the network,
+ *   so the whole pipeline can run offline.
+ *
+ * Providers report failures they can classify as ProviderError, so callAgent()
+ * knows whether to retry and how long to wait.
+ */
+
+import { DEFAULT_MOCK_SCRIPT } from './mockScript.js';
+
+export const PROVIDER_LABELS = {
+    gemini: 'Gemini',
+    openai: 'OpenAI-compatible',
+    mock: 'Offline mock',
+};
+
+/**
+ * A failed generate() the caller can act on.
+ * `retryable: false` means retrying the same request cannot help (bad request,
+ * misconfigured server); `quota` marks a rate-limit or quota error, and
+ * `retryAfterMs` is the backend's hint for when to try again, if it gave one.
+ */
+export class ProviderError extends Error {
+    constructor(message, { status = null, retryable = true, quota = false, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.retryable = retryable;
+        this.quota = quota;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * Build a ProviderError from an /api/generate error body (see api/generate.js).
+ * Older servers send only { error }; the status decides then — quota, timeouts
+ * and 5xx are retryable, other 4xx are not.
+ */
+function generateError(body, status, retryAfterHeader = null) {
+    const seconds = Number(retryAfterHeader);
+    const retryAfterMs = body.retryAfterMs ?? (retryAfterHeader && Number.isFinite(seconds) ? seconds * 1000 : null);
+    return new ProviderError(body.error || `HTTP ${status}`, {
+        status,
+        retryable: body.retryable ?? (status === 408 || status === 429 || status >= 500),
+        quota: body.quota ?? status === 429,
+        retryAfterMs,
+    });
+}
+
+/**
+ * Provider that proxies through /api/generate.
+ * @param {string} [name] — server adapter: 'gemini' | 'openai'
+ * @param {object} [config] — { model } to override the server's configured model;
+ *   an agent's own generation.model takes precedence over both
+ */
+export function createServerProvider(name = 'gemini', { model = null } = {}) {
+    return {
+        name,
+        async generate({ systemPrompt, userMessage, history = [], tools = [], responseFormat, generation, signal, onToken }) {
+            const agentModel = generation?.model || model;
+            const res = await fetch('/api/generate', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    systemPrompt,
+                    userMessage,
+                    tools,
+                    history,
+                    responseFormat,
+                    provider: name,
+                    ...(agentModel ? { model: agentModel } : {}),
+                    ...(generation?.temperature != null ? { temperature: generation.temperature } : {}),
+                    ...(generation?.topP != null ? { topP: generation.topP } : {}),
+                    ...(generation?.maxOutputTokens != null ? { maxOutputTokens: generation.maxOutputTokens } : {}),
+                    ...(onToken ? { stream: true } : {}),
+                }),
+                signal,
+            });
+
+            if (!res.ok) {
+                const body = await res.json().catch(() => ({ error: res.statusText }));
+                throw generateError(body, res.status, res.headers.get('retry-after'));
+            }
+
+            return onToken ? readGenerateStream(res, onToken) : res.json();
+        },
+    };
+}
+
+/**
+ * Read the SSE stream from /api/generate (see api/generate.js), forwarding
+ * text chunks to onToken. Resolves to the final { text, model, usage }.
+ */
+async function readGenerateStream(res, onToken) {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+
+    const handleEvent = (raw) => {
+        let event = 'message';
+        let data = '';
+        for (const line of raw.split('\n')) {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) data += line.slice(5).trim();
+        }
+        if (!data) return;
+        const payload = JSON.parse(data);
+        if (event === 'error') throw generateError({ error: 'Stream failed', ...payload }, payload.quota ? 429 : 502);
+        if (event === 'done') result = payload;
+        else if (payload.text) onToken(payload.text);
+    };
+
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+            const events = buffer.split('\n\n');
+            buffer = events.pop();
+            events.forEach(handleEvent);
+        }
+        if (buffer.trim()) handleEvent(buffer);
+    } finally {
+        reader.releaseLock();
+    }
+
+    if (!result) throw new Error('Stream ended before the response was complete');
+    return result;
+}
+
+/**
+ * Scripted provider for offline runs and tests.
+ *
+ * Script entries are keyed by agentId. Each entry is either
+ *   - a string, returned on every call,
+ *   - an array, returned in order (the last entry repeats), or
+ *   - a function (request, callIndex) → string | Promise<string>.
+ * `default` answers agents the script doesn't name; without it those calls throw.
+ *
+ * Every request is recorded on `provider.calls` for assertions. Usage is
+ * estimated at ~4 characters per token so budget caps can be exercised offline.
+ * With onToken set, the scripted text is streamed back a few words at a time.
+ *
+ * @param {object} [script] — defaults to DEFAULT_MOCK_SCRIPT
+ */
+export function createMockProvider(script = DEFAULT_MOCK_SCRIPT) {
+    const counts = new Map();
+    const calls = [];
+
+    return {
+        name: 'mock',
+        calls,
+        /** Forget call history so arrays replay from the start. */
+        reset() {
+            counts.clear();
+            calls.length = 0;
+        },
+        async generate(request) {
+            if (request.signal?.aborted) throw new DOMException('Agent call aborted', 'AbortError');
+
+            const agentId = request.agentId || 'unknown';
+            const entry = script[agentId] ?? script.default;
+            if (entry === undefined) {
+                throw new Error(`Mock provider has no script for agent "${agentId}"`);
+            }
+
+            const index = counts.get(agentId) || 0;
+            counts.set(agentId, index + 1);
+            calls.push({ agentId, systemPrompt: request.systemPrompt, userMessage: request.userMessage, generation: request.generation ?? null });
+
+            let text = entry;
+            if (typeof entry === 'function') text = await entry(request, index);
+            else if (Array.isArray(entry)) text = entry[Math.min(index, entry.length - 1)];
+
+            if (request.onToken) {
+                for (const chunk of text.match(/(?:\S+\s*){1,8}|\s+/g) || []) {
+                    request.onToken(chunk);
+                    await new Promise(r => setTimeout(r, 0));
+                    if (request.signal?.aborted) throw new DOMException('Agent call aborted', 'AbortError');
+                }
+            }
+
+            const promptTokens = Math.ceil((request.systemPrompt.length + request.userMessage.length) / 4);
+            const outputTokens = Math.ceil(text.length / 4);
+            return { text, model: 'mock', usage: { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens } };
+        },
+    };
+}
+
+/**
+ * Build a provider from saved settings.
+ * @param {{ name?: string, model?: string }} [settings]
+ */
+export function createProvider({ name = 'gemini', model = null } = {}) {
+    if (name === 'mock') return createMockProvider();
+    if (!PROVIDER_LABELS[name]) throw new Error(`Unknown provider "${name}"`);
+    return createServerProvider(name, { model: model || null });
+}
+
+// ─── Active provider ─────────────────────────────────────
+
+let activeProvider = createServerProvider('gemini');
+
+/**
+ * Route all subsequent agent calls to the given provider.
+ * @param {{ name: string, generate: function }} provider
+ */
+export function setProvider(provider) {
+    if (!provider || typeof provider.generate !== 'function') {
+        throw new Error('setProvider() expects an object with a generate(request) method');
+    }
+    activeProvider = provider;
+}
+
+/** The provider agent calls currently go to. */
+export function getProvider() {
+    return activeProvider;
+}
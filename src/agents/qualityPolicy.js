@@ -0,0 +1,134 @@
+/**
+ * Quality policies — which gates run, what passes them, and how long their
+ * revision loops may go on.
+ *
+ * A policy has one entry per gate:
+ *   drift      — Drift Gate checks of the Discovery Brief (every FAIL but the last re-scouts)
+ *   science    — Chief Scientist pivots after a recoverable scientific rejection
+ *   ethics     — Scientist/Producer pivots after a recoverable ethical rejection
+ *   quality    — Story Producer ↔ Commissioning Editor rounds after Draft V2
+ *   gatekeeper — Showrunner ↔ Adversary rounds after the Gatekeeper's verdict
+ *
+ * Each entry has `enabled` and `maxRounds`. The scored gates (quality,
+ * gatekeeper) add `passScore`, the score a review must reach, and
+ * `maxStalledRounds`: stop once that many rounds in a row have not beaten the
+ * best score so far (null = keep going until maxRounds). A disabled gate skips
+ * its check and loop; the review that feeds it still runs.
+ */
+
+export const QUALITY_PROFILES = {
+    ideation: {
+        label: 'Quick ideation',
+        description: 'One pivot per gate, one polish round, no Gatekeeper revisions.',
+        gates: {
+            drift: { enabled: true, maxRounds: 1 },
+            science: { enabled: true, maxRounds: 1 },
+            ethics: { enabled: true, maxRounds: 1 },
+            quality: { enabled: true, maxRounds: 1, passScore: 75, maxStalledRounds: 1 },
+            gatekeeper: { enabled: false, maxRounds: 1, passScore: 70, maxStalledRounds: null },
+        },
+    },
+    standard: {
+        label: 'Standard',
+        description: 'Greenlight at 85, Gatekeeper pass at 80, up to 3 rounds per gate.',
+        gates: {
+            drift: { enabled: true, maxRounds: 2 },
+            science: { enabled: true, maxRounds: 3 },
+            ethics: { enabled: true, maxRounds: 3 },
+            quality: { enabled: true, maxRounds: 3, passScore: 85, maxStalledRounds: null },
+            gatekeeper: { enabled: true, maxRounds: 3, passScore: 80, maxStalledRounds: null },
+        },
+    },
+    commissioning: {
+        label: 'Commissioner-ready',
+        description: 'Greenlight at 90, Gatekeeper pass at 85; loops stop after 2 rounds without improvement.',
+        gates: {
+            drift: { enabled: true, maxRounds: 3 },
+            science: { enabled: true, maxRounds: 3 },
+            ethics: { enabled: true, maxRounds: 3 },
+            quality: { enabled: true, maxRounds: 5, passScore: 90, maxStalledRounds: 2 },
+            gatekeeper: { enabled: true, maxRounds: 4, passScore: 85, maxStalledRounds: 2 },
+        },
+    },
+};
+
+export const DEFAULT_QUALITY_PROFILE = 'standard';
+
+// The gates whose rounds the legacy maxRevisions option sets
+const REVISION_GATES = ['science', 'ethics', 'quality', 'gatekeeper'];
+
+function checkInteger(path, value, min, max) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(`Invalid quality policy: ${path} must be an integer from ${min} to ${max}`);
+    }
+}
+
+/**
+ * Build a complete policy.
+ *
+ * @param {string|object|null} [policy] — a QUALITY_PROFILES key, or an object
+ *   `{ profile?, gates?: { <gate>: { …overrides } } }` laid over its profile (default 'standard')
+ * @param {object} [opts]
+ * @param {number|null} [opts.maxRevisions] — when set, the round limit of the science, ethics, quality and gatekeeper gates
+ * @returns {{ profile: string, gates: object }}
+ * @throws {Error} on an unknown profile or gate, or an out-of-range value
+ */
+export function resolveQualityPolicy(policy = null, { maxRevisions = null } = {}) {
+    const overrides = typeof policy === 'string' ? { profile: policy } : (policy || {});
+    const profile = overrides.profile || DEFAULT_QUALITY_PROFILE;
+    const base = QUALITY_PROFILES[profile];
+    if (!base) throw new Error(`Unknown quality profile "${profile}"`);
+
+    const unknown = Object.keys(overrides.gates || {}).find(gate => !base.gates[gate]);
+    if (unknown) throw new Error(`Invalid quality policy: unknown gate "${unknown}"`);
+
+    const gates = {};
+    for (const [name, defaults] of Object.entries(base.gates)) {
+        const gate = { ...defaults };
+        for (const key of Object.keys(defaults)) {
+            if (overrides.gates?.[name]?.[key] !== undefined) gate[key] = overrides.gates[name][key];
+        }
+        if (maxRevisions !== null && maxRevisions !== undefined && REVISION_GATES.includes(name)) gate.maxRounds = maxRevisions;
+
+        if (typeof gate.enabled !== 'boolean') throw new Error(`Invalid quality policy: ${name}.enabled must be true or false`);
+        checkInteger(`${name}.maxRounds`, gate.maxRounds, 0, 10);
+        if ('passScore' in gate) checkInteger(`${name}.passScore`, gate.passScore, 0, 100);
+        if (gate.maxStalledRounds !== null && gate.maxStalledRounds !== undefined) {
+            checkInteger(`${name}.maxStalledRounds`, gate.maxStalledRounds, 1, 10);
+        }
+        gates[name] = gate;
+    }
+    return { profile, gates };
+}
+
+/**
+ * Round bookkeeping for a scored revision loop (quality, gatekeeper).
+ *
+ * @param {object} gate — a resolved policy gate
+ * @param {number} score — the score the loop starts from
+ */
+export function createRevisionLoop(gate, score) {
+    let best = score;
+    let stalled = 0;
+    let rounds = 0;
+    return {
+        get rounds() { return rounds; },
+        get bestScore() { return best; },
+        /** Whether the loop stopped because the score stopped improving. */
+        get plateaued() { return gate.maxStalledRounds != null && stalled >= gate.maxStalledRounds; },
+        /** Whether another round is allowed. */
+        canContinue() {
+            return gate.enabled && rounds < gate.maxRounds && !this.plateaued;
+        },
+        /** Count a finished round and its new score. */
+        record(newScore) {
+            rounds++;
+            if (newScore > best) {
+                best = newScore;
+                stalled = 0;
+            } else {
+                stalled++;
+            }
+        },
+    };
+}
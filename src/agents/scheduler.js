@@ -0,0 +1,110 @@
+/**
+ * Step scheduler — runs a list of pipeline steps as a dependency graph.
+ *
+ * Each step declares the keys it `reads` and `writes` (ctx fields, or other
+ * values steps hand to each other such as the knowledge-base block). The list
+ * order is the program order: a step waits for the latest earlier step that
+ * writes a key it reads, and a step that writes a key also waits for earlier
+ * steps reading or writing it. Everything else starts as soon as it is ready,
+ * so a run gives the same result as running the steps one by one — minus the
+ * waiting between steps that never depended on each other.
+ *
+ * Keys no step writes are inputs and count as ready from the start.
+ */
+
+export const DEFAULT_STEP_CONCURRENCY = 3;
+
+/**
+ * Work out which earlier steps each step must wait for.
+ * @param {Array<{ id: string, reads?: string[], writes?: string[] }>} steps
+ * @returns {Map<string, Set<string>>} step id → ids of the steps it waits for
+ */
+export function stepDependencies(steps) {
+    const lastWriter = new Map();
+    const readersSince = new Map();
+    const deps = new Map();
+
+    for (const step of steps) {
+        if (deps.has(step.id)) throw new Error(`Duplicate pipeline step "${step.id}"`);
+        const reads = step.reads || [];
+        const writes = step.writes || [step.id];
+        const waitsFor = new Set();
+
+        for (const key of reads) {
+            if (lastWriter.has(key)) waitsFor.add(lastWriter.get(key));
+        }
+        for (const key of writes) {
+            if (lastWriter.has(key)) waitsFor.add(lastWriter.get(key));
+            for (const reader of readersSince.get(key) || []) waitsFor.add(reader);
+        }
+        waitsFor.delete(step.id);
+        deps.set(step.id, waitsFor);
+
+        for (const key of reads) readersSince.set(key, [...(readersSince.get(key) || []), step.id]);
+        for (const key of writes) {
+            lastWriter.set(key, step.id);
+            readersSince.set(key, []);
+        }
+    }
+    return deps;
+}
+
+/**
+ * Run steps as soon as the steps they depend on have finished, at most
+ * `concurrency` at a time; ready steps start in list order.
+ *
+ * On the first failure no further steps start; the steps already running are
+ * allowed to settle, then the error is rethrown. `shouldStop` is checked after
+ * every step, so a step can halt the run (e.g. a kill memo) without throwing.
+ *
+ * @param {Array<{ id: string, reads?: string[], writes?: string[], run: function(): Promise }>} steps
+ * @param {object} [opts]
+ * @param {number} [opts.concurrency] — maximum steps in flight (default DEFAULT_STEP_CONCURRENCY)
+ * @param {function(): boolean} [opts.shouldStop] — stop starting steps once this returns true
+ * @returns {Promise<void>}
+ */
+export async function runStepGraph(steps, { concurrency = DEFAULT_STEP_CONCURRENCY, shouldStop = () => false } = {}) {
+    const deps = stepDependencies(steps);
+    const limit = Math.max(1, Math.floor(concurrency) || 1);
+    const pending = [...steps];
+    const done = new Set();
+    let running = 0;
+    let failure = null;
+
+    return new Promise((resolve, reject) => {
+        const settle = () => {
+            if (running > 0) return;
+            if (failure) reject(failure.error);
+            else resolve();
+        };
+
+        const launch = () => {
+            if (failure || shouldStop()) {
+                pending.length = 0;
+                return settle();
+            }
+            for (let i = 0; i < pending.length && running < limit;) {
+                const step = pending[i];
+                if (![...deps.get(step.id)].every(id => done.has(id))) {
+                    i++;
+                    continue;
+                }
+                pending.splice(i, 1);
+                running++;
+                Promise.resolve()
+                    .then(() => step.run())
+                    .then(
+                        () => done.add(step.id),
+                        (error) => { failure ||= { error }; },
+                    )
+                    .finally(() => {
+                        running--;
+                        launch();
+                    });
+            }
+            if (pending.length === 0) settle();
+        };
+
+        launch();
+    });
+}
@@ -0,0 +1,191 @@
+/**
+ * Series mode — a multi-episode architecture on top of the pitch card.
+ *
+ * Commissioners ask for formats such as "6x50" or a "3-part limited series".
+ * With opts.series set, the Showrunner breaks the greenlit pitch into episodes
+ * as JSON —
+ *   { seriesArc, episodes: [{ number, title, species, location, acts: string[3], cliffhanger }] }
+ * — which the Commissioning Editor checks for cross-episode consistency. The
+ * architecture is rendered to markdown and delivered after the pitch card.
+ */
+
+export const MIN_EPISODES = 2;
+export const MAX_EPISODES = 13;
+
+/**
+ * Parse a commissioning format: "6x50", "6 × 50", "3-part", "4 part limited series".
+ * @param {string|null} text
+ * @returns {{ episodes: number, runtime: number|null }|null} — null for an empty format
+ * @throws {Error} if the format is not understood
+ */
+export function parseSeriesFormat(text) {
+    const value = (text || '').trim();
+    if (!value) return null;
+
+    const match = value.match(/^(\d+)\s*[x×]\s*(\d+)(?:\s*(?:'|min(?:utes?)?))?$/i)
+        || value.match(/^(\d+)[\s-]*part\b.*$/i);
+    if (!match) throw new Error(`Series format "${value}" not understood — use e.g. "6x50" or "3-part"`);
+
+    const episodes = Number(match[1]);
+    const runtime = match[2] ? Number(match[2]) : null;
+    if (episodes < MIN_EPISODES || episodes > MAX_EPISODES) {
+        throw new Error(`A series needs ${MIN_EPISODES}–${MAX_EPISODES} episodes (got ${episodes})`);
+    }
+    if (runtime !== null && (runtime < 5 || runtime > 180)) {
+        throw new Error(`Episode runtime must be 5–180 minutes (got ${runtime})`);
+    }
+    return { episodes, runtime };
+}
+
+/**
+ * A series format as parseSeriesFormat reads it back: "6x50" or "3-part".
+ * @param {{ episodes: number, runtime: number|null }|null} series
+ */
+export function formatSeries(series) {
+    if (!series) return '';
+    return series.runtime ? `${series.episodes}x${series.runtime}` : `${series.episodes}-part`;
+}
+
+/**
+ * Display label for a series format: "6 × 50'" or "3-part series".
+ * @param {{ episodes: number, runtime: number|null }} series
+ */
+export function seriesLabel(series) {
+    return series.runtime ? `${series.episodes} × ${series.runtime}'` : `${series.episodes}-part series`;
+}
+
+/**
+ * The response contract appended to the Showrunner's series prompt.
+ * @param {{ episodes: number, runtime: number|null }} series
+ */
+export function seriesContract(series) {
+    return `═══════════════════════════════════════════
+RESPONSE FORMAT — JSON SERIES ARCHITECTURE (overrides the output format in your instructions)
+═══════════════════════════════════════════
+
+Respond with ONE JSON object and nothing else — no code fences, no text before or after it:
+{
+  "seriesArc": "<2-4 sentences: what the series builds towards and how the finale pays off episode 1>",
+  "episodes": [
+    {
+      "number": 1,
+      "title": "<episode title>",
+      "species": "<the episode's hero species — common name (Latin name)>",
+      "location": "<primary filming location>",
+      "acts": ["<Act 1 — setup>", "<Act 2 — escalation>", "<Act 3 — climax and turn>"],
+      "cliffhanger": "<the unresolved question that pulls the audience into the next episode>"
+    }, ...
+  ]
+}
+
+"episodes" must hold exactly ${series.episodes} entries numbered 1 to ${series.episodes}, each with exactly three acts${series.runtime ? ` sized for a ${series.runtime}-minute runtime` : ''}. The finale's "cliffhanger" is its closing image instead.`;
+}
+
+/**
+ * Prompt asking the Showrunner to re-emit an architecture that failed validation.
+ * @param {{ episodes: number, runtime: number|null }} series
+ * @param {string} raw — the rejected response
+ * @param {string} error — what was wrong with it
+ */
+export function seriesRepairPrompt(series, raw, error) {
+    return `Your previous response could not be used: ${error}.
+
+### Your Previous Response
+${raw}
+
+Return the SAME series architecture — same episodes, same content — as valid JSON.
+
+${seriesContract(series)}`;
+}
+
+/**
+ * Parse and validate the Showrunner's JSON series architecture.
+ *
+ * @param {string} raw — response text (code fences and stray prose around the object are tolerated)
+ * @param {{ episodes: number }} series — the requested format
+ * @returns {{ architecture: object|null, error: string|null }}
+ */
+export function parseSeriesArchitecture(raw, series) {
+    const text = raw.trim().replace(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/i, '$1');
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        try {
+            data = start !== -1 && end > start ? JSON.parse(text.slice(start, end + 1)) : null;
+        } catch {
+            data = null;
+        }
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { architecture: null, error: 'response is not a JSON object' };
+    }
+
+    if (typeof data.seriesArc !== 'string' || !data.seriesArc.trim()) {
+        return { architecture: null, error: '"seriesArc" must be a non-empty string' };
+    }
+    if (!Array.isArray(data.episodes) || data.episodes.length !== series.episodes) {
+        return { architecture: null, error: `"episodes" must be an array of exactly ${series.episodes} episodes` };
+    }
+
+    const episodes = [];
+    for (const [i, ep] of data.episodes.entries()) {
+        const where = `episode ${i + 1}`;
+        if (!ep || typeof ep !== 'object') return { architecture: null, error: `${where} is not an object` };
+        for (const field of ['title', 'species', 'location', 'cliffhanger']) {
+            if (typeof ep[field] !== 'string' || !ep[field].trim()) {
+                return { architecture: null, error: `${where}: "${field}" must be a non-empty string` };
+            }
+        }
+        if (!Array.isArray(ep.acts) || ep.acts.length !== 3 || ep.acts.some(act => typeof act !== 'string' || !act.trim())) {
+            return { architecture: null, error: `${where}: "acts" must be an array of three non-empty strings` };
+        }
+        episodes.push({
+            number: i + 1,
+            title: ep.title.trim(),
+            species: ep.species.trim(),
+            location: ep.location.trim(),
+            acts: ep.acts.map(act => act.trim()),
+            cliffhanger: ep.cliffhanger.trim(),
+        });
+    }
+
+    return { architecture: { seriesArc: data.seriesArc.trim(), episodes }, error: null };
+}
+
+/**
+ * Render a series architecture as markdown: an episode grid, then one section
+ * per episode. Headings stay below ## so the section can follow the pitch card
+ * without being read as a second card.
+ * @param {object} architecture
+ * @param {{ episodes: number, runtime: number|null }} series
+ */
+export function renderSeriesArchitecture(architecture, series) {
+    // Pipes would split the grid's cells
+    const cell = (text) => text.replace(/\|/g, '/').replace(/\s*\n\s*/g, ' ');
+    const grid = [
+        '| Ep | Title | Species | Location |',
+        '|---|---|---|---|',
+        ...architecture.episodes.map(ep => `| ${ep.number} | ${cell(ep.title)} | ${cell(ep.species)} | ${cell(ep.location)} |`),
+    ].join('\n');
+
+    const episodes = architecture.episodes.map((ep, i) => {
+        const last = i === architecture.episodes.length - 1;
+        return `#### Episode ${ep.number} — ${ep.title}
+
+**Species:** ${ep.species} · **Location:** ${ep.location}
+
+${ep.acts.map((act, a) => `- **Act ${a + 1}:** ${act}`).join('\n')}
+
+**${last ? 'Closing Image' : 'Cliffhanger'}:** ${ep.cliffhanger}`;
+    });
+
+    return [
+        `### 📺 Series Architecture — ${seriesLabel(series)}`,
+        `**Series Arc:** ${architecture.seriesArc}`,
+        grid,
+        ...episodes,
+    ].join('\n\n');
+}
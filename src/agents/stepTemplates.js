@@ -0,0 +1,626 @@
+/**
+ * Step templates — the prompts the standard pipeline sends at each step, with
+ * the guards each one carries (rendered by promptTemplates.js).
+ *
+ * Each template is { label, agent, slots, text }: `agent` is the persona id it
+ * is sent to (null for a custom agent), `slots` the values the step supplies
+ * besides the guard slots. Context-block slots (kb, mandate, factSheet, …)
+ * arrive already wrapped for the budgeter.
+ */
+
+// The Field Producer's brief, shared by its first-pass prompts
+const FEASIBILITY_BRIEF = 'Assess the feasibility with PRODUCER-GRADE specificity. You MUST include: exact camera equipment with model names, crew composition, shoot duration with seasonal windows, itemized budget estimate with actual dollar ranges, permit requirements, risk/contingency plans, and a Unicorn Test probability score.';
+
+export const STEP_TEMPLATES = {
+    // ─── Phase 0 — Discovery ─────────────────────────────────
+    discovery: {
+        label: 'Discovery Brief',
+        agent: 'discovery-scout',
+        slots: [],
+        text: `{{>seedAnchor}}Search for recent scientific discoveries, novel behaviors, and new species related to: "{{seedIdea}}"{{>options}}{{>genreLock}}
+
+Focus on findings from the last 12 months that could make a wildlife documentary genuinely unprecedented.{{#genreLabel}} Prioritize discoveries relevant to the **{{genreLabel}}** genre lens.{{/genreLabel}}
+
+⛔ ANTI-DRIFT RULE (CRITICAL): Your Discovery Brief must ONLY surface findings that DIRECTLY support the user's stated seed concept. If the seed names a specific presenter, host, or person (e.g., a YouTube creator, journalist, filmmaker), search for what THEY are known for and what subjects THEY cover — do NOT invent a random species or location they have never been associated with. If the seed names a specific species or location, your findings must be about THAT species or location — not a tangentially related one your search happened to surface. If you cannot find relevant discoveries for the exact seed concept, return a Null Result — do NOT substitute a different concept. A Discovery Brief that introduces a new species or location not present in the seed is a PIPELINE FAILURE.
+
+Return a structured Discovery Brief.`,
+    },
+    rescout: {
+        label: 'Discovery Brief (after a Drift Gate fail)',
+        agent: 'discovery-scout',
+        slots: ['recommendation'],
+        text: `{{>seedAnchor}}{{recommendation}}
+
+Search for recent scientific discoveries related to: "{{seedIdea}}"{{>options}}{{>genreLock}}
+
+⛔ ANTI-DRIFT RULE: Stay STRICTLY on the seed topic. The previous search drifted. Do NOT repeat that drift.
+
+Return a structured Discovery Brief.`,
+    },
+
+    // ─── Phase 1 — Brainstorm and research ───────────────────
+    marketMandate: {
+        label: 'Market Mandate',
+        agent: 'market-analyst',
+        slots: ['kb', 'narrativeKb', 'discovery'],
+        text: `{{>seedAnchor}}The seed idea is: "{{seedIdea}}"{{kb}}{{narrativeKb}}{{discovery}}{{>options}}Analyze this against current market trends. You MUST include: specific buyer slate gaps with platform names, 3 trend examples with series names and years, competitive differentiation against the top 3 closest existing titles, and a budget tier recommendation. Output your full Market Mandate.`,
+    },
+    animalFactSheet: {
+        label: 'Animal Fact Sheet',
+        agent: 'chief-scientist',
+        slots: ['kb', 'discovery', 'mandate'],
+        text: `{{>seedAnchor}}The seed idea is: "{{seedIdea}}"{{kb}}{{discovery}}{{>options}}{{>genreLock}}{{>narrativeMandate}}Here is the Market Mandate from the Market Analyst:
+
+{{mandate}}
+
+Based on this, propose novel animal behaviors with peer-reviewed citations. You MUST include: the primary species with scientific name and biological mechanism, a mandatory B-Story backup species, exact location/seasonality, ethical considerations, and the visual payoff. Output your full Animal Fact Sheet.`,
+    },
+    logisticsBreakdown: {
+        label: 'Logistics Breakdown',
+        agent: 'field-producer',
+        slots: ['kb', 'mandate'],
+        text: `{{>seedAnchor}}The seed idea is: "{{seedIdea}}"{{kb}}{{>genreLock}}{{>narrativeMandate}}
+
+Here is the Market Mandate from the Market Analyst:
+
+{{mandate}}
+
+You are running IN PARALLEL with the Chief Scientist — you do not yet have their Animal Fact Sheet. Assess production feasibility based on the seed idea and the Market Mandate. Focus on the species, location, and behavior described in the seed text. If specific scientific details are ambiguous, make reasonable production assumptions and flag them.
+
+${FEASIBILITY_BRIEF} Your equipment, crew, and shooting approach recommendations MUST serve the declared genre — different genres demand different production setups. Output your full Logistics & Feasibility Breakdown.`,
+    },
+    logisticsFromFactSheet: {
+        label: 'Logistics Breakdown (resumed after the fact sheet)',
+        agent: 'field-producer',
+        slots: ['kb', 'factSheet'],
+        text: `{{>seedAnchor}}The seed idea is: "{{seedIdea}}"{{kb}}{{>genreLock}}{{>narrativeMandate}}
+
+Here is the Animal Fact Sheet from the Chief Scientist:
+
+{{factSheet}}
+
+${FEASIBILITY_BRIEF} Your equipment, crew, and shooting approach recommendations MUST serve the declared genre — different genres demand different production setups. Output your full Logistics & Feasibility Breakdown.`,
+    },
+
+    // ─── Phase 1 — Science and Ethics Gates ──────────────────
+    sciencePivot: {
+        label: 'Science Pivot',
+        agent: 'chief-scientist',
+        slots: ['rejection', 'mandate'],
+        text: `## SCIENCE PIVOT REQUIRED
+{{>genreLock}}
+Your previous assessment flagged this idea as scientifically problematic:
+
+### Your Rejection:
+{{rejection}}
+
+### Original Seed Idea:
+"{{seedIdea}}"
+
+### Market Context:
+{{mandate}}
+
+The pipeline does NOT kill ideas — it ITERATES them. Your job now:
+
+1. **Identify what IS scientifically valid** in the seed idea — what elements can be preserved?
+2. **Propose the CLOSEST viable alternative** — keep the spirit/theme of the original idea but make it scientifically sound. If the user wanted "deep ocean survival," find a real deep ocean survival behavior. If they wanted "predator-prey in the Arctic," find one that exists.
+3. **Maintain the user's intent** — they chose this topic for a reason. Don't pivot to something completely unrelated.
+4. **Produce a complete Animal Fact Sheet** with all required sections (Primary Species, Antagonist, Vulnerability Window, Novelty, B-Story, Biome, Ethics, Visual Payoff){{#genreLabel}}
+5. **Respect the genre lock** — your proposed alternative MUST serve the **{{genreLabel}}** genre. Select behaviors and framing that fit this genre's conventions.{{/genreLabel}}
+
+You are a CREATIVE SCIENTIST, not a gatekeeper. Find a way to make it work.`,
+    },
+    logisticsAfterSciencePivot: {
+        label: 'Logistics Update after a Science Pivot',
+        agent: 'field-producer',
+        slots: ['kb', 'factSheet'],
+        text: `{{>seedAnchor}}The seed idea is: "{{seedIdea}}"{{kb}}{{>genreLock}}{{>narrativeMandate}}
+
+The Chief Scientist revised the science after a pivot. Here is the UPDATED Animal Fact Sheet:
+
+{{factSheet}}
+
+Update your logistics assessment to match the revised species, location, and behavior. ${FEASIBILITY_BRIEF} Output your REVISED Logistics & Feasibility Breakdown.`,
+    },
+    ethicsPivot: {
+        label: 'Ethical Pivot',
+        agent: 'chief-scientist',
+        slots: ['concerns', 'factSheet'],
+        text: `## ETHICAL PIVOT REQUIRED
+{{>genreLock}}
+The Field Producer has flagged ethical concerns with the proposed filming approach — even after a proportionality re-check. We need an alternative approach that preserves the core idea but is ethically filmable using standard observational techniques.
+
+### Field Producer's Ethical Concerns:
+{{concerns}}
+
+### Your Previous Fact Sheet:
+{{factSheet}}
+
+### Original Seed Idea:
+"{{seedIdea}}"
+
+Your job:
+1. **Keep the core idea** — same general theme, location, or species if possible
+2. **Remove or replace any methods the Field Producer flagged** — propose filming approaches that use ONLY observational techniques (remote cameras, hides, long lenses, autonomous drones, probe lenses)
+3. **If the specific behavior is the problem**, propose a DIFFERENT behavior of the same or closely related species that achieves the same cinematic effect without ethical issues
+4. **Produce a revised complete Animal Fact Sheet** — ensure the ethical red flags section explicitly addresses the Field Producer's concerns with specific mitigation protocols{{#genreLabel}}
+5. **Respect the genre lock** — your revised approach MUST still serve the **{{genreLabel}}** genre.{{/genreLabel}}
+
+The pipeline iterates, it does not kill. Find a way.`,
+    },
+    logisticsAfterEthicsPivot: {
+        label: 'Logistics after an Ethical Pivot',
+        agent: 'field-producer',
+        slots: ['kb', 'factSheet'],
+        text: `{{>seedAnchor}}The seed idea is: "{{seedIdea}}"{{kb}}{{>genreLock}}{{>narrativeMandate}}
+
+Here is the REVISED Animal Fact Sheet from the Chief Scientist (revised to address your previous ethical concerns):
+
+{{factSheet}}
+
+${FEASIBILITY_BRIEF} Your equipment and crew recommendations MUST serve the {{#genreLabel}}locked genre ("{{genreLabel}}"){{/genreLabel}}{{^genreLabel}}declared narrative form{{/genreLabel}} — different genres demand different production setups. Output your full Logistics & Feasibility Breakdown.`,
+    },
+    marketRepivot: {
+        label: 'Market Mandate after a pivot',
+        agent: 'market-analyst',
+        slots: ['kb', 'discovery', 'factSheet'],
+        text: `{{>seedAnchor}}The seed idea is: "{{seedIdea}}"{{kb}}{{discovery}}{{>options}}{{>wildlifeFocus}}{{>genreLock}}
+
+The Chief Scientist and Field Producer have PIVOTED the core concept to address ethical/scientific concerns.
+
+Here is their REVISED Animal Fact Sheet:
+{{factSheet}}
+
+Re-evaluate the market viability of this NEW pivoted approach. Do your target platforms and narrative form recommendations change? Output your revised Market Mandate based on this new reality.`,
+    },
+
+    // ─── Phases 2–4 — Drafts and reviews ─────────────────────
+    draftV1: {
+        label: 'Draft V1',
+        agent: 'story-producer',
+        slots: ['kb', 'discovery', 'mandate', 'factSheet', 'logistics', 'specialists'],
+        text: `{{>seedAnchor}}The seed idea is: "{{seedIdea}}"{{kb}}{{discovery}}{{>options}}{{>speciesGuard}}{{>wildlifeFocus}}{{>genreLock}}{{>narrativeMandate}}{{>outputLanguage}}
+
+Here are the team's inputs:
+
+### Market Mandate
+{{mandate}}
+
+### Animal Fact Sheet
+{{factSheet}}
+
+### Logistics & Feasibility
+{{logistics}}{{specialists}}
+
+Synthesize all of this into a complete pitch narrative.
+
+CRITICAL: {{#genreLabel}}The user has LOCKED the genre to "{{genreLabel}}". Your ENTIRE output — structure, tone, camera language, pacing, narration style, sound design — must serve this genre. Do NOT import conventions from other genres.{{/genreLabel}}{{^genreLabel}}The Market Analyst has recommended a **Narrative Form** in their Market Mandate (Section 7: Narrative Strategy Recommendation). You MUST follow it. Read their Primary and Alternative recommendations, choose one, and build your entire output around it.{{/genreLabel}}
+
+Deliver ALL elements specified in your output format instructions for the chosen narrative form, plus ALL universal elements (Anthropocene Reality, Visual Signature Moments, Technology Justification, A/V Script Excerpt).
+
+Do NOT default to survival thriller unless {{#genreLabel}}the locked genre IS survival thriller{{/genreLabel}}{{^genreLabel}}the Market Analyst specifically recommended it{{/genreLabel}}. Adopt the locked genre's conventions fully.
+
+Ensure the B-Story species is woven into the narrative, not just mentioned as a footnote.`,
+    },
+    editorReviewV1: {
+        label: 'Editor Review of Draft V1',
+        agent: 'commissioning-editor',
+        slots: ['kb', 'mandate', 'factSheet', 'logistics', 'draft', 'passScore'],
+        text: `Review the following Draft V1 pitch package:{{kb}}{{>genreLock}}{{>narrativeMandate}}
+
+### Seed Idea
+"{{seedIdea}}"
+
+### Market Mandate
+{{mandate}}
+
+### Animal Fact Sheet
+{{factSheet}}
+
+### Logistics & Feasibility
+{{logistics}}
+
+### Draft Script (V1)
+{{draft}}
+
+This is the FIRST review. Attack across all 14 vectors.
+
+CRITICAL FOR VECTORS 7 & 8: {{#genreLabel}}The user has LOCKED the genre to "{{genreLabel}}". Evaluate the draft EXCLUSIVELY against this genre's cinematic standards. If the draft drifts into another genre's conventions, flag it as GENRE DRIFT — this is a FATAL FLAW.{{/genreLabel}}{{^genreLabel}}The Market Analyst declared a narrative form in the Market Mandate. Use THAT form's cinematic standard for your Narrative Integrity Test and Commission Test — do NOT default to survival thriller criteria unless that IS the declared form.{{/genreLabel}}
+
+Quote specific failing passages. Find at LEAST two substantive flaws. Score honestly — most first drafts land 60-80, but greenlight ({{passScore}}+) if genuinely broadcast-ready.`,
+    },
+    revisionDirectives: {
+        label: 'Revision Directives',
+        agent: 'showrunner',
+        slots: ['rejectionMemo', 'provocation', 'mandate', 'factSheet', 'logistics', 'draft', 'specialists'],
+        text: `The Commissioning Editor has REJECTED Draft V1 with this memo:
+
+{{rejectionMemo}}{{provocation}}
+
+Original team outputs:
+- Market Mandate: {{mandate}}
+- Animal Fact Sheet: {{factSheet}}
+- Logistics: {{logistics}}
+- Draft V1 Script: {{draft}}{{specialists}}{{>genreLock}}{{>narrativeMandate}}
+
+Parse the rejection. Identify exactly what needs to change and which agents are responsible.
+
+CRITICAL: {{#genreLabel}}The genre is LOCKED to "{{genreLabel}}". ALL revision directives MUST enforce this genre. If the draft drifted into another genre, your primary directive is to pull it back. Issue camera, sound, and narration directives specific to this genre.{{/genreLabel}}{{^genreLabel}}Review the Market Analyst's Narrative Mandate. Ensure ALL revision directives are consistent with the declared narrative form.{{/genreLabel}} Do NOT push the draft toward survival thriller unless that IS the {{#genreLabel}}locked genre{{/genreLabel}}{{^genreLabel}}mandate{{/genreLabel}}. Issue camera, sound, and narration directives appropriate to the form.
+
+Output clear revision directives for each agent.`,
+    },
+    revisedScience: {
+        label: 'Revised Animal Fact Sheet',
+        agent: 'chief-scientist',
+        slots: ['directives', 'factSheet'],
+        text: `The Showrunner has issued these revision directives based on a Commissioning Editor rejection:
+
+{{directives}}{{>genreLock}}
+
+Your original Animal Fact Sheet was:
+{{factSheet}}
+
+Revise your output to address the critique. Include a reliable B-Story backup species if demanded. Ensure the visual payoff description supports CINEMATIC proximity shooting, not just scientific observation.{{#genreLabel}} Your revised fact sheet MUST serve the locked genre ("{{genreLabel}}") — select behaviors and framing that fit this genre's conventions.{{/genreLabel}} Output a REVISED Animal Fact Sheet.`,
+    },
+    revisedLogistics: {
+        label: 'Revised Logistics',
+        agent: 'field-producer',
+        slots: ['directives', 'logistics', 'factSheet'],
+        text: `The Showrunner has issued these revision directives based on a Commissioning Editor rejection:
+
+{{directives}}{{>genreLock}}{{>narrativeMandate}}
+
+Your original Logistics Breakdown was:
+{{logistics}}
+
+The original Animal Fact Sheet was:
+{{factSheet}}
+
+You are revising IN PARALLEL with the Chief Scientist — you do not yet have their revised fact sheet. Follow the Showrunner's directives for both of you, and flag any production assumption that depends on how the science changes.
+
+Revise your output. Ensure camera, sound, and crew upgrades are appropriate to the {{#genreLabel}}locked genre ("{{genreLabel}}"){{/genreLabel}}{{^genreLabel}}declared narrative form{{/genreLabel}} — a forensic investigation may need macro-probe rigs and laboratory setups, while a vérité film needs long-lens patience rigs and minimal crew footprint. Ensure contingency plans include B-roll backup sequences.
+
+Output a REVISED Logistics & Feasibility Breakdown.`,
+    },
+    draftV2: {
+        label: 'Draft V2',
+        agent: 'story-producer',
+        slots: ['accident', 'directives', 'mandate', 'factSheet', 'logistics', 'specialists', 'draft'],
+        text: `{{accident}}The Showrunner has issued revision directives based on a Commissioning Editor rejection:
+
+{{directives}}{{>speciesGuard}}{{>wildlifeFocus}}{{>genreLock}}{{>narrativeMandate}}{{>outputLanguage}}
+
+Revised inputs:
+- Market Mandate: {{mandate}}
+- Revised Animal Fact Sheet: {{factSheet}}
+- Revised Logistics: {{logistics}}{{specialists}}
+
+Your original Draft V1 was:
+{{draft}}
+
+Rewrite the script addressing ALL critique points. FORM-SPECIFIC UPGRADE CHECKLIST — apply the standards for the {{#genreLabel}}LOCKED genre ("{{genreLabel}}"){{/genreLabel}}{{^genreLabel}}DECLARED narrative form{{/genreLabel}}:
+✓ Commit fully to the {{#genreLabel}}locked genre's{{/genreLabel}}{{^genreLabel}}declared form's{{/genreLabel}} cinematic language
+✓ Every key moment must have defined visual AND audio signatures appropriate to the genre
+✓ Narration style must match the genre
+✓ B-Story woven in — the secondary species must serve the chosen genre, not just be backup
+✓ Do NOT drift into survival thriller or any other genre's conventions unless that IS the {{#genreLabel}}locked genre{{/genreLabel}}{{^genreLabel}}declared form{{/genreLabel}}
+
+Output a REVISED 3-Act narrative and dual-column A/V script with sound design notes (Draft V2).`,
+    },
+    editorReviewV2: {
+        label: 'Editor Review of Draft V2',
+        agent: 'commissioning-editor',
+        slots: ['rejectionMemo', 'factSheet', 'logistics', 'draft', 'passScore'],
+        text: `You previously rejected the Draft V1 with this memo:
+
+{{rejectionMemo}}{{>genreLock}}{{>narrativeMandate}}
+
+The team has revised their work. Here is Draft V2:
+
+### Revised Animal Fact Sheet
+{{factSheet}}
+
+### Revised Logistics
+{{logistics}}
+
+### Draft Script (V2)
+{{draft}}
+
+Review the revisions. Check:
+1. Have the fatal flaws been addressed?
+2. Does the pitch NOW commit fully to the {{#genreLabel}}locked genre ("{{genreLabel}}"){{/genreLabel}}{{^genreLabel}}declared narrative form{{/genreLabel}} (not defaulting to thriller)?
+3. Camera, sound, and narration language — are they appropriate for the {{#genreLabel}}LOCKED genre{{/genreLabel}}{{^genreLabel}}DECLARED form{{/genreLabel}}?
+4. B-Story: woven into the genre, not just listed as backup?
+{{#genreLabel}}5. GENRE DRIFT CHECK: Flag ANY element that belongs to a different genre's conventions.
+{{/genreLabel}}
+Score the revised pitch. If genuinely resolved, Greenlight ({{passScore}}+). If not, explain what still needs work.`,
+    },
+
+    // ─── Phase 4 — Quality Gate loop ─────────────────────────
+    qualityDirectives: {
+        label: 'Quality Gate — Revision Directives',
+        agent: 'showrunner',
+        slots: ['previousVersion', 'score', 'attempt', 'maxRounds', 'review', 'draft'],
+        text: `The Commissioning Editor scored Draft V{{previousVersion}} at {{score}}/100. This is revision attempt {{attempt}} of {{maxRounds}}.{{>genreLock}}
+
+### Editor's Review ({{score}}/100):
+{{review}}
+
+### The Draft That Failed:
+{{draft}}
+
+### Original Seed Idea:
+"{{seedIdea}}"
+
+Issue SURGICAL revision directives. Focus ONLY on the specific failings the Editor identified. Do not request a complete rewrite — target the exact weaknesses.{{#genreLabel}} Ensure ALL directives enforce the locked genre ("{{genreLabel}}"). If genre drift was flagged, make genre compliance your PRIMARY directive.{{/genreLabel}}`,
+    },
+    qualityDraft: {
+        label: 'Quality Gate — Next Draft',
+        agent: 'story-producer',
+        slots: ['previousVersion', 'score', 'directives', 'draft', 'mandate', 'factSheet', 'logistics', 'specialists', 'version'],
+        text: `Draft V{{previousVersion}} scored {{score}}/100 — below threshold. Here are the Showrunner's targeted revision directives:
+
+{{directives}}{{>speciesGuard}}{{>wildlifeFocus}}{{>genreLock}}{{>narrativeMandate}}{{>outputLanguage}}
+
+Your previous draft:
+{{draft}}
+
+Revised inputs:
+- Market Mandate: {{mandate}}
+- Animal Fact Sheet: {{factSheet}}
+- Logistics: {{logistics}}{{specialists}}
+
+Fix the SPECIFIC issues identified. Do not regress on elements that were already working. Output Draft V{{version}}.`,
+    },
+    qualityReview: {
+        label: 'Quality Gate — Editor Review',
+        agent: 'commissioning-editor',
+        slots: ['version', 'attempt', 'maxRounds', 'previousVersion', 'score', 'review', 'draft'],
+        text: `This is Draft V{{version}} — revision attempt {{attempt}} of {{maxRounds}}.{{>genreLock}}
+
+Previous review (V{{previousVersion}}, {{score}}/100):
+{{review}}
+
+### Draft Script (V{{version}}):
+{{draft}}
+
+Review the revisions. Have the specific failings been addressed?{{#genreLabel}} Check for GENRE DRIFT — the genre is locked to "{{genreLabel}}".{{/genreLabel}} Score the revised pitch honestly.`,
+    },
+
+    // ─── Phases 5–6 — Pitch card and Gatekeeper ──────────────
+    finalPitchDeck: {
+        label: 'Pitch Card',
+        agent: 'showrunner',
+        slots: ['kb', 'statePayload', 'mandate', 'draft', 'review', 'specialists'],
+        text: `The Commissioning Editor has completed their review. Compile the final compact pitch card.{{kb}}{{>wildlifeFocus}}{{>genreLock}}{{>outputLanguage}}
+
+### 📦 Compressed State Payload (PRIMARY — read this first)
+{{statePayload}}
+
+### Market Mandate (Key Directives)
+{{mandate}}
+
+### Story Producer's Draft Narrative
+{{draft}}
+
+### Full Editor Review (FALLBACK)
+{{review}}{{specialists}}
+
+Internally decide whether to incorporate the Provocateur's challenge — but do NOT include any meta-commentary about provocation in your output.
+
+Output ONLY these 5 sections — nothing else:
+
+1. **Title** — As a prominent ## heading. Evocative, marketable, unique.
+2. **Logline** — One sentence, max 25 words, hook + stakes + what makes this story unique. Uniqueness must come from the STORY (subject, behavior, scientific revelation, narrative angle) — NEVER from camera technology or production techniques. Format: **Logline:** followed by the sentence.
+3. **Summary** — 3-5 sentences selling the project to a non-specialist. Cinematic, vivid, irresistible. Format: **Summary:** followed by the paragraph.
+4. **Best For** — Top 1-3 platforms (e.g., Netflix, Apple TV+, BBC Studios, Disney+, Amazon Prime, ZDF/ARTE) with a one-line justification per platform. Format: **Best For:** followed by the list.
+5. **Sources** — Apply the three-tier model from your system prompt:
+   - **Tier 1 hard claims** in the Summary (specific numbers, statistics, population counts, precise dates): search-verify each one. Cite with URL. If you can't find a source, rewrite or remove.
+   - **Tier 2 contextual texture** (general ecological context, widely-understood patterns): no source needed.
+   - **Tier 3 narrative framing** (emotional language, metaphors): no source needed.
+   - **Seed facts** (names, roles, affiliations from the user's original seed): verify via search. If verified, no citation. If wrong, flag: "⚠️ Seed fact unverified: [claim]".
+
+CRITICAL FORMAT RULES:
+- Output ONLY these 5 sections — no A/V scripts, no logistics, no market analysis
+- No agent commentary, no preamble, no "Okay, Showrunner here", no "INCORPORATING PROVOCATION" lines
+- Start directly with the ## Title heading
+- This must be clean, compact, and presentation-ready.`,
+    },
+    gatekeeperReview: {
+        label: 'Gatekeeper Review',
+        agent: 'adversary',
+        slots: ['kb', 'deck'],
+        text: `You are reviewing a COMPLETED Master Pitch Deck. This is the final gate before it goes to commissioners.{{kb}}{{>options}}{{>wildlifeFocus}}{{>genreLock}}{{>languageReview}}
+
+Run your full audit: Canon Audit, YouTuber Check, Lawsuit Check, Boring Check.{{#genreLabel}} Additionally, run a GENRE COMPLIANCE CHECK — verify the pitch consistently serves the locked genre ("{{genreLabel}}") throughout all sections. Flag any elements that drift into another genre's conventions.{{/genreLabel}}{{#wildlifeSeed}} Additionally, run a WILDLIFE PROTAGONIST CHECK — the user explicitly requested a wildlife story. Verify that the pitch's protagonist is an ANIMAL (species, individual, or population), NOT a human. If the pitch centers a human protagonist (e.g., a researcher, ranger, deminer, or conservationist) with animals as background, flag this as WILDLIFE DRIFT and REJECT.{{/wildlifeSeed}}
+
+### The Pitch Deck to Review
+{{deck}}
+
+### Original Seed Idea
+"{{seedIdea}}"
+
+Deliver your verdict. Be brutal. Be specific. Cite exact series/episodes if this is derivative.`,
+    },
+    gatekeeperRevision: {
+        label: 'Pitch Card Revision for the Gatekeeper',
+        agent: 'showrunner',
+        slots: ['score', 'attempt', 'maxRounds', 'critique', 'deck'],
+        text: `The Gatekeeper has REJECTED this pitch ({{score}}/100). This is revision attempt {{attempt}} of {{maxRounds}}.{{>wildlifeFocus}}{{>genreLock}}{{>outputLanguage}}
+
+### Gatekeeper's Critique:
+{{critique}}
+
+### Current Pitch Card:
+{{deck}}
+
+### Original Seed Idea:
+"{{seedIdea}}"
+
+Address the Gatekeeper's SPECIFIC concerns and produce a REVISED compact pitch card with ONLY these 5 sections:
+1. **Title** — ## heading
+2. **Logline** — One sentence, max 25 words. No camera tech or production techniques — sell the story, not the gear.
+3. **Summary** — 3-5 sentences, cinematic and compelling
+4. **Best For** — Top 1-3 platforms with one-line justification each
+5. **Sources** — Use your Google Search tool to verify each source. For every factual claim in the Summary: either find a real URL that directly supports it, or rewrite the claim to match what a real source actually says. Do NOT invent URLs. Do NOT carry forward unverified URLs from the previous pitch card.
+
+CRITICAL: Output ONLY these 5 sections. No preamble, no agent meta-commentary, no "INCORPORATING PROVOCATION" lines. Start with the ## Title heading.`,
+    },
+    gatekeeperRecheck: {
+        label: 'Gatekeeper Re-review',
+        agent: 'adversary',
+        slots: ['score', 'attempt', 'maxRounds', 'kb', 'critique', 'deck'],
+        text: `You previously REJECTED this pitch ({{score}}/100). The Showrunner has revised it based on your critique. This is revision {{attempt}} of {{maxRounds}}.{{kb}}{{>options}}{{>wildlifeFocus}}{{>genreLock}}{{>languageReview}}
+
+### Your Previous Critique:
+{{critique}}
+
+### REVISED Pitch Deck:
+{{deck}}
+
+### Original Seed Idea:
+"{{seedIdea}}"
+
+Re-evaluate. Have your core concerns been addressed? Run your full audit again.{{#genreLabel}} Include a GENRE COMPLIANCE CHECK — verify the pitch serves the locked genre ("{{genreLabel}}") throughout.{{/genreLabel}} If the revision genuinely fixes the problems, you MAY upgrade your verdict. If the core issues persist, explain what SPECIFICALLY still fails.`,
+    },
+
+    // ─── Phase 7 — Series architecture ───────────────────────
+    seriesArchitecture: {
+        label: 'Series Architecture',
+        agent: 'showrunner',
+        slots: ['seriesLabel', 'episodes', 'runtime', 'deck', 'draft', 'factSheet', 'logistics', 'mandate'],
+        text: `The pitch has cleared the Gatekeeper. The commission is a {{seriesLabel}}{{#runtime}} ({{episodes}} episodes of {{runtime}} minutes){{/runtime}} — break it into an episode-by-episode series architecture.{{>options}}{{>wildlifeFocus}}{{>genreLock}}{{>outputLanguage}}
+
+### Pitch Card
+{{deck}}
+
+### Story Producer's Draft Narrative
+{{draft}}
+
+### Revised Animal Fact Sheet
+{{factSheet}}
+
+### Revised Logistics
+{{logistics}}
+
+### Market Mandate
+{{mandate}}
+
+Every episode needs its own hero species and location drawn from the fact sheet and logistics — a B-Story species can lead an episode of its own. Each episode is a complete three-act story that also moves the series arc forward, and each ends on a cliffhanger the next episode picks up. Keep the pitch card's title, promise and tone.`,
+    },
+    seriesReview: {
+        label: 'Series Consistency Review',
+        agent: 'commissioning-editor',
+        slots: ['seriesLabel', 'consistencyCheck', 'architecture', 'deck', 'factSheet', 'logistics'],
+        text: `The Showrunner has broken the approved pitch into a {{seriesLabel}}.{{>options}}{{>genreLock}}
+
+{{consistencyCheck}}
+
+### Series Architecture
+{{architecture}}
+
+### Pitch Card
+{{deck}}
+
+### Revised Animal Fact Sheet
+{{factSheet}}
+
+### Revised Logistics
+{{logistics}}`,
+    },
+    seriesRevision: {
+        label: 'Series Architecture Revision',
+        agent: 'showrunner',
+        slots: ['score', 'attempt', 'maxRounds', 'review', 'architecture', 'deck', 'seriesLabel'],
+        text: `The Commissioning Editor has sent the series architecture back ({{score}}/100). This is revision attempt {{attempt}} of {{maxRounds}}.{{>genreLock}}{{>outputLanguage}}
+
+### Editor's Consistency Review
+{{review}}
+
+### Current Series Architecture
+{{architecture}}
+
+### Pitch Card
+{{deck}}
+
+Fix every consistency break the Editor lists and keep what already works. Return the complete, revised {{seriesLabel}}.`,
+    },
+    seriesRecheck: {
+        label: 'Series Consistency Re-review',
+        agent: 'commissioning-editor',
+        slots: ['score', 'attempt', 'maxRounds', 'consistencyCheck', 'review', 'architecture', 'deck', 'factSheet'],
+        text: `You sent this series architecture back ({{score}}/100). The Showrunner has revised it. This is revision {{attempt}} of {{maxRounds}}.{{>genreLock}}
+
+{{consistencyCheck}}
+
+### Your Previous Review
+{{review}}
+
+### REVISED Series Architecture
+{{architecture}}
+
+### Pitch Card
+{{deck}}
+
+### Revised Animal Fact Sheet
+{{factSheet}}`,
+    },
+
+    // ─── Custom agents, by hook point (see customAgents.js) ──
+    specialistInput: {
+        label: 'Custom Agent — Input to the Story Producer',
+        agent: null,
+        slots: ['kb', 'mandate', 'factSheet', 'logistics'],
+        text: `{{>seedAnchor}}The seed idea is: "{{seedIdea}}"{{kb}}{{>genreLock}}{{>narrativeMandate}}
+
+The Story Producer is about to write Draft V1 from these team inputs:
+
+### Market Mandate
+{{mandate}}
+
+### Animal Fact Sheet
+{{factSheet}}
+
+### Logistics & Feasibility
+{{logistics}}
+
+Give the Story Producer your specialist input: what your area of expertise adds to or changes about this film. Be concrete — recommendations they can write straight into the draft, not general advice. Stay within your expertise; do not redo the science, the logistics or the market analysis.`,
+    },
+    specialistDraftV1Review: {
+        label: 'Custom Agent — Review of Draft V1',
+        agent: null,
+        slots: ['kb', 'factSheet', 'draft'],
+        text: `Review the following Draft V1 pitch from your specialist perspective.{{kb}}{{>genreLock}}
+
+### Seed Idea
+"{{seedIdea}}"
+
+### Animal Fact Sheet
+{{factSheet}}
+
+### Draft Script (V1)
+{{draft}}
+
+Judge the draft strictly within your area of expertise. Quote the passages you respond to. List what works, what is missing or wrong, and the specific changes you want in the revision. Your review goes to the Showrunner alongside the Commissioning Editor's.`,
+    },
+    specialistDraftV2Review: {
+        label: 'Custom Agent — Review of Draft V2',
+        agent: null,
+        slots: ['factSheet', 'review', 'draft'],
+        text: `The team has finished revising this pitch. Review it from your specialist perspective before the Showrunner compiles the final pitch card.{{>genreLock}}
+
+### Seed Idea
+"{{seedIdea}}"
+
+### Revised Animal Fact Sheet
+{{factSheet}}
+
+### Editor Review
+{{review}}
+
+### Draft Script (V2)
+{{draft}}
+
+List, within your area of expertise, what the pitch card must carry and what it must not claim. Keep it short — the pitch card is one page.`,
+    },
+};
@@ -0,0 +1,134 @@
+/**
+ * Run traces — a structured record of what a pipeline run did.
+ *
+ * A trace holds two kinds of entries, in the order they finished:
+ *   - agent calls: agent id, phase, the system prompt as sent (after any chaos
+ *     mutation), the user prompt, tools, timing, failed attempts, and the output;
+ *   - events: gate decisions and other turning points — Drift Gate results,
+ *     severity classifications, reviewer verdicts, stalled revision loops,
+ *     approvals, chaos rolls.
+ *
+ * Times are milliseconds from the start of the run, so a trace can be laid out
+ * on a timeline without knowing when it was recorded.
+ */
+
+export const TRACE_VERSION = 1;
+
+/**
+ * Create a recorder for one run.
+ *
+ * @param {object} [meta] — stored on the trace as-is (seed idea, mode…)
+ * @returns {{ trace: object, setPhase: function, recordCall: function, recordEvent: function, finish: function }}
+ */
+export function createTraceRecorder(meta = {}) {
+    const started = Date.now();
+    let phase = { number: null, name: null };
+    const trace = {
+        version: TRACE_VERSION,
+        startedAt: new Date(started).toISOString(),
+        finishedAt: null,
+        ms: null,
+        status: 'running',
+        error: null,
+        meta,
+        entries: [],
+    };
+
+    return {
+        trace,
+
+        /** Attribute subsequent events to this phase (calls carry their own). */
+        setPhase(number, name) {
+            phase = { number, name };
+        },
+
+        /**
+         * Record a finished agent call (see onAgentCall in gemini.js).
+         * Calls that were running before the run started are ignored.
+         */
+        recordCall(report) {
+            if (report.startedAt < started) return;
+            trace.entries.push({
+                type: 'call',
+                agentId: report.agentId,
+                phase: report.phase?.number ?? null,
+                phaseName: report.phase?.name ?? null,
+                at: report.startedAt - started,
+                ms: report.ms,
+                model: report.model ?? null,
+                usage: report.usage ?? null,
+                systemPrompt: report.systemPrompt,
+                userMessage: report.userMessage,
+                tools: report.tools,
+                responseFormat: report.responseFormat ?? null,
+                generation: report.generation ?? null,
+                attempts: report.attempts,
+                failedAttempts: report.failedAttempts,
+                output: report.output ?? null,
+                error: report.error ?? null,
+            });
+        },
+
+        /**
+         * Record a gate decision or other event.
+         * @param {string} kind — e.g. 'drift-gate', 'severity', 'verdict', 'approval', 'chaos', 'contract', 'context', 'series'
+         * @param {object} data — kind-specific details
+         */
+        recordEvent(kind, data = {}) {
+            trace.entries.push({
+                ...data,
+                type: 'event',
+                kind,
+                phase: phase.number,
+                phaseName: phase.name,
+                at: Date.now() - started,
+            });
+        },
+
+        /**
+         * Close the trace.
+         * @param {'complete'|'cancelled'|'failed'} status
+         * @param {Error} [error]
+         */
+        finish(status, error = null) {
+            trace.finishedAt = new Date().toISOString();
+            trace.ms = Date.now() - started;
+            trace.status = status;
+            trace.error = error?.message ?? null;
+            return trace;
+        },
+    };
+}
+
+/**
+ * One-line summary of a trace event, for logs and the timeline viewer.
+ * @param {object} entry — an entry with type 'event'
+ */
+export function describeTraceEvent(entry) {
+    switch (entry.kind) {
+        case 'drift-gate':
+            return `Drift Gate ${entry.status}${entry.detail ? ` — ${entry.detail}` : ''}`;
+        case 'severity':
+            return `${entry.rejectionType} rejection classified ${entry.severity}`;
+        case 'verdict':
+            return `${entry.agentId} verdict: ${entry.decision} (${entry.score}/100${entry.source !== 'json' ? `, ${entry.source}` : ''})`;
+        case 'approval':
+            return `Approval after ${entry.step}${entry.edited ? ' — edited' : ''}${entry.directive ? ' — with directive' : ''}`;
+        case 'chaos':
+            return `Chaos: ${entry.eventType}${entry.summary ? ` — ${entry.summary}` : ''}`;
+        case 'plateau':
+            return `${{ gatekeeper: 'Gatekeeper', series: 'Series' }[entry.gate] || 'Quality'} loop stopped after ${entry.rounds} round${entry.rounds === 1 ? '' : 's'} — score stalled (best ${entry.bestScore}/100)`;
+        case 'contract':
+            return `${entry.agentId} output broke its contract (${entry.problems.join('; ')})${entry.remaining.length ? ` — repair left ${entry.remaining.length} unfixed` : ' — repaired'}`;
+        case 'context':
+            return `${entry.agentId} prompt trimmed to ~${entry.after} of ${entry.limit} tokens: ${entry.trimmed.map(t => `${t.label} ${t.action}`).join(', ')}`;
+        case 'series':
+            return `Series architecture: ${entry.episodes} episodes${entry.error ? ` — unstructured (${entry.error})` : ''}`;
+        case 'defamation':
+            return `Defamation Guard: ${entry.risk}`;
+        case 'guards':
+            return `Prompt "${entry.template}" guards: ${entry.guards.length > 0 ? entry.guards.join(', ') : 'none'}`;
+        default:
+            return entry.kind;
+    }
+}
@@ -28,6 +28,12 @@ const SOFT_404_SIGNALS = [
     'page has moved',
 ];
 
+// A per-request timeout that also fires when the caller's signal aborts
+function withTimeout(signal, ms) {
+    const timeout = AbortSignal.timeout(ms);
+    return signal && AbortSignal.any ? AbortSignal.any([signal, timeout]) : timeout;
+}
+
 /**
  * Validates a single URL.
  * Returns: { url, status: 'valid' | 'broken' | 'unverifiable', reason? }
@@ -36,8 +42,19 @@ const SOFT_404_SIGNALS = [
  * errors are EXPECTED for most external URLs. These are NOT broken links —
  * they are simply unverifiable from the browser. Only definitively broken
  * HTTP responses (404, 410) justify removing a source.
+ *
+ * Aborting `signal` (the run being cancelled) is the one failure that is
+ * rethrown rather than reported as unverifiable.
+ *
+ * The server's validate_url tool (api/_tools.js) runs the same check, without
+ * the browser's CORS limits, through a fetch that only reaches public addresses.
+ *
+ * @param {string} url
+ * @param {AbortSignal} [signal]
+ * @param {object} [opts]
+ * @param {function} [opts.fetch] — the fetch to check with (default: the global one)
  */
-async function validateUrl(url) {
+export async function validateUrl(url, signal, { fetch: fetchUrl = fetch } = {}) {
     // Google Grounding redirect URLs are internal artifacts — always strip them
     if (url.startsWith(GROUNDING_REDIRECT_PREFIX)) {
         return { url, status: 'grounding_redirect', reason: 'Google Grounding API internal redirect URL' };
@@ -45,10 +62,10 @@ async function validateUrl(url) {
 
     try {
         // HEAD request to check if URL resolves
-        const headResponse = await fetch(url, {
+        const headResponse = await fetchUrl(url, {
             method: 'HEAD',
             redirect: 'follow',
-            signal: AbortSignal.timeout(8000),
+            signal: withTimeout(signal, 8000),
             headers: { 'User-Agent': 'Mozilla/5.0 (compatible; SourceValidator/1.0)' },
         });
 
@@ -70,8 +87,8 @@ async function validateUrl(url) {
 
         // GET the page body to check for soft 404s (only if HEAD succeeded)
         try {
-            const fullResponse = await fetch(url, {
-                signal: AbortSignal.timeout(10000),
+            const fullResponse = await fetchUrl(url, {
+                signal: withTimeout(signal, 10000),
                 headers: { 'User-Agent': 'Mozilla/5.0 (compatible; SourceValidator/1.0)' },
             });
 
@@ -95,11 +112,13 @@ async function validateUrl(url) {
             return { url, status: 'valid' };
 
         } catch {
+            signal?.throwIfAborted();
             // GET failed after HEAD succeeded — treat as unverifiable (CORS on body read)
             return { url, status: 'unverifiable', reason: 'Content fetch blocked — likely CORS restriction' };
         }
 
     } catch (error) {
+        signal?.throwIfAborted();
         // Network-level failure: CORS block, DNS failure, timeout, etc.
         // In a browser context, CORS blocks are the norm for external URLs.
         // These are NOT broken links — they are simply unverifiable from the browser.
@@ -122,8 +141,12 @@ async function validateUrl(url) {
  * - 'unverifiable': URL could not be checked (CORS, paywall, timeout) — keep as-is, no flag
  * - 'broken': URL definitively returns 404/410 — remove and flag
  * - 'grounding_redirect': Google internal redirect URL — strip entirely (keep publisher name)
+ *
+ * @param {string} showrunnerOutput
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal] — cancels every pending check; rejects with AbortError
  */
-export async function validateSources(showrunnerOutput) {
+export async function validateSources(showrunnerOutput, { signal } = {}) {
     const urls = [...new Set(showrunnerOutput.match(URL_PATTERN) || [])];
 
     if (urls.length === 0) {
@@ -134,7 +157,7 @@ export async function validateSources(showrunnerOutput) {
     }
 
     // Validate all URLs in parallel
-    const results = await Promise.all(urls.map(validateUrl));
+    const results = await Promise.all(urls.map(url => validateUrl(url, signal)));
 
     const summary = {
         urls_checked: results.length,
@@ -0,0 +1,101 @@
+/**
+ * Token & cost accounting.
+ *
+ * Every agent call reports { promptTokens, outputTokens, totalTokens } and the
+ * model that served it (see callAgent). A call's usage covers every upstream
+ * request it took — server-tool round trips, and for a step that opts into
+ * agentStep's toolCheck, both the grounded answer and the tool pass — but it
+ * counts as one call. A usage meter totals those per run,
+ * per agent and per phase, prices them, and enforces an optional budget.
+ */
+
+// USD per 1M tokens: [input, output]. Unlisted models are counted but not priced.
+const PRICING = {
+    'gemini-2.0-flash': [0.10, 0.40],
+    'gemini-2.0-flash-lite': [0.075, 0.30],
+    'gemini-2.5-flash': [0.30, 2.50],
+    'gemini-2.5-pro': [1.25, 10.00],
+    'gpt-4o-mini': [0.15, 0.60],
+    'gpt-4o': [2.50, 10.00],
+    'mock': [0, 0],
+};
+
+/**
+ * Price one call. Returns null when the model isn't in the price table.
+ * @param {string} model
+ * @param {{ promptTokens: number, outputTokens: number }} usage
+ */
+export function estimateCost(model, { promptTokens = 0, outputTokens = 0 }) {
+    // Versioned names ('gemini-2.0-flash-001') price like their base model
+    const key = Object.keys(PRICING)
+        .filter(k => model === k || model?.startsWith(`${k}-`))
+        .sort((a, b) => b.length - a.length)[0];
+    if (!key) return null;
+    const [input, output] = PRICING[key];
+    return (promptTokens * input + outputTokens * output) / 1_000_000;
+}
+
+const emptyTotals = () => ({ calls: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, unpricedCalls: 0 });
+
+function addTo(totals, usage, cost) {
+    totals.calls++;
+    totals.promptTokens += usage.promptTokens || 0;
+    totals.outputTokens += usage.outputTokens || 0;
+    totals.totalTokens += usage.totalTokens || 0;
+    if (cost === null) totals.unpricedCalls++;
+    else totals.costUsd += cost;
+}
+
+/**
+ * Create a meter for one pipeline run.
+ *
+ * @param {object} [budget] — { maxTokens, maxCostUsd }; either may be omitted
+ * @returns {{ record: function, overBudget: function(): string|null, snapshot: function(): object }}
+ */
+export function createUsageMeter(budget = null) {
+    const run = emptyTotals();
+    const byAgent = {};
+    const byPhase = {};
+
+    return {
+        /**
+         * Add one call's usage, to its phase too when the call carries one.
+         * A phase is labelled with the first name it was reported under.
+         */
+        record({ agentId = 'unknown', model = null, usage, phase = null }) {
+            if (!usage) return;
+            const cost = estimateCost(model, usage);
+            addTo(run, usage, cost);
+            addTo(byAgent[agentId] ||= emptyTotals(), usage, cost);
+            if (phase) addTo(byPhase[String(phase.number)] ||= { ...emptyTotals(), label: phase.name }, usage, cost);
+        },
+
+        /**
+         * Describe the exceeded limit, or null while within budget.
+         */
+        overBudget() {
+            if (budget?.maxTokens && run.totalTokens >= budget.maxTokens) {
+                return `${run.totalTokens.toLocaleString()} tokens used of a ${budget.maxTokens.toLocaleString()} token budget`;
+            }
+            if (budget?.maxCostUsd && run.costUsd >= budget.maxCostUsd) {
+                return `$${run.costUsd.toFixed(4)} spent of a $${budget.maxCostUsd.toFixed(2)} budget`;
+            }
+            return null;
+        },
+
+        /** Plain-object copy, safe to store in IndexedDB. */
+        snapshot() {
+            return structuredClone({ ...run, byAgent, byPhase, budget });
+        },
+    };
+}
+
+/**
+ * Short "12.3k tokens · $0.0042" label for status displays.
+ */
+export function formatUsage(totals) {
+    if (!totals) return '';
+    const tokens = totals.totalTokens >= 1000 ? `${(totals.totalTokens / 1000).toFixed(1)}k` : String(totals.totalTokens);
+    const cost = totals.calls > totals.unpricedCalls ? ` · $${totals.costUsd.toFixed(4)}` : '';
+    return `${tokens} tokens${cost}`;
+}
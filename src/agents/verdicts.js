@@ -0,0 +1,148 @@
+/**
+ * Structured verdicts for the Commissioning Editor and the Gatekeeper.
+ *
+ * Both reviewers answer with a JSON verdict —
+ *   { score, decision, mustFix: string[], strengths: string[], review }
+ * — so the quality and Gatekeeper loops branch on fields instead of scraping
+ * the first "NN/100" out of free text. The verdict is rendered back to
+ * markdown for the agent cards and for downstream prompts.
+ */
+
+// Allowed decisions per reviewer, in the order the prompts list them
+export const VERDICT_DECISIONS = {
+    editor: ['GREENLIGHT', 'REVISE', 'REJECT'],
+    gatekeeper: ['GREENLIT', 'GREENLIT WITH RESERVATIONS', 'REJECTED', 'BURN IT DOWN'],
+};
+
+/**
+ * The response contract appended to a reviewer's prompt.
+ * @param {'editor'|'gatekeeper'} kind
+ */
+export function verdictContract(kind) {
+    const decisions = VERDICT_DECISIONS[kind].map(d => `"${d}"`).join(' | ');
+    return `═══════════════════════════════════════════
+RESPONSE FORMAT — JSON VERDICT (overrides the output format in your instructions)
+═══════════════════════════════════════════
+
+Respond with ONE JSON object and nothing else — no code fences, no text before or after it:
+{
+  "score": <integer 0-100>,
+  "decision": ${decisions},
+  "mustFix": ["<specific, actionable fix>", ...],
+  "strengths": ["<what already works and must be kept>", ...],
+  "review": "<your full critique in markdown, organized as your instructions specify>"
+}
+
+"score" and "decision" are what the pipeline acts on — do not repeat them inside "review". List every blocking problem in "mustFix"; leave it empty only if nothing blocks the pitch.`;
+}
+
+/**
+ * Prompt asking a reviewer to re-emit a verdict that failed validation.
+ * @param {'editor'|'gatekeeper'} kind
+ * @param {string} raw — the rejected response
+ * @param {string} error — what was wrong with it
+ */
+export function verdictRepairPrompt(kind, raw, error) {
+    return `Your previous response could not be used: ${error}.
+
+### Your Previous Response
+${raw}
+
+Return the SAME verdict — same judgement, same content — as valid JSON.
+
+${verdictContract(kind)}`;
+}
+
+/**
+ * Parse and validate a reviewer's JSON verdict.
+ *
+ * @param {string} raw — response text (code fences and stray prose around the object are tolerated)
+ * @param {'editor'|'gatekeeper'} kind
+ * @returns {{ verdict: object|null, error: string|null }}
+ */
+export function parseVerdict(raw, kind) {
+    const text = raw.trim().replace(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/i, '$1');
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        try {
+            data = start !== -1 && end > start ? JSON.parse(text.slice(start, end + 1)) : null;
+        } catch {
+            data = null;
+        }
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { verdict: null, error: 'response is not a JSON object' };
+    }
+
+    const score = typeof data.score === 'string' ? Number(data.score) : data.score;
+    if (!Number.isInteger(score) || score < 0 || score > 100) {
+        return { verdict: null, error: '"score" must be an integer from 0 to 100' };
+    }
+
+    const decision = typeof data.decision === 'string' ? data.decision.trim().toUpperCase().replace(/\s+/g, ' ') : '';
+    if (!VERDICT_DECISIONS[kind].includes(decision)) {
+        return { verdict: null, error: `"decision" must be one of ${VERDICT_DECISIONS[kind].join(', ')}` };
+    }
+
+    for (const field of ['mustFix', 'strengths']) {
+        if (!Array.isArray(data[field]) || data[field].some(item => typeof item !== 'string')) {
+            return { verdict: null, error: `"${field}" must be an array of strings` };
+        }
+    }
+
+    if (typeof data.review !== 'string' || !data.review.trim()) {
+        return { verdict: null, error: '"review" must be a non-empty markdown string' };
+    }
+
+    return {
+        verdict: {
+            score,
+            decision,
+            mustFix: data.mustFix.map(s => s.trim()).filter(Boolean),
+            strengths: data.strengths.map(s => s.trim()).filter(Boolean),
+            review: data.review.trim(),
+        },
+        error: null,
+    };
+}
+
+/**
+ * Render a verdict as markdown. The headings match the reviewers' legacy text
+ * format, so score badges and resumed checkpoints can still read them.
+ * @param {object} verdict
+ * @param {'editor'|'gatekeeper'} kind
+ */
+export function renderVerdict(verdict, kind) {
+    const list = (items, numbered) => items.map((item, i) => `${numbered ? `${i + 1}.` : '-'} ${item}`).join('\n');
+    const sections = kind === 'gatekeeper'
+        ? [`## 🛡️ THE GATEKEEPER'S VERDICT`, `### The Verdict: ** ${verdict.decision} **`, `### Score: ${verdict.score} / 100`]
+        : [`## Greenlight Score: ${verdict.score}/100`, `**Decision:** ${verdict.decision}`];
+    if (verdict.mustFix.length > 0) sections.push(`### Must Fix\n${list(verdict.mustFix, true)}`);
+    if (verdict.strengths.length > 0) sections.push(`### Strengths\n${list(verdict.strengths, false)}`);
+    sections.push(verdict.review);
+    return sections.join('\n\n');
+}
+
+/**
+ * Whether the Gatekeeper's verdict sends the pitch back for revision:
+ * any rejection, or a score under the pass score (which also catches "with reservations").
+ * @param {object} verdict
+ * @param {number} [passScore] — the quality policy's gatekeeper.passScore
+ */
+export function isGatekeeperRejection(verdict, passScore = 80) {
+    return verdict.decision === 'REJECTED' || verdict.decision === 'BURN IT DOWN' || verdict.score < passScore;
+}
+
+/**
+ * Whether the Commissioning Editor's verdict ends the quality loop:
+ * a GREENLIGHT decision, or a score at or above the pass score.
+ * @param {object} verdict
+ * @param {number} [passScore] — the quality policy's quality.passScore
+ */
+export function isEditorGreenlight(verdict, passScore = 85) {
+    return verdict.decision === 'GREENLIGHT' || verdict.score >= passScore;
+}
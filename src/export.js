@@ -1,39 +1,21 @@
 import { Document, Packer, Paragraph, HeadingLevel, TextRun, AlignmentType, Table, TableRow, TableCell, WidthType } from 'docx';
 import { saveAs } from 'file-saver';
+import { outputLanguage, pitchCardLanguage, parsePitchCard, PITCH_CARD_SECTIONS } from './agents/outputLanguage.js';
+
+// Heading that opens a series-mode deck's episode architecture (see agents/series.js)
+const SERIES_HEADING = /^📺 Series Architecture\b/u;
 
 /**
  * Export a markdown pitch deck as a formatted DOCX file.
  * Parses common markdown patterns (headers, bold, italic, lists, horizontal rules)
- * and generates a professional Word document.
+ * and generates a professional Word document. A series architecture starts on
+ * its own page, after the pitch card. The document language is the one the
+ * card's section labels are in (see outputLanguage.js) unless given.
  */
-export async function exportDOCX(markdownText, title = 'Master Pitch Deck') {
+export async function exportDOCX(markdownText, title = 'Master Pitch Deck', { language = pitchCardLanguage(markdownText) } = {}) {
     const lines = markdownText.split('\n');
-    const docChildren = [];
-
-    // Cover page
-    docChildren.push(
-        new Paragraph({ spacing: { after: 600 } }),
-        new Paragraph({
-            children: [new TextRun({ text: title, bold: true, size: 56, font: 'Calibri' })],
-            alignment: AlignmentType.CENTER,
-            spacing: { after: 200 },
-        }),
-        new Paragraph({
-            children: [new TextRun({
-                text: `Generated by NatHistory-Writer • ${new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`,
-                size: 22,
-                color: '888888',
-                font: 'Calibri',
-            })],
-            alignment: AlignmentType.CENTER,
-            spacing: { after: 400 },
-        }),
-        new Paragraph({
-            children: [new TextRun({ text: '─'.repeat(60), color: 'CCCCCC', size: 20 })],
-            alignment: AlignmentType.CENTER,
-            spacing: { after: 600 },
-        })
-    );
+    const { locale } = outputLanguage(language);
+    const docChildren = coverPage(title, locale);
 
     // Parse markdown lines
 
@@ -88,6 +70,7 @@ export async function exportDOCX(markdownText, title = 'Master Pitch Deck') {
                 children: [new TextRun({ text: h3[1], bold: true, size: 26, font: 'Calibri' })],
                 heading: HeadingLevel.HEADING_3,
                 spacing: { before: 200, after: 100 },
+                pageBreakBefore: SERIES_HEADING.test(h3[1]),
             }));
             continue;
         }
@@ -188,29 +171,108 @@ export async function exportDOCX(markdownText, title = 'Master Pitch Deck') {
         }));
     }
 
-    // Build the document
+    await saveDocument(docChildren, title, locale);
+}
+
+/**
+ * Export a pitch card side by side with its translation: a two-column table
+ * with the title and each section in both languages.
+ * @param {string} original — the pitch card (a series architecture after it is left out)
+ * @param {string} translation — the same card in another language (see translatePitchCard)
+ * @param {string} [title]
+ */
+export async function exportBilingualDOCX(original, translation, title = 'Master Pitch Deck') {
+    const columns = [original, translation].map(text => ({
+        language: outputLanguage(pitchCardLanguage(text)),
+        card: parsePitchCard(text),
+    }));
+    const cell = (children, shaded = false) => new TableCell({
+        children,
+        width: { size: 4680, type: WidthType.DXA },
+        ...(shaded ? { shading: { fill: 'F0F0F0' } } : {}),
+    });
+    // Each column's runs are tagged with its own language, whatever the document's
+    const row = (render, shaded = false) => new TableRow({
+        children: columns.map(column => cell(render(column), shaded)),
+    });
+
+    const rows = [
+        row(({ language }) => [new Paragraph({ children: [new TextRun({ text: language.nativeName, bold: true, size: 20, font: 'Calibri', language: { value: language.locale } })] })], true),
+        row(({ language, card }) => [new Paragraph({ children: [new TextRun({ text: card.title, bold: true, size: 28, font: 'Calibri', language: { value: language.locale } })] })]),
+    ];
+    for (const section of PITCH_CARD_SECTIONS) {
+        if (columns.every(({ card }) => card.sections[section] === undefined)) continue;
+        rows.push(row(({ language, card }) => [
+            new Paragraph({
+                children: [new TextRun({ text: language.sections[section], bold: true, size: 22, font: 'Calibri', language: { value: language.locale } })],
+                spacing: { after: 60 },
+            }),
+            ...(card.sections[section] ?? '').split('\n').filter(line => line.trim()).map(line => new Paragraph({
+                children: parseInlineFormatting(line.trim().replace(/^[-*•] /, '• '), language.locale),
+                spacing: { after: 60 },
+            })),
+        ]));
+    }
+
+    const { locale } = columns[0].language;
+    const docChildren = coverPage(title, locale);
+    docChildren.push(new Table({ rows, width: { size: 9360, type: WidthType.DXA } }));
+    await saveDocument(docChildren, `${title} (${columns.map(({ language }) => language.code.toUpperCase()).join('-')})`, locale);
+}
+
+/** Title, generation date and rule that open every export. */
+function coverPage(title, locale) {
+    return [
+        new Paragraph({ spacing: { after: 600 } }),
+        new Paragraph({
+            children: [new TextRun({ text: title, bold: true, size: 56, font: 'Calibri' })],
+            alignment: AlignmentType.CENTER,
+            spacing: { after: 200 },
+        }),
+        new Paragraph({
+            children: [new TextRun({
+                text: `Generated by NatHistory-Writer • ${new Date().toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' })}`,
+                size: 22,
+                color: '888888',
+                font: 'Calibri',
+            })],
+            alignment: AlignmentType.CENTER,
+            spacing: { after: 400 },
+        }),
+        new Paragraph({
+            children: [new TextRun({ text: '─'.repeat(60), color: 'CCCCCC', size: 20 })],
+            alignment: AlignmentType.CENTER,
+            spacing: { after: 600 },
+        }),
+    ];
+}
+
+/** Build the document, in the given language, and save it under the title. */
+async function saveDocument(children, title, locale) {
     const doc = new Document({
+        styles: { default: { document: { run: { language: { value: locale } } } } },
         sections: [{
             properties: {
                 page: {
                     margin: { top: 1440, right: 1440, bottom: 1440, left: 1440 },
                 },
             },
-            children: docChildren,
+            children,
         }],
     });
 
-    // Generate and save
     const blob = await Packer.toBlob(doc);
     const filename = title.replace(/[^a-zA-Z0-9]/g, '_').replace(/_+/g, '_') + '.docx';
     saveAs(blob, filename);
 }
 
 /**
- * Parse inline markdown formatting (bold, italic, code) into TextRun objects.
+ * Parse inline markdown formatting (bold, italic, code) into TextRun objects,
+ * tagged with the given locale when it differs from the document's.
  */
-function parseInlineFormatting(text) {
+function parseInlineFormatting(text, locale = null) {
     const runs = [];
+    const textRun = (options) => new TextRun(locale ? { ...options, language: { value: locale } } : options);
     // Regex to split on **bold**, *italic*, `code`, and ***bold italic***
     const regex = /(\*\*\*(.+?)\*\*\*|\*\*(.+?)\*\*|\*(.+?)\*|`(.+?)`)/g;
     let lastIndex = 0;
@@ -219,21 +281,21 @@ function parseInlineFormatting(text) {
     while ((match = regex.exec(text)) !== null) {
         // Add text before the match
         if (match.index > lastIndex) {
-            runs.push(new TextRun({ text: text.slice(lastIndex, match.index), size: 22, font: 'Calibri' }));
+            runs.push(textRun({ text: text.slice(lastIndex, match.index), size: 22, font: 'Calibri' }));
         }
 
         if (match[2]) {
             // ***bold italic***
-            runs.push(new TextRun({ text: match[2], bold: true, italics: true, size: 22, font: 'Calibri' }));
+            runs.push(textRun({ text: match[2], bold: true, italics: true, size: 22, font: 'Calibri' }));
         } else if (match[3]) {
             // **bold**
-            runs.push(new TextRun({ text: match[3], bold: true, size: 22, font: 'Calibri' }));
+            runs.push(textRun({ text: match[3], bold: true, size: 22, font: 'Calibri' }));
         } else if (match[4]) {
             // *italic*
-            runs.push(new TextRun({ text: match[4], italics: true, size: 22, font: 'Calibri' }));
+            runs.push(textRun({ text: match[4], italics: true, size: 22, font: 'Calibri' }));
         } else if (match[5]) {
             // `code`
-            runs.push(new TextRun({ text: match[5], font: 'Consolas', size: 20, color: '666666' }));
+            runs.push(textRun({ text: match[5], font: 'Consolas', size: 20, color: '666666' }));
         }
 
         lastIndex = match.index + match[0].length;
@@ -241,12 +303,12 @@ function parseInlineFormatting(text) {
 
     // Add remaining text
     if (lastIndex < text.length) {
-        runs.push(new TextRun({ text: text.slice(lastIndex), size: 22, font: 'Calibri' }));
+        runs.push(textRun({ text: text.slice(lastIndex), size: 22, font: 'Calibri' }));
     }
 
     // If no runs were created, add the full text
     if (runs.length === 0) {
-        runs.push(new TextRun({ text, size: 22, font: 'Calibri' }));
+        runs.push(textRun({ text, size: 22, font: 'Calibri' }));
     }
 
     return runs;
@@ -95,7 +95,9 @@ export async function getRuns() {
 
 /**
  * Save a completed run.
- * @param {object} data — { seedIdea, phaseOutputs, finalPitchDeck }
+ * @param {object} data — { seedIdea, phaseOutputs, finalPitchDeck, usage?, trace?, promptVersions?, pipelineCtx?, options?, parentId?, forkedFrom? }
+ *   pipelineCtx and options (from a standard pipeline run) are what a later branch resumes from;
+ *   parentId and forkedFrom mark this run as a branch of another run
  * @returns {Promise<object>} the saved run
  */
 export async function saveRun(data) {
@@ -107,6 +109,13 @@ export async function saveRun(data) {
         title: extractTitle(data.finalPitchDeck),
         finalPitchDeck: data.finalPitchDeck,
         phaseOutputs: data.phaseOutputs || [],
+        usage: data.usage || null, // token/cost totals from the run's usage meter
+        trace: data.trace || null, // per-call timeline and gate decisions (see agents/trace.js)
+        promptVersions: data.promptVersions || null, // agentId → prompt version id, edited personas only (see promptVersions.js)
+        pipelineCtx: data.pipelineCtx || null,
+        options: data.options || null,
+        parentId: data.parentId || null,
+        forkedFrom: data.forkedFrom || null,
     };
 
     const tx = db.transaction(STORE_NAME, 'readwrite');
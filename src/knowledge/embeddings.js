@@ -6,13 +6,16 @@
 /**
  * Embed a single text string. Returns a float array.
  * @param {string} text
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal] — aborts the request
  * @returns {Promise<number[]>}
  */
-export async function embedText(text) {
+export async function embedText(text, { signal } = {}) {
     const res = await fetch('/api/embed', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ text }),
+        signal,
     });
 
     if (!res.ok) {
@@ -6,22 +6,26 @@ import { searchShared, hasSharedDocuments } from './sharedKB.js';
  * Retrieve relevant knowledge context for a query.
  * Merges results from both the local (IndexedDB) and shared (Vercel Blob) knowledge bases,
  * re-ranks by score, and returns the top-K as a formatted string.
+ * Retrieval failures degrade to an empty context, but an aborted `signal`
+ * rejects with AbortError so a cancelled run stops here.
  *
  * @param {string} query — the context/question to search for
  * @param {number} topK — number of chunks to retrieve (total, across both sources)
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal] — aborts the embedding and shared-KB requests
  * @returns {Promise<string>}
  */
-export async function retrieveContext(query, topK = 5) {
-    const [hasLocal, hasShared] = await Promise.all([hasDocuments(), hasSharedDocuments()]);
+export async function retrieveContext(query, topK = 5, { signal } = {}) {
+    const [hasLocal, hasShared] = await Promise.all([hasDocuments(), hasSharedDocuments({ signal })]);
     if (!hasLocal && !hasShared) return '';
 
     try {
-        const queryEmbedding = await embedText(query);
+        const queryEmbedding = await embedText(query, { signal });
 
         // Query both sources in parallel
         const [localResults, sharedResults] = await Promise.all([
             hasLocal ? search(queryEmbedding, topK) : [],
-            hasShared ? searchShared(queryEmbedding, topK) : [],
+            hasShared ? searchShared(queryEmbedding, topK, { signal }) : [],
         ]);
 
         // Tag source for logging, then merge and re-rank
@@ -49,6 +53,7 @@ export async function retrieveContext(query, topK = 5) {
 
         return `### Relevant Research from Knowledge Base\n\n${contextBlocks.join('\n\n---\n\n')}`;
     } catch (err) {
+        if (err.name === 'AbortError') throw err;
         console.warn('RAG retrieval failed:', err.message);
         return '';
     }
@@ -61,10 +66,12 @@ export async function retrieveContext(query, topK = 5) {
  * retrieved regardless of what the pitch is about.
  *
  * @param {number} topK — number of chunks to retrieve
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal] — aborts the embedding and shared-KB requests
  * @returns {Promise<string>}
  */
-export async function retrieveNarrativeContext(topK = 6) {
-    const hasShared = await hasSharedDocuments();
+export async function retrieveNarrativeContext(topK = 6, { signal } = {}) {
+    const hasShared = await hasSharedDocuments({ signal });
     if (!hasShared) return '';
 
     // Fixed narrative-form query — topic-agnostic, format-focused
@@ -76,8 +83,8 @@ export async function retrieveNarrativeContext(topK = 6) {
     ].join(' ');
 
     try {
-        const queryEmbedding = await embedText(NARRATIVE_QUERY);
-        const results = await searchShared(queryEmbedding, topK);
+        const queryEmbedding = await embedText(NARRATIVE_QUERY, { signal });
+        const results = await searchShared(queryEmbedding, topK, { signal });
 
         // Lower threshold for narrative signals — 0.2 — since format language
         // may not score as high as topically-matched content
@@ -92,6 +99,7 @@ export async function retrieveNarrativeContext(topK = 6) {
 
         return `### Live Industry Narrative Form Signals\n\n${contextBlocks.join('\n\n---\n\n')}`;
     } catch (err) {
+        if (err.name === 'AbortError') throw err;
         console.warn('RAG narrative retrieval failed:', err.message);
         return '';
     }
@@ -4,15 +4,19 @@
 
 /**
  * List all shared KB documents.
+ * Failures yield an empty list; an aborted request still rejects with AbortError.
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal]
  * @returns {Promise<Array<{id, filename, chunkCount, addedAt}>>}
  */
-export async function listSharedDocuments() {
+export async function listSharedDocuments({ signal } = {}) {
     try {
-        const res = await fetch('/api/kb-list');
+        const res = await fetch('/api/kb-list', { signal });
         if (!res.ok) throw new Error(`HTTP ${res.status}`);
         const { docs } = await res.json();
         return docs || [];
     } catch (err) {
+        if (err.name === 'AbortError') throw err;
         console.warn('[SharedKB] listSharedDocuments failed:', err.message);
         return [];
     }
@@ -22,19 +26,23 @@ export async function listSharedDocuments() {
  * Search shared KB for relevant chunks using a pre-computed query embedding.
  * @param {number[]} queryEmbedding
  * @param {number} topK
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal]
  * @returns {Promise<Array<{text, score, docId, filename}>>}
  */
-export async function searchShared(queryEmbedding, topK = 5) {
+export async function searchShared(queryEmbedding, topK = 5, { signal } = {}) {
     try {
         const res = await fetch('/api/kb-search', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ queryEmbedding, topK }),
+            signal,
         });
         if (!res.ok) throw new Error(`HTTP ${res.status}`);
         const { results } = await res.json();
         return results || [];
     } catch (err) {
+        if (err.name === 'AbortError') throw err;
         console.warn('[SharedKB] searchShared failed:', err.message);
         return [];
     }
@@ -77,10 +85,12 @@ export async function deleteSharedDocument(password, docId) {
 
 /**
  * Check if the shared KB has any documents.
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal]
  * @returns {Promise<boolean>}
  */
-export async function hasSharedDocuments() {
-    const docs = await listSharedDocuments();
+export async function hasSharedDocuments({ signal } = {}) {
+    const docs = await listSharedDocuments({ signal });
     return docs.length > 0;
 }
 
@@ -1,11 +1,24 @@
-import { initGemini, createChat, callAgent, extractPdfText, extractUrlContent } from './agents/gemini.js';
-import { runPipeline, runAssessment, suggestGenres, setPipelineAbortSignal, PipelineCancelled } from './agents/orchestrator.js';
+import { initGemini, createChat, callAgent, extractPdfText, extractUrlContent, onRequestQueue, getRequestQueueState } from './agents/gemini.js';
+import { runPipeline, runAssessment, suggestGenres, setPipelineAbortSignal, PipelineCancelled, BudgetExceeded, branchCheckpoint, branchableSteps, PIPELINE_STEP_LABELS, translatePitchCard } from './agents/orchestrator.js';
+import { runPipelineGraph, compilePipelineGraph } from './agents/pipelineGraph.js';
+import { createProvider, setProvider } from './agents/providers.js';
+import { startRecording, startReplay, validateCassette } from './agents/cassette.js';
+import { formatUsage } from './agents/usage.js';
+import { describeTraceEvent } from './agents/trace.js';
+import { QUALITY_PROFILES, DEFAULT_QUALITY_PROFILE } from './agents/qualityPolicy.js';
+import { parseSeriesFormat, formatSeries } from './agents/series.js';
+import { normalizeGeneration } from './agents/generation.js';
+import { listPromptTemplates, templateSource, defaultTemplateSource, setTemplateSource } from './agents/promptTemplates.js';
+import { listPromptVersions, getActiveVersions, savePromptVersion, setActiveVersion, diffLines } from './promptVersions.js';
+import { CUSTOM_AGENT_HOOKS, CUSTOM_AGENT_TOOLS } from './agents/customAgents.js';
+import { listCustomAgents, saveCustomAgent, deleteCustomAgent } from './agentLibrary.js';
 import { saveRun, getRuns, deleteRun, getRunById, saveDryrunResult, getDryrunResults } from './history.js';
-import { loadCheckpoint, clearCheckpoint, saveBatchState, loadBatchState, clearBatchState } from './pipelineState.js';
+import { listPresets, savePreset, deletePreset, exportPresets, parsePresetFile, presetRunOptions, splitPresetPrefix } from './presets.js';
+import { loadCheckpoint, clearCheckpoint, listCheckpoints, createRunId, saveBatchState, loadBatchState, clearBatchState } from './pipelineState.js';
 // chunkText and embedBatch are handled inside ragWorker.js (Web Worker)
 import { addDocument, listDocuments, deleteDocument } from './knowledge/vectorStore.js';
 import { listSharedDocuments, searchShared, addSharedDocument, deleteSharedDocument, triggerRefresh, listSources } from './knowledge/sharedKB.js';
-import { evaluatePitchDeck, runDryrun, generateSystemicDiagnosis } from './quality/evaluator.js';
+import { evaluatePitchDeck, runDryrun, generateSystemicDiagnosis, runPromptABTest, BENCHMARK_SEEDS } from './quality/evaluator.js';
 import {
     MARKET_ANALYST,
     CHIEF_SCIENTIST,
@@ -17,7 +30,9 @@ import {
     ALL_AGENTS,
 } from './agents/personas.js';
 import { marked } from 'marked';
-import { exportDOCX } from './export.js';
+import { saveAs } from 'file-saver';
+import { exportDOCX, exportBilingualDOCX } from './export.js';
+import { OUTPUT_LANGUAGES, DEFAULT_LANGUAGE, sectionLabels, pitchCardLanguage } from './agents/outputLanguage.js';
 
 // Google Search grounding for the refinement chat
 const SEARCH_TOOLS = [{ googleSearch: {} }];
@@ -25,16 +40,16 @@ const SEARCH_TOOLS = [{ googleSearch: {} }];
 // ─── Markdown Renderer (powered by marked) ───────────
 marked.setOptions({ breaks: true, gfm: true });
 
+// The pitch card's Sources paragraph, in any output language
+const SOURCES_PARAGRAPH = new RegExp(`(<p><strong>(?:${sectionLabels('Sources').join('|')})\\s?:<\\/strong>(?:<\\/p>)?)([\\s\\S]*?)$`, 'i');
+
 function md(text) {
     if (!text) return '';
     let html = marked.parse(text);
 
     // Wrap the Sources section in a footnote-styled container.
-    // The Showrunner outputs **Sources:** followed by a numbered list.
-    html = html.replace(
-        /(<p><strong>Sources:<\/strong>(?:<\/p>)?)([\s\S]*?)$/i,
-        '<div class="pitch-sources"><hr>$1$2</div>'
-    );
+    // The Showrunner outputs **Sources:** (or its translation) followed by a numbered list.
+    html = html.replace(SOURCES_PARAGRAPH, '<div class="pitch-sources"><hr>$1$2</div>');
     return html;
 }
 
@@ -132,10 +147,12 @@ const qaSend = document.getElementById('qa-send');
 let chatSession = null;
 let lastPitchDeck = '';
 let lastSeedIdea = '';
+let currentRunRecord = null; // saved history record of the deck on screen (for /fork)
 
 // Deck action buttons
 const btnCopyDeck = document.getElementById('btn-copy-deck');
 const btnExportDOCX = document.getElementById('btn-export-docx');
+const btnExportBilingual = document.getElementById('btn-export-bilingual');
 const btnChatHelp = document.getElementById('btn-chat-help');
 
 btnCopyDeck.addEventListener('click', async () => {
@@ -162,6 +179,29 @@ btnExportDOCX.addEventListener('click', async () => {
     }
 });
 
+// A card in another language is paired with English; an English card with the
+// output language picked on the form.
+btnExportBilingual.addEventListener('click', async () => {
+    if (!lastPitchDeck) return;
+    const from = pitchCardLanguage(lastPitchDeck);
+    const to = from !== DEFAULT_LANGUAGE ? DEFAULT_LANGUAGE : getOutputLanguage();
+    if (!to) {
+        showError('Choose an Output Language to translate the English pitch card into');
+        return;
+    }
+    try {
+        btnExportBilingual.textContent = '⏳ Translating…';
+        const translation = await translatePitchCard(lastPitchDeck, to);
+        btnExportBilingual.textContent = '⏳ Exporting…';
+        await exportBilingualDOCX(lastPitchDeck, translation, 'Master Pitch Deck');
+        btnExportBilingual.textContent = '✓ Exported!';
+        setTimeout(() => { btnExportBilingual.textContent = '🌐 Bilingual DOCX'; }, 2000);
+    } catch (err) {
+        showError(`Bilingual export failed: ${err.message}`);
+        btnExportBilingual.textContent = '🌐 Bilingual DOCX';
+    }
+});
+
 btnChatHelp.addEventListener('click', () => {
     qaInput.value = '/help';
     qaForm.dispatchEvent(new Event('submit'));
@@ -181,6 +221,7 @@ const dryrunStartArea = document.getElementById('dryrun-start-area');
 const dryrunProgress = document.getElementById('dryrun-progress');
 const dryrunProgressFill = document.getElementById('dryrun-progress-fill');
 const dryrunProgressText = document.getElementById('dryrun-progress-text');
+const dryrunCancelBtn = document.getElementById('dryrun-cancel');
 const dryrunResults = document.getElementById('dryrun-results');
 const dryrunHistory = document.getElementById('dryrun-history');
 
@@ -189,22 +230,237 @@ const promptEditorOverlay = document.getElementById('prompt-editor-overlay');
 const promptEditorIcon = document.getElementById('prompt-editor-icon');
 const promptEditorName = document.getElementById('prompt-editor-name');
 const promptEditorTextarea = document.getElementById('prompt-editor-textarea');
+const promptEditorModel = document.getElementById('prompt-editor-model');
+const promptEditorTemperature = document.getElementById('prompt-editor-temperature');
+const promptEditorTopP = document.getElementById('prompt-editor-top-p');
+const promptEditorMaxOutput = document.getElementById('prompt-editor-max-output');
 const promptEditorStatus = document.getElementById('prompt-editor-status');
 const promptEditorClose = document.getElementById('prompt-editor-close');
 const promptEditorCancel = document.getElementById('prompt-editor-cancel');
 const promptEditorSave = document.getElementById('prompt-editor-save');
+const promptEditorSettings = document.getElementById('prompt-editor-settings');
+const promptEditorSlots = document.getElementById('prompt-editor-slots');
 
 // Agent lookup map
 const AGENT_MAP = Object.fromEntries(ALL_AGENTS.map(a => [a.id, a]));
 let currentEditingAgent = null;
 
+// Shipped prompts and generation settings (personas.js), before any saved
+// version or preset is applied — the base for diffs, rollback and presets
+const DEFAULT_PERSONA_PROMPTS = Object.fromEntries(ALL_AGENTS.map(a => [a.id, a.systemPrompt]));
+const DEFAULT_GENERATION = Object.fromEntries(ALL_AGENTS.map(a => [a.id, a.generation]));
+
+// Prompt templates and guards (see agents/promptTemplates.js), edited and
+// versioned like personas under a 'template:<name>' id. They have no
+// generation settings; their text lives in promptTemplates.js.
+const PROMPT_TEMPLATES = listPromptTemplates();
+const TEMPLATE_MAP = Object.fromEntries(PROMPT_TEMPLATES.map(t => [`template:${t.name}`, {
+    id: `template:${t.name}`,
+    name: t.kind === 'guard' ? `Guard: ${t.label}` : `Template: ${t.label}`,
+    icon: t.kind === 'guard' ? '🧱' : '📝',
+    color: AGENT_MAP[t.agent]?.color || '#ffd43b',
+    template: t.name,
+    slots: t.slots,
+    generation: null,
+    get systemPrompt() { return templateSource(t.name); },
+    set systemPrompt(text) { setTemplateSource(t.name, text); },
+}]));
+
+/** A persona, or a prompt template, by its prompt-version id. */
+const promptTarget = (id) => AGENT_MAP[id] ?? TEMPLATE_MAP[id];
+
+/** The shipped text of a persona's prompt or a template. */
+const shippedPrompt = (agent) => (agent.template ? defaultTemplateSource(agent.template) : DEFAULT_PERSONA_PROMPTS[agent.id]);
+
+// ─── Prompt versions (see promptVersions.js) ──────────
+const promptEditorNote = document.getElementById('prompt-editor-note');
+const promptEditorDiff = document.getElementById('prompt-editor-diff');
+const promptEditorVersions = document.getElementById('prompt-editor-versions');
+const promptEditorDiffToggle = document.getElementById('prompt-editor-diff-toggle');
+const promptEditorVersionsToggle = document.getElementById('prompt-editor-versions-toggle');
+let savedPromptVersions = [];
+let activePromptVersions = {};
+
+const sameGeneration = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/** Load saved prompt versions and put each persona's active version in place. */
+async function loadPromptVersions() {
+    [savedPromptVersions, activePromptVersions] = await Promise.all([listPromptVersions(), getActiveVersions()]);
+    for (const [agentId, versionId] of Object.entries(activePromptVersions)) {
+        const version = savedPromptVersions.find(v => v.id === versionId);
+        const agent = promptTarget(agentId);
+        if (!version || !agent) continue;
+        try {
+            agent.systemPrompt = version.systemPrompt;
+        } catch (err) {
+            // A template edit saved against slots the template no longer has
+            console.warn(`[Prompts] ${agent.name} v${version.version} not applied:`, err.message);
+            continue;
+        }
+        agent.generation = version.generation ?? DEFAULT_GENERATION[agentId] ?? null;
+    }
+}
+const loadPromptVersionsReady = loadPromptVersions();
+
+/**
+ * The prompt version each edited persona is running, for tagging a run:
+ * a saved version's id, or 'unsaved' for edits that match no saved version
+ * (e.g. from a preset). Personas on their shipped prompt are left out.
+ */
+function currentPromptVersionTags() {
+    const tags = {};
+    for (const agent of [...ALL_AGENTS, ...Object.values(TEMPLATE_MAP)]) {
+        if (agent.systemPrompt === shippedPrompt(agent) && sameGeneration(agent.generation, DEFAULT_GENERATION[agent.id])) continue;
+        const match = savedPromptVersions.findLast(v => v.agentId === agent.id
+            && v.systemPrompt === agent.systemPrompt && sameGeneration(v.generation, agent.generation));
+        tags[agent.id] = match?.id ?? 'unsaved';
+    }
+    return tags;
+}
+
+/** "Story Producer v3, Showrunner (unsaved edit)" for a run's prompt version tags. */
+function describePromptVersionTags(tags) {
+    return Object.entries(tags).map(([agentId, versionId]) => {
+        const name = promptTarget(agentId)?.name || agentId;
+        const version = savedPromptVersions.find(v => v.id === versionId);
+        if (version) return `${name} v${version.version}`;
+        return versionId === 'unsaved' ? `${name} (unsaved edit)` : `${name} (deleted version)`;
+    }).join(', ');
+}
+
+/** Show one of the editor's panes: 'edit', 'diff' or 'versions'. */
+function showPromptEditorPane(pane) {
+    promptEditorTextarea.classList.toggle('hidden', pane !== 'edit');
+    promptEditorDiff.classList.toggle('hidden', pane !== 'diff');
+    promptEditorVersions.classList.toggle('hidden', pane !== 'versions');
+    promptEditorDiffToggle.textContent = pane === 'diff' ? 'Back to editor' : 'Diff vs default';
+    promptEditorVersionsToggle.textContent = pane === 'versions' ? 'Back to editor' : 'Versions';
+}
+
+// Unchanged lines further than this from a change are folded
+const DIFF_CONTEXT_LINES = 3;
+
+/** Render a line diff of the shipped prompt against the given text. */
+function renderPromptDiff(agent, text) {
+    promptEditorDiff.innerHTML = '';
+    const lines = diffLines(shippedPrompt(agent), text);
+    if (lines.every(line => line.type === 'same')) {
+        promptEditorDiff.innerHTML = '<div class="diff-skip">Identical to the shipped prompt.</div>';
+        return;
+    }
+    const changed = lines.map((line, i) => (line.type === 'same' ? -1 : i)).filter(i => i >= 0);
+    const near = (i) => changed.some(c => Math.abs(c - i) <= DIFF_CONTEXT_LINES);
+    let skipped = 0;
+    const flushSkipped = () => {
+        if (skipped === 0) return;
+        const skip = document.createElement('div');
+        skip.className = 'diff-skip';
+        skip.textContent = `… ${skipped} unchanged line${skipped === 1 ? '' : 's'}`;
+        promptEditorDiff.appendChild(skip);
+        skipped = 0;
+    };
+    lines.forEach((line, i) => {
+        if (line.type === 'same' && !near(i)) {
+            skipped++;
+            return;
+        }
+        flushSkipped();
+        const row = document.createElement('div');
+        row.className = `diff-line ${line.type}`;
+        row.textContent = `${line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}${line.text}`;
+        promptEditorDiff.appendChild(row);
+    });
+    flushSkipped();
+}
+
+/** Put a version (or, with null, the shipped prompt) in place and make it active. */
+async function rollBackPrompt(agent, version) {
+    try {
+        await setActiveVersion(agent.id, version?.id ?? null);
+        agent.systemPrompt = version ? version.systemPrompt : shippedPrompt(agent);
+    } catch (err) {
+        promptEditorStatus.textContent = `⚠ Rollback failed: ${err.message}`;
+        promptEditorStatus.classList.add('error');
+        return;
+    }
+    agent.generation = version?.generation ?? DEFAULT_GENERATION[agent.id] ?? null;
+    if (version) activePromptVersions[agent.id] = version.id;
+    else delete activePromptVersions[agent.id];
+    openPromptEditor(agent);
+    promptEditorStatus.textContent = `↺ Rolled back to ${version ? `v${version.version}` : 'the shipped prompt'}`;
+}
+
+/** List the persona's saved versions, newest first, with diff and rollback actions. */
+function renderPromptVersions(agent) {
+    promptEditorVersions.innerHTML = '';
+    const versions = savedPromptVersions.filter(v => v.agentId === agent.id).reverse();
+    const activeId = activePromptVersions[agent.id] ?? null;
+    const addRow = (label, note, version) => {
+        const row = document.createElement('div');
+        row.className = `prompt-version-row${(version?.id ?? null) === activeId ? ' active' : ''}`;
+        row.innerHTML = `
+            <span class="prompt-version-label"></span>
+            <span class="prompt-version-note"></span>
+            <button class="prompt-editor-btn prompt-editor-btn-cancel prompt-version-diff">Diff</button>
+            <button class="prompt-editor-btn prompt-editor-btn-cancel prompt-version-restore">Restore</button>
+        `;
+        row.querySelector('.prompt-version-label').textContent = `${label}${(version?.id ?? null) === activeId ? ' ● active' : ''}`;
+        row.querySelector('.prompt-version-note').textContent = note;
+        row.querySelector('.prompt-version-note').title = note;
+        row.querySelector('.prompt-version-diff').addEventListener('click', () => {
+            renderPromptDiff(agent, version ? version.systemPrompt : shippedPrompt(agent));
+            showPromptEditorPane('diff');
+        });
+        row.querySelector('.prompt-version-restore').addEventListener('click', () => rollBackPrompt(agent, version));
+        promptEditorVersions.appendChild(row);
+    };
+    for (const version of versions) {
+        const date = new Date(version.createdAt);
+        addRow(`v${version.version}`, `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}${version.note ? ` — ${version.note}` : ''}`, version);
+    }
+    addRow('Shipped', agent.template ? 'The default template from promptTemplates.js' : 'The default prompt from personas.js', null);
+}
+
+promptEditorDiffToggle.addEventListener('click', () => {
+    if (!currentEditingAgent) return;
+    if (!promptEditorDiff.classList.contains('hidden')) return showPromptEditorPane('edit');
+    renderPromptDiff(currentEditingAgent, promptEditorTextarea.value);
+    showPromptEditorPane('diff');
+});
+
+promptEditorVersionsToggle.addEventListener('click', () => {
+    if (!currentEditingAgent) return;
+    if (!promptEditorVersions.classList.contains('hidden')) return showPromptEditorPane('edit');
+    renderPromptVersions(currentEditingAgent);
+    showPromptEditorPane('versions');
+});
+
+/** List the slots and guards a template can use, above the editor. */
+function renderTemplateSlots(agent) {
+    const tags = (names, prefix) => names.map(name => `<code>{{${prefix}${name}}}</code>`).join(' ');
+    const guards = PROMPT_TEMPLATES.filter(t => t.kind === 'guard' && t.name !== agent.template).map(t => t.name);
+    promptEditorSlots.innerHTML = `Slots: ${tags(agent.slots, '')}<br>Guards: ${tags(guards, '>')}<br>`
+        + 'Wrap text in <code>{{#slot}}…{{/slot}}</code> to include it only when the slot has a value, or <code>{{^slot}}…{{/slot}}</code> when it has none.';
+}
+
 function openPromptEditor(agent) {
     currentEditingAgent = agent;
     promptEditorIcon.textContent = agent.icon;
     promptEditorName.textContent = agent.name;
     promptEditorName.style.color = agent.color;
     promptEditorTextarea.value = agent.systemPrompt;
+    promptEditorSettings.classList.toggle('hidden', Boolean(agent.template));
+    promptEditorSlots.classList.toggle('hidden', !agent.template);
+    if (agent.template) renderTemplateSlots(agent);
+    const { model, temperature, topP, maxOutputTokens } = agent.generation || {};
+    promptEditorModel.value = model ?? '';
+    promptEditorTemperature.value = temperature ?? '';
+    promptEditorTopP.value = topP ?? '';
+    promptEditorMaxOutput.value = maxOutputTokens ?? '';
+    promptEditorNote.value = '';
     promptEditorStatus.textContent = '';
+    promptEditorStatus.classList.remove('error');
+    showPromptEditorPane('edit');
     promptEditorOverlay.classList.remove('hidden');
     // Focus textarea after animation
     setTimeout(() => promptEditorTextarea.focus(), 100);
@@ -223,11 +479,72 @@ document.querySelectorAll('.agent-chip[data-agent-id]').forEach(chip => {
     });
 });
 
-// Save prompt
-promptEditorSave.addEventListener('click', () => {
-    if (!currentEditingAgent) return;
-    currentEditingAgent.systemPrompt = promptEditorTextarea.value;
-    promptEditorStatus.textContent = '✓ Prompt saved';
+// Template picker (Advanced panel): guards first, then each step's template
+const promptTemplateSelect = document.getElementById('prompt-template-select');
+for (const [kind, label] of [['guard', 'Guards'], ['step', 'Step templates']]) {
+    const group = document.createElement('optgroup');
+    group.label = label;
+    for (const t of PROMPT_TEMPLATES.filter(t => t.kind === kind)) {
+        const agentName = AGENT_MAP[t.agent]?.name;
+        group.appendChild(new Option(agentName ? `${t.label} — ${agentName}` : t.label, `template:${t.name}`));
+    }
+    promptTemplateSelect.appendChild(group);
+}
+document.getElementById('prompt-template-edit').addEventListener('click', () => {
+    const template = TEMPLATE_MAP[promptTemplateSelect.value];
+    if (template) openPromptEditor(template);
+});
+
+// Save prompt — as a new version, unless nothing changed
+promptEditorSave.addEventListener('click', async () => {
+    const agent = currentEditingAgent;
+    if (!agent) return;
+    const numberOrBlank = (input) => (input.value.trim() === '' ? null : Number(input.value));
+    let generation;
+    try {
+        generation = agent.template ? null : normalizeGeneration({
+            model: promptEditorModel.value,
+            temperature: numberOrBlank(promptEditorTemperature),
+            topP: numberOrBlank(promptEditorTopP),
+            maxOutputTokens: numberOrBlank(promptEditorMaxOutput),
+        });
+    } catch (err) {
+        promptEditorStatus.textContent = `⚠ ${err.message}`;
+        promptEditorStatus.classList.add('error');
+        return;
+    }
+    const systemPrompt = promptEditorTextarea.value;
+    promptEditorStatus.classList.remove('error');
+
+    if (systemPrompt === agent.systemPrompt && sameGeneration(generation, agent.generation)) {
+        promptEditorStatus.textContent = 'No changes';
+    } else if (systemPrompt === shippedPrompt(agent) && sameGeneration(generation, DEFAULT_GENERATION[agent.id])) {
+        // Back to the shipped prompt: a rollback, not a new version
+        await rollBackPrompt(agent, null);
+    } else {
+        if (agent.template) {
+            // Applied first, so a template with an unknown slot or guard is never versioned
+            try {
+                agent.systemPrompt = systemPrompt;
+            } catch (err) {
+                promptEditorStatus.textContent = `⚠ ${err.message}`;
+                promptEditorStatus.classList.add('error');
+                return;
+            }
+        }
+        try {
+            const version = await savePromptVersion({ agentId: agent.id, systemPrompt, generation, note: promptEditorNote.value });
+            savedPromptVersions.push(version);
+            activePromptVersions[agent.id] = version.id;
+            promptEditorStatus.textContent = `✓ Saved as v${version.version}`;
+        } catch (err) {
+            // Still applied for this session, just not persisted
+            console.warn('Prompt version save failed:', err.message);
+            promptEditorStatus.textContent = '✓ Prompt saved for this session (version history unavailable)';
+        }
+        agent.systemPrompt = systemPrompt;
+        agent.generation = generation;
+    }
     setTimeout(() => closePromptEditor(), 600);
 });
 
@@ -245,6 +562,138 @@ document.addEventListener('keydown', (e) => {
     }
 });
 
+// ─── Trace Viewer ─────────────────────────────────────
+const traceViewerOverlay = document.getElementById('trace-viewer-overlay');
+const traceViewerSummary = document.getElementById('trace-viewer-summary');
+const traceViewerBody = document.getElementById('trace-viewer-body');
+let viewedTrace = null;
+
+const TRACE_EVENT_ICONS = {
+    'drift-gate': '🧭',
+    severity: '⚖️',
+    verdict: '📋',
+    approval: '⏸️',
+    chaos: '🎲',
+    defamation: '🛡️',
+    guards: '🧱',
+};
+
+const formatTraceTime = (ms) => ms >= 60000
+    ? `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`
+    : `${(ms / 1000).toFixed(1)}s`;
+
+/** Download a run trace as JSON. */
+function downloadTrace(trace) {
+    const stamp = (trace.startedAt || new Date().toISOString()).replace(/[:.]/g, '-');
+    saveAs(new Blob([JSON.stringify(trace, null, 2)], { type: 'application/json' }), `trace-${stamp}.json`);
+}
+
+/** A collapsible block of prompt or output text. */
+function traceDetail(label, text) {
+    const details = document.createElement('details');
+    details.className = 'trace-detail';
+    const summary = document.createElement('summary');
+    summary.textContent = `${label} (${text.length.toLocaleString()} chars)`;
+    const pre = document.createElement('pre');
+    pre.textContent = text;
+    details.append(summary, pre);
+    return details;
+}
+
+/**
+ * Show a run trace as a timeline: one bar per agent call, placed by when it
+ * started and sized by how long it took, with gate decisions inline.
+ * Clicking a call opens its prompts and output.
+ */
+function openTraceViewer(trace) {
+    viewedTrace = trace;
+    const entries = [...trace.entries].sort((a, b) => a.at - b.at);
+    const calls = entries.filter(e => e.type === 'call');
+    const total = Math.max(trace.ms || 0, ...entries.map(e => e.at + (e.ms || 0)), 1);
+    const tokens = calls.reduce((sum, c) => sum + (c.usage?.totalTokens || 0), 0);
+    traceViewerSummary.textContent = `${trace.status} · ${formatTraceTime(total)} · ${calls.length} calls${tokens ? ` · ${tokens.toLocaleString()} tokens` : ''}${trace.error ? ` · ${trace.error}` : ''}`;
+
+    traceViewerBody.innerHTML = '';
+    let phaseName;
+    for (const entry of entries) {
+        if (entry.phaseName && entry.phaseName !== phaseName) {
+            phaseName = entry.phaseName;
+            const heading = document.createElement('div');
+            heading.className = 'trace-phase';
+            heading.textContent = entry.phase != null ? `Phase ${entry.phase}: ${phaseName}` : phaseName;
+            traceViewerBody.appendChild(heading);
+        }
+
+        const row = document.createElement('div');
+        if (entry.type === 'event') {
+            row.className = 'trace-row trace-event';
+            row.innerHTML = `<span class="trace-time">${formatTraceTime(entry.at)}</span><span class="trace-label"></span>`;
+            row.querySelector('.trace-label').textContent = `${TRACE_EVENT_ICONS[entry.kind] || '•'} ${describeTraceEvent(entry)}`;
+            traceViewerBody.appendChild(row);
+            continue;
+        }
+
+        const agent = AGENT_MAP[entry.agentId];
+        const retries = entry.failedAttempts.length - (entry.error ? 1 : 0);
+        row.className = `trace-row trace-call${entry.error ? ' failed' : ''}`;
+        row.innerHTML = `
+            <span class="trace-time">${formatTraceTime(entry.at)}</span>
+            <span class="trace-label"></span>
+            <span class="trace-track"><span class="trace-bar"></span></span>
+            <span class="trace-duration">${formatTraceTime(entry.ms)}${retries > 0 ? ` · ${retries} retr${retries === 1 ? 'y' : 'ies'}` : ''}</span>
+        `;
+        row.querySelector('.trace-label').textContent = agent ? `${agent.icon} ${agent.name}` : entry.agentId;
+        const bar = row.querySelector('.trace-bar');
+        bar.style.left = `${(entry.at / total) * 100}%`;
+        bar.style.width = `${Math.max((entry.ms / total) * 100, 0.5)}%`;
+        if (agent?.color) bar.style.background = agent.color;
+
+        const details = document.createElement('div');
+        details.className = 'trace-call-details hidden';
+        const facts = [
+            entry.model && `Model: ${entry.model}`,
+            entry.usage && `Tokens: ${entry.usage.totalTokens.toLocaleString()}`,
+            entry.tools?.length && `Tools: ${entry.tools.map(t => t.serverTool || Object.keys(t).join('+')).join(', ')}`,
+            entry.responseFormat && `Format: ${entry.responseFormat}`,
+            entry.generation?.temperature != null && `Temperature: ${entry.generation.temperature}`,
+            entry.generation?.topP != null && `Top-p: ${entry.generation.topP}`,
+            entry.generation?.maxOutputTokens != null && `Max output: ${entry.generation.maxOutputTokens.toLocaleString()}`,
+            ...entry.failedAttempts.map((a, i) => `Attempt ${i + 1} failed after ${formatTraceTime(a.ms)}: ${a.error}`),
+        ].filter(Boolean);
+        if (facts.length > 0) {
+            const meta = document.createElement('div');
+            meta.className = 'trace-call-meta';
+            meta.textContent = facts.join(' · ');
+            details.appendChild(meta);
+        }
+        details.append(traceDetail('System prompt', entry.systemPrompt), traceDetail('User prompt', entry.userMessage));
+        if (entry.output != null) details.appendChild(traceDetail('Output', entry.output));
+
+        row.addEventListener('click', () => details.classList.toggle('hidden'));
+        traceViewerBody.append(row, details);
+    }
+
+    traceViewerOverlay.classList.remove('hidden');
+}
+
+function closeTraceViewer() {
+    traceViewerOverlay.classList.add('hidden');
+    viewedTrace = null;
+}
+
+document.getElementById('trace-viewer-download').addEventListener('click', () => {
+    if (viewedTrace) downloadTrace(viewedTrace);
+});
+document.getElementById('trace-viewer-close').addEventListener('click', closeTraceViewer);
+traceViewerOverlay.addEventListener('click', (e) => {
+    if (e.target === traceViewerOverlay) closeTraceViewer();
+});
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !traceViewerOverlay.classList.contains('hidden')) {
+        closeTraceViewer();
+    }
+});
+
 // ─── Error Handling ───────────────────────────────────
 function showError(msg) {
     errorMessage.textContent = msg;
@@ -302,8 +751,8 @@ function createAgentCard(agent) {
     card.style.setProperty('--agent-color', agent.color);
     card.innerHTML = `
     <div class="agent-card-header" role="button" tabindex="0" title="Click to expand/collapse">
-      <span class="agent-icon">${agent.icon}</span>
-      <span class="agent-name" style="color: ${agent.color}">${agent.name}</span>
+      <span class="agent-icon"></span>
+      <span class="agent-name" style="color: ${agent.color}"></span>
       <span class="agent-collapse-icon">▼</span>
       <span class="agent-status thinking">Thinking…</span>
     </div>
@@ -315,6 +764,8 @@ function createAgentCard(agent) {
       </div>
     </div>
   `;
+    card.querySelector('.agent-icon').textContent = agent.icon;
+    card.querySelector('.agent-name').textContent = agent.name;
     // Collapse/expand on header click
     const header = card.querySelector('.agent-card-header');
     header.addEventListener('click', () => {
@@ -329,9 +780,26 @@ function createAgentCard(agent) {
     return card;
 }
 
-function fillAgentCard(card, outputText) {
+// Latest streamed draft per card, rendered at most once per animation frame
+const pendingDrafts = new WeakMap();
+
+function fillAgentCard(card, outputText, { partial = false } = {}) {
     const outputEl = card.querySelector('.agent-output');
     const statusEl = card.querySelector('.agent-status');
+    if (partial) {
+        const scheduled = pendingDrafts.has(card);
+        pendingDrafts.set(card, outputText);
+        if (scheduled) return;
+        requestAnimationFrame(() => {
+            // The final output may have landed while this frame was queued
+            if (!pendingDrafts.has(card)) return;
+            outputEl.innerHTML = md(pendingDrafts.get(card));
+            pendingDrafts.delete(card);
+            statusEl.textContent = 'Writing…';
+        });
+        return;
+    }
+    pendingDrafts.delete(card);
     outputEl.innerHTML = md(outputText);
     statusEl.textContent = 'Complete';
     statusEl.classList.remove('thinking');
@@ -968,31 +1436,127 @@ async function refreshHistoryList() {
         historyEmpty.classList.remove('hidden');
     }
 
-    runs.forEach(run => {
+    // Branches are listed under the run they were forked from
+    const byId = new Map(runs.map(run => [run.id, run]));
+    const branches = new Map();
+    const roots = [];
+    for (const run of runs) {
+        if (run.parentId && byId.has(run.parentId)) {
+            if (!branches.has(run.parentId)) branches.set(run.parentId, []);
+            branches.get(run.parentId).push(run);
+        } else {
+            roots.push(run);
+        }
+    }
+
+    const appendRun = (run, depth) => {
         const item = document.createElement('div');
-        item.className = 'history-item';
+        item.className = depth > 0 ? 'history-item branch' : 'history-item';
+        if (depth > 0) item.style.setProperty('--branch-depth', Math.min(depth, 4));
         const date = new Date(run.timestamp);
         const dateStr = date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const canFork = branchableSteps(run.pipelineCtx).length > 0;
         item.innerHTML = `
       <div class="history-item-title">${run.title || 'Untitled'}</div>
-      <div class="history-item-seed">${run.seedIdea}</div>
+      <div class="history-item-seed">${run.forkedFrom ? `<span class="history-item-branch">⑂ from ${PIPELINE_STEP_LABELS[run.forkedFrom] || run.forkedFrom}</span> ` : ''}${run.seedIdea}</div>
       <div class="history-item-footer">
-        <span class="history-item-date">${dateStr}</span>
-        <button class="history-item-delete">Delete</button>
+        <span class="history-item-date">${dateStr}${run.usage ? ` · 🪙 ${formatUsage(run.usage)}` : ''}</span>
+        <span class="history-item-actions">
+          ${run.trace ? '<button class="history-item-trace" title="Timeline of every agent call and gate decision">⏱ Trace</button>' : ''}
+          ${canFork ? '<button class="history-item-fork" title="Branch this run from a completed step">⑂ Fork</button>' : ''}
+          <button class="history-item-delete">Delete</button>
+        </span>
       </div>
     `;
+        const promptVersionCount = Object.keys(run.promptVersions || {}).length;
+        if (promptVersionCount > 0) {
+            const tag = document.createElement('span');
+            tag.className = 'history-item-prompts';
+            tag.textContent = ` · ✎ ${promptVersionCount} edited prompt${promptVersionCount === 1 ? '' : 's'}`;
+            tag.title = describePromptVersionTags(run.promptVersions);
+            item.querySelector('.history-item-date').appendChild(tag);
+        }
         item.addEventListener('click', (e) => {
             if (e.target.classList.contains('history-item-delete')) return;
             showSavedPitchDeck(run);
             closeAllPanels();
         });
+        item.querySelector('.history-item-trace')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openTraceViewer(run.trace);
+        });
+        item.querySelector('.history-item-fork')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openForkForm(item, run);
+        });
         item.querySelector('.history-item-delete').addEventListener('click', async (e) => {
             e.stopPropagation();
             await deleteRun(run.id);
             await refreshHistoryList();
         });
         historyList.appendChild(item);
+        (branches.get(run.id) || []).forEach(branch => appendRun(branch, depth + 1));
+    };
+    roots.forEach(run => appendRun(run, 0));
+}
+
+/**
+ * Inline form on a history item for branching the run: pick the step to
+ * branch after, then a new directive and/or genre lock for what follows.
+ */
+function openForkForm(item, run) {
+    if (item.querySelector('.history-fork')) return;
+
+    const steps = branchableSteps(run.pipelineCtx);
+    const genreOptions = [...genrePreferenceInput.options]
+        .filter(opt => opt.value && opt.value !== 'custom')
+        .map(opt => `<option value="${opt.value}">${opt.textContent.trim()}</option>`)
+        .join('');
+
+    const form = document.createElement('form');
+    form.className = 'history-fork';
+    form.innerHTML = `
+      <label>Branch after
+        <select class="history-fork-step">${steps.map(step => `<option value="${step}">${PIPELINE_STEP_LABELS[step] || step}</option>`).join('')}</select>
+      </label>
+      <input class="history-fork-directive" type="text" placeholder="New directive for this branch">
+      <select class="history-fork-genre"><option value="">Keep the run's genre lens</option>${genreOptions}</select>
+      <div class="history-fork-actions">
+        <button type="button" class="history-fork-cancel">Cancel</button>
+        <button type="submit" class="history-fork-start">⑂ Start branch</button>
+      </div>
+    `;
+    const stepSelect = form.querySelector('.history-fork-step');
+    const directiveInput = form.querySelector('.history-fork-directive');
+    stepSelect.value = steps.includes('draftV1') ? 'draftV1' : steps[steps.length - 1];
+
+    form.addEventListener('click', (e) => e.stopPropagation());
+    form.querySelector('.history-fork-cancel').addEventListener('click', () => form.remove());
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const directive = directiveInput.value.trim();
+        const genrePreference = form.querySelector('.history-fork-genre').value || null;
+        if (!directive && !genrePreference) {
+            directiveInput.focus();
+            return;
+        }
+        if (pipelineRunning) {
+            showError('Wait for the current pipeline to finish before branching a run.');
+            return;
+        }
+        if (abTestRunning) return showError('A prompt A/B test is running — wait for it or cancel it first');
+
+        showSavedPitchDeck(run);
+        closeAllPanels();
+        const progressMsg = document.createElement('div');
+        progressMsg.className = 'qa-msg assistant';
+        qaMessages.appendChild(progressMsg);
+        await executeRerun(directive, progressMsg, { fromStep: stepSelect.value, genrePreference, run });
+        await refreshHistoryList();
     });
+
+    item.appendChild(form);
+    directiveInput.focus();
 }
 
 // Stash for saving pipeline state when browsing history mid-run
@@ -1014,6 +1578,7 @@ function showSavedPitchDeck(run) {
     }
 
     pitchDeckContent.innerHTML = md(run.finalPitchDeck);
+    appendSpecialistNotes(run);
     pitchDeckEl.classList.remove('hidden');
 
     // Extract and display Gatekeeper badges
@@ -1024,6 +1589,8 @@ function showSavedPitchDeck(run) {
     // Only update chat/lastPitchDeck if no pipeline is running
     if (!pipelineRunning) {
         lastPitchDeck = run.finalPitchDeck;
+        lastSeedIdea = run.pipelineCtx?.seedIdea || run.seedIdea;
+        currentRunRecord = run;
         initChatSession(run.finalPitchDeck);
     } else {
         // Show back-to-pipeline button so user can return to the active run
@@ -1158,6 +1725,424 @@ if (backToPipelineBtn) {
 }
 const maxIterationsInput = document.getElementById('max-iterations');
 
+/** Revision-round override from Advanced Settings; null keeps the quality policy's own limits. */
+function getMaxRevisions() {
+    return maxIterationsInput?.value ? parseInt(maxIterationsInput.value, 10) : null;
+}
+
+// ─── Quality Policy ─────────────────────────────────────────────
+const qualityProfileInput = document.getElementById('quality-profile');
+const qualityProfileDesc = document.getElementById('quality-profile-desc');
+// A preset's custom policy object (see resolveQualityPolicy), in force until
+// another profile is picked
+let presetQualityPolicy = null;
+
+if (qualityProfileInput) {
+    for (const [key, profile] of Object.entries(QUALITY_PROFILES)) {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = profile.label;
+        qualityProfileInput.appendChild(option);
+    }
+    qualityProfileInput.value = DEFAULT_QUALITY_PROFILE;
+    const describeProfile = () => {
+        if (qualityProfileDesc) qualityProfileDesc.textContent = QUALITY_PROFILES[qualityProfileInput.value]?.description || '';
+    };
+    qualityProfileInput.addEventListener('change', () => {
+        presetQualityPolicy = null;
+        describeProfile();
+    });
+    describeProfile();
+}
+
+/** Quality profile chosen in Advanced Settings, or the applied preset's custom policy. */
+function getQualityPolicy() {
+    return presetQualityPolicy ?? (qualityProfileInput?.value || DEFAULT_QUALITY_PROFILE);
+}
+
+// ─── Budget Cap ─────────────────────────────────────────────────
+const budgetMaxTokensInput = document.getElementById('budget-max-tokens');
+const budgetMaxCostInput = document.getElementById('budget-max-cost');
+const budgetMaxPromptTokensInput = document.getElementById('budget-max-prompt-tokens');
+
+/** Budget from Advanced Settings, or null when every limit is blank. */
+function getRunBudget() {
+    const maxTokens = parseInt(budgetMaxTokensInput?.value, 10) || null;
+    const maxCostUsd = parseFloat(budgetMaxCostInput?.value) || null;
+    const maxPromptTokens = parseInt(budgetMaxPromptTokensInput?.value, 10) || null;
+    return maxTokens || maxCostUsd || maxPromptTokens ? { maxTokens, maxCostUsd, maxPromptTokens } : null;
+}
+
+// ─── Approval Gates ─────────────────────────────────────────────
+const APPROVAL_GATES_KEY = 'scriptwriter_approval_gates';
+const approvalGateInputs = [...document.querySelectorAll('#approval-gates input[type="checkbox"]')];
+
+/** Steps the standard pipeline pauses after for approval (see APPROVAL_GATES). */
+function getApprovalGates() {
+    return approvalGateInputs.filter(input => input.checked).map(input => input.value);
+}
+
+try {
+    const saved = JSON.parse(localStorage.getItem(APPROVAL_GATES_KEY) || '[]');
+    approvalGateInputs.forEach(input => { input.checked = saved.includes(input.value); });
+} catch { }
+approvalGateInputs.forEach(input => input.addEventListener('change', () => {
+    localStorage.setItem(APPROVAL_GATES_KEY, JSON.stringify(getApprovalGates()));
+}));
+
+/**
+ * Show an approval card in the timeline and wait for the user.
+ * Resolves with { text, directive } — text only when edited (see runPipeline's cbs.onApprovalGate).
+ */
+function showApprovalCard(gate) {
+    const card = document.createElement('div');
+    card.className = 'approval-card';
+    card.innerHTML = `
+      <h4 class="approval-card-title">⏸️ Approval needed — <span class="approval-card-label"></span></h4>
+      <p class="approval-card-desc">Edit the output in place, add a directive for the rest of the team, or approve it as-is.</p>
+      <textarea spellcheck="false"></textarea>
+      <input class="genre-custom-input" type="text" placeholder="Optional directive for downstream agents">
+      <div class="approval-card-actions">
+        <button type="button" class="approval-reset">↺ Reset edits</button>
+        <button type="button" class="approval-approve">✓ Approve &amp; Continue</button>
+      </div>
+    `;
+    card.querySelector('.approval-card-label').textContent = gate.label;
+    const textarea = card.querySelector('textarea');
+    const directiveInput = card.querySelector('input');
+    textarea.value = gate.text;
+    timelineEl.appendChild(card);
+    card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+    return new Promise((resolve) => {
+        card.querySelector('.approval-reset').addEventListener('click', () => { textarea.value = gate.text; });
+        card.querySelector('.approval-approve').addEventListener('click', () => {
+            const edited = textarea.value.trim() !== gate.text.trim();
+            const directive = directiveInput.value.trim();
+            const changes = [edited && 'edits', directive && 'a directive'].filter(Boolean);
+            card.classList.add('resolved');
+            card.querySelector('.approval-card-desc').textContent = changes.length ? `Approved with ${changes.join(' and ')}.` : 'Approved as-is.';
+            resolve({ text: edited ? textarea.value : undefined, directive: directive || undefined });
+        });
+    });
+}
+
+/** Retire approval cards left open when a run stops. */
+function closeApprovalCards() {
+    document.querySelectorAll('.approval-card:not(.resolved)').forEach(card => {
+        card.classList.add('resolved');
+        card.querySelector('.approval-card-desc').textContent = 'Run stopped before this step was approved — resume to pick up here.';
+    });
+}
+
+// ─── Custom Agents ──────────────────────────────────────────────
+// The team's own specialists (see agentLibrary.js). Enabled ones are passed
+// to every standard run as opts.customAgents.
+const customAgentList = document.getElementById('custom-agent-list');
+const customAgentOverlay = document.getElementById('custom-agent-overlay');
+const customAgentTitle = document.getElementById('custom-agent-title');
+const customAgentIdInput = document.getElementById('custom-agent-id');
+const customAgentNameInput = document.getElementById('custom-agent-name');
+const customAgentIconInput = document.getElementById('custom-agent-icon');
+const customAgentColorInput = document.getElementById('custom-agent-color');
+const customAgentHookInput = document.getElementById('custom-agent-hook');
+const customAgentTools = document.getElementById('custom-agent-tools');
+const customAgentPromptInput = document.getElementById('custom-agent-prompt');
+const customAgentStatus = document.getElementById('custom-agent-status');
+let customAgents = [];
+let editingCustomAgent = null;
+
+const hookLabel = (hookId) => CUSTOM_AGENT_HOOKS.find(h => h.id === hookId)?.label || hookId;
+
+customAgentHookInput.innerHTML = CUSTOM_AGENT_HOOKS.map(h => `<option value="${h.id}">${h.label}</option>`).join('');
+customAgentTools.innerHTML = Object.entries(CUSTOM_AGENT_TOOLS)
+    .map(([tool, label]) => `<label><input type="checkbox" value="${tool}"> ${label}</label>`).join('');
+
+/** Definitions of the enabled custom agents, for runPipeline. */
+function getCustomAgents() {
+    return customAgents.filter(agent => agent.enabled)
+        .map(({ id, name, icon, color, systemPrompt, hook, tools }) => ({ id, name, icon, color, systemPrompt, hook, tools }));
+}
+
+async function refreshCustomAgents() {
+    customAgents = await listCustomAgents();
+    customAgentList.innerHTML = '';
+    if (customAgents.length === 0) {
+        customAgentList.innerHTML = '<p class="advanced-section-desc">No custom agents yet.</p>';
+        return;
+    }
+    for (const agent of customAgents) {
+        const row = document.createElement('div');
+        row.className = 'custom-agent-row';
+        row.style.setProperty('--agent-color', agent.color);
+        row.innerHTML = `
+            <input type="checkbox" title="Run this agent in standard runs">
+            <span class="custom-agent-label"><span class="custom-agent-name"></span><span class="custom-agent-hook-name"></span></span>
+            <button type="button" class="preset-btn custom-agent-edit">Edit</button>
+            <button type="button" class="preset-btn custom-agent-delete" title="Delete this agent">🗑</button>
+        `;
+        row.querySelector('.custom-agent-name').textContent = `${agent.icon} ${agent.name}`;
+        row.querySelector('.custom-agent-hook-name').textContent = hookLabel(agent.hook);
+        const toggle = row.querySelector('input');
+        toggle.checked = agent.enabled;
+        toggle.addEventListener('change', async () => {
+            try {
+                await saveCustomAgent({ ...agent, enabled: toggle.checked });
+            } catch (err) {
+                console.warn('Custom agent update failed:', err.message);
+            }
+            await refreshCustomAgents();
+        });
+        row.querySelector('.custom-agent-edit').addEventListener('click', () => openCustomAgentEditor(agent));
+        row.querySelector('.custom-agent-delete').addEventListener('click', async () => {
+            if (!confirm(`Delete the custom agent "${agent.name}"?`)) return;
+            await deleteCustomAgent(agent.id);
+            await refreshCustomAgents();
+        });
+        customAgentList.appendChild(row);
+    }
+}
+refreshCustomAgents();
+
+function openCustomAgentEditor(agent = null) {
+    editingCustomAgent = agent;
+    customAgentTitle.textContent = agent ? `${agent.icon} ${agent.name}` : 'New Custom Agent';
+    customAgentIdInput.value = agent?.id || '';
+    // The id keys the saved agent and its outputs in past runs
+    customAgentIdInput.disabled = !!agent;
+    customAgentNameInput.value = agent?.name || '';
+    customAgentIconInput.value = agent?.icon || '🧩';
+    customAgentColorInput.value = agent?.color || '#868e96';
+    customAgentHookInput.value = agent?.hook || CUSTOM_AGENT_HOOKS[0].id;
+    customAgentTools.querySelectorAll('input').forEach(input => { input.checked = agent?.tools.includes(input.value) ?? false; });
+    customAgentPromptInput.value = agent?.systemPrompt || '';
+    customAgentStatus.textContent = '';
+    customAgentStatus.classList.remove('error');
+    customAgentOverlay.classList.remove('hidden');
+    setTimeout(() => (agent ? customAgentPromptInput : customAgentIdInput).focus(), 100);
+}
+
+function closeCustomAgentEditor() {
+    customAgentOverlay.classList.add('hidden');
+    editingCustomAgent = null;
+}
+
+document.getElementById('custom-agent-new').addEventListener('click', () => openCustomAgentEditor());
+
+document.getElementById('custom-agent-save').addEventListener('click', async () => {
+    const id = customAgentIdInput.value.trim();
+    if (!editingCustomAgent && customAgents.some(agent => agent.id === id)) {
+        customAgentStatus.textContent = `⚠ A custom agent with the id "${id}" already exists`;
+        customAgentStatus.classList.add('error');
+        return;
+    }
+    try {
+        await saveCustomAgent({
+            id,
+            name: customAgentNameInput.value,
+            icon: customAgentIconInput.value,
+            color: customAgentColorInput.value,
+            hook: customAgentHookInput.value,
+            tools: [...customAgentTools.querySelectorAll('input:checked')].map(input => input.value),
+            systemPrompt: customAgentPromptInput.value,
+            enabled: editingCustomAgent?.enabled ?? true,
+        });
+    } catch (err) {
+        customAgentStatus.textContent = `⚠ ${err.message}`;
+        customAgentStatus.classList.add('error');
+        return;
+    }
+    await refreshCustomAgents();
+    closeCustomAgentEditor();
+});
+
+document.getElementById('custom-agent-cancel').addEventListener('click', closeCustomAgentEditor);
+document.getElementById('custom-agent-close').addEventListener('click', closeCustomAgentEditor);
+customAgentOverlay.addEventListener('click', (e) => {
+    if (e.target === customAgentOverlay) closeCustomAgentEditor();
+});
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !customAgentOverlay.classList.contains('hidden')) {
+        closeCustomAgentEditor();
+    }
+});
+
+/** A saved run's custom agent outputs, below its pitch card. */
+function appendSpecialistNotes(run) {
+    const outputs = run.pipelineCtx?.customAgentOutputs;
+    const agents = (run.options?.customAgents || []).filter(agent => outputs?.[agent.hook]?.[agent.id]);
+    if (agents.length === 0) return;
+    const notes = document.createElement('details');
+    notes.className = 'specialist-notes';
+    notes.innerHTML = '<summary>🧩 Custom agent outputs</summary>';
+    for (const agent of agents) {
+        const section = document.createElement('div');
+        section.innerHTML = `<h3></h3>${md(outputs[agent.hook][agent.id])}`;
+        section.querySelector('h3').textContent = `${agent.icon} ${agent.name} — ${hookLabel(agent.hook)}`;
+        notes.appendChild(section);
+    }
+    pitchDeckContent.appendChild(notes);
+}
+
+// ─── Model Provider ─────────────────────────────────────────────
+const PROVIDER_SETTINGS_KEY = 'scriptwriter_provider';
+const llmProviderSelect = document.getElementById('llm-provider');
+const llmModelInput = document.getElementById('llm-model');
+
+function applyProviderSettings() {
+    const settings = { name: llmProviderSelect.value, model: llmModelInput.value.trim() || null };
+    llmModelInput.classList.toggle('hidden', settings.name === 'mock');
+    try {
+        setProvider(createProvider(settings));
+        localStorage.setItem(PROVIDER_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.warn('Provider settings not applied:', e.message);
+    }
+}
+
+if (llmProviderSelect) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROVIDER_SETTINGS_KEY) || 'null');
+        if (saved?.name) llmProviderSelect.value = saved.name;
+        if (saved?.model) llmModelInput.value = saved.model;
+    } catch { }
+    applyProviderSettings();
+    llmProviderSelect.addEventListener('change', applyProviderSettings);
+    llmModelInput.addEventListener('change', applyProviderSettings);
+}
+
+// ─── Record / Replay cassettes ──────────────────────────────────
+const cassetteModeSelect = document.getElementById('cassette-mode');
+const cassetteLoad = document.getElementById('cassette-load');
+const cassetteFile = document.getElementById('cassette-file');
+const cassetteName = document.getElementById('cassette-name');
+const cassetteStatus = document.getElementById('cassette-status');
+let loadedCassette = null;
+
+function setCassetteStatus(text, state = '') {
+    cassetteStatus.className = `custom-pipeline-status ${state}`;
+    cassetteStatus.textContent = text;
+}
+
+if (cassetteModeSelect) {
+    cassetteModeSelect.addEventListener('change', () => {
+        const mode = cassetteModeSelect.value;
+        cassetteLoad.classList.toggle('hidden', mode !== 'replay');
+        if (mode === 'record') setCassetteStatus('⏺ The next launch will be recorded and downloaded as a cassette.', 'valid');
+        else if (mode === 'replay' && loadedCassette) setCassetteStatus(`▶ Replaying "${loadedCassette.meta?.seeds?.join(' / ') || 'cassette'}" on the next launch.`, 'valid');
+        else cassetteStatus.classList.add('hidden');
+    });
+
+    cassetteFile.addEventListener('change', async () => {
+        const file = cassetteFile.files[0];
+        cassetteFile.value = '';
+        if (!file) return;
+        let cassette = null;
+        let problem;
+        try {
+            cassette = JSON.parse(await file.text());
+            problem = validateCassette(cassette);
+        } catch (e) {
+            problem = `Not valid JSON: ${e.message}`;
+        }
+        if (problem) {
+            loadedCassette = null;
+            cassetteName.textContent = 'Load cassette JSON…';
+            setCassetteStatus(`⛔ ${file.name}: ${problem}`, 'invalid');
+            return;
+        }
+        loadedCassette = cassette;
+        cassetteName.textContent = `📼 ${file.name}`;
+        // Replay needs the same input the recording had
+        if (cassette.meta?.rawInput) seedInput.value = cassette.meta.rawInput;
+        setCassetteStatus(`▶ ${cassette.interactions.length} recorded calls from ${new Date(cassette.recordedAt).toLocaleString()}. Launch to replay — keep the same settings as the recording.`, 'valid');
+    });
+}
+
+/**
+ * Start the cassette session chosen in Advanced Settings for one launch.
+ * @returns {function(): void} — call when the launch ends; downloads the recording or reports replay drift
+ */
+function beginCassetteSession(meta) {
+    const mode = cassetteModeSelect?.value;
+    if (mode === 'record') {
+        const recorder = startRecording(meta);
+        return () => {
+            const cassette = recorder.stop();
+            const stamp = cassette.recordedAt.replace(/[:.]/g, '-');
+            saveAs(new Blob([JSON.stringify(cassette, null, 2)], { type: 'application/json' }), `cassette-${stamp}.json`);
+            setCassetteStatus(`💾 Saved ${cassette.interactions.length} calls to cassette-${stamp}.json.`, 'valid');
+        };
+    }
+    if (mode === 'replay') {
+        if (!loadedCassette) throw new Error('Replay is selected in Advanced Settings but no cassette is loaded.');
+        const player = startReplay(loadedCassette);
+        return () => {
+            const { served, unused, drift } = player.stop();
+            setCassetteStatus(`▶ Replayed ${served} calls${unused ? `, ${unused} unused` : ''}${drift.length ? `, ${drift.length} with prompt drift` : ''}.`, unused || drift.length ? '' : 'valid');
+        };
+    }
+    return () => { };
+}
+
+// ─── Custom Pipeline (Pipeline Architect layout) ────────────────
+// Held in memory only — reload the JSON after a page refresh.
+let customPipeline = null; // { name, layout }
+const customPipelineFile = document.getElementById('custom-pipeline-file');
+const customPipelineName = document.getElementById('custom-pipeline-name');
+const customPipelineStatus = document.getElementById('custom-pipeline-status');
+const customPipelineClear = document.getElementById('custom-pipeline-clear');
+
+function renderCustomPipelineStatus(graph, fileName) {
+    const valid = graph.errors.length === 0;
+    customPipelineStatus.className = `custom-pipeline-status ${valid ? 'valid' : 'invalid'}`;
+    customPipelineStatus.textContent = valid
+        ? `✅ Active — ${graph.waves.flat().length} nodes in ${graph.waves.length} steps. Seed runs use this pipeline.`
+        : `⛔ ${fileName} can't run:`;
+
+    const items = valid ? graph.warnings : graph.errors;
+    if (items.length > 0) {
+        const list = document.createElement('ul');
+        for (const item of items) {
+            const li = document.createElement('li');
+            li.textContent = item;
+            list.appendChild(li);
+        }
+        customPipelineStatus.appendChild(list);
+    }
+}
+
+if (customPipelineFile) {
+    customPipelineFile.addEventListener('change', async () => {
+        const file = customPipelineFile.files[0];
+        customPipelineFile.value = '';
+        if (!file) return;
+        const layout = await file.text();
+        const graph = compilePipelineGraph(layout);
+        customPipeline = graph.errors.length === 0 ? { name: file.name, layout: JSON.parse(layout) } : null;
+        customPipelineName.textContent = customPipeline ? `🧩 ${file.name}` : 'Load pipeline JSON…';
+        customPipelineClear.classList.toggle('hidden', !customPipeline);
+        renderCustomPipelineStatus(graph, file.name);
+    });
+
+    customPipelineClear.addEventListener('click', () => {
+        customPipeline = null;
+        customPipelineName.textContent = 'Load pipeline JSON…';
+        customPipelineStatus.classList.add('hidden');
+        customPipelineClear.classList.add('hidden');
+    });
+}
+
+/**
+ * Run one seed through the loaded custom pipeline, or the standard one.
+ */
+function runSeedPipeline(seedText, opts) {
+    if (customPipeline) return runPipelineGraph(customPipeline.layout, seedText, pipelineCallbacks, opts);
+    const runOpts = { customAgents: getCustomAgents(), ...opts };
+    trackRunBranch(runOpts);
+    return runPipeline(seedText, pipelineCallbacks, { approvalGates: getApprovalGates(), ...runOpts });
+}
+
 // ─── Chaos Mode Toggle ──────────────────────────────────────────
 let selectedChaosMode = 'exploration';
 const chaosModeToggle = document.getElementById('chaos-mode-toggle');
@@ -1186,6 +2171,225 @@ if (storyModeToggle) {
     });
 }
 
+const runDirectiveInput = document.getElementById('run-directive');
+const seriesFormatInput = document.getElementById('series-format');
+const outputLanguageInput = document.getElementById('output-language');
+for (const [code, { name, nativeName }] of Object.entries(OUTPUT_LANGUAGES)) {
+    outputLanguageInput.appendChild(new Option(name === nativeName ? name : `${nativeName} (${name})`, code));
+}
+outputLanguageInput.value = DEFAULT_LANGUAGE;
+
+/** Output language from the form: a language code, or null for English. */
+function getOutputLanguage() {
+    return outputLanguageInput.value === DEFAULT_LANGUAGE ? null : outputLanguageInput.value;
+}
+
+/**
+ * Series format from the form ("6x50", "3-part"), or null for a single film.
+ * @throws {Error} if the format is not understood
+ */
+function getSeriesFormat() {
+    return parseSeriesFormat(seriesFormatInput.value);
+}
+
+/** Phases a seed run shows — series mode adds Phase 7 (custom pipelines don't run it). */
+function seedPhaseCount(series) {
+    return series && !customPipeline ? 7 : 6;
+}
+
+/** Genre lock from the form: a genre key, custom genre text, or null. */
+function getGenrePreference() {
+    return genrePreferenceInput.value === 'custom'
+        ? (genreCustomInput.value.trim() || null)
+        : (genrePreferenceInput.value || null);
+}
+
+// ─── Run Presets ────────────────────────────────────────────────
+// A preset snapshots every run setting on the form (see presets.js), plus
+// persona prompts and generation settings edited away from their defaults.
+const presetSelect = document.getElementById('run-preset');
+const presetNameInput = document.getElementById('preset-name');
+const presetStatus = document.getElementById('preset-status');
+const presetDeleteBtn = document.getElementById('preset-delete');
+let savedPresets = [];
+
+/** Persona prompts that differ from the shipped ones, by agent id. */
+function getPersonaOverrides() {
+    return Object.fromEntries(ALL_AGENTS
+        .filter(a => a.systemPrompt !== DEFAULT_PERSONA_PROMPTS[a.id])
+        .map(a => [a.id, a.systemPrompt]));
+}
+
+/** Persona generation settings that differ from the shipped ones, by agent id. */
+function getGenerationOverrides() {
+    return Object.fromEntries(ALL_AGENTS
+        .filter(a => JSON.stringify(a.generation) !== JSON.stringify(DEFAULT_GENERATION[a.id]))
+        .map(a => [a.id, a.generation]));
+}
+
+/**
+ * Restore every persona's shipped prompt and generation settings, then apply
+ * the given edits.
+ */
+function applyPersonaOverrides(overrides = {}, generationOverrides = {}) {
+    for (const agent of ALL_AGENTS) {
+        agent.systemPrompt = overrides[agent.id] ?? DEFAULT_PERSONA_PROMPTS[agent.id];
+        agent.generation = generationOverrides[agent.id] ?? DEFAULT_GENERATION[agent.id];
+    }
+    const unknown = [...Object.keys(overrides), ...Object.keys(generationOverrides)].filter(id => !AGENT_MAP[id]);
+    if (unknown.length > 0) console.warn('Preset persona overrides for unknown agents ignored:', [...new Set(unknown)].join(', '));
+}
+
+/**
+ * Run fn with a preset's persona prompts and generation settings in place,
+ * restoring the current ones afterwards. Without a preset, fn runs with the
+ * personas as they are.
+ */
+async function withPersonaOverrides(preset, fn) {
+    if (!preset) return fn();
+    const current = ALL_AGENTS.map(a => ({ agent: a, systemPrompt: a.systemPrompt, generation: a.generation }));
+    applyPersonaOverrides(preset.personaOverrides, preset.generationOverrides);
+    try {
+        return await fn();
+    } finally {
+        for (const { agent, systemPrompt, generation } of current) Object.assign(agent, { systemPrompt, generation });
+    }
+}
+
+/** Every run setting on the form, as preset settings. */
+function captureRunSettings() {
+    return {
+        platform: targetPlatformInput.value || null,
+        year: productionYearInput.value ? parseInt(productionYearInput.value, 10) : null,
+        genrePreference: getGenrePreference(),
+        chaosMode: selectedChaosMode,
+        grandNarrativeMode,
+        maxRevisions: getMaxRevisions(),
+        qualityPolicy: getQualityPolicy(),
+        directive: runDirectiveInput.value.trim() || null,
+        series: getSeriesFormat(),
+        language: getOutputLanguage(),
+        budget: getRunBudget(),
+        approvalGates: getApprovalGates(),
+        personaOverrides: getPersonaOverrides(),
+        generationOverrides: getGenerationOverrides(),
+    };
+}
+
+/** Set the form (and persona prompts and generation settings) from a preset. */
+function applyRunSettings(preset) {
+    targetPlatformInput.value = preset.platform || '';
+    productionYearInput.value = preset.year ?? '';
+
+    const genreOption = [...genrePreferenceInput.options].some(o => o.value === preset.genrePreference && o.value !== 'custom');
+    if (!preset.genrePreference || genreOption) {
+        genrePreferenceInput.value = preset.genrePreference || '';
+        genreCustomInput.classList.add('hidden');
+        genreCustomInput.value = '';
+    } else {
+        genrePreferenceInput.value = 'custom';
+        genreCustomInput.classList.remove('hidden');
+        genreCustomInput.value = preset.genrePreference;
+    }
+    genrePreferenceInput.dispatchEvent(new Event('change'));
+
+    selectedChaosMode = preset.chaosMode;
+    chaosModeToggle?.querySelectorAll('.chaos-mode-btn').forEach(b => b.classList.toggle('active', b.dataset.chaos === preset.chaosMode));
+    grandNarrativeMode = preset.grandNarrativeMode;
+    storyModeToggle?.querySelectorAll('.chaos-mode-btn').forEach(b => {
+        b.classList.toggle('active', b.dataset.story === (preset.grandNarrativeMode ? 'narrative' : 'discovery'));
+    });
+
+    if (maxIterationsInput) maxIterationsInput.value = preset.maxRevisions ?? '';
+    const customPolicy = typeof preset.qualityPolicy === 'object' ? preset.qualityPolicy : null;
+    if (qualityProfileInput) {
+        qualityProfileInput.value = customPolicy ? (customPolicy.profile || DEFAULT_QUALITY_PROFILE) : preset.qualityPolicy;
+        qualityProfileInput.dispatchEvent(new Event('change'));
+        if (customPolicy && qualityProfileDesc) qualityProfileDesc.textContent += ' Gate settings customised by the preset.';
+    }
+    presetQualityPolicy = customPolicy;
+    runDirectiveInput.value = preset.directive || '';
+    seriesFormatInput.value = formatSeries(preset.series);
+    outputLanguageInput.value = preset.language || DEFAULT_LANGUAGE;
+    if (budgetMaxTokensInput) budgetMaxTokensInput.value = preset.budget?.maxTokens ?? '';
+    if (budgetMaxCostInput) budgetMaxCostInput.value = preset.budget?.maxCostUsd ?? '';
+    if (budgetMaxPromptTokensInput) budgetMaxPromptTokensInput.value = preset.budget?.maxPromptTokens ?? '';
+    approvalGateInputs.forEach(input => { input.checked = preset.approvalGates.includes(input.value); });
+    localStorage.setItem(APPROVAL_GATES_KEY, JSON.stringify(getApprovalGates()));
+
+    applyPersonaOverrides(preset.personaOverrides, preset.generationOverrides);
+}
+
+async function refreshPresetSelect(selectedId = presetSelect.value) {
+    savedPresets = await listPresets();
+    presetSelect.innerHTML = '<option value="">No preset</option>';
+    for (const preset of savedPresets) {
+        const option = document.createElement('option');
+        option.value = preset.id;
+        option.textContent = preset.name;
+        presetSelect.appendChild(option);
+    }
+    presetSelect.value = savedPresets.some(p => p.id === selectedId) ? selectedId : '';
+    presetDeleteBtn.disabled = !presetSelect.value;
+}
+
+presetSelect.addEventListener('change', () => {
+    const preset = savedPresets.find(p => p.id === presetSelect.value);
+    presetDeleteBtn.disabled = !preset;
+    if (!preset) return;
+    applyRunSettings(preset);
+    presetNameInput.value = preset.name;
+    const edited = new Set([...Object.keys(preset.personaOverrides), ...Object.keys(preset.generationOverrides ?? {})]).size;
+    presetStatus.textContent = `✓ Applied "${preset.name}"${edited ? ` — ${edited} persona${edited === 1 ? '' : 's'} edited` : ''}`;
+});
+
+document.getElementById('preset-save').addEventListener('click', async () => {
+    const name = presetNameInput.value.trim();
+    if (!name) {
+        presetNameInput.focus();
+        return;
+    }
+    try {
+        const preset = await savePreset({ name, ...captureRunSettings() });
+        await refreshPresetSelect(preset.id);
+        presetStatus.textContent = `✓ Saved "${preset.name}"`;
+    } catch (err) {
+        showError(`Could not save preset: ${err.message}`);
+    }
+});
+
+presetDeleteBtn.addEventListener('click', async () => {
+    const preset = savedPresets.find(p => p.id === presetSelect.value);
+    if (!preset) return;
+    await deletePreset(preset.id);
+    await refreshPresetSelect('');
+    presetStatus.textContent = `Deleted "${preset.name}"`;
+});
+
+document.getElementById('preset-export').addEventListener('click', () => {
+    if (savedPresets.length === 0) {
+        presetStatus.textContent = 'No presets to export yet.';
+        return;
+    }
+    saveAs(new Blob([JSON.stringify(exportPresets(savedPresets), null, 2)], { type: 'application/json' }), 'run-presets.json');
+});
+
+document.getElementById('preset-import').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+        const presets = parsePresetFile(JSON.parse(await file.text()));
+        for (const preset of presets) await savePreset(preset);
+        await refreshPresetSelect();
+        presetStatus.textContent = `✓ Imported ${presets.length} preset${presets.length === 1 ? '' : 's'} from ${file.name}`;
+    } catch (err) {
+        showError(`Could not import presets: ${err.message}`);
+    }
+});
+
+refreshPresetSelect();
+
 
 // Toggle custom genre input visibility
 genrePreferenceInput.addEventListener('change', () => {
@@ -1364,6 +2568,8 @@ function createPipelineStatusBar(seedLabel) {
         <span class="psb-seed"></span>
       </div>
       <div class="psb-right">
+        <span class="psb-queue"></span>
+        <span class="psb-usage"></span>
         <span class="psb-timer">0:00</span>
         <button class="psb-return" title="Return to live pipeline">↗ Return to Pipeline</button>
         <button class="psb-cancel" title="Cancel the running pipeline">✕</button>
@@ -1386,6 +2592,8 @@ function createPipelineStatusBar(seedLabel) {
         const secs = elapsed % 60;
         const timerEl = bar.querySelector('.psb-timer');
         if (timerEl) timerEl.textContent = `${mins}:${secs.toString().padStart(2, '0')}`;
+        // Keeps the quota countdown ticking between queue changes
+        updateStatusBarQueue();
     }, 1000);
 
     pipelineStatusBar = bar;
@@ -1401,6 +2609,99 @@ function updatePipelineStatusBar(phaseLabel, agentLabel) {
     if (label) label.textContent = agentLabel ? `${_currentPhaseLabel} — ${agentLabel}` : _currentPhaseLabel;
 }
 
+// Usage of the run in progress, and of earlier runs in the same launch (hands-free / batch)
+let lastRunUsage = null;
+let launchUsage = null;
+
+function updateStatusBarUsage() {
+    const usageEl = pipelineStatusBar?.querySelector('.psb-usage');
+    if (!usageEl || !lastRunUsage) return;
+    if (!launchUsage) {
+        usageEl.textContent = `🪙 ${formatUsage(lastRunUsage)}`;
+        return;
+    }
+    const combined = { ...launchUsage };
+    for (const key of ['calls', 'totalTokens', 'costUsd', 'unpricedCalls']) combined[key] += lastRunUsage[key];
+    usageEl.textContent = `🪙 ${formatUsage(lastRunUsage)} (launch: ${formatUsage(combined)})`;
+}
+
+// Agent calls waiting for a free slot, or held after a quota error (see gemini.js)
+function updateStatusBarQueue() {
+    const queueEl = pipelineStatusBar?.querySelector('.psb-queue');
+    if (!queueEl) return;
+    const { inFlight, queued, maxInFlight, quotaWaitUntil } = getRequestQueueState();
+    queueEl.classList.toggle('quota', Boolean(quotaWaitUntil));
+    if (quotaWaitUntil) {
+        const secs = Math.ceil((quotaWaitUntil - Date.now()) / 1000);
+        queueEl.textContent = `⏳ Waiting on quota — ${secs}s${queued > 0 ? ` (${queued} queued)` : ''}`;
+    } else {
+        queueEl.textContent = queued > 0 ? `⏳ ${queued} queued (${inFlight}/${maxInFlight} running)` : '';
+    }
+}
+onRequestQueue(updateStatusBarQueue);
+
+/** Fold the finished run into the launch total and return its usage for saveRun(). */
+function finishRunUsage() {
+    const usage = lastRunUsage;
+    if (usage) {
+        launchUsage ||= { calls: 0, totalTokens: 0, costUsd: 0, unpricedCalls: 0 };
+        for (const key of Object.keys(launchUsage)) launchUsage[key] += usage[key];
+    }
+    lastRunUsage = null;
+    return usage;
+}
+
+// Trace of the last pipeline run (see trace.js), saved with the run
+let lastRunTrace = null;
+
+/** Return the finished run's trace for saveRun() and reset it. */
+function finishRunTrace() {
+    const trace = lastRunTrace;
+    lastRunTrace = null;
+    return trace;
+}
+
+// Prompt version of each edited persona in the last run, saved with the run
+let lastRunPromptVersions = null;
+
+/** Return the finished run's prompt version tags for saveRun() and reset them. */
+function finishRunPromptVersions() {
+    const tags = lastRunPromptVersions;
+    lastRunPromptVersions = null;
+    return tags;
+}
+
+/** Offer the trace of a run that did not complete, below its timeline. */
+function showTraceNotice(trace) {
+    const notice = document.createElement('div');
+    notice.className = 'chaos-event-card trace-notice';
+    notice.innerHTML = `<span class="chaos-event-icon">⏱️</span> Run ${trace.status} — <button class="trace-notice-open">View trace</button>`;
+    notice.querySelector('.trace-notice-open').addEventListener('click', () => openTraceViewer(trace));
+    timelineEl.appendChild(notice);
+}
+
+// ─── Run branching ──────────────────────────────────────
+// The standard pipeline's context and options are saved with each run, so a
+// finished run can later be forked from any completed step.
+let runBranchData = { pipelineCtx: null, options: null };
+
+/** The run options a branch inherits (budget, checkpoint and gates are per-launch). */
+function branchOptions({ platform = null, year = null, directive = null, genrePreference = null, maxRevisions = null, qualityPolicy = null, chaosMode = 'precision', grandNarrativeMode = false, series = null, language = null, customAgents = [] } = {}) {
+    return { platform, year, directive, genrePreference, maxRevisions, qualityPolicy, chaosMode, grandNarrativeMode, series, language, customAgents };
+}
+
+/** Start tracking a standard-pipeline run launched with these options. */
+function trackRunBranch(opts) {
+    runBranchData = { pipelineCtx: null, options: branchOptions(opts) };
+}
+
+/** Return the finished run's { pipelineCtx, options } for saveRun() and reset them. */
+function finishRunBranch() {
+    const data = runBranchData;
+    runBranchData = { pipelineCtx: null, options: null };
+    return data;
+}
+
 function removePipelineStatusBar() {
     if (pipelineTimerInterval) { clearInterval(pipelineTimerInterval); pipelineTimerInterval = null; }
     if (pipelineStatusBar) {
@@ -1438,16 +2739,32 @@ const pipelineCallbacks = {
         updateAgentRing(agent);
 
     },
-    onAgentOutput(agent, outputText) {
+    onAgentOutput(agent, outputText, { partial = false } = {}) {
         const card = agentCardMap.get(agent.id);
         if (card) {
-            fillAgentCard(card, outputText);
+            fillAgentCard(card, outputText, { partial });
         }
     },
     onPhaseComplete(phaseNumber) {
         setPhaseCompleted(phaseNumber);
 
     },
+    onUsage(usage) {
+        lastRunUsage = usage;
+        updateStatusBarUsage();
+    },
+    onStepComplete(_step, ctx) {
+        runBranchData.pipelineCtx = ctx;
+    },
+    onTrace(trace) {
+        lastRunTrace = trace;
+        lastRunPromptVersions = currentPromptVersionTags();
+        if (trace.status !== 'complete') showTraceNotice(trace);
+    },
+    onApprovalGate(gate) {
+        updatePipelineStatusBar(null, `⏸️ Awaiting approval — ${gate.label}`);
+        return showApprovalCard(gate);
+    },
     onChaosEvent(type, data) {
         const card = document.createElement('div');
         card.className = 'chaos-event-card';
@@ -1468,16 +2785,47 @@ seedForm.addEventListener('submit', async (e) => {
 
     const rawInput = seedInput.value.trim();
     if (!rawInput) return;
+    if (abTestRunning) return showError('A prompt A/B test is running — wait for it or cancel it first');
 
     const isAssessment = currentMode === 'script';
     const handsFreeModeActive = isHandsFreeMode() && !isAssessment;
 
     // In hands-free mode, treat entire input as a single seed
-    const seeds = handsFreeModeActive
+    let seeds = handsFreeModeActive
         ? [rawInput]
         : rawInput.split('\n').map(s => s.trim()).filter(Boolean);
     if (seeds.length === 0) return;
 
+    // Seed lines may start with a saved preset's name — "[Netflix 2026 chaos] …" —
+    // to run that seed with the preset's settings instead of the form's
+    const seedPresets = [];
+    if (!handsFreeModeActive && !isAssessment && seeds.some(line => line.startsWith('['))) {
+        const presets = await listPresets();
+        const lines = seeds.map(line => splitPresetPrefix(line, presets));
+        const unknown = lines.find(line => line.unknown);
+        if (unknown) {
+            showError(`No preset named "${unknown.unknown}". Save it first, or remove the [brackets] from the seed line.`);
+            return;
+        }
+        seeds = lines.map(line => line.text);
+        lines.forEach((line, i) => { seedPresets[i] = line.preset; });
+        if (seeds.some(seed => !seed)) {
+            showError('A seed line names a preset but has no seed idea after it.');
+            return;
+        }
+    }
+
+    // Series mode applies to seed pipelines; a script assessment is a single film
+    let series = null;
+    if (!isAssessment) {
+        try {
+            series = getSeriesFormat();
+        } catch (err) {
+            showError(err.message);
+            return;
+        }
+    }
+
     const isBatch = !handsFreeModeActive && seeds.length > 1;
 
     // Disable form
@@ -1546,13 +2894,34 @@ seedForm.addEventListener('submit', async (e) => {
 
     const prodYear = productionYearInput.value ? parseInt(productionYearInput.value, 10) : null;
     const targetPlatform = targetPlatformInput.value || null;
-    const genrePreference = genrePreferenceInput.value === 'custom'
-        ? (genreCustomInput.value.trim() || null)
-        : (genrePreferenceInput.value || null);
-    const maxRevisions = maxIterationsInput ? parseInt(maxIterationsInput.value, 10) : 3;
+    const genrePreference = getGenrePreference();
+    const directive = runDirectiveInput.value.trim() || null;
+    const maxRevisions = getMaxRevisions();
+    const qualityPolicy = getQualityPolicy();
+    const language = getOutputLanguage();
+    const budget = getRunBudget();
     const batchResults = []; // { seed, pitchDeck, genreName? }
+    lastRunUsage = null;
+    launchUsage = null;
+    let endCassetteSession = () => { };
 
     try {
+        endCassetteSession = beginCassetteSession({
+            rawInput,
+            seeds,
+            mode: isAssessment ? 'assessment' : (handsFreeModeActive ? 'hands-free' : 'seed'),
+            platform: targetPlatform,
+            year: prodYear,
+            genrePreference,
+            directive,
+            maxRevisions,
+            qualityPolicy,
+            chaosMode: selectedChaosMode,
+            grandNarrativeMode,
+            series,
+            language,
+        });
+
         // ═══════════════════════════════════════════════════
         // HANDS-FREE MODE: Genre suggestion → 3 pipelines
         // ═══════════════════════════════════════════════════
@@ -1611,6 +2980,23 @@ seedForm.addEventListener('submit', async (e) => {
                 };
             };
 
+            // Batch state lists the genres; each genre run checkpoints separately under it
+            const batchState = {
+                batchId: createRunId(),
+                seedIdea: seedText,
+                genreSuggestions,
+                platform: targetPlatform,
+                year: prodYear,
+                directive,
+                chaosMode: selectedChaosMode,
+                grandNarrativeMode,
+                maxRevisions,
+                qualityPolicy,
+                series,
+                language,
+            };
+            const completedGenres = () => batchResults.map(r => ({ genreName: r.genreName, genreKey: genreSuggestions.find(g => g.genreName === r.genreName)?.genreKey, pitchDeck: r.pitchDeck }));
+
             for (let i = 0; i < genreSuggestions.length; i++) {
                 const genre = genreSuggestions[i];
                 const statusEl = document.getElementById(`genre-status-${i}`);
@@ -1623,18 +3009,28 @@ seedForm.addEventListener('submit', async (e) => {
                 launchBtn.querySelector('.btn-text').textContent = `Running ${i + 1}/3…`;
 
                 // Reset phase indicator + timeline for each
-                const totalPhases = 6;
+                const totalPhases = seedPhaseCount(series);
                 buildPhaseIndicator(totalPhases);
                 timelineEl.innerHTML = '';
                 resetAgentRing();
 
-                const finalPitchDeck = await runPipeline(seedText, pipelineCallbacks, {
+                const runId = createRunId();
+                saveBatchState({ ...batchState, completedGenres: completedGenres(), currentIndex: i, currentRunId: runId });
+
+                const finalPitchDeck = await runSeedPipeline(seedText, {
                     platform: targetPlatform,
                     year: prodYear,
                     genrePreference: genre.genreKey,
+                    directive,
                     maxRevisions,
+                    qualityPolicy,
                     chaosMode: selectedChaosMode,
                     grandNarrativeMode,
+                    series,
+                    language,
+                    budget,
+                    runId,
+                    batchId: batchState.batchId,
                 });
 
                 batchResults.push({ seed: seedText, pitchDeck: finalPitchDeck, genreName: genre.genreName });
@@ -1646,21 +3042,11 @@ seedForm.addEventListener('submit', async (e) => {
                 cardEl.classList.remove('active-pipeline');
 
                 // Save each run
-                await saveRun({ seedIdea: `${seedText} [${genre.genreName}]`, finalPitchDeck });
+                currentRunRecord = await saveRun({ seedIdea: `${seedText} [${genre.genreName}]`, finalPitchDeck, usage: finishRunUsage(), trace: finishRunTrace(), promptVersions: finishRunPromptVersions(), ...finishRunBranch() });
                 autoScore(finalPitchDeck, seedText);
 
                 // Save batch state so resume can skip this genre
-                saveBatchState({
-                    seedIdea: seedText,
-                    genreSuggestions,
-                    completedGenres: batchResults.map(r => ({ genreName: r.genreName, genreKey: genreSuggestions.find(g => g.genreName === r.genreName)?.genreKey, pitchDeck: r.pitchDeck })),
-                    currentIndex: i + 1,
-                    platform: targetPlatform,
-                    year: prodYear,
-                    chaosMode: selectedChaosMode,
-                    grandNarrativeMode,
-                    maxRevisions,
-                });
+                saveBatchState({ ...batchState, completedGenres: completedGenres(), currentIndex: i + 1, currentRunId: null });
 
                 // ── Build a result card progressively ──
                 const meta = extractMeta(finalPitchDeck);
@@ -1707,7 +3093,7 @@ seedForm.addEventListener('submit', async (e) => {
             }
 
             // Batch complete — clear batch state
-            clearBatchState();
+            clearBatchState(batchState.batchId);
 
             // Track last seed
             lastSeedIdea = seedText;
@@ -1718,29 +3104,32 @@ seedForm.addEventListener('submit', async (e) => {
             // ═══════════════════════════════════════════════════
             for (let i = 0; i < seeds.length; i++) {
                 const seedText = seeds[i];
+                const preset = seedPresets[i] || null;
 
                 // Update batch banner
                 if (batchBanner) {
                     batchBanner.innerHTML = `<span class="batch-progress">🌱 Seed ${i + 1}/${seeds.length}</span><span class="batch-seed-name"></span>`;
-                    batchBanner.querySelector('.batch-seed-name').textContent = seedText;
+                    batchBanner.querySelector('.batch-seed-name').textContent = preset ? `[${preset.name}] ${seedText}` : seedText;
                     launchBtn.querySelector('.btn-text').textContent = `Running ${i + 1}/${seeds.length}…`;
                 }
 
                 // Reset phase indicator + timeline for each seed
-                const totalPhases = isAssessment ? 4 : 6;
+                const totalPhases = isAssessment ? 4 : seedPhaseCount(preset ? preset.series : series);
                 buildPhaseIndicator(totalPhases);
                 timelineEl.innerHTML = '';
                 resetAgentRing();
 
                 const finalPitchDeck = isAssessment
-                    ? await runAssessment(seedText, pipelineCallbacks, prodYear)
-                    : await runPipeline(seedText, pipelineCallbacks, { platform: targetPlatform, year: prodYear, genrePreference, maxRevisions, chaosMode: selectedChaosMode, grandNarrativeMode });
+                    ? await runAssessment(seedText, pipelineCallbacks, prodYear, { budget })
+                    : await withPersonaOverrides(preset, () => runSeedPipeline(seedText, preset
+                        ? presetRunOptions(preset)
+                        : { platform: targetPlatform, year: prodYear, genrePreference, directive, maxRevisions, qualityPolicy, chaosMode: selectedChaosMode, grandNarrativeMode, series, language, budget }));
 
-                batchResults.push({ seed: seedText, pitchDeck: finalPitchDeck });
                 completeAgentRing();
 
                 // Save each run to history individually
-                await saveRun({ seedIdea: seedText, finalPitchDeck });
+                const run = await saveRun({ seedIdea: seedText, finalPitchDeck, usage: finishRunUsage(), trace: finishRunTrace(), promptVersions: finishRunPromptVersions(), ...finishRunBranch() });
+                batchResults.push({ seed: seedText, pitchDeck: finalPitchDeck, run });
 
                 // Auto-score each (non-blocking)
                 autoScore(finalPitchDeck, seedText);
@@ -1751,6 +3140,7 @@ seedForm.addEventListener('submit', async (e) => {
 
             // Track last seed for /rerun
             lastSeedIdea = batchResults[batchResults.length - 1].seed;
+            currentRunRecord = batchResults[batchResults.length - 1].run;
 
             // ─── Display results ───
             if (batchResults.length === 1) {
@@ -1777,6 +3167,7 @@ seedForm.addEventListener('submit', async (e) => {
                         updateGatekeeperBadges(batchResults[idx].pitchDeck);
                         initChatSession(batchResults[idx].pitchDeck);
                         lastSeedIdea = batchResults[idx].seed;
+                        currentRunRecord = batchResults[idx].run;
                     });
                     tabBar.appendChild(tab);
                 });
@@ -1791,6 +3182,7 @@ seedForm.addEventListener('submit', async (e) => {
                 updateGatekeeperBadges(batchResults[0].pitchDeck);
                 pitchDeckEl.scrollIntoView({ behavior: 'smooth' });
                 initChatSession(batchResults[0].pitchDeck);
+                currentRunRecord = batchResults[0].run;
             }
         }
 
@@ -1810,10 +3202,12 @@ seedForm.addEventListener('submit', async (e) => {
         playCompletionChime('success');
     } catch (err) {
         if (err instanceof PipelineCancelled || err.name === 'PipelineCancelled') {
-            console.log('Pipeline cancelled by user.');
+            console.log(err instanceof BudgetExceeded ? err.message : 'Pipeline cancelled by user.');
             const cancelMsg = document.createElement('div');
             cancelMsg.className = 'pipeline-cancelled-msg';
-            cancelMsg.textContent = '⚠️ Pipeline cancelled. Partial results may be available above.';
+            cancelMsg.textContent = err instanceof BudgetExceeded
+                ? `💰 ${err.message}. Partial results may be available above — raise the cap in Advanced Settings and resume.`
+                : '⚠️ Pipeline cancelled. Partial results may be available above.';
             timelineEl.appendChild(cancelMsg);
             playCompletionChime('cancel');
         } else {
@@ -1823,9 +3217,11 @@ seedForm.addEventListener('submit', async (e) => {
         }
         if (batchBanner) batchBanner.remove();
     } finally {
+        endCassetteSession();
         pipelineRunning = false;
         setPipelineAbortSignal(null);
         simulationEl.querySelector('.cancel-pipeline-btn')?.remove();
+        closeApprovalCards();
         removePipelineStatusBar();
         restorePipelineStash();
         backToPipelineBtn.classList.add('hidden');
@@ -2165,7 +3561,7 @@ ${lastPitchDeck}
 
 Deliver your complete analysis in your standard format.`;
 
-        const result = await callAgent(cmd.agent.systemPrompt, agentPrompt, { tools: cmd.tools });
+        const result = await callAgent(cmd.agent.systemPrompt, agentPrompt, { tools: cmd.tools, generation: cmd.agent.generation, agentId: cmd.agent.id });
 
         typingMsg.innerHTML = `
             <div class="agent-result-header">
@@ -2197,14 +3593,34 @@ function handleUndo() {
 }
 
 // Main chat submit handler
-// Shared rerun pipeline execution (used by /rerun and auto-detected <rerun> tags)
-async function executeRerun(directive, containerEl) {
+// Shared rerun pipeline execution (used by /rerun, /fork, history forks and auto-detected <rerun> tags)
+/**
+ * Re-run the pipeline with a directive. With `fromStep`, branch the saved run
+ * instead: its outputs up to that step are reused, only later steps re-run,
+ * and the result is saved as a child of that run.
+ *
+ * @param {string} directive
+ * @param {HTMLElement} containerEl — chat message to render progress into
+ * @param {object} [branch]
+ * @param {string|null} [branch.fromStep] — PIPELINE_STEPS entry to branch after
+ * @param {string|null} [branch.genrePreference] — genre lock for the branch (default: the run's own)
+ * @param {object|null} [branch.run] — saved run to branch (default: the deck on screen)
+ */
+async function executeRerun(directive, containerEl, { fromStep = null, genrePreference: branchGenre = null, run = currentRunRecord } = {}) {
+    if (abTestRunning) {
+        containerEl.className = 'qa-msg assistant';
+        containerEl.innerHTML = md('A prompt A/B test is running — rerun once it has finished or been cancelled.');
+        return;
+    }
     // Save current deck for undo
     revisionHistory.push(lastPitchDeck);
 
     // Set up progress UI
+    const progressText = fromStep
+        ? `Branching from ${PIPELINE_STEP_LABELS[fromStep] || fromStep} with directive…`
+        : 'Re-running full pipeline with directive…';
     containerEl.className = 'qa-msg assistant rerun-progress';
-    containerEl.innerHTML = `<div class="agent-invoking"><span class="dots"><span></span><span></span><span></span></span> Re-running full pipeline with directive…</div><div class="rerun-log" id="rerun-log"></div>`;
+    containerEl.innerHTML = `<div class="agent-invoking"><span class="dots"><span></span><span></span><span></span></span> ${progressText}</div><div class="rerun-log" id="rerun-log"></div>`;
 
     const rerunLog = containerEl.querySelector('#rerun-log') || containerEl.querySelector('.rerun-log');
     const addLog = (msg) => {
@@ -2213,51 +3629,86 @@ async function executeRerun(directive, containerEl) {
         entry.innerHTML = msg;
         rerunLog.appendChild(entry);
         qaMessages.scrollTop = qaMessages.scrollHeight;
+        return entry;
+    };
+    const addAgentLog = (agent, status) => {
+        addLog(`<span class="rerun-agent"></span> ${status}`).querySelector('.rerun-agent').textContent = `${agent.icon} ${agent.name}`;
     };
 
+    let rerunTrace = null;
     try {
         const rerunCallbacks = {
             onPhaseStart: (n, name) => addLog(`<span class="rerun-phase">Phase ${n}:</span> ${name}`),
-            onAgentThinking: (agent) => addLog(`<span class="rerun-agent">${agent.icon} ${agent.name}</span> thinking…`),
-            onAgentOutput: (agent) => addLog(`<span class="rerun-agent">${agent.icon} ${agent.name}</span> ✓ complete`),
+            onAgentThinking: (agent) => addAgentLog(agent, 'thinking…'),
+            onAgentOutput: (agent, _text, { partial = false } = {}) => partial || addAgentLog(agent, '✓ complete'),
             onPhaseComplete: () => { },
+            onUsage: (usage) => { rerunUsage = usage; },
+            onStepComplete: (_step, ctx) => { rerunCtx = ctx; },
+            onTrace: (trace) => { rerunTrace = trace; },
         };
+        let rerunUsage = null;
+        let rerunCtx = null;
+
+        let seedIdea = lastSeedIdea;
+        let runOpts;
+        let checkpoint = null;
+        if (fromStep) {
+            checkpoint = branchCheckpoint(run?.pipelineCtx, fromStep);
+            seedIdea = run.pipelineCtx.seedIdea || lastSeedIdea;
+            runOpts = branchOptions({
+                ...run.options,
+                directive: directive || run.options?.directive,
+                genrePreference: branchGenre || run.options?.genrePreference,
+            });
+        } else {
+            const prodYear = productionYearInput.value ? parseInt(productionYearInput.value, 10) : null;
+            const targetPlatform = targetPlatformInput.value || null;
+            const genrePreference = genrePreferenceInput.value === 'custom'
+                ? (genreCustomInput.value.trim() || null)
+                : (genrePreferenceInput.value || null);
+            runOpts = branchOptions({ platform: targetPlatform, year: prodYear, directive, genrePreference, maxRevisions: getMaxRevisions(), qualityPolicy: getQualityPolicy(), series: getSeriesFormat(), language: getOutputLanguage(), customAgents: getCustomAgents() });
+        }
 
-        const prodYear = productionYearInput.value ? parseInt(productionYearInput.value, 10) : null;
-        const targetPlatform = targetPlatformInput.value || null;
-        const genrePreference = genrePreferenceInput.value === 'custom'
-            ? (genreCustomInput.value.trim() || null)
-            : (genrePreferenceInput.value || null);
-        const maxRevisions = parseInt(maxIterationsInput.value, 10);
-
-        const newDeck = await runPipeline(lastSeedIdea, rerunCallbacks, {
-            platform: targetPlatform,
-            year: prodYear,
-            directive: directive,
-            genrePreference,
-            maxRevisions,
+        const newDeck = await runPipeline(seedIdea, rerunCallbacks, {
+            ...runOpts,
+            checkpoint,
+            budget: getRunBudget(),
         });
 
         // Update everything
         lastPitchDeck = newDeck;
+        lastSeedIdea = seedIdea;
         pitchDeckContent.innerHTML = md(newDeck);
         pitchDeckContent.classList.add('deck-updated');
         setTimeout(() => pitchDeckContent.classList.remove('deck-updated'), 1500);
         updateGatekeeperBadges(newDeck);
         updateRevisionBadge();
-        await saveRun({ seedIdea: lastSeedIdea, finalPitchDeck: newDeck });
+        currentRunRecord = await saveRun({
+            seedIdea: fromStep ? run.seedIdea : seedIdea,
+            finalPitchDeck: newDeck,
+            usage: rerunUsage,
+            trace: rerunTrace,
+            pipelineCtx: rerunCtx,
+            options: runOpts,
+            parentId: fromStep ? run.id : null,
+            forkedFrom: fromStep,
+        });
 
         // Rebuild chat session with new deck (full rerun justifies a fresh session)
         chatSession = createChat(buildRefinementPrompt(newDeck), { tools: SEARCH_TOOLS });
         chatSession.send('The deck has been completely regenerated with the directive: ' + directive).catch(() => { });
 
         // Auto-score the new deck
-        await autoScore(newDeck, lastSeedIdea);
+        await autoScore(newDeck, seedIdea);
 
         addLog(`<strong>✅ Pipeline complete — deck updated (v${revisionHistory.length + 1})</strong>`);
         playCompletionChime('success');
     } catch (err) {
         addLog(`<strong>❌ Pipeline failed: ${err.message}</strong>`);
+        if (rerunTrace) {
+            addLog('<button class="trace-notice-open">⏱️ View trace</button>');
+            rerunLog.lastElementChild.querySelector('button').addEventListener('click', () => openTraceViewer(rerunTrace));
+        }
         playCompletionChime('error');
     }
 }
@@ -2319,6 +3770,21 @@ qaForm.addEventListener('submit', async (e) => {
                 await executeRerun(directive, typingMsg);
             }
         }
+        // Handle /fork
+        else if (lowerQ.startsWith('/fork')) {
+            const [, fromStep = '', ...rest] = question.trim().split(/\s+/);
+            const directive = rest.join(' ');
+            const available = branchableSteps(currentRunRecord?.pipelineCtx);
+            if (!currentRunRecord?.pipelineCtx) {
+                typingMsg.className = 'qa-msg assistant';
+                typingMsg.innerHTML = md('This deck has no saved pipeline steps to branch from. Fork a run from **History** that was made with the standard pipeline.');
+            } else if (!available.includes(fromStep) || !directive) {
+                typingMsg.className = 'qa-msg assistant';
+                typingMsg.innerHTML = md(`**Usage:** \`/fork <step> <your creative direction>\`\n\nSteps in this run: ${available.map(step => `\`${step}\``).join(', ')}\n\nExample: \`/fork draftV1 Retell it from the prey's point of view\``);
+            } else {
+                await executeRerun(directive, typingMsg, { fromStep });
+            }
+        }
         // Handle /help
         else if (lowerQ === '/help') {
             typingMsg.className = 'qa-msg assistant';
@@ -2332,6 +3798,7 @@ qaForm.addEventListener('submit', async (e) => {
 - \`/gatekeeper\` — Re-run Gatekeeper audit
 - \`/score\` — Re-run Quality Evaluator
 - \`/rerun <direction>\` — **Re-run full pipeline** with creative direction
+- \`/fork <step> <direction>\` — Branch this run from a completed step (e.g. \`draftV1\`) with a new direction
 - \`/undo\` — Revert last accepted edit
 - \`/copy\` — Copy deck to clipboard
 - \`/export\` — Export as DOCX
@@ -2632,6 +4099,8 @@ btnAdvanced.addEventListener('click', async () => {
             resetDryrunStartArea();
         }
 
+        refreshABPersonaRows();
+
         // Show past dryruns history
         await renderDryrunHistory();
     }
@@ -2756,12 +4225,24 @@ async function renderDryrunHistory() {
 }
 
 async function startDryrun(resume) {
+    if (abTestRunning) return showError('A prompt A/B test is running — wait for it or cancel it first');
     dryrunStartArea.classList.add('hidden');
     dryrunHistory.innerHTML = '';
     dryrunProgress.classList.remove('hidden');
     dryrunResults.classList.add('hidden');
     dryrunRunning = true;
 
+    // Cancel stops the pipeline, evaluator and diagnosis calls in flight;
+    // completed seeds stay saved so the benchmark can be resumed
+    const abortController = new AbortController();
+    setPipelineAbortSignal(abortController.signal);
+    dryrunCancelBtn.disabled = false;
+    dryrunCancelBtn.classList.remove('hidden');
+    dryrunCancelBtn.onclick = () => {
+        dryrunCancelBtn.disabled = true;
+        abortController.abort();
+    };
+
     try {
         const savedState = resume ? loadDryrunState() : null;
         const skipSeedIds = savedState ? (savedState.completedResults || []).map(r => r.seed.id) : [];
@@ -2773,6 +4254,7 @@ async function startDryrun(resume) {
         }, {
             skipSeedIds,
             previousResults: savedState ? savedState.completedResults : [],
+            signal: abortController.signal,
             onSeedComplete: (completedResults, calibrationSeedName, totalSeeds) => {
                 saveDryrunState({
                     completedResults,
@@ -2791,8 +4273,9 @@ async function startDryrun(resume) {
         // Generate systemic diagnosis (AI-powered)
         let systemicDiagnosis = null;
         try {
-            systemicDiagnosis = await generateSystemicDiagnosis(aggregate, calibration, results);
+            systemicDiagnosis = await generateSystemicDiagnosis(aggregate, calibration, results, { signal: abortController.signal });
         } catch (err) {
+            if (abortController.signal.aborted) throw err;
             console.warn('Systemic diagnosis failed:', err.message);
         }
 
@@ -3046,330 +4529,633 @@ async function startDryrun(resume) {
             });
         });
     } catch (err) {
-        showError(`Dryrun failed: ${err.message}`);
+        if (abortController.signal.aborted) {
+            dryrunProgressText.textContent = 'Cancelled — completed seeds are saved; reopen this panel to resume.';
+            resetDryrunStartArea();
+        } else {
+            showError(`Dryrun failed: ${err.message}`);
+        }
     } finally {
         dryrunRunning = false;
+        setPipelineAbortSignal(null);
+        dryrunCancelBtn.onclick = null;
+        dryrunCancelBtn.classList.add('hidden');
 
     }
 }
 
-// ─── Init badges on page load ─────────────────────────
-(async () => {
+// ─── Prompt A/B Test ──────────────────────────────────
+// Each row picks a persona and the prompt it runs under in variant A and in
+// variant B: the current prompt, the shipped one or a saved version (with its
+// generation settings). Personas without a row run as they are in both.
+const abPersonaRows = document.getElementById('ab-persona-rows');
+const abAddPersonaBtn = document.getElementById('ab-add-persona');
+const abRepeatsInput = document.getElementById('ab-repeats');
+const abSeeds = document.getElementById('ab-seeds');
+const abStartBtn = document.getElementById('ab-start');
+const abStartArea = document.getElementById('ab-start-area');
+const abProgress = document.getElementById('ab-progress');
+const abProgressFill = document.getElementById('ab-progress-fill');
+const abProgressText = document.getElementById('ab-progress-text');
+const abCancelBtn = document.getElementById('ab-cancel');
+const abResults = document.getElementById('ab-results');
+let abTestRunning = false;
+
+for (const seed of BENCHMARK_SEEDS) {
+    const label = document.createElement('label');
+    label.className = 'ab-seed';
+    label.innerHTML = `<input type="checkbox" value="${seed.id}" checked> <span></span>`;
+    label.querySelector('span').textContent = seed.name;
+    abSeeds.appendChild(label);
+}
+
+/** Fill a variant select with the persona's prompt choices, keeping the selection if it is still there. */
+function fillABVariantSelect(select, agent, selected) {
+    select.innerHTML = '';
+    select.appendChild(new Option('Current prompt', 'current'));
+    select.appendChild(new Option('Shipped prompt', 'shipped'));
+    for (const version of savedPromptVersions.filter(v => v.agentId === agent.id).reverse()) {
+        select.appendChild(new Option(`v${version.version}${version.note ? ` — ${version.note}` : ''}`, version.id));
+    }
+    select.value = selected;
+    if (!select.value) select.value = 'current';
+}
+
+/** Pick up versions saved since the rows were filled. */
+function refreshABPersonaRows() {
+    for (const row of abPersonaRows.querySelectorAll('.ab-persona-row')) {
+        const agent = AGENT_MAP[row.querySelector('.ab-persona').value];
+        for (const select of row.querySelectorAll('.ab-variant select')) fillABVariantSelect(select, agent, select.value);
+    }
+}
+
+function addABPersonaRow(agentId = 'story-producer') {
+    const row = document.createElement('div');
+    row.className = 'ab-persona-row';
+    row.innerHTML = `
+        <select class="advanced-select ab-persona"></select>
+        <label class="ab-variant">A <select class="advanced-select ab-variant-a"></select></label>
+        <label class="ab-variant">B <select class="advanced-select ab-variant-b"></select></label>
+        <button type="button" class="preset-btn ab-remove" title="Remove this persona">✕</button>
+    `;
+    const personaSelect = row.querySelector('.ab-persona');
+    for (const agent of ALL_AGENTS) personaSelect.appendChild(new Option(`${agent.icon} ${agent.name}`, agent.id));
+    personaSelect.value = agentId;
+    const fillVariants = () => {
+        const agent = AGENT_MAP[personaSelect.value];
+        fillABVariantSelect(row.querySelector('.ab-variant-a'), agent, 'shipped');
+        fillABVariantSelect(row.querySelector('.ab-variant-b'), agent, 'current');
+    };
+    personaSelect.addEventListener('change', fillVariants);
+    row.querySelector('.ab-remove').addEventListener('click', () => row.remove());
+    fillVariants();
+    abPersonaRows.appendChild(row);
+}
+
+abAddPersonaBtn.addEventListener('click', () => {
+    const listed = [...abPersonaRows.querySelectorAll('.ab-persona')].map(select => select.value);
+    addABPersonaRow((ALL_AGENTS.find(a => !listed.includes(a.id)) ?? ALL_AGENTS[0]).id);
+});
+// Saved versions load asynchronously; the first row waits for them
+loadPromptVersionsReady.then(() => addABPersonaRow());
+
+/** The prompt and generation settings a variant choice stands for, with its label. */
+function resolveABChoice(agent, choice) {
+    if (choice === 'current') {
+        return { label: `${agent.name} (current)`, systemPrompt: agent.systemPrompt, generation: agent.generation };
+    }
+    if (choice === 'shipped') {
+        return { label: `${agent.name} (shipped)`, systemPrompt: DEFAULT_PERSONA_PROMPTS[agent.id], generation: DEFAULT_GENERATION[agent.id] };
+    }
+    const version = savedPromptVersions.find(v => v.id === choice);
+    if (!version) throw new Error(`${agent.name}: the selected version no longer exists`);
+    return { label: `${agent.name} v${version.version}`, systemPrompt: version.systemPrompt, generation: version.generation ?? DEFAULT_GENERATION[agent.id] ?? null };
+}
+
+/**
+ * Variants A and B from the persona rows: { label, personas } with the prompt
+ * and generation settings each persona runs under.
+ * @throws {Error} if the rows are empty, repeat a persona or make no difference
+ */
+function buildABVariants() {
+    const rows = [...abPersonaRows.querySelectorAll('.ab-persona-row')];
+    if (rows.length === 0) throw new Error('Add at least one persona to compare');
+    const agents = rows.map(row => AGENT_MAP[row.querySelector('.ab-persona').value]);
+    const duplicate = agents.find((agent, i) => agents.indexOf(agent) !== i);
+    if (duplicate) throw new Error(`${duplicate.name} is listed twice`);
+
+    const variants = ['.ab-variant-a', '.ab-variant-b'].map(selector => {
+        const choices = rows.map((row, i) => ({ agent: agents[i], ...resolveABChoice(agents[i], row.querySelector(selector).value) }));
+        return {
+            label: choices.map(c => c.label).join(', '),
+            personas: Object.fromEntries(choices.map(({ agent, systemPrompt, generation }) => [agent.id, { systemPrompt, generation }])),
+        };
+    });
+    const [a, b] = variants;
+    const differs = agents.some(agent => a.personas[agent.id].systemPrompt !== b.personas[agent.id].systemPrompt
+        || !sameGeneration(a.personas[agent.id].generation, b.personas[agent.id].generation));
+    if (!differs) throw new Error('Variants A and B are identical');
+    return variants;
+}
+
+/**
+ * Run fn with a variant's persona prompts and generation settings in place,
+ * restoring the current ones afterwards.
+ */
+async function withPromptVariant(variant, fn) {
+    const current = Object.keys(variant.personas).map(id => ({ agent: AGENT_MAP[id], systemPrompt: AGENT_MAP[id].systemPrompt, generation: AGENT_MAP[id].generation }));
+    for (const [id, settings] of Object.entries(variant.personas)) Object.assign(AGENT_MAP[id], settings);
     try {
-        const docs = await listDocuments();
-        if (docs.length > 0) {
-            kbBadge.textContent = docs.length;
-            kbBadge.classList.remove('hidden');
-        }
-    } catch { }
+        return await fn();
+    } finally {
+        for (const { agent, systemPrompt, generation } of current) Object.assign(agent, { systemPrompt, generation });
+    }
+}
 
-    const runs = await getRuns();
-    if (runs.length > 0) {
-        historyBadge.textContent = runs.length;
-        historyBadge.classList.remove('hidden');
+const formatABStat = ({ mean, sd, n }) => (mean == null ? '—' : `${mean}${sd != null ? ` ± ${sd}` : ''} <span class="ab-n">n=${n}</span>`);
+const AB_VERDICTS = { A: ['ab-win-a', 'A better'], B: ['ab-win-b', 'B better'], inconclusive: ['ab-tie', 'No clear difference'] };
+
+/** Render an A/B report (see runPromptABTest) into the results area. */
+function renderABReport(report) {
+    const row = (c) => {
+        const [cls, text] = AB_VERDICTS[c.verdict];
+        const diff = c.diff == null ? '—' : `${c.diff > 0 ? '+' : ''}${c.diff}`;
+        const ci = c.ci ? ` <span class="ab-ci">[${c.ci[0]}, ${c.ci[1]}]</span>` : '';
+        return `
+            <div class="ab-row${c.name === 'Overall' ? ' ab-row-overall' : ''}">
+                <span>${c.name}</span>
+                <span>${formatABStat(c.a)}</span>
+                <span>${formatABStat(c.b)}</span>
+                <span>${diff}${ci}</span>
+                <span class="${cls}">${text}</span>
+            </div>`;
+    };
+    const { overall, dimensions } = report.comparison;
+    abResults.innerHTML = `
+        <div class="ab-variants">
+            <div><strong>A:</strong> <span class="ab-label-a"></span></div>
+            <div><strong>B:</strong> <span class="ab-label-b"></span></div>
+        </div>
+        <div class="ab-meta">${report.seeds.length} seed${report.seeds.length === 1 ? '' : 's'} × ${report.repeats} repeat${report.repeats === 1 ? '' : 's'} per variant · ${overall.pairs} scored pairs from ${overall.seeds} seed${overall.seeds === 1 ? '' : 's'} · rejected: A ${report.rejections[0]}, B ${report.rejections[1]}</div>
+        <div class="ab-table">
+            <div class="ab-row ab-header-row"><span>Dimension</span><span>A mean ± sd</span><span>B mean ± sd</span><span>B − A [95% CI]</span><span>Verdict</span></div>
+            ${row(overall)}
+            ${dimensions.map(row).join('')}
+        </div>
+        <p class="ab-note">Differences are paired by seed and repeat, then averaged per seed; the interval is taken over seeds. "No clear difference" means the interval includes zero — more seeds narrow it.</p>
+        <button type="button" class="preset-btn ab-download">Download report (JSON)</button>
+    `;
+    abResults.querySelector('.ab-label-a').textContent = report.variants[0];
+    abResults.querySelector('.ab-label-b').textContent = report.variants[1];
+    abResults.querySelector('.ab-download').addEventListener('click', () => {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        saveAs(new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }), `prompt-ab-${stamp}.json`);
+    });
+    abResults.classList.remove('hidden');
+}
+
+abStartBtn.addEventListener('click', async () => {
+    if (dryrunRunning) return showError('A dryrun benchmark is running — wait for it or cancel it first');
+    if (pipelineRunning) return showError('A pipeline is running — wait for it or cancel it first');
+    let variants;
+    try {
+        variants = buildABVariants();
+    } catch (err) {
+        return showError(err.message);
     }
+    const repeats = parseInt(abRepeatsInput.value, 10);
+    const seedIds = [...abSeeds.querySelectorAll('input:checked')].map(input => input.value);
+    if (!(repeats >= 1)) return showError('Repeats must be at least 1');
+    if (seedIds.length === 0) return showError('Select at least one benchmark seed');
+
+    abStartArea.classList.add('hidden');
+    abProgress.classList.remove('hidden');
+    abResults.classList.add('hidden');
+    abProgressFill.style.width = '0%';
+    // Variant prompts are swapped into the shared personas (see withPromptVariant),
+    // so no other run may start until the test is over
+    abTestRunning = true;
+    launchBtn.disabled = true;
+
+    const abortController = new AbortController();
+    setPipelineAbortSignal(abortController.signal);
+    abCancelBtn.disabled = false;
+    abCancelBtn.classList.remove('hidden');
+    abCancelBtn.onclick = () => {
+        abCancelBtn.disabled = true;
+        abortController.abort();
+    };
 
-    // ─── CHECKPOINT RESUME ─────────────────────────────
     try {
-        const cp = await loadCheckpoint();
-        const batch = await loadBatchState();
-
-        // Determine resume type: batch (multi-genre) or single pipeline
-        const isBatchResume = batch && batch.status === 'running' && batch.completedGenres?.length > 0;
-        const hasSingleCheckpoint = cp && cp.status === 'running';
-
-        if (isBatchResume || hasSingleCheckpoint) {
-            const seedIdea = isBatchResume ? batch.seedIdea : cp.seedIdea;
-            const startedAt = isBatchResume ? batch.startedAt : cp.startedAt;
-            const elapsed = startedAt
-                ? Math.round((Date.now() - new Date(startedAt).getTime()) / 60000)
-                : null;
-            const seedShort = (seedIdea || '').length > 60
-                ? seedIdea.slice(0, 57) + '…'
-                : seedIdea;
-
-            const stepInfo = isBatchResume
-                ? `${batch.completedGenres.length}/${batch.genreSuggestions.length} genres complete`
-                : `Last step: ${cp.step || 'unknown'}`;
-
-            const banner = document.createElement('div');
-            banner.className = 'resume-banner';
-            banner.innerHTML = `
-                <div class="resume-banner-content">
-                    <div class="resume-banner-icon">🔄</div>
-                    <div class="resume-banner-text">
-                        <strong>Unfinished pipeline</strong>
-                        <span class="resume-banner-seed"></span>
-                        ${elapsed ? `<span class="resume-banner-time">Interrupted ${elapsed < 60 ? elapsed + 'm' : Math.round(elapsed / 60) + 'h'} ago</span>` : ''}
-                        <span class="resume-banner-step">${stepInfo}</span>
-                    </div>
-                    <div class="resume-banner-actions">
-                        <button class="resume-btn resume-btn-go">▶ Resume</button>
-                        <button class="resume-btn resume-btn-discard">✕ Discard</button>
-                    </div>
+        const report = await runPromptABTest(runPipeline, variants, (current, total, name, status) => {
+            abProgressFill.style.width = `${Math.round(((current - 1) / total) * 100)}%`;
+            abProgressText.textContent = `[${current}/${total}] ${name}: ${status}`;
+        }, { withVariant: withPromptVariant, repeats, seedIds, signal: abortController.signal });
+        abProgressFill.style.width = '100%';
+        abProgressText.textContent = 'Complete!';
+        renderABReport(report);
+    } catch (err) {
+        if (abortController.signal.aborted) {
+            abProgressText.textContent = 'Cancelled.';
+        } else {
+            showError(`A/B test failed: ${err.message}`);
+        }
+    } finally {
+        abTestRunning = false;
+        launchBtn.disabled = false;
+        setPipelineAbortSignal(null);
+        abCancelBtn.onclick = null;
+        abCancelBtn.classList.add('hidden');
+        abStartArea.classList.remove('hidden');
+    }
+});
+
+// ─── Interrupted runs ─────────────────────────────────
+
+/**
+ * Show every interrupted run in the resume banner, one row each with
+ * Resume / Discard. Re-shown when a resumed run ends, so the rest stay reachable.
+ */
+async function showResumeBanner() {
+    document.querySelector('.resume-banner')?.remove();
+    const interrupted = await listCheckpoints();
+    if (interrupted.length === 0) return;
+
+    const banner = document.createElement('div');
+    banner.className = 'resume-banner';
+    const hideBanner = () => {
+        banner.classList.remove('visible');
+        setTimeout(() => banner.remove(), 300);
+    };
+
+    for (const entry of interrupted) {
+        const elapsed = entry.updatedAt
+            ? Math.round((Date.now() - new Date(entry.updatedAt).getTime()) / 60000)
+            : null;
+        const seedShort = (entry.seedIdea || '').length > 60
+            ? entry.seedIdea.slice(0, 57) + '…'
+            : entry.seedIdea;
+        const stepLabel = (step) => PIPELINE_STEP_LABELS[step] || step;
+        const progress = entry.pendingApproval
+            ? `Paused for approval after ${stepLabel(entry.pendingApproval)}`
+            : `${entry.phase != null ? `Phase ${entry.phase} · ` : ''}Last step: ${entry.step ? stepLabel(entry.step) : 'none yet'}`;
+        const stepInfo = entry.kind === 'batch'
+            ? `${entry.completed}/${entry.total} genres complete${entry.step || entry.pendingApproval ? ` · ${progress}` : ''}`
+            : progress;
+
+        const row = document.createElement('div');
+        row.className = 'resume-banner-content';
+        row.innerHTML = `
+            <div class="resume-banner-icon">🔄</div>
+            <div class="resume-banner-text">
+                <strong>${entry.kind === 'batch' ? 'Unfinished hands-free batch' : 'Unfinished pipeline'}</strong>
+                <span class="resume-banner-seed"></span>
+                ${elapsed != null ? `<span class="resume-banner-time">Interrupted ${elapsed < 60 ? elapsed + 'm' : Math.round(elapsed / 60) + 'h'} ago</span>` : ''}
+                <span class="resume-banner-step">${stepInfo}</span>
+            </div>
+            <div class="resume-banner-actions">
+                <button class="resume-btn resume-btn-go">▶ Resume</button>
+                <button class="resume-btn resume-btn-discard">✕ Discard</button>
+            </div>
+        `;
+        row.querySelector('.resume-banner-seed').textContent = `"${seedShort}"`;
+
+        row.querySelector('.resume-btn-discard').addEventListener('click', async () => {
+            await (entry.kind === 'batch' ? clearBatchState(entry.id) : clearCheckpoint(entry.id));
+            row.remove();
+            if (!banner.querySelector('.resume-banner-content')) hideBanner();
+        });
+
+        row.querySelector('.resume-btn-go').addEventListener('click', () => {
+            if (pipelineRunning) {
+                showError('Wait for the current pipeline to finish before resuming another run.');
+                return;
+            }
+            if (abTestRunning) return showError('A prompt A/B test is running — wait for it or cancel it first');
+            hideBanner();
+            resumeInterrupted(entry);
+        });
+
+        banner.appendChild(row);
+    }
+
+    document.body.appendChild(banner);
+    requestAnimationFrame(() => banner.classList.add('visible'));
+}
+
+/**
+ * Resume an interrupted run or hands-free batch listed by listCheckpoints().
+ * @param {{ id: string, kind: 'run'|'batch', seedIdea: string }} entry
+ */
+async function resumeInterrupted(entry) {
+    const batch = entry.kind === 'batch' ? await loadBatchState(entry.id) : null;
+    const cp = batch ? null : await loadCheckpoint(entry.id);
+    if (!batch && !cp) {
+        showError('The saved state for this run could not be loaded.');
+        return;
+    }
+    const seedIdea = entry.seedIdea;
+
+    // Pre-populate seed input
+    seedInput.value = seedIdea || '';
+
+    // Wire up the pipeline
+    pipelineRunning = true;
+    launchBtn.disabled = true;
+    launchBtn.querySelector('.btn-text').textContent = 'Resuming…';
+
+    simulationEl.classList.remove('hidden');
+    timelineEl.innerHTML = '';
+    scorecardEl.classList.add('hidden');
+    simulationEl.scrollIntoView({ behavior: 'smooth' });
+
+    const abortController = new AbortController();
+    setPipelineAbortSignal(abortController.signal);
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'cancel-pipeline-btn';
+    cancelBtn.innerHTML = '✕ Cancel Pipeline';
+    const doCancel = () => {
+        abortController.abort();
+        cancelBtn.textContent = 'Cancelling…';
+        cancelBtn.disabled = true;
+    };
+    cancelBtn.addEventListener('click', doCancel);
+    simulationEl.insertBefore(cancelBtn, simulationEl.firstChild);
+
+    const statusBar = createPipelineStatusBar(seedIdea || 'Resumed pipeline');
+    statusBar.querySelector('.psb-cancel').addEventListener('click', doCancel);
+
+    if (batch) {
+        // ═══════════════════════════════════════════════════
+        // BATCH RESUME: restore completed genres, run remaining
+        // ═══════════════════════════════════════════════════
+        const batchResults = batch.completedGenres.map(g => ({
+            seed: batch.seedIdea,
+            pitchDeck: g.pitchDeck,
+            genreName: g.genreName,
+        }));
+        const completedGenres = () => batchResults.map(r => ({ genreName: r.genreName, genreKey: batch.genreSuggestions.find(g => g.genreName === r.genreName)?.genreKey, pitchDeck: r.pitchDeck }));
+
+        // Helper: extract title and logline from pitch deck markdown
+        const extractMeta = (pitchDeck) => {
+            const titleMatch = pitchDeck.match(/^##\s+(.+)$/m);
+            const loglineMatch = pitchDeck.match(/\*\*Logline[:\s]*\*\*\s*(.+)/i)
+                || pitchDeck.match(/\*Logline[:\s]*\*\s*(.+)/i)
+                || pitchDeck.match(/Logline[:\s]+(.+)/i);
+            return {
+                title: titleMatch?.[1]?.trim() || 'Untitled Pitch',
+                logline: loglineMatch?.[1]?.trim() || '',
+            };
+        };
+
+        // Restore strategy cards
+        const genreStrategyCard = document.getElementById('genre-strategy-card');
+        const genreStrategyBody = document.getElementById('genre-strategy-body');
+        genreStrategyBody.innerHTML = batch.genreSuggestions.map((g, i) => {
+            const isDone = i < batch.currentIndex;
+            return `
+                <div class="genre-lens-card" id="genre-card-${i}">
+                    <div class="genre-lens-name">🎭 ${g.genreName}</div>
+                    <div class="genre-lens-rationale">${g.rationale}</div>
+                    <div class="genre-lens-status ${isDone ? 'done' : ''}" id="genre-status-${i}">${isDone ? '✅ Complete' : '⏳ Queued'}</div>
                 </div>
             `;
-            banner.querySelector('.resume-banner-seed').textContent = `"${seedShort}"`;
-            document.body.appendChild(banner);
-            requestAnimationFrame(() => banner.classList.add('visible'));
-
-            banner.querySelector('.resume-btn-discard').addEventListener('click', async () => {
-                await clearCheckpoint();
-                await clearBatchState();
-                banner.classList.remove('visible');
-                setTimeout(() => banner.remove(), 300);
+        }).join('');
+        genreStrategyCard.classList.remove('hidden');
+
+        // Restore completed result cards
+        const genreResultsGrid = document.getElementById('genre-results-grid');
+        const genreResultsBody = document.getElementById('genre-results-body');
+        genreResultsBody.innerHTML = '';
+
+        for (let r = 0; r < batchResults.length; r++) {
+            const result = batchResults[r];
+            const meta = extractMeta(result.pitchDeck);
+            const resultCard = document.createElement('div');
+            resultCard.className = 'genre-result-card';
+            resultCard.dataset.index = r;
+            resultCard.innerHTML = `
+                <span class="genre-result-badge">${result.genreName}</span>
+                <div class="genre-result-title">${meta.title}</div>
+                ${meta.logline ? `<div class="genre-result-logline">${meta.logline}</div>` : ''}
+                <div class="genre-result-cta">Click to view full pitch →</div>
+            `;
+            const idx = r;
+            resultCard.addEventListener('click', () => {
+                genreResultsBody.querySelectorAll('.genre-result-card').forEach(c => c.classList.remove('selected'));
+                resultCard.classList.add('selected');
+                simulationEl.classList.add('hidden');
+                pitchDeckEl.querySelector('.batch-tabs')?.remove();
+                pitchDeckContent.innerHTML = md(batchResults[idx].pitchDeck);
+                updateGatekeeperBadges(batchResults[idx].pitchDeck);
+                initChatSession(batchResults[idx].pitchDeck);
+                lastPitchDeck = batchResults[idx].pitchDeck;
+                pitchDeckEl.classList.remove('hidden');
+                if (pipelineRunning) backToPipelineBtn.classList.remove('hidden');
+                pitchDeckEl.scrollIntoView({ behavior: 'smooth' });
             });
+            genreResultsBody.appendChild(resultCard);
+        }
+        genreResultsGrid.classList.remove('hidden');
+
+        // Auto-select first completed card
+        if (batchResults.length > 0) {
+            genreResultsBody.querySelector('.genre-result-card')?.classList.add('selected');
+            pitchDeckContent.innerHTML = md(batchResults[0].pitchDeck);
+            pitchDeckEl.classList.remove('hidden');
+            updateGatekeeperBadges(batchResults[0].pitchDeck);
+            lastPitchDeck = batchResults[0].pitchDeck;
+        }
 
-            banner.querySelector('.resume-btn-go').addEventListener('click', async () => {
-                banner.classList.remove('visible');
-                setTimeout(() => banner.remove(), 300);
-
-                // Pre-populate seed input
-                seedInput.value = seedIdea || '';
+        try {
+            // Run remaining genres
+            for (let i = batch.currentIndex; i < batch.genreSuggestions.length; i++) {
+                const genre = batch.genreSuggestions[i];
+                const statusEl = document.getElementById(`genre-status-${i}`);
+                const cardEl = document.getElementById(`genre-card-${i}`);
 
-                // Wire up the pipeline
-                pipelineRunning = true;
-                launchBtn.disabled = true;
-                launchBtn.querySelector('.btn-text').textContent = 'Resuming…';
+                statusEl.textContent = '⚡ Running pipeline…';
+                statusEl.className = 'genre-lens-status running';
+                cardEl.classList.add('active-pipeline');
+                launchBtn.querySelector('.btn-text').textContent = `Running ${i + 1}/${batch.genreSuggestions.length}…`;
 
-                simulationEl.classList.remove('hidden');
+                const totalPhases = seedPhaseCount(batch.series);
+                buildPhaseIndicator(totalPhases);
                 timelineEl.innerHTML = '';
-                scorecardEl.classList.add('hidden');
-                simulationEl.scrollIntoView({ behavior: 'smooth' });
-
-                const abortController = new AbortController();
-                setPipelineAbortSignal(abortController.signal);
-
-                const cancelBtn = document.createElement('button');
-                cancelBtn.className = 'cancel-pipeline-btn';
-                cancelBtn.innerHTML = '✕ Cancel Pipeline';
-                const doCancel = () => {
-                    abortController.abort();
-                    cancelBtn.textContent = 'Cancelling…';
-                    cancelBtn.disabled = true;
+                resetAgentRing();
+
+                const runOpts = {
+                    platform: batch.platform,
+                    year: batch.year,
+                    genrePreference: genre.genreKey,
+                    directive: batch.directive ?? null,
+                    maxRevisions: batch.maxRevisions ?? null,
+                    qualityPolicy: batch.qualityPolicy ?? null,
+                    chaosMode: batch.chaosMode || 'precision',
+                    grandNarrativeMode: batch.grandNarrativeMode || false,
+                    series: batch.series ?? null,
+                    language: batch.language ?? null,
                 };
-                cancelBtn.addEventListener('click', doCancel);
-                simulationEl.insertBefore(cancelBtn, simulationEl.firstChild);
-
-                const statusBar = createPipelineStatusBar(seedIdea || 'Resumed pipeline');
-                statusBar.querySelector('.psb-cancel').addEventListener('click', doCancel);
-
-                if (isBatchResume) {
-                    // ═══════════════════════════════════════════════════
-                    // BATCH RESUME: restore completed genres, run remaining
-                    // ═══════════════════════════════════════════════════
-                    const batchResults = batch.completedGenres.map(g => ({
-                        seed: batch.seedIdea,
-                        pitchDeck: g.pitchDeck,
-                        genreName: g.genreName,
-                    }));
-
-                    // Helper: extract title and logline from pitch deck markdown
-                    const extractMeta = (pitchDeck) => {
-                        const titleMatch = pitchDeck.match(/^##\s+(.+)$/m);
-                        const loglineMatch = pitchDeck.match(/\*\*Logline[:\s]*\*\*\s*(.+)/i)
-                            || pitchDeck.match(/\*Logline[:\s]*\*\s*(.+)/i)
-                            || pitchDeck.match(/Logline[:\s]+(.+)/i);
-                        return {
-                            title: titleMatch?.[1]?.trim() || 'Untitled Pitch',
-                            logline: loglineMatch?.[1]?.trim() || '',
-                        };
-                    };
-
-                    // Restore strategy cards
-                    const genreStrategyCard = document.getElementById('genre-strategy-card');
-                    const genreStrategyBody = document.getElementById('genre-strategy-body');
-                    genreStrategyBody.innerHTML = batch.genreSuggestions.map((g, i) => {
-                        const isDone = i < batch.currentIndex;
-                        return `
-                            <div class="genre-lens-card" id="genre-card-${i}">
-                                <div class="genre-lens-name">🎭 ${g.genreName}</div>
-                                <div class="genre-lens-rationale">${g.rationale}</div>
-                                <div class="genre-lens-status ${isDone ? 'done' : ''}" id="genre-status-${i}">${isDone ? '✅ Complete' : '⏳ Queued'}</div>
-                            </div>
-                        `;
-                    }).join('');
-                    genreStrategyCard.classList.remove('hidden');
-
-                    // Restore completed result cards
-                    const genreResultsGrid = document.getElementById('genre-results-grid');
-                    const genreResultsBody = document.getElementById('genre-results-body');
-                    genreResultsBody.innerHTML = '';
-
-                    for (let r = 0; r < batchResults.length; r++) {
-                        const result = batchResults[r];
-                        const meta = extractMeta(result.pitchDeck);
-                        const resultCard = document.createElement('div');
-                        resultCard.className = 'genre-result-card';
-                        resultCard.dataset.index = r;
-                        resultCard.innerHTML = `
-                            <span class="genre-result-badge">${result.genreName}</span>
-                            <div class="genre-result-title">${meta.title}</div>
-                            ${meta.logline ? `<div class="genre-result-logline">${meta.logline}</div>` : ''}
-                            <div class="genre-result-cta">Click to view full pitch →</div>
-                        `;
-                        const idx = r;
-                        resultCard.addEventListener('click', () => {
-                            genreResultsBody.querySelectorAll('.genre-result-card').forEach(c => c.classList.remove('selected'));
-                            resultCard.classList.add('selected');
-                            simulationEl.classList.add('hidden');
-                            pitchDeckEl.querySelector('.batch-tabs')?.remove();
-                            pitchDeckContent.innerHTML = md(batchResults[idx].pitchDeck);
-                            updateGatekeeperBadges(batchResults[idx].pitchDeck);
-                            initChatSession(batchResults[idx].pitchDeck);
-                            lastPitchDeck = batchResults[idx].pitchDeck;
-                            pitchDeckEl.classList.remove('hidden');
-                            if (pipelineRunning) backToPipelineBtn.classList.remove('hidden');
-                            pitchDeckEl.scrollIntoView({ behavior: 'smooth' });
-                        });
-                        genreResultsBody.appendChild(resultCard);
-                    }
-                    genreResultsGrid.classList.remove('hidden');
-
-                    // Auto-select first completed card
-                    if (batchResults.length > 0) {
-                        genreResultsBody.querySelector('.genre-result-card')?.classList.add('selected');
-                        pitchDeckContent.innerHTML = md(batchResults[0].pitchDeck);
-                        pitchDeckEl.classList.remove('hidden');
-                        updateGatekeeperBadges(batchResults[0].pitchDeck);
-                        lastPitchDeck = batchResults[0].pitchDeck;
-                    }
 
-                    try {
-                        // Run remaining genres
-                        for (let i = batch.currentIndex; i < batch.genreSuggestions.length; i++) {
-                            const genre = batch.genreSuggestions[i];
-                            const statusEl = document.getElementById(`genre-status-${i}`);
-                            const cardEl = document.getElementById(`genre-card-${i}`);
-
-                            statusEl.textContent = '⚡ Running pipeline…';
-                            statusEl.className = 'genre-lens-status running';
-                            cardEl.classList.add('active-pipeline');
-                            launchBtn.querySelector('.btn-text').textContent = `Running ${i + 1}/${batch.genreSuggestions.length}…`;
-
-                            const totalPhases = 6;
-                            buildPhaseIndicator(totalPhases);
-                            timelineEl.innerHTML = '';
-                            resetAgentRing();
-
-                            const finalPitchDeck = await runPipeline(batch.seedIdea, pipelineCallbacks, {
-                                platform: batch.platform,
-                                year: batch.year,
-                                genrePreference: genre.genreKey,
-                                maxRevisions: batch.maxRevisions || 3,
-                                chaosMode: batch.chaosMode || 'precision',
-                                grandNarrativeMode: batch.grandNarrativeMode || false,
-                            });
-
-                            batchResults.push({ seed: batch.seedIdea, pitchDeck: finalPitchDeck, genreName: genre.genreName });
-                            completeAgentRing();
-
-                            statusEl.textContent = '✅ Complete';
-                            statusEl.className = 'genre-lens-status done';
-                            cardEl.classList.remove('active-pipeline');
-
-                            await saveRun({ seedIdea: `${batch.seedIdea} [${genre.genreName}]`, finalPitchDeck });
-                            autoScore(finalPitchDeck, batch.seedIdea);
-
-                            // Update batch state
-                            saveBatchState({
-                                ...batch,
-                                completedGenres: batchResults.map(r => ({ genreName: r.genreName, genreKey: batch.genreSuggestions.find(g => g.genreName === r.genreName)?.genreKey, pitchDeck: r.pitchDeck })),
-                                currentIndex: i + 1,
-                            });
-
-                            // Build result card
-                            const meta = extractMeta(finalPitchDeck);
-                            const resultCard = document.createElement('div');
-                            resultCard.className = 'genre-result-card';
-                            resultCard.dataset.index = batchResults.length - 1;
-                            resultCard.innerHTML = `
-                                <span class="genre-result-badge">${genre.genreName}</span>
-                                <div class="genre-result-title">${meta.title}</div>
-                                ${meta.logline ? `<div class="genre-result-logline">${meta.logline}</div>` : ''}
-                                <div class="genre-result-cta">Click to view full pitch →</div>
-                            `;
-                            const idx = batchResults.length - 1;
-                            resultCard.addEventListener('click', () => {
-                                genreResultsBody.querySelectorAll('.genre-result-card').forEach(c => c.classList.remove('selected'));
-                                resultCard.classList.add('selected');
-                                simulationEl.classList.add('hidden');
-                                pitchDeckEl.querySelector('.batch-tabs')?.remove();
-                                pitchDeckContent.innerHTML = md(batchResults[idx].pitchDeck);
-                                updateGatekeeperBadges(batchResults[idx].pitchDeck);
-                                initChatSession(batchResults[idx].pitchDeck);
-                                lastPitchDeck = batchResults[idx].pitchDeck;
-                                pitchDeckEl.classList.remove('hidden');
-                                if (pipelineRunning) backToPipelineBtn.classList.remove('hidden');
-                                pitchDeckEl.scrollIntoView({ behavior: 'smooth' });
-                            });
-                            genreResultsBody.appendChild(resultCard);
-                        }
+                // The interrupted genre picks up from its own checkpoint
+                const genreCheckpoint = i === batch.currentIndex && batch.currentRunId
+                    ? await loadCheckpoint(batch.currentRunId)
+                    : null;
+                const runId = genreCheckpoint?.id || createRunId();
+                saveBatchState({ ...batch, completedGenres: completedGenres(), currentIndex: i, currentRunId: runId });
+
+                trackRunBranch(runOpts);
+                const finalPitchDeck = await runPipeline(batch.seedIdea, pipelineCallbacks, {
+                    ...runOpts,
+                    checkpoint: genreCheckpoint,
+                    runId,
+                    batchId: batch.batchId,
+                    approvalGates: genreCheckpoint?.approvalGates ?? getApprovalGates(),
+                    budget: getRunBudget(),
+                });
 
-                        // Batch complete
-                        clearBatchState();
-                        clearCheckpoint();
-                        lastSeedIdea = batch.seedIdea;
+                batchResults.push({ seed: batch.seedIdea, pitchDeck: finalPitchDeck, genreName: genre.genreName });
+                completeAgentRing();
 
-                    } catch (err) {
-                        if (err instanceof PipelineCancelled) {
-                            showError('Pipeline cancelled.');
-                        } else {
-                            showError(`Pipeline failed: ${err.message}`);
-                        }
-                    } finally {
-                        pipelineRunning = false;
-                        launchBtn.disabled = false;
-                        launchBtn.querySelector('.btn-text').textContent = 'Generate';
-                        cancelBtn.remove();
-                        removePipelineStatusBar();
-                    }
+                statusEl.textContent = '✅ Complete';
+                statusEl.className = 'genre-lens-status done';
+                cardEl.classList.remove('active-pipeline');
 
-                } else {
-                    // ═══════════════════════════════════════════════════
-                    // SINGLE PIPELINE RESUME (existing behavior)
-                    // ═══════════════════════════════════════════════════
-                    const totalPhases = 6;
-                    buildPhaseIndicator(totalPhases);
+                currentRunRecord = await saveRun({ seedIdea: `${batch.seedIdea} [${genre.genreName}]`, finalPitchDeck, usage: finishRunUsage(), trace: finishRunTrace(), promptVersions: finishRunPromptVersions(), ...finishRunBranch() });
+                autoScore(finalPitchDeck, batch.seedIdea);
 
-                    try {
-                        const finalPitchDeck = await runPipeline(
-                            cp.seedIdea,
-                            pipelineCallbacks,
-                            {
-                                platform: cp.platform,
-                                year: cp.year,
-                                directive: cp.directive,
-                                checkpoint: cp,
-                            }
-                        );
-
-                        pitchDeckContent.innerHTML = md(finalPitchDeck);
-                        pitchDeckEl.classList.remove('hidden');
-                        updateGatekeeperBadges(finalPitchDeck);
-                        pitchDeckEl.scrollIntoView({ behavior: 'smooth' });
-                        initChatSession(finalPitchDeck);
-                        lastPitchDeck = finalPitchDeck;
-                        lastSeedIdea = cp.seedIdea;
-
-                        await saveRun({ seedIdea: cp.seedIdea, finalPitchDeck });
-                        autoScore(finalPitchDeck, cp.seedIdea);
-                    } catch (err) {
-                        if (err instanceof PipelineCancelled) {
-                            showError('Pipeline cancelled.');
-                        } else {
-                            showError(`Pipeline failed: ${err.message}`);
-                        }
-                    } finally {
-                        pipelineRunning = false;
-                        launchBtn.disabled = false;
-                        launchBtn.querySelector('.btn-text').textContent = 'Generate';
-                        cancelBtn.remove();
-                        removePipelineStatusBar();
-                    }
+                // Update batch state
+                saveBatchState({ ...batch, completedGenres: completedGenres(), currentIndex: i + 1, currentRunId: null });
+
+                // Build result card
+                const meta = extractMeta(finalPitchDeck);
+                const resultCard = document.createElement('div');
+                resultCard.className = 'genre-result-card';
+                resultCard.dataset.index = batchResults.length - 1;
+                resultCard.innerHTML = `
+                    <span class="genre-result-badge">${genre.genreName}</span>
+                    <div class="genre-result-title">${meta.title}</div>
+                    ${meta.logline ? `<div class="genre-result-logline">${meta.logline}</div>` : ''}
+                    <div class="genre-result-cta">Click to view full pitch →</div>
+                `;
+                const idx = batchResults.length - 1;
+                resultCard.addEventListener('click', () => {
+                    genreResultsBody.querySelectorAll('.genre-result-card').forEach(c => c.classList.remove('selected'));
+                    resultCard.classList.add('selected');
+                    simulationEl.classList.add('hidden');
+                    pitchDeckEl.querySelector('.batch-tabs')?.remove();
+                    pitchDeckContent.innerHTML = md(batchResults[idx].pitchDeck);
+                    updateGatekeeperBadges(batchResults[idx].pitchDeck);
+                    initChatSession(batchResults[idx].pitchDeck);
+                    lastPitchDeck = batchResults[idx].pitchDeck;
+                    pitchDeckEl.classList.remove('hidden');
+                    if (pipelineRunning) backToPipelineBtn.classList.remove('hidden');
+                    pitchDeckEl.scrollIntoView({ behavior: 'smooth' });
+                });
+                genreResultsBody.appendChild(resultCard);
+            }
+
+            // Batch complete
+            clearBatchState(batch.batchId);
+            lastSeedIdea = batch.seedIdea;
+
+        } catch (err) {
+            if (err instanceof PipelineCancelled) {
+                showError(err instanceof BudgetExceeded ? err.message : 'Pipeline cancelled.');
+            } else {
+                showError(`Pipeline failed: ${err.message}`);
+            }
+        } finally {
+            pipelineRunning = false;
+            launchBtn.disabled = false;
+            launchBtn.querySelector('.btn-text').textContent = 'Generate';
+            cancelBtn.remove();
+            closeApprovalCards();
+            removePipelineStatusBar();
+            showResumeBanner();
+        }
+
+    } else {
+        // ═══════════════════════════════════════════════════
+        // SINGLE PIPELINE RESUME (existing behavior)
+        // ═══════════════════════════════════════════════════
+        const totalPhases = seedPhaseCount(cp.series);
+        buildPhaseIndicator(totalPhases);
+
+        try {
+            const runOpts = {
+                platform: cp.platform,
+                year: cp.year,
+                directive: cp.directive,
+                genrePreference: cp.genrePreference,
+                maxRevisions: cp.maxRevisions,
+                qualityPolicy: cp.qualityPolicy ?? null,
+                chaosMode: cp.chaosMode,
+                grandNarrativeMode: cp.grandNarrativeMode,
+                series: cp.series ?? null,
+                language: cp.language ?? null,
+                customAgents: cp.customAgents ?? [],
+            };
+            trackRunBranch(runOpts);
+            const finalPitchDeck = await runPipeline(
+                cp.seedIdea,
+                pipelineCallbacks,
+                {
+                    ...runOpts,
+                    checkpoint: cp,
+                    approvalGates: cp.approvalGates ?? getApprovalGates(),
+                    budget: getRunBudget(),
                 }
-            });
+            );
+
+            pitchDeckContent.innerHTML = md(finalPitchDeck);
+            pitchDeckEl.classList.remove('hidden');
+            updateGatekeeperBadges(finalPitchDeck);
+            pitchDeckEl.scrollIntoView({ behavior: 'smooth' });
+            initChatSession(finalPitchDeck);
+            lastPitchDeck = finalPitchDeck;
+            lastSeedIdea = cp.seedIdea;
+
+            currentRunRecord = await saveRun({ seedIdea: cp.seedIdea, finalPitchDeck, usage: finishRunUsage(), trace: finishRunTrace(), promptVersions: finishRunPromptVersions(), ...finishRunBranch() });
+            autoScore(finalPitchDeck, cp.seedIdea);
+        } catch (err) {
+            if (err instanceof PipelineCancelled) {
+                showError(err instanceof BudgetExceeded ? err.message : 'Pipeline cancelled.');
+            } else {
+                showError(`Pipeline failed: ${err.message}`);
+            }
+        } finally {
+            pipelineRunning = false;
+            launchBtn.disabled = false;
+            launchBtn.querySelector('.btn-text').textContent = 'Generate';
+            cancelBtn.remove();
+            closeApprovalCards();
+            removePipelineStatusBar();
+            showResumeBanner();
+        }
+    }
+}
+
+// ─── Init badges on page load ─────────────────────────
+(async () => {
+    try {
+        const docs = await listDocuments();
+        if (docs.length > 0) {
+            kbBadge.textContent = docs.length;
+            kbBadge.classList.remove('hidden');
         }
+    } catch { }
+
+    const runs = await getRuns();
+    if (runs.length > 0) {
+        historyBadge.textContent = runs.length;
+        historyBadge.classList.remove('hidden');
+    }
+
+    // ─── CHECKPOINT RESUME ─────────────────────────────
+    try {
+        await showResumeBanner();
     } catch (err) {
         console.warn('Checkpoint check failed:', err.message);
     }
@@ -25,9 +25,69 @@ function openDB() {
 }
 
 /**
- * Save a pipeline checkpoint. Overwrites any existing checkpoint.
+ * Generate an id for a new run's checkpoint (or a batch's state record).
+ * @returns {string}
+ */
+export function createRunId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+}
+
+/**
+ * Read every record in the store.
+ * @returns {Promise<object[]>}
+ */
+async function getAllRecords() {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, 'readonly');
+        const req = tx.objectStore(STORE_NAME).getAll();
+        req.onsuccess = () => resolve(req.result || []);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/**
+ * Get one record by id.
+ * @returns {Promise<object|null>}
+ */
+async function getRecord(id) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, 'readonly');
+        const req = tx.objectStore(STORE_NAME).get(id);
+        req.onsuccess = () => resolve(req.result || null);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/**
+ * Delete records by id.
+ * @param {string[]} ids
+ */
+async function deleteRecords(ids) {
+    const db = await openDB();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const store = tx.objectStore(STORE_NAME);
+    for (const id of ids) store.delete(id);
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Records saved before checkpoints were keyed by run id used these fixed ids
+const LEGACY_RUN_ID = 'current';
+const LEGACY_BATCH_ID = 'batch';
+
+const isBatchRecord = (record) => record.kind === 'batch' || record.id === LEGACY_BATCH_ID;
+
+/**
+ * Save a pipeline checkpoint. Each run has its own record, keyed by run id,
+ * so concurrent or interrupted runs never overwrite each other.
  *
  * @param {object} state
+ * @param {string} state.runId — the run's checkpoint id (see createRunId)
+ * @param {string|null} [state.batchId] — hands-free batch the run belongs to
  * @param {string} state.seedIdea — the original seed
  * @param {string|null} state.platform — target platform
  * @param {number|null} state.year — target delivery year
@@ -36,14 +96,18 @@ function openDB() {
  * @param {string} state.step — last completed step ID
  * @param {object} state.ctx — the full pipeline context object
  * @param {boolean} [state.isAssessment] — whether this is an assessment run
+ * @param {string[]} [state.approvalGates] — steps the run pauses after for approval
+ * @param {object[]} [state.customAgents] — custom agent definitions the run includes (see agents/customAgents.js)
+ * @param {string} [state.pendingApproval] — step whose approval gate the run is paused at
  */
 export async function saveCheckpoint(state) {
     try {
         const db = await openDB();
         const tx = db.transaction(STORE_NAME, 'readwrite');
         tx.objectStore(STORE_NAME).put({
-            id: 'current',
             ...state,
+            id: state.runId,
+            kind: 'run',
             updatedAt: new Date().toISOString(),
             startedAt: state.startedAt || new Date().toISOString(),
             status: 'running',
@@ -59,18 +123,13 @@ export async function saveCheckpoint(state) {
 }
 
 /**
- * Load the current checkpoint, if any.
+ * Load a run's checkpoint, if any.
+ * @param {string} runId
  * @returns {Promise<object|null>}
  */
-export async function loadCheckpoint() {
+export async function loadCheckpoint(runId) {
     try {
-        const db = await openDB();
-        return new Promise((resolve, reject) => {
-            const tx = db.transaction(STORE_NAME, 'readonly');
-            const req = tx.objectStore(STORE_NAME).get('current');
-            req.onsuccess = () => resolve(req.result || null);
-            req.onerror = () => reject(req.error);
-        });
+        return await getRecord(runId);
     } catch (err) {
         console.warn('Checkpoint load failed:', err.message);
         return null;
@@ -78,37 +137,34 @@ export async function loadCheckpoint() {
 }
 
 /**
- * Clear the current checkpoint (call on pipeline completion or discard).
+ * Clear a run's checkpoint (call on pipeline completion or discard).
+ * @param {string} runId
  */
-export async function clearCheckpoint() {
+export async function clearCheckpoint(runId) {
     try {
-        const db = await openDB();
-        const tx = db.transaction(STORE_NAME, 'readwrite');
-        tx.objectStore(STORE_NAME).delete('current');
-        await new Promise((resolve, reject) => {
-            tx.oncomplete = resolve;
-            tx.onerror = () => reject(tx.error);
-        });
+        await deleteRecords([runId]);
     } catch (err) {
         console.warn('Checkpoint clear failed:', err.message);
     }
 }
 
 /**
- * Check if a running checkpoint exists.
+ * Check if a run has a running checkpoint.
+ * @param {string} runId
  * @returns {Promise<boolean>}
  */
-export async function hasCheckpoint() {
-    const cp = await loadCheckpoint();
+export async function hasCheckpoint(runId) {
+    const cp = await loadCheckpoint(runId);
     return cp !== null && cp.status === 'running';
 }
 
 /**
- * Mark the checkpoint as complete (rather than deleting it, for debugging).
+ * Mark a run's checkpoint as complete (rather than deleting it, for debugging).
+ * @param {string} runId
  */
-export async function markComplete() {
+export async function markComplete(runId) {
     try {
-        const cp = await loadCheckpoint();
+        const cp = await loadCheckpoint(runId);
         if (!cp) return;
         cp.status = 'complete';
         cp.completedAt = new Date().toISOString();
@@ -124,31 +180,88 @@ export async function markComplete() {
     }
 }
 
+/**
+ * List every interrupted run, newest first, as summaries (no ctx).
+ * A hands-free batch is listed once; its per-genre checkpoints are resumed
+ * through it rather than listed separately.
+ *
+ * @returns {Promise<Array<{ id: string, kind: 'run'|'batch', seedIdea: string, phase: number|null,
+ *   step: string|null, pendingApproval: string|null, completed?: number, total?: number,
+ *   startedAt: string, updatedAt: string }>>}
+ */
+export async function listCheckpoints() {
+    try {
+        const running = (await getAllRecords()).filter(r => r.status === 'running');
+        const batchIds = new Set(running.filter(isBatchRecord).map(r => r.id));
+        const runsById = new Map(running.filter(r => !isBatchRecord(r)).map(r => [r.id, r]));
+
+        return running
+            .filter(r => isBatchRecord(r) || !batchIds.has(r.batchId))
+            .map(r => {
+                if (!isBatchRecord(r)) {
+                    return {
+                        id: r.id,
+                        kind: 'run',
+                        seedIdea: r.seedIdea,
+                        phase: r.phase ?? null,
+                        step: r.step || null,
+                        pendingApproval: r.pendingApproval || null,
+                        startedAt: r.startedAt,
+                        updatedAt: r.updatedAt,
+                    };
+                }
+                const current = runsById.get(r.currentRunId);
+                return {
+                    id: r.id,
+                    kind: 'batch',
+                    seedIdea: r.seedIdea,
+                    phase: current?.phase ?? null,
+                    step: current?.step || null,
+                    pendingApproval: current?.pendingApproval || null,
+                    completed: r.completedGenres?.length || 0,
+                    total: r.genreSuggestions?.length || 0,
+                    startedAt: r.startedAt,
+                    updatedAt: current?.updatedAt || r.updatedAt,
+                };
+            })
+            .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+    } catch (err) {
+        console.warn('Checkpoint list failed:', err.message);
+        return [];
+    }
+}
+
 // ─── Batch (Multi-Genre) State ─────────────────────────
 // Saves which genres were completed and their results so resume
-// can skip finished genres and restore their result cards.
+// can skip finished genres and restore their result cards. The genre
+// in progress has its own run checkpoint (currentRunId), so resume
+// picks it up mid-run instead of starting it over.
 
 /**
  * Save batch state for multi-genre resume.
  * @param {object} state
+ * @param {string} state.batchId — the batch's id (see createRunId)
  * @param {string} state.seedIdea
  * @param {Array} state.genreSuggestions — full genre list
  * @param {Array} state.completedGenres — [{genreName, genreKey, pitchDeck}, ...]
  * @param {number} state.currentIndex — index of current/next genre to run
+ * @param {string|null} [state.currentRunId] — checkpoint id of the genre run in progress
  * @param {string|null} state.platform
  * @param {number|null} state.year
  * @param {string|null} state.directive
  * @param {string} state.chaosMode
  * @param {boolean} state.grandNarrativeMode
- * @param {number} state.maxRevisions
+ * @param {number|null} state.maxRevisions — revision-round override (null = the quality policy's)
+ * @param {string|object|null} [state.qualityPolicy] — quality profile name or policy (see qualityPolicy.js)
  */
 export async function saveBatchState(state) {
     try {
         const db = await openDB();
         const tx = db.transaction(STORE_NAME, 'readwrite');
         tx.objectStore(STORE_NAME).put({
-            id: 'batch',
             ...state,
+            id: state.batchId,
+            kind: 'batch',
             updatedAt: new Date().toISOString(),
             startedAt: state.startedAt || new Date().toISOString(),
             status: 'running',
@@ -163,18 +276,15 @@ export async function saveBatchState(state) {
 }
 
 /**
- * Load saved batch state, if any.
+ * Load a batch's saved state, if any.
+ * @param {string} batchId
  * @returns {Promise<object|null>}
  */
-export async function loadBatchState() {
+export async function loadBatchState(batchId) {
     try {
-        const db = await openDB();
-        return new Promise((resolve, reject) => {
-            const tx = db.transaction(STORE_NAME, 'readonly');
-            const req = tx.objectStore(STORE_NAME).get('batch');
-            req.onsuccess = () => resolve(req.result || null);
-            req.onerror = () => reject(req.error);
-        });
+        const batch = await getRecord(batchId);
+        // Legacy batch records predate batchId
+        return batch && { ...batch, batchId: batch.batchId || batch.id };
     } catch (err) {
         console.warn('Batch state load failed:', err.message);
         return null;
@@ -182,17 +292,13 @@ export async function loadBatchState() {
 }
 
 /**
- * Clear the batch state (call on batch completion or discard).
+ * Clear a batch's state and its per-genre checkpoints (call on batch completion or discard).
+ * @param {string} batchId
  */
-export async function clearBatchState() {
+export async function clearBatchState(batchId) {
     try {
-        const db = await openDB();
-        const tx = db.transaction(STORE_NAME, 'readwrite');
-        tx.objectStore(STORE_NAME).delete('batch');
-        await new Promise((resolve, reject) => {
-            tx.oncomplete = resolve;
-            tx.onerror = () => reject(tx.error);
-        });
+        const children = (await getAllRecords()).filter(r => r.batchId === batchId && !isBatchRecord(r));
+        await deleteRecords([batchId, ...children.map(r => r.id)]);
     } catch (err) {
         console.warn('Batch state clear failed:', err.message);
     }
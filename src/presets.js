@@ -0,0 +1,274 @@
+// ─── Run Presets — IndexedDB persistence ───────────
+// Named bundles of run settings (platform, year, genre, creative mode,
+// quality policy, directive, series format, output language, persona prompt and model edits…) for recurring slots
+// such as "ZDF/ARTE 2027 biocultural precision". A preset holds the
+// runPipeline opts a launch would otherwise read from the form.
+
+import { DEFAULT_QUALITY_PROFILE, resolveQualityPolicy } from './agents/qualityPolicy.js';
+import { APPROVAL_GATES } from './agents/orchestrator.js';
+import { MIN_EPISODES, MAX_EPISODES } from './agents/series.js';
+import { normalizeGeneration } from './agents/generation.js';
+import { OUTPUT_LANGUAGES, DEFAULT_LANGUAGE } from './agents/outputLanguage.js';
+
+const DB_NAME = 'scriptwriter_presets';
+const DB_VERSION = 1;
+const STORE_NAME = 'presets';
+
+// Identifies an exported presets file
+const EXPORT_FORMAT = 'scriptwriter-presets';
+const EXPORT_VERSION = 1;
+
+const CHAOS_MODES = ['precision', 'exploration', 'chaos'];
+
+/**
+ * Open (or create) the presets IndexedDB database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDB() {
+    return new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = (e) => {
+            const db = e.target.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function uid() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+}
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Validate and clean a preset's settings, e.g. from an imported file.
+ * Missing settings take the form's defaults.
+ *
+ * @param {object} data — { name, platform?, year?, genrePreference?, chaosMode?, grandNarrativeMode?,
+ *   maxRevisions?, qualityPolicy?, directive?, series?, language?, budget?, approvalGates?, personaOverrides?,
+ *   generationOverrides? }
+ * @returns {object} the preset, without id or timestamps
+ * @throws {Error} describing the first invalid setting
+ */
+export function normalizePreset(data) {
+    if (!data || typeof data !== 'object') throw new Error('Preset is not an object');
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!name) throw new Error('Preset has no name');
+    const fail = (msg) => { throw new Error(`Preset "${name}": ${msg}`); };
+
+    const text = (value, field) => {
+        if (value == null || value === '') return null;
+        if (typeof value !== 'string') fail(`"${field}" must be a string`);
+        return value.trim() || null;
+    };
+    const int = (value, field, min) => {
+        if (value == null || value === '') return null;
+        if (!Number.isInteger(value) || value < min) fail(`"${field}" must be an integer of at least ${min}`);
+        return value;
+    };
+
+    const chaosMode = data.chaosMode ?? 'exploration';
+    if (!CHAOS_MODES.includes(chaosMode)) fail(`"chaosMode" must be one of ${CHAOS_MODES.join(', ')}`);
+
+    // A profile name, or a custom policy object (see resolveQualityPolicy)
+    const qualityPolicy = data.qualityPolicy ?? DEFAULT_QUALITY_PROFILE;
+    if (typeof qualityPolicy !== 'string' && (typeof qualityPolicy !== 'object' || Array.isArray(qualityPolicy))) {
+        fail('"qualityPolicy" must be a profile name or a policy object');
+    }
+    try {
+        resolveQualityPolicy(qualityPolicy);
+    } catch (err) {
+        fail(`"qualityPolicy": ${err.message}`);
+    }
+
+    // Sets the revision gates' round limit, which the policy allows from 0
+    const maxRevisions = int(data.maxRevisions, 'maxRevisions', 0);
+    try {
+        resolveQualityPolicy(qualityPolicy, { maxRevisions });
+    } catch {
+        fail('"maxRevisions" is outside the quality policy\'s round limits');
+    }
+
+    // English is the default, stored as null like the other unset settings
+    const language = data.language == null || data.language === DEFAULT_LANGUAGE ? null : data.language;
+    if (language !== null && !Object.hasOwn(OUTPUT_LANGUAGES, language)) fail(`"language" must be one of ${Object.keys(OUTPUT_LANGUAGES).join(', ')}`);
+
+    let budget = null;
+    if (data.budget != null) {
+        if (typeof data.budget !== 'object') fail('"budget" must be { maxTokens, maxCostUsd, maxPromptTokens }');
+        const maxTokens = int(data.budget.maxTokens, 'budget.maxTokens', 1);
+        const maxCostUsd = data.budget.maxCostUsd ?? null;
+        if (maxCostUsd !== null && !(typeof maxCostUsd === 'number' && maxCostUsd > 0)) fail('"budget.maxCostUsd" must be a positive number');
+        const maxPromptTokens = int(data.budget.maxPromptTokens, 'budget.maxPromptTokens', 1000);
+        if (maxTokens || maxCostUsd || maxPromptTokens) budget = { maxTokens, maxCostUsd, maxPromptTokens };
+    }
+
+    let series = null;
+    if (data.series != null) {
+        if (typeof data.series !== 'object') fail('"series" must be { episodes, runtime }');
+        const episodes = int(data.series.episodes, 'series.episodes', MIN_EPISODES);
+        if (!episodes || episodes > MAX_EPISODES) fail(`"series.episodes" must be an integer from ${MIN_EPISODES} to ${MAX_EPISODES}`);
+        series = { episodes, runtime: int(data.series.runtime, 'series.runtime', 1) };
+    }
+
+    const approvalGates = data.approvalGates ?? [];
+    const gateSteps = APPROVAL_GATES.map(g => g.step);
+    if (!Array.isArray(approvalGates) || approvalGates.some(s => !gateSteps.includes(s))) {
+        fail(`"approvalGates" must be an array of steps from ${gateSteps.join(', ')}`);
+    }
+
+    const personaOverrides = data.personaOverrides ?? {};
+    if (typeof personaOverrides !== 'object' || Array.isArray(personaOverrides)
+        || Object.values(personaOverrides).some(p => typeof p !== 'string')) {
+        fail('"personaOverrides" must map agent ids to system prompts');
+    }
+
+    const generationOverrides = data.generationOverrides ?? {};
+    if (typeof generationOverrides !== 'object' || Array.isArray(generationOverrides)) {
+        fail('"generationOverrides" must map agent ids to generation settings');
+    }
+    const generation = {};
+    for (const [agentId, settings] of Object.entries(generationOverrides)) {
+        try {
+            generation[agentId] = normalizeGeneration(settings);
+        } catch (err) {
+            fail(`"generationOverrides.${agentId}": ${err.message}`);
+        }
+    }
+
+    return {
+        name,
+        platform: text(data.platform, 'platform'),
+        year: int(data.year, 'year', 1900),
+        genrePreference: text(data.genrePreference, 'genrePreference'),
+        chaosMode,
+        grandNarrativeMode: Boolean(data.grandNarrativeMode ?? true),
+        maxRevisions,
+        qualityPolicy: typeof qualityPolicy === 'string' ? qualityPolicy : structuredClone(qualityPolicy),
+        directive: text(data.directive, 'directive'),
+        series,
+        language,
+        budget,
+        approvalGates: [...approvalGates],
+        personaOverrides: { ...personaOverrides },
+        generationOverrides: generation,
+    };
+}
+
+/**
+ * The runPipeline opts a preset stands for. Persona and generation overrides
+ * are not pipeline opts — the caller applies them to the personas for the run.
+ * @param {object} preset
+ */
+export function presetRunOptions(preset) {
+    const { platform, year, genrePreference, chaosMode, grandNarrativeMode, maxRevisions, qualityPolicy, directive, series, language, budget, approvalGates } = preset;
+    return { platform, year, genrePreference, chaosMode, grandNarrativeMode, maxRevisions, qualityPolicy, directive, series: series ?? null, language: language ?? null, budget, approvalGates };
+}
+
+/**
+ * Get all presets, sorted by name.
+ * @returns {Promise<object[]>}
+ */
+export async function listPresets() {
+    try {
+        const db = await openDB();
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, 'readonly');
+            const req = tx.objectStore(STORE_NAME).getAll();
+            req.onsuccess = () => resolve((req.result || []).sort((a, b) => a.name.localeCompare(b.name)));
+            req.onerror = () => reject(req.error);
+        });
+    } catch (err) {
+        console.warn('[Presets] listPresets failed:', err.message);
+        return [];
+    }
+}
+
+/**
+ * Save a preset. A preset with the same name (case-insensitive) is replaced,
+ * so saving under an existing name updates it.
+ * @param {object} data — preset settings (see normalizePreset)
+ * @returns {Promise<object>} the saved preset
+ */
+export async function savePreset(data) {
+    const preset = normalizePreset(data);
+    const existing = (await listPresets()).find(p => sameName(p.name, preset.name));
+    const now = new Date().toISOString();
+    const record = { ...preset, id: existing?.id || uid(), createdAt: existing?.createdAt || now, updatedAt: now };
+
+    const db = await openDB();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    tx.objectStore(STORE_NAME).put(record);
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+    return record;
+}
+
+/**
+ * Delete a preset by id.
+ */
+export async function deletePreset(id) {
+    const db = await openDB();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    tx.objectStore(STORE_NAME).delete(id);
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// ─── Import / Export ─────────────────────────────────
+
+/**
+ * Build the JSON document for an exported presets file.
+ * @param {object[]} presets
+ */
+export function exportPresets(presets) {
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        presets: presets.map(normalizePreset),
+    };
+}
+
+/**
+ * Read the presets from an exported file (or a bare array of presets).
+ * @param {object|Array} doc — parsed JSON
+ * @returns {object[]} validated presets
+ * @throws {Error} if the file or any preset in it is invalid
+ */
+export function parsePresetFile(doc) {
+    const list = Array.isArray(doc) ? doc : doc?.presets;
+    if (!Array.isArray(list) || (!Array.isArray(doc) && doc.format !== EXPORT_FORMAT)) {
+        throw new Error('Not a presets file — expected an exported "presets" list');
+    }
+    if (!Array.isArray(doc) && doc.version !== EXPORT_VERSION) {
+        throw new Error(`Unsupported presets file version ${doc.version} (expected ${EXPORT_VERSION})`);
+    }
+    return list.map(normalizePreset);
+}
+
+// ─── Batch lines ─────────────────────────────────────
+
+/**
+ * Split a batch line that names a preset — "[Netflix 2026 chaos] Octopus tool use…".
+ * @param {string} line
+ * @param {object[]} presets
+ * @returns {{ text: string, preset: object|null, unknown: string|null }} — `unknown` is the
+ *   bracketed name when no preset matches it
+ */
+export function splitPresetPrefix(line, presets) {
+    const match = line.match(/^\[([^\]]+)\]\s*(.*)$/s);
+    if (!match) return { text: line, preset: null, unknown: null };
+    const preset = presets.find(p => sameName(p.name, match[1])) || null;
+    return preset
+        ? { text: match[2].trim(), preset, unknown: null }
+        : { text: line, preset: null, unknown: match[1].trim() };
+}
@@ -0,0 +1,156 @@
+// ─── Persona Prompt Versions — IndexedDB persistence ───────────
+// Every prompt-editor save becomes a numbered version of that persona's
+// system prompt and generation settings, with the author's note. The active
+// version of each persona is applied on load; a persona without one runs the
+// shipped personas.js prompt. Saved runs record the version ids they used.
+// Prompt templates and guards are versioned here too, under a
+// 'template:<name>' agent id (see agents/promptTemplates.js).
+
+const DB_NAME = 'scriptwriter_prompts';
+const DB_VERSION = 1;
+const VERSION_STORE = 'versions';
+const ACTIVE_STORE = 'active';
+
+/**
+ * Open (or create) the prompt versions IndexedDB database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDB() {
+    return new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = (e) => {
+            const db = e.target.result;
+            if (!db.objectStoreNames.contains(VERSION_STORE)) {
+                const store = db.createObjectStore(VERSION_STORE, { keyPath: 'id' });
+                store.createIndex('agentId', 'agentId', { unique: false });
+            }
+            if (!db.objectStoreNames.contains(ACTIVE_STORE)) {
+                db.createObjectStore(ACTIVE_STORE, { keyPath: 'agentId' });
+            }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function uid() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+}
+
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function completion(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Get every saved prompt version, oldest first per persona.
+ * @returns {Promise<Array<{ id, agentId, version, systemPrompt, generation, note, createdAt }>>}
+ */
+export async function listPromptVersions() {
+    try {
+        const db = await openDB();
+        const versions = await request(db.transaction(VERSION_STORE, 'readonly').objectStore(VERSION_STORE).getAll());
+        return (versions || []).sort((a, b) => a.agentId.localeCompare(b.agentId) || a.version - b.version);
+    } catch (err) {
+        console.warn('[PromptVersions] listPromptVersions failed:', err.message);
+        return [];
+    }
+}
+
+/**
+ * The active version id of each persona that has one.
+ * @returns {Promise<Object<string, string>>} agentId → version id
+ */
+export async function getActiveVersions() {
+    try {
+        const db = await openDB();
+        const rows = await request(db.transaction(ACTIVE_STORE, 'readonly').objectStore(ACTIVE_STORE).getAll());
+        return Object.fromEntries((rows || []).map(row => [row.agentId, row.versionId]));
+    } catch (err) {
+        console.warn('[PromptVersions] getActiveVersions failed:', err.message);
+        return {};
+    }
+}
+
+/**
+ * Save a new version of a persona's prompt and make it the active one.
+ * @param {object} data — { agentId, systemPrompt, generation?, note? }
+ * @returns {Promise<object>} the saved version, numbered after the persona's latest
+ */
+export async function savePromptVersion({ agentId, systemPrompt, generation = null, note = '' }) {
+    const db = await openDB();
+    const tx = db.transaction([VERSION_STORE, ACTIVE_STORE], 'readwrite');
+    const versions = tx.objectStore(VERSION_STORE);
+    const existing = await request(versions.index('agentId').getAll(agentId));
+    const record = {
+        id: uid(),
+        agentId,
+        version: Math.max(0, ...existing.map(v => v.version)) + 1,
+        systemPrompt,
+        generation,
+        note: note.trim(),
+        createdAt: new Date().toISOString(),
+    };
+    versions.put(record);
+    tx.objectStore(ACTIVE_STORE).put({ agentId, versionId: record.id });
+    await completion(tx);
+    return record;
+}
+
+/**
+ * Make a saved version a persona's active one — or, with null, go back to the
+ * shipped prompt.
+ * @param {string} agentId
+ * @param {string|null} versionId
+ */
+export async function setActiveVersion(agentId, versionId) {
+    const db = await openDB();
+    const tx = db.transaction(ACTIVE_STORE, 'readwrite');
+    if (versionId) tx.objectStore(ACTIVE_STORE).put({ agentId, versionId });
+    else tx.objectStore(ACTIVE_STORE).delete(agentId);
+    await completion(tx);
+}
+
+/**
+ * Line diff of two prompts (longest common subsequence).
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ type: 'same'|'added'|'removed', text: string }>}
+ */
+export function diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+    // common[i][j] = length of the LCS of a[i..] and b[j..]
+    const common = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            lines.push({ type: 'same', text: a[i++] });
+            j++;
+        } else if (common[i + 1][j] >= common[i][j + 1]) {
+            lines.push({ type: 'removed', text: a[i++] });
+        } else {
+            lines.push({ type: 'added', text: b[j++] });
+        }
+    }
+    while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+    return lines;
+}
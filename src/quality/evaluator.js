@@ -102,12 +102,15 @@ Scoring calibration: Use the award-winning productions in the table above as you
  * Evaluate a pitch deck and return a structured scorecard.
  * @param {string} pitchDeck — the full markdown pitch deck
  * @param {string} seedIdea — the original seed/script input
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal] — aborts the evaluator call
  * @returns {Promise<object>} — parsed scorecard
  */
-export async function evaluatePitchDeck(pitchDeck, seedIdea) {
+export async function evaluatePitchDeck(pitchDeck, seedIdea, { signal } = {}) {
     const response = await callAgent(
         EVALUATOR_PROMPT,
         `Evaluate the following pitch deck.\n\n### Original Input\n${seedIdea.slice(0, 500)}\n\n### Pitch Deck to Evaluate\n${pitchDeck}`,
+        { agentId: 'evaluator', signal },
     );
 
     // Parse JSON — handle potential markdown code fences
@@ -124,6 +127,9 @@ export async function evaluatePitchDeck(pitchDeck, seedIdea) {
     }
 }
 
+/** The scorecard dimensions, in the evaluator's order. */
+export const DIMENSION_NAMES = ['Narrative Structure', 'Scientific Rigor', 'Market Viability', 'Production Feasibility', 'Originality', 'Presentation Quality', 'Platform Compliance', 'Narrative Mandate Compliance'];
+
 /**
  * Dryrun benchmark seeds — diverse enough to test different capabilities.
  */
@@ -451,9 +457,11 @@ Rules:
  * @param {object} aggregate — the aggregate from runDryrun
  * @param {object|null} calibration — calibration health data
  * @param {Array} results — individual seed results
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal] — aborts the diagnosis call
  * @returns {Promise<object>} — { clusteredRecommendations, agentUpgrades, overallAssessment, dimensionHealth }
  */
-export async function generateSystemicDiagnosis(aggregate, calibration, results) {
+export async function generateSystemicDiagnosis(aggregate, calibration, results, { signal } = {}) {
     // Build the context payload for the AI
     const dimSummary = aggregate.dimensions.map(d =>
         `${d.name}: avg=${d.avg}, min=${d.min}, max=${d.max}`
@@ -471,7 +479,7 @@ export async function generateSystemicDiagnosis(aggregate, calibration, results)
 
     const userPrompt = `## Dryrun Aggregate\nOverall avg: ${aggregate.overall}/100\nScored: ${aggregate.scored}/${aggregate.total} (${aggregate.rejected} rejected)\n\n## Dimension Scores\n${dimSummary}\n\n## Individual Results\n${seedDetails}${calContext}\n\n## All Recommendations (per-seed)\n${aggregate.allRecommendations.map(r => `[${r.seed}] ${r.recommendation}`).join('\n')}`;
 
-    const response = await callAgent(SYSTEMIC_DIAGNOSIS_PROMPT, userPrompt);
+    const response = await callAgent(SYSTEMIC_DIAGNOSIS_PROMPT, userPrompt, { agentId: 'systemic-diagnosis', signal });
 
     let cleaned = response.trim();
     if (cleaned.startsWith('```')) {
@@ -532,12 +540,15 @@ Be strict. A red flag is triggered ONLY if the pitch deck clearly exhibits the a
 /**
  * Check a pitch deck for red flag anti-patterns.
  * @param {string} pitchDeck — the generated pitch deck
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal] — aborts the check
  * @returns {Promise<Array>} — array of { id, label, triggered, note }
  */
-export async function checkRedFlagMarkers(pitchDeck) {
+export async function checkRedFlagMarkers(pitchDeck, { signal } = {}) {
     const response = await callAgent(
         RED_FLAG_CHECK_PROMPT,
         `### Pitch Deck to Check\n${pitchDeck}`,
+        { agentId: 'red-flag-check', signal },
     );
 
     let cleaned = response.trim();
@@ -593,12 +604,15 @@ Be strict but fair. A marker passes if the pitch deck clearly demonstrates the q
 /**
  * Check a pitch deck against gold standard markers.
  * @param {string} pitchDeck — the generated pitch deck
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal] — aborts the check
  * @returns {Promise<Array>} — array of { id, label, pass, note }
  */
-export async function checkGoldStandardMarkers(pitchDeck) {
+export async function checkGoldStandardMarkers(pitchDeck, { signal } = {}) {
     const response = await callAgent(
         GOLD_STANDARD_CHECK_PROMPT,
         `### Pitch Deck to Check\n${pitchDeck}`,
+        { agentId: 'gold-standard-check', signal },
     );
 
     let cleaned = response.trim();
@@ -671,8 +685,21 @@ function buildRejectionScorecard(pitchDeck) {
     };
 }
 
+/**
+ * Run every benchmark seed (calibration seed first) through the pipeline,
+ * score each pitch deck and aggregate the results.
+ *
+ * @param {function} runFn — (seed, callbacks, pipelineOpts) → pitch deck
+ * @param {function} onProgress — (index, total, seedName, label)
+ * @param {object} [opts]
+ * @param {string[]} [opts.skipSeedIds] — seeds already completed (resume)
+ * @param {Array} [opts.previousResults] — their results
+ * @param {function} [opts.onSeedComplete] — (results, calibrationName, total) after each seed
+ * @param {AbortSignal} [opts.signal] — aborts the evaluator calls and stops
+ *   before the next seed; the pipeline itself is cancelled through runFn
+ */
 export async function runDryrun(runFn, onProgress, opts = {}) {
-    const { skipSeedIds = [], previousResults = [], onSeedComplete } = opts;
+    const { skipSeedIds = [], previousResults = [], onSeedComplete, signal } = opts;
     const results = [...previousResults];
     const calibrationSeed = getCalibrationSeed();
     const allSeeds = [calibrationSeed, ...BENCHMARK_SEEDS];
@@ -680,6 +707,7 @@ export async function runDryrun(runFn, onProgress, opts = {}) {
 
     for (let i = 0; i < allSeeds.length; i++) {
         const seed = allSeeds[i];
+        signal?.throwIfAborted();
 
         // Skip seeds already completed (resume mode)
         if (skipSeedIds.includes(seed.id)) {
@@ -723,16 +751,16 @@ export async function runDryrun(runFn, onProgress, opts = {}) {
 
         onProgress(i + 1, allSeeds.length, seed.name, seed.isCalibration ? '🏆 Scoring calibration…' : 'Evaluating quality…');
 
-        const scorecard = await evaluatePitchDeck(pitchDeck, seed.seed);
+        const scorecard = await evaluatePitchDeck(pitchDeck, seed.seed, { signal });
 
         // For calibration seed, also run gold standard marker check + red flag check
         let markers = null;
         let redFlags = null;
         if (seed.isCalibration) {
             onProgress(i + 1, allSeeds.length, seed.name, '🏆 Checking gold standard markers…');
-            markers = await checkGoldStandardMarkers(pitchDeck);
+            markers = await checkGoldStandardMarkers(pitchDeck, { signal });
             onProgress(i + 1, allSeeds.length, seed.name, '🚩 Checking red flags…');
-            redFlags = await checkRedFlagMarkers(pitchDeck);
+            redFlags = await checkRedFlagMarkers(pitchDeck, { signal });
         }
 
         const totalDuration = ((Date.now() - startTime) / 1000).toFixed(1);
@@ -756,13 +784,11 @@ export async function runDryrun(runFn, onProgress, opts = {}) {
     const scoredResults = benchmarkResults.filter(r => !r.rejected);
     const rejectedResults = benchmarkResults.filter(r => r.rejected);
 
-    const dimNames = ['Narrative Structure', 'Scientific Rigor', 'Market Viability', 'Production Feasibility', 'Originality', 'Presentation Quality', 'Platform Compliance', 'Narrative Mandate Compliance'];
-
     const aggregate = {
         overall: scoredResults.length > 0
             ? Math.round(scoredResults.reduce((s, r) => s + r.scorecard.overall, 0) / scoredResults.length)
             : null,
-        dimensions: dimNames.map(name => {
+        dimensions: DIMENSION_NAMES.map(name => {
             const scores = scoredResults
                 .map(r => r.scorecard.dimensions.find(d => d.name === name)?.score)
                 .filter(s => s != null);
@@ -841,3 +867,168 @@ export async function runDryrun(runFn, onProgress, opts = {}) {
 
     return { results: benchmarkResults, aggregate, calibration };
 }
+
+// ─── Prompt A/B Test ───────────────────────────────────
+// Runs the benchmark seeds under two prompt variants and compares their
+// scores. Runs are paired — the same seed and repeat under A and under B —
+// so a seed's own difficulty cancels out of the difference. A seed's repeats
+// are averaged before the interval is built: they share the seed, so the
+// seeds, not the runs, are the independent samples.
+
+// Two-sided 95% t critical values by degrees of freedom; a df between rows
+// uses the row below it, which errs towards a wider interval
+const T_CRITICAL_95 = [
+    [1, 12.706], [2, 4.303], [3, 3.182], [4, 2.776], [5, 2.571], [6, 2.447], [7, 2.365], [8, 2.306], [9, 2.262],
+    [10, 2.228], [12, 2.179], [15, 2.131], [20, 2.086], [25, 2.060], [30, 2.042], [40, 2.021], [60, 2.000], [120, 1.980],
+];
+
+function tCritical95(df) {
+    return T_CRITICAL_95.findLast(([rowDf]) => rowDf <= df)?.[1] ?? Infinity;
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/** Mean and sample standard deviation of a list of scores, unrounded. */
+function meanAndSd(scores) {
+    const n = scores.length;
+    if (n === 0) return { mean: null, sd: null, n };
+    const mean = scores.reduce((a, b) => a + b, 0) / n;
+    const sd = n > 1 ? Math.sqrt(scores.reduce((s, x) => s + (x - mean) ** 2, 0) / (n - 1)) : null;
+    return { mean, sd, n };
+}
+
+function describeScores(scores) {
+    const { mean, sd, n } = meanAndSd(scores);
+    return { mean: mean == null ? null : round1(mean), sd: sd == null ? null : round1(sd), n };
+}
+
+/**
+ * Compare one score across paired runs: each variant's mean and spread, and
+ * the mean B − A difference with its 95% confidence interval. The difference
+ * is averaged over each seed's repeats first, and the interval is taken over
+ * seeds (seeds − 1 degrees of freedom). The verdict names a variant only when
+ * the interval excludes zero.
+ * @param {string} name
+ * @param {Array<[string, number, number]>} pairs — [seed id, A score, B score] per seed and repeat
+ */
+function comparePaired(name, pairs) {
+    const diffsBySeed = new Map();
+    for (const [seedId, a, b] of pairs) diffsBySeed.set(seedId, [...(diffsBySeed.get(seedId) || []), b - a]);
+    const seedDiffs = [...diffsBySeed.values()].map(diffs => meanAndSd(diffs).mean);
+    const { mean: diff, sd } = meanAndSd(seedDiffs);
+    let ci = null;
+    if (seedDiffs.length > 1) {
+        const halfWidth = tCritical95(seedDiffs.length - 1) * (sd / Math.sqrt(seedDiffs.length));
+        ci = [round1(diff - halfWidth), round1(diff + halfWidth)];
+    }
+    return {
+        name,
+        a: describeScores(pairs.map(([, a]) => a)),
+        b: describeScores(pairs.map(([, , b]) => b)),
+        diff: diff == null ? null : round1(diff),
+        ci,
+        pairs: pairs.length,
+        seeds: seedDiffs.length,
+        verdict: !ci ? 'inconclusive' : ci[0] > 0 ? 'B' : ci[1] < 0 ? 'A' : 'inconclusive',
+    };
+}
+
+/**
+ * Run the benchmark seeds under two prompt variants, repeating each seed, and
+ * compare the evaluator's per-dimension scores. A seed's A and B runs go back
+ * to back, alternating which goes first, so drift over a long test hits both.
+ * The calibration seed is left out — it checks the evaluator, not the prompts.
+ *
+ * A pair in which either run was rejected by the pipeline is left out of the
+ * score comparison; rejections are counted per variant instead.
+ *
+ * @param {function} runFn — (seed, callbacks, pipelineOpts) → pitch deck
+ * @param {Array<{ label: string }>} variants — [A, B]; passed back to opts.withVariant
+ * @param {function} onProgress — (index, total, seedName, label)
+ * @param {object} opts
+ * @param {function} opts.withVariant — (variant, fn) → runs fn with the variant's prompts in place
+ * @param {number} [opts.repeats=3] — runs per seed and variant
+ * @param {string[]} [opts.seedIds] — benchmark seeds to run (all of them by default)
+ * @param {function} [opts.onRunComplete] — (results, total) after each run
+ * @param {AbortSignal} [opts.signal] — aborts the evaluator calls and stops
+ *   before the next run; the pipeline itself is cancelled through runFn
+ * @returns {Promise<object>} { variants, seeds, repeats, results, rejections, comparison: { overall, dimensions } }
+ */
+export async function runPromptABTest(runFn, variants, onProgress, opts) {
+    const { withVariant, repeats = 3, seedIds = null, onRunComplete, signal } = opts;
+    if (variants.length !== 2) throw new Error('An A/B test needs exactly two variants');
+    if (!Number.isInteger(repeats) || repeats < 1) throw new Error('Repeats must be a positive integer');
+    const seeds = seedIds ? BENCHMARK_SEEDS.filter(s => seedIds.includes(s.id)) : BENCHMARK_SEEDS;
+    if (seeds.length === 0) throw new Error('No benchmark seeds selected');
+
+    const total = seeds.length * repeats * 2;
+    const results = [];
+    let index = 0;
+
+    for (let repeat = 0; repeat < repeats; repeat++) {
+        for (const [seedIndex, seed] of seeds.entries()) {
+            const order = (repeat + seedIndex) % 2 === 0 ? [0, 1] : [1, 0];
+            for (const variantIndex of order) {
+                signal?.throwIfAborted();
+                index++;
+                const variant = variants[variantIndex];
+                const name = `${seed.name} · ${variant.label} #${repeat + 1}`;
+                onProgress(index, total, name, 'Running pipeline…');
+
+                const startTime = Date.now();
+                const pipelineOpts = {};
+                if (seed.platform) pipelineOpts.platform = seed.platform;
+                const pitchDeck = await withVariant(variant, () => runFn(seed.seed, {
+                    onPhaseStart() { },
+                    onAgentThinking() { },
+                    onAgentOutput() { },
+                    onPhaseComplete() { },
+                }, pipelineOpts));
+
+                const rejected = isRejectionMemo(pitchDeck);
+                let scorecard;
+                if (rejected) {
+                    onProgress(index, total, name, '⛔ Rejected by pipeline');
+                    scorecard = buildRejectionScorecard(pitchDeck);
+                } else {
+                    onProgress(index, total, name, 'Evaluating quality…');
+                    scorecard = await evaluatePitchDeck(pitchDeck, seed.seed, { signal });
+                }
+
+                results.push({
+                    seed,
+                    variant: variantIndex,
+                    repeat,
+                    pitchDeck,
+                    scorecard,
+                    rejected,
+                    duration: ((Date.now() - startTime) / 1000).toFixed(1),
+                });
+                if (onRunComplete) onRunComplete(results, total);
+            }
+        }
+    }
+
+    // Pair each seed and repeat's A run with its B run
+    const pairs = [];
+    for (const a of results.filter(r => r.variant === 0 && !r.rejected)) {
+        const b = results.find(r => r.variant === 1 && !r.rejected && r.seed.id === a.seed.id && r.repeat === a.repeat);
+        if (b) pairs.push([a.seed.id, a.scorecard, b.scorecard]);
+    }
+    const scorePairs = (score) => pairs
+        .map(([seedId, a, b]) => [seedId, score(a), score(b)])
+        .filter(([, a, b]) => typeof a === 'number' && typeof b === 'number');
+    const dimensionScore = (name) => (scorecard) => scorecard.dimensions?.find(d => d.name === name)?.score;
+
+    return {
+        variants: variants.map(v => v.label),
+        seeds: seeds.map(s => s.name),
+        repeats,
+        results,
+        rejections: [0, 1].map(v => results.filter(r => r.variant === v && r.rejected).length),
+        comparison: {
+            overall: comparePaired('Overall', scorePairs(scorecard => scorecard.overall)),
+            dimensions: DIMENSION_NAMES.map(name => comparePaired(name, scorePairs(dimensionScore(name)))),
+        },
+    };
+}